@@ -5,23 +5,34 @@
  * https://clawfix.dev
  * 
  * Usage: npx clawfix
+ *        npx clawfix apply <fixId|file>
+ *        npx clawfix rollback [fixId]
+ *        npx clawfix verify <fixId|file>
+ *        npx clawfix forget <fixId>
+ *        npx clawfix history [--json]
  */
 
-import { readFile, access, readdir, stat } from 'node:fs/promises';
-import { execSync } from 'node:child_process';
-import { homedir, platform, arch, release, hostname } from 'node:os';
-import { join } from 'node:path';
-import { createHash } from 'node:crypto';
+import { collect } from '../lib/collector.js';
+import { diagnoseOffline } from '../lib/detect.js';
+import { loadFix, backupConfig, runStep, recordRun, savedScriptPath } from '../lib/apply.js';
+import { readLedger, listLedgers, describeChange, rollbackLedger } from '../lib/ledger.js';
+import { verifyFix, reportVerification } from '../lib/verify.js';
+import { parseSSE } from '../lib/sse.js';
+import { saveDeleteToken, deleteTokenFor, dropDeleteToken, hostSecret, rememberHostHash, savedHost } from '../lib/secrets.js';
 
 // --- Config ---
 const API_URL = process.env.CLAWFIX_API || 'https://clawfix.dev';
-const VERSION = '0.3.0';
+const VERSION = '0.5.0';
 
 // --- Flags ---
 const args = process.argv.slice(2);
+const COMMAND = ['apply', 'rollback', 'verify', 'forget', 'history'].includes(args[0]) ? args[0] : null;
 const DRY_RUN = args.includes('--dry-run') || args.includes('-n');
 const SHOW_DATA = args.includes('--show-data') || args.includes('-d');
 const AUTO_SEND = process.env.CLAWFIX_AUTO === '1' || args.includes('--yes') || args.includes('-y');
+const OFFLINE = process.env.CLAWFIX_OFFLINE === '1' || args.includes('--offline');
+const NO_FEEDBACK = args.includes('--no-feedback');
+const ASYNC = process.env.CLAWFIX_ASYNC === '1' || args.includes('--async');
 const SHOW_HELP = args.includes('--help') || args.includes('-h');
 
 // --- Colors ---
@@ -35,53 +46,6 @@ const c = {
   dim: s => `\x1b[2m${s}\x1b[0m`,
 };
 
-// --- Helpers ---
-async function exists(p) {
-  try { await access(p); return true; } catch { return false; }
-}
-
-async function readJson(p) {
-  try { return JSON.parse(await readFile(p, 'utf8')); } catch { return null; }
-}
-
-function run(cmd) {
-  try { return execSync(cmd, { encoding: 'utf8', timeout: 5000 }).trim(); } catch { return ''; }
-}
-
-function hashStr(s) {
-  return createHash('sha256').update(s).digest('hex').slice(0, 8);
-}
-
-// Redact secrets from config
-function sanitizeConfig(config) {
-  if (!config || typeof config !== 'object') return config;
-  
-  const redact = (obj) => {
-    if (typeof obj === 'string') {
-      if (obj.length > 20 && /^(sk-|xai-|eyJ|ghp_|gho_|npm_|m0-|AIza|ntn_)/.test(obj)) return '***REDACTED***';
-      if (obj.length > 40 && /^[A-Za-z0-9+/=]+$/.test(obj)) return '***REDACTED***';
-      return obj;
-    }
-    if (Array.isArray(obj)) return obj.map(redact);
-    if (obj && typeof obj === 'object') {
-      const result = {};
-      for (const [k, v] of Object.entries(obj)) {
-        if (/key|token|secret|password|jwt|apikey|accesstoken/i.test(k)) {
-          result[k] = '***REDACTED***';
-        } else if (k === 'env') {
-          continue; // Skip env block entirely
-        } else {
-          result[k] = redact(v);
-        }
-      }
-      return result;
-    }
-    return obj;
-  };
-  
-  return redact(config);
-}
-
 // --- Main ---
 async function main() {
   if (SHOW_HELP) {
@@ -89,22 +53,47 @@ async function main() {
 🦞 ClawFix v${VERSION} — AI-Powered OpenClaw Diagnostic
 
 Usage: npx clawfix [options]
+       npx clawfix apply <fixId|file> [--yes]
+       npx clawfix rollback [fixId] [--yes]
+       npx clawfix verify <fixId|file>
+       npx clawfix forget <fixId>
+       npx clawfix history [--json]
+
+Commands:
+  apply            Walk through a fix script step by step — run, skip or stop at
+                   each one; offers to roll back if a step fails
+  rollback         Restore every file a fix changed, from its backup ledger in
+                   ~/.openclaw/clawfix/ledger/ — without a fix ID, lists them
+  verify           Scan again and check which of a fix's issues are gone; tells
+                   ClawFix the result (apply does this after the last step)
+  forget           Delete a diagnosis sent from this machine from the ClawFix
+                   server — its results, fix script and feedback
+  history          This machine's diagnoses over time — which issues keep coming
+                   back, what changed between scans, gateway restart trends
 
 Options:
   --dry-run, -n    Scan locally only — shows what would be collected, sends nothing
   --show-data, -d  Display the full diagnostic payload before asking to send
   --yes, -y        Skip confirmation prompt and send automatically
+  --offline        Detect issues and write the fix script locally — no network
+  --no-feedback    apply/verify: don't report the verification result to ClawFix
+  --async          Queue the analysis and poll for the result instead of keeping
+                   one connection open (for proxies that cut long requests)
+  --json           history: print the server's answer as JSON
   --help, -h       Show this help message
 
 Environment:
-  CLAWFIX_API      Override API URL (default: https://clawfix.dev)
-  CLAWFIX_AUTO=1   Same as --yes
+  CLAWFIX_API        Override API URL (default: https://clawfix.dev)
+  CLAWFIX_AUTO=1     Same as --yes
+  CLAWFIX_OFFLINE=1  Same as --offline
+  CLAWFIX_ASYNC=1    Same as --async
 
 Security:
   • All API keys, tokens, and passwords are automatically redacted
   • Your hostname is SHA-256 hashed (only first 8 chars sent)
   • No file contents are read (only existence checks)
   • Nothing is sent without your explicit approval (unless --yes)
+  • Whatever you send, you can delete: npx clawfix forget <fixId>
   • Source code: https://github.com/arcabotai/clawfix
 
 Examples:
@@ -112,338 +101,49 @@ Examples:
   npx clawfix --dry-run        # See what data would be collected (sends nothing)
   npx clawfix --show-data      # Show full payload before asking to send
   npx clawfix --yes            # Auto-send for CI/scripting
+  npx clawfix --offline        # Air-gapped: full pattern matching, nothing sent
+  npx clawfix apply abc123     # Apply a fix one step at a time
+  npx clawfix rollback abc123  # Undo everything that fix changed
+  npx clawfix verify abc123    # Did the fix work?
+  npx clawfix forget abc123    # Delete that diagnosis from ClawFix
+  npx clawfix history          # What has this machine's gateway been through?
 `);
     return;
   }
 
+  if (COMMAND === 'apply') return applyCommand(args[1]);
+  if (COMMAND === 'rollback') return rollbackCommand(args[1]);
+  if (COMMAND === 'verify') return verifyCommand(args[1]);
+  if (COMMAND === 'forget') return forgetCommand(args[1]);
+  if (COMMAND === 'history') return historyCommand();
+
   console.log('');
   console.log(c.cyan(`🦞 ClawFix v${VERSION} — AI-Powered OpenClaw Diagnostic`));
   if (DRY_RUN) console.log(c.yellow('   🔍 DRY RUN MODE — nothing will be sent'));
+  if (OFFLINE) console.log(c.yellow('   ✈️  OFFLINE MODE — no network calls'));
   console.log(c.cyan('━'.repeat(50)));
   console.log('');
 
-  // --- Detect OpenClaw ---
-  const home = homedir();
-  const openclawDir = await exists(join(home, '.openclaw')) ? join(home, '.openclaw') :
-                       await exists(join(home, '.config', 'openclaw')) ? join(home, '.config', 'openclaw') : null;
-  
-  const openclawBin = run('which openclaw') || 
-                       (await exists('/opt/homebrew/bin/openclaw') ? '/opt/homebrew/bin/openclaw' : '') ||
-                       (await exists('/usr/local/bin/openclaw') ? '/usr/local/bin/openclaw' : '');
-
-  const configPath = openclawDir ? join(openclawDir, 'openclaw.json') : null;
-
-  if (!openclawBin && !openclawDir) {
-    console.log(c.red('❌ OpenClaw not found on this system.'));
-    console.log('Make sure OpenClaw is installed: https://openclaw.ai');
+  // --- Collect (same probes as the curl | bash script) ---
+  let diagnostic;
+  try {
+    diagnostic = collect();
+  } catch (err) {
+    // The probes already explained a missing install on screen
+    if (err.code !== 'ENOOPENCLAW') console.log(c.red(`❌ ${err.message}`));
     process.exit(1);
   }
 
-  console.log(c.green('✅ OpenClaw found'));
-  if (openclawBin) console.log(`   Binary: ${openclawBin}`);
-  if (openclawDir) console.log(`   Config: ${openclawDir}`);
-
-  // --- System Info ---
-  console.log('');
-  console.log(c.blue('📋 Collecting system information...'));
-
-  const osName = platform();
-  const osVersion = release();
-  const osArch = arch();
-  const nodeVersion = process.version;
-  const npmVersion = run('npm --version');
-  const hostHash = hashStr(hostname());
-
-  let ocVersion = '';
-  if (openclawBin) {
-    ocVersion = run(`"${openclawBin}" --version`);
-  }
-
-  console.log(`   OS: ${osName} ${osVersion} (${osArch})`);
-  console.log(`   Node: ${nodeVersion}`);
-  console.log(`   OpenClaw: ${ocVersion || 'not found'}`);
-
-  // --- Read Config ---
-  console.log('');
-  console.log(c.blue('🔒 Reading config (secrets will be redacted)...'));
-
-  let config = null;
-  let sanitizedConfig = {};
-
-  if (configPath && await exists(configPath)) {
-    config = await readJson(configPath);
-    sanitizedConfig = sanitizeConfig(config) || {};
-    console.log(c.green('   ✅ Config read and sanitized'));
-  } else {
-    console.log(c.yellow('   ⚠️  No config file found'));
-  }
-
-  // --- Gateway Status ---
-  console.log('');
-  console.log(c.blue('🔌 Checking gateway status...'));
-
-  let gatewayStatus = 'unknown';
-  if (openclawBin) {
-    gatewayStatus = run(`"${openclawBin}" gateway status 2>&1`) || 'could not check';
-  }
-
-  const gatewayPort = config?.gateway?.port || 18789;
-  const gatewayPid = run('pgrep -f "openclaw.*gateway"') || '';
-
-  // Extract the actual status line, not config warnings
-  const statusLine = gatewayStatus.split('\n').find(l => /runtime:|listening|running|stopped|not running/i.test(l))
-    || gatewayStatus.split('\n')[0];
-  console.log(`   Status: ${statusLine.trim()}`);
-  if (gatewayPid) console.log(`   PID: ${gatewayPid}`);
-  console.log(`   Port: ${gatewayPort}`);
-
-  // --- Logs (use tail to avoid reading huge files — err log can be 200MB+) ---
-  console.log('');
-  console.log(c.blue('📜 Reading recent logs...'));
-
-  let errorLogs = '';
-  let stderrLogs = '';
-  let gatewayLogTail = '';
-  let errLogSizeMB = 0;
-  let logSizeMB = 0;
-
-  const logPath = openclawDir ? join(openclawDir, 'logs', 'gateway.log') : null;
-  const errLogPath = openclawDir ? join(openclawDir, 'logs', 'gateway.err.log') : null;
-
-  if (logPath && await exists(logPath)) {
-    try {
-      const logStat = await stat(logPath);
-      logSizeMB = Math.round(logStat.size / 1024 / 1024);
-      // Use tail to read last 500 lines instead of loading entire file
-      const tailContent = run(`tail -500 "${logPath}" 2>/dev/null`);
-      const lines = tailContent.split('\n');
-      errorLogs = lines
-        .filter(l => /error|warn|fail|crash|EADDRINUSE|EACCES/i.test(l))
-        .slice(-30)
-        .join('\n');
-      // Also grab gateway restart patterns (SIGTERM + PID lines)
-      gatewayLogTail = lines
-        .filter(l => /signal SIGTERM|listening.*PID|config change detected.*reload|update available/i.test(l))
-        .slice(-20)
-        .join('\n');
-      console.log(c.green(`   ✅ Gateway log found (${logSizeMB}MB, read last 500 lines)`));
-    } catch {}
-  }
-
-  if (errLogPath && await exists(errLogPath)) {
-    try {
-      const errStat = await stat(errLogPath);
-      errLogSizeMB = Math.round(errStat.size / 1024 / 1024);
-      // Use tail — this file can be 200MB+ from browser relay spam
-      stderrLogs = run(`tail -200 "${errLogPath}" 2>/dev/null`);
-      const icon = errLogSizeMB > 50 ? c.yellow('⚠️') : c.green('✅');
-      console.log(`   ${icon} Error log found (${errLogSizeMB}MB${errLogSizeMB > 50 ? ' — OVERSIZED!' : ''})`);
-    } catch {}
-  }
-
-  // --- Service Health (launchd / systemd) ---
-  console.log('');
-  console.log(c.blue('🔧 Checking service health...'));
-
-  let serviceHealth = {};
-  const isMac = osName === 'darwin';
-  const isLinux = osName === 'linux';
-
-  if (isMac) {
-    const uid = run('id -u');
-    const launchdInfo = run(`launchctl print gui/${uid}/ai.openclaw.gateway 2>/dev/null`);
-    if (launchdInfo) {
-      const runsMatch = launchdInfo.match(/runs = (\d+)/);
-      const pidMatch = launchdInfo.match(/pid = (\d+)/);
-      const stateMatch = launchdInfo.match(/state = (running|waiting|not running)/);
-      const exitCodeMatch = launchdInfo.match(/last exit code = (\d+)/);
-      serviceHealth = {
-        manager: 'launchd',
-        runs: runsMatch ? parseInt(runsMatch[1]) : 0,
-        pid: pidMatch ? parseInt(pidMatch[1]) : 0,
-        state: stateMatch ? stateMatch[1] : 'unknown',
-        lastExitCode: exitCodeMatch ? parseInt(exitCodeMatch[1]) : null,
-      };
-      // Check uptime of current PID
-      if (serviceHealth.pid) {
-        const elapsed = run(`ps -p ${serviceHealth.pid} -o etime= 2>/dev/null`).trim();
-        serviceHealth.uptimeStr = elapsed;
-        // Parse elapsed to seconds (format: [[dd-]hh:]mm:ss)
-        const parts = elapsed.replace(/-/g, ':').split(':').reverse().map(Number);
-        serviceHealth.uptimeSeconds = (parts[0] || 0) + (parts[1] || 0) * 60 + (parts[2] || 0) * 3600 + (parts[3] || 0) * 86400;
-      }
-      const runsIcon = serviceHealth.runs > 2 ? c.yellow('⚠️') : c.green('✅');
-      console.log(`   ${runsIcon} LaunchAgent: ${serviceHealth.state} (${serviceHealth.runs} run(s), PID ${serviceHealth.pid || 'none'})`);
-      if (serviceHealth.uptimeStr) console.log(`   Uptime: ${serviceHealth.uptimeStr}`);
-      if (serviceHealth.runs > 2) console.log(c.yellow(`   ⚠️  Multiple restarts detected — possible crash loop`));
-    } else {
-      console.log(c.dim('   LaunchAgent not found'));
-    }
-  } else if (isLinux) {
-    const systemdInfo = run('systemctl show openclaw-gateway --property=NRestarts,ActiveState,SubState,ExecMainPID,ExecMainStartTimestamp 2>/dev/null');
-    if (systemdInfo) {
-      const props = {};
-      systemdInfo.split('\n').forEach(l => {
-        const [k, v] = l.split('=', 2);
-        if (k && v) props[k.trim()] = v.trim();
-      });
-      serviceHealth = {
-        manager: 'systemd',
-        nRestarts: parseInt(props.NRestarts) || 0,
-        state: props.ActiveState || 'unknown',
-        subState: props.SubState || 'unknown',
-        pid: parseInt(props.ExecMainPID) || 0,
-      };
-      console.log(`   systemd: ${serviceHealth.state}/${serviceHealth.subState} (${serviceHealth.nRestarts} restart(s))`);
-    } else {
-      console.log(c.dim('   systemd service not found'));
-    }
-  } else {
-    console.log(c.dim('   Service manager detection not available on this OS'));
-  }
-
-  // --- Plugins ---
-  console.log('');
-  console.log(c.blue('🔌 Checking plugins...'));
+  // --- Local Issue Detection (same rules as the server) ---
+  const local = diagnoseOffline(diagnostic);
+  const issues = local.knownIssues;
 
-  const plugins = config?.plugins?.entries || {};
-  for (const [name, cfg] of Object.entries(plugins)) {
-    const icon = cfg.enabled === false ? '❌' : '✅';
-    console.log(`   ${icon} ${name}`);
-  }
-
-  // --- Workspace ---
-  console.log('');
-  console.log(c.blue('📁 Checking workspace...'));
-
-  const workspaceDir = config?.agents?.defaults?.workspace || '';
-  let mdFiles = 0;
-  let memoryFiles = 0;
-  let hasSoul = false;
-  let hasAgents = false;
-
-  if (workspaceDir && await exists(workspaceDir)) {
-    hasSoul = await exists(join(workspaceDir, 'SOUL.md'));
-    hasAgents = await exists(join(workspaceDir, 'AGENTS.md'));
-
-    try {
-      const files = run(`find "${workspaceDir}" -name "*.md" 2>/dev/null | wc -l`);
-      mdFiles = parseInt(files) || 0;
-    } catch {}
-
-    const memDir = join(workspaceDir, 'memory');
-    if (await exists(memDir)) {
-      try {
-        const mFiles = await readdir(memDir);
-        memoryFiles = mFiles.filter(f => f.endsWith('.md')).length;
-      } catch {}
-    }
-
-    console.log(`   Path: ${workspaceDir}`);
-    console.log(`   Files: ${mdFiles} .md files`);
-    console.log(`   Memory: ${memoryFiles} daily notes`);
-    console.log(`   SOUL.md: ${hasSoul}`);
-    console.log(`   AGENTS.md: ${hasAgents}`);
-  }
-
-  // --- Check Ports ---
-  console.log('');
-  console.log(c.blue('🔗 Checking port availability...'));
-
-  const checkPort = (port, name) => {
-    const inUse = run(`lsof -i :${port} 2>/dev/null | grep LISTEN`) ||
-                  run(`ss -tlnp 2>/dev/null | grep :${port}`);
-    if (inUse) {
-      console.log(c.yellow(`   ⚠️  Port ${port} (${name}) — IN USE`));
-      return true;
-    } else {
-      console.log(c.green(`   ✅ Port ${port} (${name}) — available`));
-      return false;
-    }
-  };
-
-  checkPort(gatewayPort, 'gateway');
-  checkPort(18800, 'browser CDP');
-  checkPort(18791, 'browser control');
-
-  // --- Local Issue Detection ---
   console.log('');
   console.log(c.cyan('━'.repeat(50)));
   console.log(c.bold('📊 Diagnostic Summary'));
   console.log(c.cyan('━'.repeat(50)));
   console.log('');
 
-  const issues = [];
-
-  // Check actual gateway status — ignore config warnings in output
-  const gatewayRunning = /running.*pid|state active|listening/i.test(gatewayStatus);
-  const gatewayFailed = /not running|failed to start|stopped|inactive/i.test(gatewayStatus);
-  if (gatewayFailed || (!gatewayRunning && !/warning/i.test(gatewayStatus))) {
-    issues.push({ severity: 'critical', text: 'Gateway is not running' });
-  }
-  if (/EADDRINUSE/i.test(errorLogs)) {
-    issues.push({ severity: 'critical', text: 'Port conflict detected' });
-  }
-
-  // Auto-update restart loop detection
-  const sigtermCount = (gatewayLogTail.match(/signal SIGTERM/gi) || []).length;
-  const restartCount = (gatewayLogTail.match(/listening.*PID/gi) || []).length;
-  if (config?.update?.auto?.enabled === true && (sigtermCount >= 2 || restartCount >= 3)) {
-    issues.push({ severity: 'critical', text: 'Auto-update causing gateway restart loop' });
-  } else if (config?.update?.auto?.enabled === true) {
-    issues.push({ severity: 'medium', text: 'Auto-update enabled (risk of restart loops)' });
-  }
-
-  // Config reload cascade
-  const reloadCount = (gatewayLogTail.match(/config change detected.*evaluating reload/gi) || []).length;
-  if (reloadCount >= 3) {
-    issues.push({ severity: 'high', text: `Config reload cascade detected (${reloadCount} reloads in recent logs)` });
-  }
-
-  // Service manager crash loop
-  if (serviceHealth.runs > 2 && (serviceHealth.uptimeSeconds || 0) < 300) {
-    issues.push({ severity: 'critical', text: `Gateway crash loop — ${serviceHealth.runs} restarts, only ${serviceHealth.uptimeStr} uptime` });
-  } else if ((serviceHealth.nRestarts || 0) > 0) {
-    issues.push({ severity: 'high', text: `Gateway has restarted ${serviceHealth.nRestarts} time(s) (systemd)` });
-  }
-
-  // Browser Relay handshake spam
-  const handshakeSpam = (stderrLogs.match(/invalid handshake.*chrome-extension|closed before connect.*chrome-extension/gi) || []).length;
-  if (handshakeSpam >= 5) {
-    issues.push({ severity: 'medium', text: 'Browser Relay extension spamming invalid handshakes' });
-  }
-
-  // Oversized error log
-  if (errLogSizeMB > 50) {
-    issues.push({ severity: 'medium', text: `Error log is ${errLogSizeMB}MB (should be <50MB)` });
-  }
-
-  // Matrix timeout spam
-  const matrixTimeouts = (stderrLogs.match(/ESOCKETTIMEDOUT/gi) || []).length;
-  if (matrixTimeouts >= 3) {
-    issues.push({ severity: 'low', text: 'Matrix sync timeouts spamming error log' });
-  }
-
-  // Existing checks
-  if (config?.plugins?.entries?.['openclaw-mem0']?.config?.enableGraph === true) {
-    issues.push({ severity: 'high', text: 'Mem0 enableGraph requires Pro plan (will silently fail)' });
-  }
-  if (!config?.agents?.defaults?.memorySearch?.query?.hybrid?.enabled) {
-    issues.push({ severity: 'medium', text: 'Hybrid search not enabled (recommended)' });
-  }
-  if (!config?.agents?.defaults?.contextPruning) {
-    issues.push({ severity: 'medium', text: 'No context pruning configured' });
-  }
-  if (!config?.agents?.defaults?.compaction?.memoryFlush?.enabled) {
-    issues.push({ severity: 'medium', text: 'Memory flush not enabled (data loss on compaction)' });
-  }
-  if (!hasSoul && workspaceDir) {
-    issues.push({ severity: 'low', text: 'No SOUL.md found (agent has no personality)' });
-  }
-  if (memoryFiles === 0 && workspaceDir) {
-    issues.push({ severity: 'low', text: 'No memory files found' });
-  }
-
   if (issues.length === 0) {
     console.log(c.green('✅ No issues detected! Your OpenClaw looks healthy.'));
   } else {
@@ -453,7 +153,10 @@ Examples:
       const icon = issue.severity === 'critical' ? c.red('❌') :
                    issue.severity === 'high' ? c.red('❌') :
                    c.yellow('⚠️');
-      console.log(`   ${icon} [${issue.severity.toUpperCase()}] ${issue.text}`);
+      console.log(`   ${icon} [${issue.severity.toUpperCase()}] ${issue.title}`);
+      for (const sub of issue.consequences || []) {
+        console.log(c.dim(`      ↳ also explains: ${sub.title}`));
+      }
     }
   }
 
@@ -461,47 +164,6 @@ Examples:
   console.log(c.cyan('━'.repeat(50)));
   console.log('');
 
-  // --- Build Payload ---
-  const diagnostic = {
-    version: VERSION,
-    timestamp: new Date().toISOString(),
-    hostHash,
-    system: {
-      os: osName,
-      osVersion,
-      arch: osArch,
-      nodeVersion,
-      npmVersion,
-    },
-    openclaw: {
-      version: ocVersion || 'unknown',
-      binary: openclawBin || 'not found',
-      configDir: openclawDir || 'not found',
-      gatewayStatus,
-      gatewayPid: gatewayPid || 'none',
-      gatewayPort,
-    },
-    config: sanitizedConfig,
-    logs: {
-      errors: errorLogs,
-      stderr: stderrLogs,
-      gatewayLog: gatewayLogTail,
-      errLogSizeMB,
-      logSizeMB,
-    },
-    service: serviceHealth,
-    workspace: {
-      path: workspaceDir || 'unknown',
-      mdFiles,
-      memoryFiles,
-      hasSoul,
-      hasAgents,
-    },
-    browser: {
-      status: openclawDir && await exists(join(openclawDir, 'browser')) ? 'configured' : 'not configured',
-    },
-  };
-
   // --- Show collected data ---
   if (DRY_RUN || SHOW_DATA) {
     console.log('');
@@ -535,6 +197,25 @@ Examples:
     return;
   }
 
+  // --- Offline: the free tier, entirely on this machine ---
+  if (OFFLINE) {
+    const { writeFile } = await import('node:fs/promises');
+    const fixPath = savedScriptPath(local.fixId);
+    await writeFile(fixPath, local.fixScript);
+
+    console.log(c.bold(`📋 Fix script saved to: ${fixPath}`));
+    console.log(`   Review it:  ${c.cyan(`cat ${fixPath}`)}`);
+    console.log(`   Apply it:   ${c.cyan(`npx clawfix apply ${local.fixId}`)}`);
+    console.log('');
+    console.log(c.dim('AI analysis of issues beyond the known patterns needs a network connection:'));
+    console.log(c.cyan('  npx clawfix'));
+    console.log('');
+    console.log(c.cyan('🦞 ClawFix — made by Arca (arcabot.eth)'));
+    console.log(c.cyan('   https://clawfix.dev | https://x.com/arcabotai'));
+    console.log('');
+    return;
+  }
+
   console.log(c.bold('Want AI-powered fixes? Send this diagnostic for analysis.'));
   console.log('');
   console.log(c.dim('Data sent:     OS, versions, OpenClaw config (secrets redacted), error logs'));
@@ -565,9 +246,14 @@ Examples:
   console.log(c.blue('📡 Sending diagnostic to ClawFix...'));
 
   try {
-    const response = await fetch(`${API_URL}/api/diagnose`, {
+    const response = await fetch(`${API_URL}/api/diagnose?${ASYNC ? 'async=1' : 'stream=1'}`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': ASYNC ? 'application/json' : 'text/event-stream',
+        // Ties this diagnosis to the machine's earlier ones for `clawfix history`
+        'X-Host-Secret': hostSecret(),
+      },
       body: JSON.stringify(diagnostic),
     });
 
@@ -575,47 +261,60 @@ Examples:
       throw new Error(`API returned ${response.status}: ${await response.text()}`);
     }
 
-    const result = await response.json();
-    const fixId = result.fixId;
+    // Kept locally for `clawfix forget`; the server only has its hash
+    const deleteToken = response.headers.get('x-delete-token');
+    if (diagnostic.hostHash) rememberHostHash(diagnostic.hostHash);
 
-    console.log('');
-    console.log(c.green(`✅ Diagnosis complete! Found ${result.issuesFound} issue(s).`));
-    console.log('');
+    // Servers without streaming answer with the whole result at once
+    let result;
+    if (response.headers.get('content-type')?.includes('text/event-stream')) {
+      result = await followDiagnosis(response);
+      if (deleteToken) saveDeleteToken(result.fixId, deleteToken);
+      console.log(c.green(`✅ Diagnosis complete! Found ${result.issuesFound} issue(s).`));
+    } else {
+      result = await response.json();
+      if (deleteToken) saveDeleteToken(result.fixId, deleteToken);
+      if (response.status === 202) result = await pollDiagnosis(result.fixId);
+      console.log('');
+      console.log(c.green(`✅ Diagnosis complete! Found ${result.issuesFound} issue(s).`));
+      console.log('');
+      printKnownIssues(result.knownIssues);
+    }
+    const fixId = result.fixId;
 
-    // Show known issues
-    if (result.knownIssues) {
-      for (const issue of result.knownIssues) {
-        console.log(`  ${issue.severity.toUpperCase()} — ${issue.title}: ${issue.description}`);
-      }
+    for (const issue of result.aiIssues || []) {
+      console.log(`  ${issue.severity.toUpperCase()} — ${issue.title} ${c.dim('(AI)')}: ${issue.description}`);
     }
 
     console.log('');
-    console.log(c.bold('AI Analysis:'));
+    console.log(c.bold('AI Analysis:') + (result.cacheHit ? c.dim(' (reused from an identical earlier diagnosis)') : ''));
     console.log(result.analysis || 'Pattern matching only (no AI configured)');
     console.log('');
 
     // Save fix script
     if (result.fixScript) {
       const { writeFile } = await import('node:fs/promises');
-      const fixPath = `/tmp/clawfix-${fixId}.sh`;
+      const fixPath = savedScriptPath(fixId);
       await writeFile(fixPath, result.fixScript);
 
       console.log(c.cyan('━'.repeat(50)));
       console.log('');
       console.log(c.bold(`📋 Fix script saved to: ${fixPath}`));
       console.log(`   Review it:  ${c.cyan(`cat ${fixPath}`)}`);
-      console.log(`   Apply it:   ${c.cyan(`bash ${fixPath}`)}`);
+      console.log(`   Apply it:   ${c.cyan(`npx clawfix apply ${fixId}`)}`);
       console.log('');
       console.log(c.bold('🌐 View results in browser:'));
       console.log(`   ${c.cyan(`${API_URL}/results/${fixId}`)}`);
       console.log('');
       console.log(`${c.bold('Fix ID:')} ${fixId}`);
+      if (deleteToken) console.log(c.dim(`Delete it from ClawFix any time: npx clawfix forget ${fixId}`));
     }
   } catch (err) {
     console.log(c.red(`❌ Error: ${err.message}`));
     console.log('');
-    console.log('Try the web version instead:');
+    console.log('Try the web version instead, or get the pattern-matching fixes without the server:');
     console.log(c.cyan('  curl -sSL clawfix.dev/fix | bash'));
+    console.log(c.cyan('  npx clawfix --offline'));
   }
 
   console.log('');
@@ -624,6 +323,459 @@ Examples:
   console.log('');
 }
 
+function printKnownIssues(knownIssues = []) {
+  for (const issue of knownIssues) {
+    console.log(`  ${issue.severity.toUpperCase()} — ${issue.title}: ${issue.description}`);
+    for (const sub of issue.consequences || []) {
+      console.log(c.dim(`    ↳ also explains: ${sub.title}`));
+    }
+  }
+}
+
+/**
+ * Read a streamed diagnosis: known issues are printed as soon as pattern
+ * matching is done, then the AI's progress while it writes. Returns the
+ * final result.
+ */
+async function followDiagnosis(response) {
+  // Progress is one line rewritten in place — only on a terminal
+  const progress = text => {
+    if (process.stdout.isTTY) process.stdout.write(`\r\x1b[K${text}`);
+  };
+  let received = 0;
+
+  for await (const { event, data } of parseSSE(response.body)) {
+    const payload = JSON.parse(data);
+    switch (event) {
+      case 'patterns':
+        console.log('');
+        console.log(c.green(`🔍 Pattern matching found ${payload.issuesFound} issue(s):`));
+        console.log('');
+        printKnownIssues(payload.knownIssues);
+        console.log('');
+        console.log(`${c.bold('🌐 Watch live:')} ${c.cyan(`${API_URL}/results/${payload.fixId}`)}`);
+        console.log(c.blue('🧠 Waiting for AI analysis...'));
+        break;
+      case 'token':
+        received += payload.text.length;
+        progress(c.dim(`   ${received} characters received`));
+        break;
+      case 'restart':
+        received = 0;
+        progress(c.dim('   starting over...'));
+        break;
+      case 'analysis':
+        progress('');
+        break;
+      case 'error':
+        progress('');
+        throw new Error(payload.message || payload.error);
+      case 'result':
+        progress('');
+        return payload;
+    }
+  }
+  throw new Error('the connection closed before the diagnosis finished');
+}
+
+const POLL_MS = 2000;
+const POLL_TIMEOUT_MS = 10 * 60_000;
+
+/**
+ * Wait for a queued diagnosis (--async) by polling /api/fix/:fixId
+ */
+async function pollDiagnosis(fixId) {
+  console.log(`${c.bold('🌐 Watch live:')} ${c.cyan(`${API_URL}/results/${fixId}`)}`);
+  console.log(c.blue('⏳ Queued — waiting for the analysis...'));
+
+  const deadline = Date.now() + POLL_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, POLL_MS));
+    const response = await fetch(`${API_URL}/api/fix/${fixId}`);
+    if (!response.ok) throw new Error(`API returned ${response.status}: ${await response.text()}`);
+    const body = await response.json();
+    if (body.status === 'failed') throw new Error(body.message || 'diagnosis failed');
+    if (response.status === 200) return body;
+  }
+  throw new Error(`no result after ${POLL_TIMEOUT_MS / 60_000} minutes — check ${API_URL}/results/${fixId} later`);
+}
+
+// --- apply: run a fix script one step at a time ---
+async function applyCommand(target) {
+  if (!target || target.startsWith('-')) {
+    console.log(c.red('❌ Usage: npx clawfix apply <fixId|file>'));
+    process.exit(1);
+  }
+
+  let fix;
+  try {
+    fix = await loadFix(target, API_URL);
+  } catch (err) {
+    console.log(c.red(`❌ ${err.message}`));
+    process.exit(1);
+  }
+
+  const assumeYes = args.includes('--yes') || args.includes('-y');
+  const readline = await import('node:readline');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  // Iterate lines instead of rl.question() so piped answers aren't dropped
+  const answers = rl[Symbol.asyncIterator]();
+  const ask = async (question) => {
+    process.stdout.write(question);
+    const { value, done } = await answers.next();
+    if (done) process.stdout.write('\n');
+    return done ? null : value.trim().toLowerCase();
+  };
+
+  // Scripts saved without their header still get a ledger to roll back from
+  const fixId = fix.fixId || `manual-${Date.now()}`;
+  // The script's own feedback call is replaced by a verification scan
+  const steps = fix.steps.filter(s => s.kind !== 'feedback');
+
+  console.log('');
+  console.log(c.cyan(`🦞 ClawFix — applying fix ${fixId}`));
+  console.log(c.dim(`   From: ${fix.source}`));
+  console.log(c.cyan('━'.repeat(50)));
+
+  const run = {
+    fixId,
+    source: fix.source,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    outcome: 'completed',
+    ledger: null,
+    rolledBack: false,
+    verification: null,
+    steps: steps.map(s => ({ kind: s.kind, id: s.id, title: s.title, severity: s.severity, action: 'not-run', exitCode: null })),
+  };
+
+  for (const [i, step] of steps.entries()) {
+    const record = run.steps[i];
+    const label = step.severity ? `${step.severity.toUpperCase()} — ${step.title}` : step.title;
+
+    console.log('');
+    console.log(c.bold(`[${i + 1}/${steps.length}] ${label}`));
+    if (step.description) console.log(`   ${step.description}`);
+    console.log(c.dim(step.script.split('\n').map(l => `   │ ${l}`).join('\n')));
+    console.log('');
+
+    let answer = assumeYes ? 'y' : null;
+    while (!assumeYes) {
+      answer = await ask('Run this step? [y]es / [n]o, stop here / [s]kip: ');
+      if (answer === null || ['y', 'yes', 'n', 'no', 's', 'skip'].includes(answer)) break;
+    }
+
+    if (answer === null || answer.startsWith('n')) {
+      run.outcome = 'stopped';
+      console.log(c.yellow('⏹  Stopped — remaining steps were not run.'));
+      break;
+    }
+    if (answer.startsWith('s')) {
+      record.action = 'skipped';
+      console.log(c.dim('   Skipped.'));
+      continue;
+    }
+
+    // Back up the config once, right before the first change — steps add
+    // the other files they touch to the same ledger
+    if (!run.ledger) {
+      run.ledger = backupConfig(fixId);
+      if (run.ledger) console.log(c.dim(`   Config backed up to ${run.ledger}`));
+    }
+
+    record.exitCode = runStep(step, fixId);
+    if (record.exitCode === 0) {
+      record.action = 'ran';
+      console.log(c.green('   ✅ Done'));
+      continue;
+    }
+
+    record.action = 'failed';
+    run.outcome = 'failed';
+    console.log(c.red(`   ❌ Step failed (exit ${record.exitCode}) — remaining steps were not run.`));
+    if (readLedger(fixId)) {
+      const restore = assumeYes ? null : await ask('Roll back the files changed so far? [y/N] ');
+      if (restore === 'y' || restore === 'yes') {
+        printRollback(rollbackLedger(fixId));
+        run.rolledBack = true;
+      } else {
+        console.log(c.dim(`   To roll back later: npx clawfix rollback ${fixId}`));
+      }
+    }
+    break;
+  }
+
+  rl.close();
+
+  // Only the steps that ran can have fixed anything
+  const ran = steps.filter((_, i) => run.steps[i].action === 'ran');
+  if (ran.length && !run.rolledBack) run.verification = await verifyAndReport(fixId, ran);
+
+  run.finishedAt = new Date().toISOString();
+  const recordPath = recordRun(run);
+
+  const count = (action) => run.steps.filter(s => s.action === action).length;
+  console.log('');
+  console.log(c.cyan('━'.repeat(50)));
+  console.log(`${c.bold('Result:')} ${run.outcome} — ${count('ran')} ran, ${count('skipped')} skipped, ${count('failed')} failed, ${count('not-run')} not run`);
+  console.log(c.dim(`Run recorded: ${recordPath}`));
+  console.log('');
+  if (run.outcome === 'failed') process.exit(1);
+}
+
+/**
+ * Re-scan, print which issues are gone, and report it for server fixes
+ */
+async function verifyAndReport(fixId, steps) {
+  console.log('');
+  console.log(c.bold('🔍 Verifying — scanning again...'));
+
+  let verification;
+  try {
+    verification = verifyFix(steps);
+  } catch (err) {
+    console.log(c.red(`❌ Verification scan failed: ${err.message}`));
+    return null;
+  }
+
+  for (const id of verification.resolved) console.log(c.green(`   ✅ ${id} — resolved`));
+  for (const id of verification.remaining) console.log(c.red(`   ❌ ${id} — still detected`));
+  for (const title of verification.unmatched) console.log(c.dim(`   • ${title} — no matching rule, not checked`));
+  if (verification.appeared.length) {
+    console.log(c.dim(`   ${verification.appeared.length} other issue(s) detected — run npx clawfix for details`));
+  }
+  if (!verification.checked.length) {
+    console.log(c.dim('   Nothing this fix targeted can be checked locally.'));
+    return verification;
+  }
+
+  // Offline and headerless fixes have nothing on the server to report on
+  if (NO_FEEDBACK || /^(local|manual)-/.test(fixId)) return verification;
+  try {
+    await reportVerification(API_URL, fixId, verification);
+    verification.reported = true;
+    console.log(c.dim('   Result sent to ClawFix (--no-feedback to skip) — thanks!'));
+  } catch (err) {
+    console.log(c.dim(`   Could not send the result: ${err.message}`));
+  }
+  return verification;
+}
+
+// --- Verify: did a fix work? ---
+async function verifyCommand(target) {
+  if (!target || target.startsWith('-')) {
+    console.log(c.red('❌ Usage: npx clawfix verify <fixId|file>'));
+    process.exit(1);
+  }
+
+  let fix;
+  try {
+    fix = await loadFix(target, API_URL);
+  } catch (err) {
+    console.log(c.red(`❌ ${err.message}`));
+    process.exit(1);
+  }
+
+  const verification = await verifyAndReport(fix.fixId || `manual-${Date.now()}`, fix.steps);
+  console.log('');
+  if (!verification) process.exit(1);
+  if (verification.success) console.log(c.green('✅ Every issue this fix targeted is gone.'));
+  else if (verification.checked.length) console.log(c.yellow(`⚠️  ${verification.remaining.length} issue(s) still detected — see the results above.`));
+  if (verification.checked.length && !verification.success) process.exit(1);
+}
+
+function printRollback(results) {
+  for (const r of results) {
+    console.log(`   ${r.action === 'restored' || r.action === 'removed' ? c.green('✅') : c.dim('•')} ${r.path} — ${r.action}${c.dim(` (${r.change})`)}`);
+  }
+}
+
+// --- Rollback: restore the files a fix changed from its ledger ---
+async function rollbackCommand(fixId) {
+  if (!fixId || fixId.startsWith('-')) {
+    const ledgers = listLedgers();
+    if (!ledgers.length) {
+      console.log('No backup ledgers yet — they are written when a fix script runs.');
+      return;
+    }
+    console.log(c.bold('Backup ledgers (newest first):'));
+    for (const l of ledgers) {
+      const state = l.rolledBackAt ? c.dim(` — rolled back ${l.rolledBackAt}`) : '';
+      console.log(`   ${c.cyan(l.fixId)}  ${l.createdAt || ''}  ${l.entries.length} file(s)${state}`);
+    }
+    console.log('');
+    console.log(`Roll one back: ${c.cyan('npx clawfix rollback <fixId>')}`);
+    return;
+  }
+
+  let ledger;
+  try {
+    ledger = readLedger(fixId);
+  } catch (err) {
+    console.log(c.red(`❌ ${err.message}`));
+    process.exit(1);
+  }
+  if (!ledger) {
+    console.log(c.red(`❌ No backup ledger for fix ${fixId} — it never changed a file on this machine`));
+    process.exit(1);
+  }
+
+  console.log('');
+  console.log(c.cyan(`🦞 ClawFix — rolling back fix ${fixId}`));
+  console.log(c.cyan('━'.repeat(50)));
+  if (ledger.rolledBackAt) console.log(c.yellow(`⚠️  Already rolled back at ${ledger.rolledBackAt}`));
+  console.log('What the fix changed:');
+  for (const entry of ledger.entries) {
+    console.log(`   ${entry.path} — ${describeChange(entry)}`);
+  }
+  console.log('');
+
+  if (!args.includes('--yes') && !args.includes('-y')) {
+    const readline = await import('node:readline');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => {
+      rl.question('Restore these files? [y/N] ', resolve);
+    });
+    rl.close();
+    if (!/^y(es)?$/i.test(answer.trim())) {
+      console.log('Nothing changed.');
+      return;
+    }
+  }
+
+  printRollback(rollbackLedger(fixId));
+  console.log('');
+  console.log(c.green(`✅ Rolled back fix ${fixId}. Restart the gateway to pick up the old config: openclaw gateway restart`));
+}
+
+// --- forget: delete a diagnosis from the server, with its delete token ---
+async function forgetCommand(fixId) {
+  if (!fixId || fixId.startsWith('-')) {
+    console.log(c.red('❌ Usage: npx clawfix forget <fixId>'));
+    process.exit(1);
+  }
+  if (fixId.startsWith('local-')) {
+    console.log(`${fixId} was made offline — nothing was sent, so there's nothing to delete.`);
+    return;
+  }
+
+  const token = deleteTokenFor(fixId);
+  if (!token) {
+    console.log(c.red(`❌ No delete token for ${fixId} on this machine — only the machine that sent a diagnosis can delete it`));
+    process.exit(1);
+  }
+
+  let response;
+  try {
+    response = await fetch(`${API_URL}/api/fix/${fixId}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` },
+    });
+  } catch (err) {
+    console.log(c.red(`❌ Could not reach ${API_URL}: ${err.message}`));
+    process.exit(1);
+  }
+
+  if (response.ok || response.status === 404) {
+    dropDeleteToken(fixId);
+    console.log(response.ok
+      ? c.green(`🗑️  Deleted ${fixId} from ClawFix — its results, fix script and feedback are gone`)
+      : c.yellow(`${fixId} is already gone from ClawFix`));
+    console.log(c.dim(`   Local copies (${savedScriptPath(fixId)}, the backup ledger) are untouched.`));
+    return;
+  }
+
+  const body = await response.json().catch(() => ({}));
+  console.log(c.red(`❌ Could not delete ${fixId}: ${body.error || `API returned ${response.status}`}`));
+  process.exit(1);
+}
+
+// --- history: this machine's diagnoses over time ---
+async function historyCommand() {
+  const { hostHash, hostSecret: secret } = savedHost();
+  if (!hostHash || !secret) {
+    console.log(c.yellow('No history yet — this machine has not sent a diagnosis with npx clawfix.'));
+    return;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${API_URL}/api/history/${hostHash}`, {
+      headers: { 'Authorization': `Bearer ${secret}` },
+    });
+  } catch (err) {
+    console.log(c.red(`❌ Could not reach ${API_URL}: ${err.message}`));
+    process.exit(1);
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (response.status === 404) {
+    console.log(c.yellow('ClawFix has no diagnoses from this machine — they may have been deleted or anonymized.'));
+    return;
+  }
+  if (!response.ok) {
+    console.log(c.red(`❌ Could not load history: ${body.error || `API returned ${response.status}`}`));
+    process.exit(1);
+  }
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(body, null, 2));
+    return;
+  }
+
+  const day = iso => iso.slice(0, 10);
+  const name = id => body.issues.find(issue => issue.id === id)?.title || id;
+
+  console.log('');
+  console.log(c.cyan(`🦞 ClawFix — history for this machine (host ${hostHash})`));
+  console.log(c.cyan('━'.repeat(50)));
+  console.log(`${body.count} diagnos${body.count === 1 ? 'is' : 'es'}, ${day(body.diagnoses[0].timestamp)} → ${day(body.diagnoses[body.count - 1].timestamp)}`);
+
+  console.log('');
+  console.log(c.bold('Diagnoses:'));
+  const shown = body.diagnoses.slice(-15);
+  if (shown.length < body.count) console.log(c.dim(`   … ${body.count - shown.length} older — see --json`));
+  for (const d of shown) {
+    const when = d.timestamp.slice(0, 16).replace('T', ' ');
+    const issues = d.expired ? c.dim('expired') : `${d.issuesCount} issue(s)`;
+    const service = [d.serviceState, d.restarts !== null && `${d.restarts} restarts`, d.sigtermCount && `${d.sigtermCount} SIGTERM`].filter(Boolean).join(', ');
+    console.log(`   ${when}  ${d.fixId}  v${d.openclawVersion || '?'}  ${issues}${d.outcome && d.outcome !== 'unknown' ? `  ${d.outcome}` : ''}${service ? c.dim(`  (${service})`) : ''}`);
+  }
+
+  if (body.issues.length) {
+    console.log('');
+    console.log(c.bold('Issues:'));
+    for (const issue of body.issues) {
+      const seen = `seen ${issue.times}×, ${day(issue.firstSeen)} → ${day(issue.lastSeen)}`;
+      console.log(issue.active
+        ? `   ${c.red('●')} ${issue.title || issue.id} — ${seen}, still there`
+        : `   ${c.green('✓')} ${issue.title || issue.id} — ${seen}, gone since`);
+    }
+  }
+
+  if (body.changes.length) {
+    console.log('');
+    console.log(c.bold('Changes:'));
+    for (const change of body.changes) {
+      const parts = [
+        ...change.appeared.map(id => c.red(`+ ${name(id)}`)),
+        ...change.resolved.map(id => c.green(`− ${name(id)}`)),
+      ];
+      console.log(`   ${day(change.timestamp)}  ${parts.join(', ')}`);
+    }
+  }
+
+  const { restarts, sigterms, crashes } = body.trends;
+  const describe = t => `${t.latest} now, ${t.first} at first, ${t.max} at most (${t.direction}${t.change ? `, ${t.change > 0 ? '+' : ''}${t.change} since the scan before` : ''})`;
+  if (restarts || sigterms?.max || crashes) {
+    console.log('');
+    console.log(c.bold('Trends:'));
+    if (restarts) console.log(`   Gateway restarts:  ${describe(restarts)}`);
+    if (sigterms?.max) console.log(`   SIGTERMs in log:   ${describe(sigterms)}`);
+    if (crashes) console.log(`   Crashed or failed at ${crashes} of ${body.count} scans`);
+  }
+  console.log('');
+}
+
 main().catch(err => {
   console.error(c.red(`Fatal error: ${err.message}`));
   process.exit(1);
@@ -0,0 +1,95 @@
+/**
+ * Step-by-step fix application
+ * `clawfix apply` runs a fix script one step at a time instead of as one
+ * all-or-nothing `bash fix.sh`. This module loads the script, runs single
+ * steps with the fix's backup ledger (see ledger.js), and records each run
+ * under ~/.openclaw/clawfix/runs/. The prompting lives in bin/clawfix.js.
+ */
+
+import { spawnSync } from 'node:child_process';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, mkdtempSync, rmSync } from 'node:fs';
+import { homedir, tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseFixScript } from './fix-script.js';
+import { ledgerPrelude, ledgerPath } from './ledger.js';
+
+export const CONFIG_PATH = join(homedir(), '.openclaw', 'openclaw.json');
+export const CLAWFIX_HOME = join(homedir(), '.openclaw', 'clawfix');
+export const RUNS_DIR = join(CLAWFIX_HOME, 'runs');
+
+/**
+ * Where `npx clawfix` saves the fix script for a fix ID
+ */
+export function savedScriptPath(fixId) {
+  return `/tmp/clawfix-${fixId}.sh`;
+}
+
+/**
+ * Load and parse a fix script from a file path or a fix ID. A fix ID is looked
+ * up in /tmp first (where the CLI saved it), then fetched from the server.
+ */
+export async function loadFix(target, apiUrl) {
+  let text;
+  let source;
+
+  if (existsSync(target)) {
+    text = readFileSync(target, 'utf8');
+    source = target;
+  } else if (!/^[\w-]+$/.test(target)) {
+    throw new Error(`No such file: ${target}`);
+  } else if (existsSync(savedScriptPath(target))) {
+    source = savedScriptPath(target);
+    text = readFileSync(source, 'utf8');
+  } else if (target.startsWith('local-')) {
+    throw new Error(`Offline fix ${target} is not in /tmp anymore — run npx clawfix --offline again`);
+  } else {
+    source = `${apiUrl}/api/fix/${target}`;
+    const response = await fetch(`${source}?format=script`);
+    if (response.status === 404) throw new Error(`Fix ${target} not found`);
+    if (response.status === 410) throw new Error(`Fix ${target} has expired — run npx clawfix again for a fresh one`);
+    if (!response.ok) throw new Error(`API returned ${response.status}: ${await response.text()}`);
+    text = await response.text();
+  }
+
+  return { source, ...parseFixScript(text) };
+}
+
+/**
+ * Record openclaw.json in the fix's ledger, as the full script does up front.
+ * Returns the ledger directory, or null when there is no config to back up.
+ */
+export function backupConfig(fixId) {
+  if (!existsSync(CONFIG_PATH)) return null;
+  if (runStep({ script: 'clawfix_backup "$HOME/.openclaw/openclaw.json"' }, fixId) !== 0) {
+    throw new Error('Could not back up openclaw.json');
+  }
+  return ledgerPath(fixId);
+}
+
+/**
+ * Run one step with the same `set -euo pipefail` and backup ledger the full
+ * script uses. The step runs from a file: fixes call `pkill -f "openclaw.*gateway"`,
+ * which would match a `bash -c` command line containing the step itself.
+ */
+export function runStep(step, fixId) {
+  const dir = mkdtempSync(join(tmpdir(), 'clawfix-step-'));
+  const file = join(dir, 'step.sh');
+  try {
+    writeFileSync(file, `set -euo pipefail\n${ledgerPrelude(fixId)}\n${step.script}\n`);
+    const result = spawnSync('bash', [file], { stdio: ['ignore', 'inherit', 'inherit'] });
+    if (result.error) throw result.error;
+    return result.status ?? 1;
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Persist what an apply run did. Returns the record's path.
+ */
+export function recordRun(run) {
+  mkdirSync(RUNS_DIR, { recursive: true });
+  const file = join(RUNS_DIR, `${run.fixId || 'unknown'}-${Date.parse(run.startedAt)}.json`);
+  writeFileSync(file, JSON.stringify(run, null, 2) + '\n');
+  return file;
+}
@@ -0,0 +1,99 @@
+/**
+ * Collector core
+ * Renders the probes into one bash script and runs it. The npx CLI calls
+ * collect(); the server embeds renderCollector() in the /fix script. Both run
+ * the same text, so they produce the same payload.
+ *
+ * The rendered script leaves the JSON payload in $DIAGNOSTIC and exits 2 when
+ * OpenClaw is not installed.
+ */
+
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { PROBES, PRELUDE } from './probes/index.js';
+import { buildPayload, PAYLOAD_VERSION } from './payload.js';
+import { sanitizeConfig } from './sanitize.js';
+
+export { PROBES, PAYLOAD_VERSION };
+
+// JS helpers probe scripts can pull in with {{ name }}
+const SCRIPT_HELPERS = { sanitizeConfig };
+
+const NOT_FOUND_EXIT = 2;
+
+function expandHelpers(script) {
+  return script.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!SCRIPT_HELPERS[name]) throw new Error(`unknown script helper ${match}`);
+    return SCRIPT_HELPERS[name].toString();
+  });
+}
+
+/**
+ * Bash source that runs every probe and assembles $DIAGNOSTIC.
+ * `intro` is spliced in right after the prelude, where say/has/colors exist.
+ */
+export function renderCollector(probes = PROBES, { intro = '' } = {}) {
+  const fields = Object.assign({}, ...probes.map(p => p.fields));
+  const vars = [...new Set(Object.values(fields).map(([name]) => name))];
+
+  const sections = probes.map(p => [
+    `# --- Probe: ${p.id} ---`,
+    'say ""',
+    `say "\${BLUE}${p.title}\${NC}"`,
+    expandHelpers(p.script).trim(),
+  ].join('\n'));
+
+  const build = [
+    '# --- Build payload ---',
+    `export ${vars.join(' ')}`,
+    `cat > "$CLAWFIX_TMP/payload.js" <<'CLAWFIX_JS'`,
+    buildPayload.toString(),
+    `process.stdout.write(JSON.stringify(buildPayload(${JSON.stringify(fields)}, process.env, ${JSON.stringify(PAYLOAD_VERSION)}), null, 2));`,
+    'CLAWFIX_JS',
+    'DIAGNOSTIC=$("$CLAWFIX_NODE" "$CLAWFIX_TMP/payload.js")',
+  ].join('\n');
+
+  return [PRELUDE.trim(), intro.trim(), ...sections, build].filter(Boolean).join('\n\n') + '\n';
+}
+
+/**
+ * Run the probes on this machine and return the payload.
+ * Progress is printed as it happens unless `quiet`.
+ */
+export function collect({ probes = PROBES, quiet = false, color = !!process.stdout.isTTY, env = {} } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'clawfix-'));
+  const scriptPath = join(dir, 'collect.sh');
+  const outPath = join(dir, 'payload.json');
+
+  try {
+    // Run from a file, not `bash -c` — pgrep -f would match our own command line
+    writeFileSync(scriptPath, `${renderCollector(probes)}\nprintf '%s' "$DIAGNOSTIC" > "$CLAWFIX_OUT"\n`);
+    const result = spawnSync('bash', [scriptPath], {
+      stdio: ['ignore', quiet ? 'ignore' : 'inherit', quiet ? 'ignore' : 'inherit'],
+      timeout: 120000,
+      env: {
+        ...process.env,
+        ...env,
+        CLAWFIX_NODE: process.execPath,
+        CLAWFIX_OUT: outPath,
+        CLAWFIX_QUIET: quiet ? '1' : '0',
+        CLAWFIX_COLOR: color ? '1' : '0',
+      },
+    });
+
+    if (result.error) throw new Error(`Collector failed: ${result.error.message}`);
+    if (result.status === NOT_FOUND_EXIT) {
+      const err = new Error('OpenClaw not found on this system.');
+      err.code = 'ENOOPENCLAW';
+      throw err;
+    }
+    if (result.status !== 0 || !existsSync(outPath)) {
+      throw new Error(`Collector exited with ${result.status ?? result.signal}`);
+    }
+    return JSON.parse(readFileSync(outPath, 'utf8'));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
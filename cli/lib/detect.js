@@ -0,0 +1,74 @@
+/**
+ * Offline detection
+ * The CLI ships the server's detectors: the hand-written ones in
+ * known-issues.js and the declarative rules from rules/, bundled into
+ * rules.json by `npm run bundle-rules`. diagnoseOffline() returns the same
+ * result /api/diagnose would, minus AI analysis, without touching the network.
+ */
+
+import { readFileSync } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { compileRule } from './rule-engine.js';
+import { detectIssues, setDeclarativeRules } from './known-issues.js';
+import { buildFixPlan, compileFixPlan } from './fix-script.js';
+
+export const BUNDLED_RULES_PATH = join(dirname(fileURLToPath(import.meta.url)), 'rules.json');
+
+let bundleLoaded = false;
+
+/**
+ * Activate the bundled declarative rules
+ */
+export function loadBundledRules(path = BUNDLED_RULES_PATH) {
+  const defs = JSON.parse(readFileSync(path, 'utf8'));
+  const rules = defs.map(def => compileRule(def, 'rules.json'));
+  setDeclarativeRules(rules);
+  bundleLoaded = true;
+  return rules;
+}
+
+/**
+ * One-line system description shown with every result
+ */
+export function summarizeSystem(diagnostic) {
+  return {
+    os: diagnostic.system?.os ? `${diagnostic.system.os} ${diagnostic.system.osVersion || ''} (${diagnostic.system.arch || ''})` : null,
+    nodeVersion: diagnostic.system?.nodeVersion || null,
+    openclawVersion: diagnostic.openclaw?.version || null,
+    serviceManager: diagnostic.service?.manager || null,
+    serviceState: diagnostic.service?.state || null,
+  };
+}
+
+/**
+ * Run every detector locally and build the fix script
+ */
+export function diagnoseOffline(diagnostic) {
+  if (!bundleLoaded) loadBundledRules();
+
+  const knownIssues = detectIssues(diagnostic);
+  const fixId = `local-${randomBytes(4).toString('hex')}`;
+  const fixPlan = buildFixPlan(knownIssues, {}, fixId);
+
+  return {
+    fixId,
+    offline: true,
+    timestamp: new Date().toISOString(),
+    issuesFound: knownIssues.length,
+    knownIssues: knownIssues.map(i => ({
+      id: i.id,
+      severity: i.severity,
+      title: i.title,
+      description: i.description,
+      consequences: i.consequences,
+    })),
+    analysis: `Pattern matching found ${knownIssues.length} issue(s) offline. AI analysis needs the ClawFix server.`,
+    fixScript: compileFixPlan(fixPlan, { feedback: false }),
+    fixPlan,
+    aiInsights: '',
+    model: null,
+    systemInfo: summarizeSystem(diagnostic),
+  };
+}
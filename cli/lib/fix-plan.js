@@ -0,0 +1,415 @@
+/**
+ * Fix plans
+ * A fix described as data instead of an opaque bash string, so the server can
+ * tell what a fix touches and other clients can display or execute it.
+ * compilePlan() turns a plan into the bash that goes into the fix script.
+ *
+ * Plan shape:
+ *   summary        — one line, becomes the "# Fix: ..." comment
+ *   preconditions  — checks that must hold, otherwise the fix is skipped
+ *   steps          — operations, run in order (see OPERATIONS)
+ *   verify         — checks that must hold afterwards, otherwise the fix fails
+ *
+ * Every file a step changes is first passed to clawfix_backup (see ledger.js),
+ * which the fix script and `clawfix apply` define before running a plan.
+ *
+ * Paths may start with ~/ or $WORKSPACE/ (the agent workspace from config).
+ * Ports may be "gateway" for the configured gateway port. Config paths use the
+ * same syntax as rule conditions: agents.defaults.x, plugins.entries["a-b"].
+ */
+
+import { parsePath } from './rule-engine.js';
+
+const CONFIG_FILE = '~/.openclaw/openclaw.json';
+const GATEWAY_PLIST = '~/Library/LaunchAgents/ai.openclaw.gateway.plist';
+const SAFE_WORD = /^[\w./@%+:=,-]*$/;
+// Fields that end up in `# ...` comments must stay on one line
+const CONTROL_CHARS = /[\x00-\x1f\x7f]/;
+
+// Shell variables a compiled plan can rely on, defined on first use
+const PLAN_VARIABLES = {
+  PORT: `PORT=$(jq -r '.gateway.port // 18789' ~/.openclaw/openclaw.json 2>/dev/null || echo "18789")`,
+  WORKSPACE: [
+    `WORKSPACE=$(jq -r '.agents.defaults.workspace // "~/.openclaw/workspace"' ~/.openclaw/openclaw.json 2>/dev/null || echo "$HOME/.openclaw/workspace")`,
+    'WORKSPACE="${WORKSPACE/#\\~/$HOME}"',
+  ].join('\n'),
+};
+
+/**
+ * Quote a value for safe interpolation into a bash script
+ */
+export function shellQuote(value) {
+  if (value === undefined || value === null) return "''";
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `'${str.replace(/'/g, `'"'"'`)}'`;
+}
+
+function shellPath(path, ctx) {
+  const m = path.match(/^(~|\$WORKSPACE)(\/.*)?$/);
+  if (!m) return SAFE_WORD.test(path) ? path : shellQuote(path);
+  if (m[1] === '$WORKSPACE') ctx.vars.add('WORKSPACE');
+  const base = m[1] === '~' ? '$HOME' : '$WORKSPACE';
+  const rest = m[2] || '';
+  return SAFE_WORD.test(rest) ? `"${base}${rest}"` : `"${base}"${shellQuote(rest)}`;
+}
+
+function shellPort(port, ctx) {
+  if (port === 'gateway') {
+    ctx.vars.add('PORT');
+    return '$PORT';
+  }
+  return String(port);
+}
+
+const jqKeys = (path) => JSON.stringify(parsePath(path));
+
+/**
+ * Text for a `# ...` line — a newline would start a line bash runs
+ */
+export const commentText = text => String(text).replace(/[\x00-\x1f\x7f]+/g, ' ');
+
+const isLine = v => typeof v === 'string' && v.trim() !== '' && !CONTROL_CHARS.test(v);
+
+// Field types for validation: a trailing ? marks the field optional. Only
+// `text` (file contents, notes, scripts) may span lines.
+const isType = {
+  string: isLine,
+  text: v => typeof v === 'string' && v.trim() !== '',
+  number: v => Number.isInteger(v) && v >= 0,
+  boolean: v => typeof v === 'boolean',
+  port: v => v === 'gateway' || (Number.isInteger(v) && v > 0 && v < 65536),
+  paths: v => Array.isArray(v) && v.every(isLine),
+  any: v => v !== undefined,
+};
+
+/**
+ * Operations a step can perform. Each one declares its fields, what it
+ * touches (for effects), and how it compiles to bash.
+ */
+export const OPERATIONS = {
+  'config.set': {
+    fields: { path: 'string', value: 'any' },
+    describe: s => `Set ${s.path}`,
+    touches: s => ({ config: [s.path] }),
+    compile: s => {
+      const value = JSON.stringify(s.value, null, typeof s.value === 'object' && s.value ? 2 : 0);
+      return [
+        `jq --argjson v ${shellQuote(value)} ${shellQuote(`setpath(${jqKeys(s.path)}; $v)`)} ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\`,
+        '  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json',
+      ].join('\n');
+    },
+  },
+
+  'file.truncate': {
+    fields: { path: 'string', keepLines: 'number' },
+    describe: s => `Truncate ${s.path} to its last ${s.keepLines} lines`,
+    touches: s => ({ files: [s.path] }),
+    compile: (s, ctx) => {
+      const file = shellPath(s.path, ctx);
+      return [
+        `if [ -f ${file} ]; then`,
+        `  tail -n ${s.keepLines} ${file} > /tmp/clawfix-truncate.tmp && mv /tmp/clawfix-truncate.tmp ${file}`,
+        'fi',
+      ].join('\n');
+    },
+  },
+
+  'file.write': {
+    fields: { path: 'string', content: 'text', 'overwrite?': 'boolean' },
+    describe: s => `${s.overwrite ? 'Write' : 'Create'} ${s.path}`,
+    touches: s => ({ files: [s.path] }),
+    compile: (s, ctx) => {
+      const file = shellPath(s.path, ctx);
+      const write = `printf '%s\\n' ${shellQuote(s.content.replace(/\n$/, ''))} > ${file}`;
+      const lines = [`mkdir -p "$(dirname ${file})"`];
+      if (s.overwrite) lines.push(write);
+      else lines.push(`if [ ! -e ${file} ]; then`, `  ${write}`, 'fi');
+      return lines.join('\n');
+    },
+  },
+
+  'dir.create': {
+    fields: { path: 'string' },
+    describe: s => `Create directory ${s.path}`,
+    touches: s => ({ files: [s.path] }),
+    compile: (s, ctx) => `mkdir -p ${shellPath(s.path, ctx)}`,
+  },
+
+  'service.restart': {
+    // cli: `openclaw gateway restart`; manager: launchd / systemd directly
+    fields: { 'via?': 'string' },
+    describe: s => (s.via === 'manager' ? 'Restart the gateway through its service manager' : 'Restart the gateway'),
+    touches: () => ({ services: ['gateway'] }),
+    validate: s => (!s.via || ['cli', 'manager'].includes(s.via) ? null : '"via" must be cli or manager'),
+    compile: (s, ctx) => {
+      if (s.via !== 'manager') {
+        return 'openclaw gateway restart 2>/dev/null || echo "⚠️  Could not restart gateway automatically. Run: openclaw gateway restart"';
+      }
+      const plist = shellPath(GATEWAY_PLIST, ctx);
+      return [
+        `if [ -f ${plist} ]; then`,
+        `  launchctl unload ${plist} 2>/dev/null || true`,
+        '  sleep 1',
+        `  launchctl load ${plist}`,
+        'elif command -v systemctl &>/dev/null && systemctl list-unit-files openclaw-gateway.service &>/dev/null; then',
+        '  sudo systemctl restart openclaw-gateway',
+        'else',
+        '  openclaw gateway restart',
+        'fi',
+      ].join('\n');
+    },
+  },
+
+  'launchd.reload': {
+    fields: { 'plist?': 'string' },
+    describe: s => `Unload and reload ${s.plist || 'the gateway LaunchAgent'}`,
+    touches: s => ({ services: [s.plist || 'gateway'] }),
+    compile: (s, ctx) => {
+      const plist = shellPath(s.plist || GATEWAY_PLIST, ctx);
+      return [
+        `launchctl unload ${plist} 2>/dev/null || true`,
+        'sleep 2',
+        `launchctl load ${plist}`,
+      ].join('\n');
+    },
+  },
+
+  'process.kill': {
+    fields: { 'pattern?': 'string', 'port?': 'port', 'signal?': 'string' },
+    describe: s => {
+      const target = s.pattern ? `processes matching "${s.pattern}"`
+        : s.port === 'gateway' ? 'the process holding the gateway port' : `the process on port ${s.port}`;
+      return `Kill ${target}${s.signal === 'KILL' ? ' (SIGKILL)' : ''}`;
+    },
+    touches: s => ({ processes: [s.pattern || `port:${s.port}`] }),
+    validate: s => {
+      if (!s.pattern === (s.port === undefined)) return 'needs exactly one of "pattern" or "port"';
+      if (s.signal && !['TERM', 'KILL', 'HUP', 'INT'].includes(s.signal)) return '"signal" must be TERM, KILL, HUP or INT';
+      return null;
+    },
+    compile: (s, ctx) => {
+      const signal = s.signal || 'TERM';
+      if (s.pattern) return `pkill -${signal} -f ${shellQuote(s.pattern)} 2>/dev/null || true`;
+      return [
+        `PID=$(lsof -ti :${shellPort(s.port, ctx)} 2>/dev/null || true)`,
+        `[ -n "$PID" ] && kill -${signal} $PID 2>/dev/null || true`,
+      ].join('\n');
+    },
+  },
+
+  wait: {
+    fields: { seconds: 'number' },
+    describe: () => null,
+    touches: () => ({}),
+    compile: s => `sleep ${s.seconds}`,
+  },
+
+  note: {
+    fields: { text: 'text' },
+    describe: () => null,
+    touches: () => ({}),
+    compile: s => s.text.replace(/\n$/, '').split('\n').map(l => (l ? `echo ${shellQuote(l)}` : 'echo ""')).join('\n'),
+  },
+
+  // Escape hatch for fixes that don't fit an operation — opaque to effects
+  // except for the files it declares, which are backed up like any other
+  shell: {
+    fields: { script: 'text', 'files?': 'paths' },
+    describe: () => null,
+    touches: s => ({ files: s.files || [], opaque: true }),
+    compile: s => s.script.replace(/\s+$/, ''),
+  },
+};
+
+/**
+ * Checks usable as preconditions and verification. Each compiles to a bash
+ * condition (an expression usable in `if`).
+ */
+export const CHECKS = {
+  'file.exists': {
+    fields: { path: 'string' },
+    describe: c => `${c.path} exists`,
+    compile: (c, ctx) => `[ -e ${shellPath(c.path, ctx)} ]`,
+  },
+
+  'command.exists': {
+    fields: { name: 'string' },
+    describe: c => `${c.name} is installed`,
+    compile: c => `command -v ${shellQuote(c.name)} &>/dev/null`,
+  },
+
+  os: {
+    fields: { is: 'string' },
+    describe: c => `running on ${c.is}`,
+    compile: c => `[ "$(uname -s)" = ${shellQuote(c.is)} ]`,
+  },
+
+  'config.equals': {
+    fields: { path: 'string', value: 'any' },
+    describe: c => `${c.path} is ${JSON.stringify(c.value)}`,
+    compile: c => `[ "$(jq -c ${shellQuote(`getpath(${jqKeys(c.path)})`)} ~/.openclaw/openclaw.json 2>/dev/null)" = ${shellQuote(JSON.stringify(c.value))} ]`,
+  },
+
+  'http.ok': {
+    // url, or port + path; waitSeconds retries once a second before giving up
+    fields: { 'url?': 'string', 'port?': 'port', 'path?': 'string', 'waitSeconds?': 'number' },
+    describe: c => `${c.url || `port ${c.port}${c.path || '/'}`} responds`,
+    validate: c => (!c.url === (c.port === undefined) ? 'needs exactly one of "url" or "port"' : null),
+    compile: (c, ctx) => {
+      const url = c.url ? shellQuote(c.url) : `"http://localhost:${shellPort(c.port, ctx)}${c.path || '/'}"`;
+      if (!c.waitSeconds) return `curl -sf ${url} &>/dev/null`;
+      return `(for _ in $(seq 1 ${c.waitSeconds}); do curl -sf ${url} &>/dev/null && exit 0; sleep 1; done; exit 1)`;
+    },
+  },
+
+  'port.listening': {
+    fields: { port: 'port' },
+    describe: c => `port ${c.port} is listening`,
+    compile: (c, ctx) => {
+      const port = shellPort(c.port, ctx);
+      return `(lsof -nP -iTCP:${port} -sTCP:LISTEN &>/dev/null || ss -tln 2>/dev/null | grep -q ":${port} ")`;
+    },
+  },
+};
+
+function checkFields(def, entry, where) {
+  for (const [key, type] of Object.entries(def.fields)) {
+    const name = key.replace(/\?$/, '');
+    const optional = key.endsWith('?');
+    if (entry[name] === undefined) {
+      if (!optional) throw new Error(`${where}: missing "${name}"`);
+    } else if (!isType[type](entry[name])) {
+      const expected = { string: 'a single-line string', text: 'a string', number: 'a non-negative integer', paths: 'a list of single-line paths' };
+      throw new Error(`${where}: "${name}" must be ${expected[type] || `a ${type}`}`);
+    }
+  }
+  for (const name of ['message', 'hint', 'label']) {
+    if (entry[name] !== undefined && !isLine(entry[name])) throw new Error(`${where}: "${name}" must be a single-line string`);
+  }
+  for (const key of Object.keys(entry)) {
+    const known = ['op', 'check', 'message', 'hint', 'label'].includes(key) ||
+      key in def.fields || `${key}?` in def.fields;
+    if (!known) throw new Error(`${where}: unknown field "${key}"`);
+  }
+  const problem = def.validate?.(entry);
+  if (problem) throw new Error(`${where}: ${problem}`);
+  if (entry.path && (entry.op === 'config.set' || entry.check === 'config.equals')) parsePath(entry.path);
+}
+
+/**
+ * Validate a plan, throwing a readable error for the first problem
+ */
+export function validatePlan(plan, where = 'plan') {
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) throw new Error(`${where}: must be an object`);
+  for (const key of Object.keys(plan)) {
+    if (!['summary', 'preconditions', 'steps', 'verify'].includes(key)) throw new Error(`${where}: unknown field "${key}"`);
+  }
+  if (plan.summary !== undefined && !isLine(plan.summary)) throw new Error(`${where}: "summary" must be a single-line string`);
+  if (!Array.isArray(plan.steps) || plan.steps.length === 0) throw new Error(`${where}: "steps" must be a non-empty list`);
+
+  plan.steps.forEach((step, i) => {
+    const at = `${where}.steps[${i}]`;
+    const def = OPERATIONS[step?.op];
+    if (!def) throw new Error(`${at}: unknown op ${JSON.stringify(step?.op)} (expected ${Object.keys(OPERATIONS).join(', ')})`);
+    checkFields(def, step, at);
+  });
+
+  for (const list of ['preconditions', 'verify']) {
+    if (plan[list] === undefined) continue;
+    if (!Array.isArray(plan[list])) throw new Error(`${where}: "${list}" must be a list`);
+    plan[list].forEach((check, i) => {
+      const at = `${where}.${list}[${i}]`;
+      const def = CHECKS[check?.check];
+      if (!def) throw new Error(`${at}: unknown check ${JSON.stringify(check?.check)} (expected ${Object.keys(CHECKS).join(', ')})`);
+      checkFields(def, check, at);
+    });
+  }
+  return plan;
+}
+
+/**
+ * What a plan touches: config paths, files, services and processes. `opaque`
+ * means it has shell steps whose effects can't be known.
+ */
+export function planEffects(plan) {
+  const effects = { config: [], files: [], services: [], processes: [], opaque: false };
+  for (const step of plan.steps) {
+    const touched = OPERATIONS[step.op].touches(step);
+    for (const key of ['config', 'files', 'services', 'processes']) {
+      for (const item of touched[key] || []) {
+        if (!effects[key].includes(item)) effects[key].push(item);
+      }
+    }
+    if (touched.opaque) effects.opaque = true;
+  }
+  return effects;
+}
+
+const checkLabel = c => c.label || CHECKS[c.check].describe(c);
+
+/**
+ * Compile a plan to bash. A plan that is a single shell step without `files`
+ * compiles to that script unchanged.
+ */
+export function compilePlan(plan) {
+  const ctx = { vars: new Set() };
+  const body = [];
+  const pre = (plan.preconditions || []).map(c => CHECKS[c.check].compile(c, ctx));
+
+  const backedUp = new Set();
+  for (const step of plan.steps) {
+    const def = OPERATIONS[step.op];
+    const comment = def.describe(step);
+    if (comment) body.push(`# ${commentText(comment)}`);
+    const touched = def.touches(step);
+    for (const path of [...(touched.config?.length ? [CONFIG_FILE] : []), ...(touched.files || [])]) {
+      if (backedUp.has(path)) continue;
+      backedUp.add(path);
+      body.push(`clawfix_backup ${shellPath(path, ctx)}`);
+    }
+    body.push(def.compile(step, ctx));
+    if (step.message) body.push(`echo ${shellQuote(step.message)}`);
+  }
+
+  for (const check of plan.verify || []) {
+    body.push(
+      `# Verify: ${commentText(checkLabel(check))}`,
+      `if ${CHECKS[check.check].compile(check, ctx)}; then`,
+      `  echo ${shellQuote(`✅ Verified: ${checkLabel(check)}`)}`,
+      'else',
+      `  echo ${shellQuote(`❌ Not verified: ${checkLabel(check)}`)}`,
+      ...(check.hint ? [`  echo ${shellQuote(`   ${check.hint}`)}`] : []),
+      '  exit 1',
+      'fi',
+    );
+  }
+
+  // Variables go first so preconditions can use them too
+  const lines = plan.summary ? [`# Fix: ${commentText(plan.summary)}`] : [];
+  lines.push(...Object.keys(PLAN_VARIABLES).filter(v => ctx.vars.has(v)).map(v => PLAN_VARIABLES[v]));
+
+  if (pre.length) {
+    const needs = plan.preconditions.map(checkLabel).join(', ');
+    const hints = plan.preconditions.filter(c => c.hint).map(c => `  echo ${shellQuote(`   ${c.hint}`)}`);
+    lines.push(
+      `if ${pre.join(' && ')}; then`,
+      ...body,
+      'else',
+      `  echo ${shellQuote(`⏭  Skipped — needs: ${needs}`)}`,
+      ...hints,
+      'fi',
+    );
+  } else {
+    lines.push(...body);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Wrap a bash string (legacy `fix`, declarative rule template) as a plan.
+ * `files` lists what the script changes, so those get backed up first.
+ */
+export function shellPlan(script, files) {
+  return { steps: [{ op: 'shell', script, ...(files && { files }) }] };
+}
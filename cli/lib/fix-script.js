@@ -0,0 +1,174 @@
+/**
+ * Fix script generation
+ * Turns detected issues into one reviewable bash script. Shared by the server
+ * (/api/diagnose) and the CLI's offline mode, so both hand out the same script.
+ * The script is compiled from a fix plan document (buildFixPlan), which the
+ * API also returns as JSON.
+ * Every step sits under a `# ─── <title> ───` header so `clawfix apply` can
+ * split the script back into steps with parseFixScript().
+ */
+
+import { compilePlan, planEffects, shellPlan, commentText } from './fix-plan.js';
+import { ledgerPrelude } from './ledger.js';
+
+const SECTION_HEADER = /^# ─── (.+) ───$/;
+const FIX_TITLE = /^Fix: (.+) \((critical|high|medium|low)\)$/;
+const RULE_LINE = /^# Rule: ([\w-]+)$/;
+const AI_TITLE = 'Additional AI-Recommended Fixes';
+const RESTART_TITLE = 'Restart Gateway to Apply Changes';
+const FEEDBACK_TITLE = 'Optional: Tell ClawFix if this worked';
+const DONE_TITLE = 'Done';
+
+const RESTART_PLAN = {
+  steps: [
+    { op: 'note', text: 'Restarting OpenClaw gateway...' },
+    { op: 'service.restart' },
+  ],
+};
+
+// Config changes only take effect after a restart that comes later
+function needsRestart(sections) {
+  let pending = false;
+  for (const { plan, effects } of sections) {
+    const opaqueConfig = effects.opaque && plan.steps.some(s => s.op === 'shell' && s.script.includes('openclaw.json'));
+    if (effects.config.length || opaqueConfig) pending = true;
+    if (effects.services.includes('gateway')) pending = false;
+  }
+  return pending;
+}
+
+/**
+ * The fix as a document: one section per step, each with its plan and what it
+ * touches. /api/diagnose returns this as `fixPlan` for clients that execute or
+ * display fixes themselves; generateFixScript() compiles it to bash.
+ */
+export function buildFixPlan(knownIssues, aiAnalysis, fixId) {
+  const sections = knownIssues.map(issue => ({
+    id: issue.id,
+    kind: 'fix',
+    title: issue.title,
+    severity: issue.severity,
+    description: issue.description,
+    plan: issue.plan || shellPlan(issue.fix),
+  }));
+
+  // Structured AI fixes are plans like any rule's; each becomes its own step
+  (aiAnalysis.aiFixes || []).forEach((fix, i) => {
+    sections.push({ id: `ai-fix-${i + 1}`, kind: 'ai', title: `AI Fix: ${fix.title}`, issueId: fix.issueId, plan: fix.plan });
+  });
+
+  // Fallback text-mode AI fixes are free-form bash — opaque to effects
+  if (aiAnalysis.additionalFixes) {
+    sections.push({ id: 'ai-fixes', kind: 'ai', title: AI_TITLE, plan: shellPlan(aiAnalysis.additionalFixes) });
+  }
+
+  for (const section of sections) section.effects = planEffects(section.plan);
+  if (needsRestart(sections)) {
+    sections.push({ id: 'restart-gateway', kind: 'restart', title: RESTART_TITLE, plan: RESTART_PLAN, effects: planEffects(RESTART_PLAN) });
+  }
+
+  return { fixId, generatedAt: new Date().toISOString(), sections };
+}
+
+/**
+ * Build the fix script. `feedback: false` leaves out the closing curl to
+ * /api/feedback — offline runs have no server-side fix to report on.
+ */
+export function generateFixScript(knownIssues, aiAnalysis, fixId, { feedback = true } = {}) {
+  return compileFixPlan(buildFixPlan(knownIssues, aiAnalysis, fixId), { feedback });
+}
+
+/**
+ * Compile a fix plan document (see buildFixPlan) to the fix script
+ */
+export function compileFixPlan({ fixId, generatedAt, sections }, { feedback = true } = {}) {
+  const lines = [
+    '#!/usr/bin/env bash',
+    `# ClawFix Fix Script — ${fixId}`,
+    `# Generated: ${generatedAt}`,
+    '# Review each step before running!',
+    '#',
+    '# Usage: bash fix.sh',
+    '',
+    'set -euo pipefail',
+    '',
+    `# Every file changed below is backed up first — undo with: npx clawfix rollback ${fixId}`,
+    ledgerPrelude(fixId),
+    '',
+    '# Backup current config (AI fixes may change it too)',
+    'if [ -f ~/.openclaw/openclaw.json ]; then',
+    '  clawfix_backup "$HOME/.openclaw/openclaw.json"',
+    '  echo "✅ Config backed up"',
+    'fi',
+    '',
+  ];
+
+  for (const section of sections) {
+    if (section.kind === 'fix') {
+      lines.push(`# ─── Fix: ${commentText(section.title)} (${section.severity}) ───`);
+      lines.push(`# ${commentText(section.description)}`);
+      lines.push(`# Rule: ${section.id}`);
+    } else {
+      lines.push(`# ─── ${commentText(section.title)} ───`);
+    }
+    lines.push(compilePlan(section.plan));
+    lines.push('');
+  }
+
+  lines.push(`# ─── ${DONE_TITLE} ───`);
+  lines.push('echo ""');
+  lines.push('echo "🦞 All fixes applied! Run \'openclaw status\' to verify."');
+  lines.push(`echo "Fix ID: ${fixId}"`);
+  lines.push(`echo "Check it worked: npx clawfix verify ${fixId}"`);
+
+  if (feedback) {
+    lines.push('');
+    lines.push(`# ─── ${FEEDBACK_TITLE} ───`);
+    lines.push('# Only says the script ran — `clawfix verify` re-scans and reports whether it worked.');
+    lines.push('# This helps us improve fixes for everyone. Remove if you prefer.');
+    lines.push(`curl -s -X POST "https://clawfix.dev/api/feedback/${fixId}" \\`);
+    lines.push('  -H "Content-Type: application/json" \\');
+    lines.push('  -d \'{"applied": true}\' &>/dev/null || true');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Split a fix script into its steps. Returns { fixId, preamble, steps } where
+ * each step is { kind, id, title, severity, description, script } and kind is
+ * fix | ai | restart | feedback. `id` is the rule ID of a fix step (null in
+ * scripts from before it was recorded). The closing "Done" section is dropped.
+ */
+export function parseFixScript(text) {
+  const lines = text.split('\n');
+  const fixId = lines.find(l => l.startsWith('# ClawFix Fix Script — '))?.slice('# ClawFix Fix Script — '.length).trim() || null;
+
+  const preamble = [];
+  const sections = [];
+  for (const line of lines) {
+    const header = line.match(SECTION_HEADER);
+    if (header) sections.push({ title: header[1], body: [] });
+    else if (sections.length) sections[sections.length - 1].body.push(line);
+    else preamble.push(line);
+  }
+  if (!sections.length) throw new Error('Not a ClawFix fix script (no steps found)');
+
+  const steps = [];
+  for (const { title, body } of sections) {
+    while (body.length && body[body.length - 1].trim() === '') body.pop();
+    if (title === DONE_TITLE) continue;
+
+    const fix = title.match(FIX_TITLE);
+    if (fix) {
+      const description = body[0]?.startsWith('# ') ? body.shift().slice(2) : '';
+      const id = body[0]?.match(RULE_LINE)?.[1] ? body.shift().match(RULE_LINE)[1] : null;
+      steps.push({ kind: 'fix', id, title: fix[1], severity: fix[2], description, script: body.join('\n') });
+    } else {
+      const kind = title === FEEDBACK_TITLE ? 'feedback' : title === RESTART_TITLE ? 'restart' : 'ai';
+      steps.push({ kind, id: null, title, severity: null, description: '', script: body.join('\n') });
+    }
+  }
+
+  return { fixId, preamble: preamble.join('\n').trim(), steps };
+}
@@ -1,27 +1,20 @@
 /**
  * Known OpenClaw issues database
- * Each pattern has detection logic and a fix generator.
- * These are issues we've personally encountered and solved.
+ * Each pattern has detection logic and a fix plan (see fix-plan.js).
+ * These are issues we've personally encountered and solved. Fixes that don't
+ * fit an operation stay plain bash via shellPlan().
+ *
+ * Simple patterns can also be written as declarative rules in rules/ —
+ * see rules/README.md. Both kinds are evaluated by detectIssues().
+ *
+ * Instead of re-checking each other's conditions, rules declare how they
+ * relate: `supersedes: [ids]` on the root cause, or `impliedBy: [ids]` on the
+ * consequence. When both fire, the consequence is folded into the root cause.
  */
 
-export const KNOWN_ISSUES = [
-  {
-    id: 'mem0-graph-free',
-    severity: 'critical',
-    title: 'Mem0 enableGraph on Free plan',
-    description: 'Mem0 plugin has enableGraph: true but this requires the Pro plan ($99/mo). Every autoCapture and autoRecall call silently fails, meaning zero memories are stored.',
-    detect: (diag) => {
-      try {
-        return diag.config?.plugins?.entries?.['openclaw-mem0']?.config?.enableGraph === true;
-      } catch { return false; }
-    },
-    fix: `# Fix: Disable Mem0 graph (requires Pro plan)
-jq '.plugins.entries["openclaw-mem0"].config.enableGraph = false' \\
-  ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\
-  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json
-echo "✅ Mem0 graph disabled — autoCapture will now work on Free plan"`,
-  },
+import { compilePlan, shellPlan, validatePlan } from './fix-plan.js';
 
+export const KNOWN_ISSUES = [
   {
     id: 'gateway-not-running',
     severity: 'critical',
@@ -31,33 +24,18 @@ echo "✅ Mem0 graph disabled — autoCapture will now work on Free plan"`,
       const status = diag.openclaw?.gatewayStatus || '';
       // Check for explicit "running" indicators first — ignore config warnings
       if (/running.*pid|state active|listening/i.test(status)) return false;
-      // Don't double-report if zombie/corrupted-state is detected (more specific)
-      if (diag.openclaw?.processExists === true && diag.openclaw?.portListening === false) return false;
       return (/not running|failed to start|stopped|inactive/i.test(status)) ||
              (!diag.openclaw?.gatewayPid && !/warning/i.test(status));
     },
-    fix: `# Fix: Restart the gateway
-# Try standard restart first
-openclaw gateway restart 2>/dev/null && sleep 3 && echo "✅ Gateway restarted" && exit 0
-
-# If that fails, try full launchctl cycle (macOS)
-PLIST="\$HOME/Library/LaunchAgents/ai.openclaw.gateway.plist"
-if [ -f "\$PLIST" ]; then
-  echo "Standard restart failed — trying launchctl full reset..."
-  launchctl unload "\$PLIST" 2>/dev/null || true
-  sleep 2
-  launchctl load "\$PLIST"
-  sleep 3
-fi
-
-# Or systemd (Linux)
-if command -v systemctl &>/dev/null && systemctl list-unit-files openclaw-gateway.service &>/dev/null; then
-  sudo systemctl restart openclaw-gateway
-fi
-
-# Verify
-PORT=\$(jq -r '.gateway.port // 18789' ~/.openclaw/openclaw.json 2>/dev/null || echo "18789")
-curl -sf "http://localhost:\$PORT/health" && echo "✅ Gateway is healthy" || echo "❌ Still down — check: tail -30 ~/.openclaw/logs/gateway.err.log"`,
+    plan: {
+      summary: 'Restart the gateway',
+      steps: [
+        { op: 'service.restart', via: 'manager' },
+      ],
+      verify: [
+        { check: 'http.ok', port: 'gateway', path: '/health', waitSeconds: 10, label: 'Gateway is healthy', hint: 'Still down — check: tail -30 ~/.openclaw/logs/gateway.err.log' },
+      ],
+    },
   },
 
   {
@@ -69,16 +47,14 @@ curl -sf "http://localhost:\$PORT/health" && echo "✅ Gateway is healthy" || ec
       const logs = diag.logs?.errors || '';
       return /EADDRINUSE/i.test(logs);
     },
-    fix: `# Fix: Kill the process using the gateway port and restart
-PORT=$(jq -r '.gateway.port // 18789' ~/.openclaw/openclaw.json)
-PID=$(lsof -ti :$PORT 2>/dev/null)
-if [ -n "$PID" ]; then
-  echo "Killing process $PID on port $PORT"
-  kill $PID
-  sleep 1
-fi
-openclaw gateway restart
-echo "✅ Port conflict resolved"`,
+    plan: {
+      summary: 'Kill the process using the gateway port and restart',
+      steps: [
+        { op: 'process.kill', port: 'gateway' },
+        { op: 'wait', seconds: 1 },
+        { op: 'service.restart', message: '✅ Port conflict resolved' },
+      ],
+    },
   },
 
   {
@@ -90,15 +66,16 @@ echo "✅ Port conflict resolved"`,
       const logs = diag.logs?.errors || '';
       return /18791.*EADDRINUSE|browser.*control.*fail|browser.*service.*start/i.test(logs);
     },
-    fix: `# Fix: Kill stale browser processes and restart
-pkill -f "chrome.*--remote-debugging-port" 2>/dev/null
-PID=$(lsof -ti :18791 2>/dev/null)
-[ -n "$PID" ] && kill $PID
-PID=$(lsof -ti :18800 2>/dev/null)
-[ -n "$PID" ] && kill $PID
-sleep 1
-openclaw gateway restart
-echo "✅ Browser ports cleared"`,
+    plan: {
+      summary: 'Kill stale browser processes and restart',
+      steps: [
+        { op: 'process.kill', pattern: 'chrome.*--remote-debugging-port' },
+        { op: 'process.kill', port: 18791 },
+        { op: 'process.kill', port: 18800 },
+        { op: 'wait', seconds: 1 },
+        { op: 'service.restart', message: '✅ Browser ports cleared' },
+      ],
+    },
   },
 
   {
@@ -111,15 +88,17 @@ echo "✅ Browser ports cleared"`,
         return !diag.config?.agents?.defaults?.memorySearch?.query?.hybrid?.enabled;
       } catch { return true; }
     },
-    fix: `# Fix: Enable hybrid search with recommended weights
-jq '.agents.defaults.memorySearch.query.hybrid = {
-  "enabled": true,
-  "vectorWeight": 0.6,
-  "textWeight": 0.4,
-  "temporalDecay": {"enabled": true, "halfLifeDays": 14}
-}' ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\
-  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json
-echo "✅ Hybrid search enabled (vector 0.6 + BM25 0.4 + temporal decay)"`,
+    plan: {
+      summary: 'Enable hybrid search with recommended weights',
+      steps: [
+        {
+          op: 'config.set',
+          path: 'agents.defaults.memorySearch.query.hybrid',
+          value: { enabled: true, vectorWeight: 0.6, textWeight: 0.4, temporalDecay: { enabled: true, halfLifeDays: 14 } },
+          message: '✅ Hybrid search enabled (vector 0.6 + BM25 0.4 + temporal decay)',
+        },
+      ],
+    },
   },
 
   {
@@ -132,14 +111,17 @@ echo "✅ Hybrid search enabled (vector 0.6 + BM25 0.4 + temporal decay)"`,
         return !diag.config?.agents?.defaults?.contextPruning;
       } catch { return true; }
     },
-    fix: `# Fix: Enable context pruning (cache-ttl mode, 6 hour TTL)
-jq '.agents.defaults.contextPruning = {
-  "mode": "cache-ttl",
-  "ttl": "6h",
-  "keepLastAssistants": 3
-}' ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\
-  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json
-echo "✅ Context pruning enabled (6h TTL, keeps last 3 assistant messages)"`,
+    plan: {
+      summary: 'Enable context pruning (cache-ttl mode, 6 hour TTL)',
+      steps: [
+        {
+          op: 'config.set',
+          path: 'agents.defaults.contextPruning',
+          value: { mode: 'cache-ttl', ttl: '6h', keepLastAssistants: 3 },
+          message: '✅ Context pruning enabled (6h TTL, keeps last 3 assistant messages)',
+        },
+      ],
+    },
   },
 
   {
@@ -152,18 +134,25 @@ echo "✅ Context pruning enabled (6h TTL, keeps last 3 assistant messages)"`,
         return !diag.config?.agents?.defaults?.compaction?.memoryFlush?.enabled;
       } catch { return true; }
     },
-    fix: `# Fix: Enable memory flush with smart prompt
-jq '.agents.defaults.compaction = {
-  "mode": "safeguard",
-  "reserveTokensFloor": 32000,
-  "memoryFlush": {
-    "enabled": true,
-    "softThresholdTokens": 40000,
-    "prompt": "Distill this session to memory/YYYY-MM-DD.md (use today'"'"'s date, APPEND only). Focus on: decisions made, state changes, lessons learned, blockers hit, tasks completed/started. Include specific details (IDs, URLs, amounts, error messages). If nothing worth saving, reply NO_REPLY."
-  }
-}' ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\
-  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json
-echo "✅ Memory flush enabled — context compaction will save summaries"`,
+    plan: {
+      summary: 'Enable memory flush with smart prompt',
+      steps: [
+        {
+          op: 'config.set',
+          path: 'agents.defaults.compaction',
+          value: {
+            mode: 'safeguard',
+            reserveTokensFloor: 32000,
+            memoryFlush: {
+              enabled: true,
+              softThresholdTokens: 40000,
+              prompt: 'Distill this session to memory/YYYY-MM-DD.md (use today\'s date, APPEND only). Focus on: decisions made, state changes, lessons learned, blockers hit, tasks completed/started. Include specific details (IDs, URLs, amounts, error messages). If nothing worth saving, reply NO_REPLY.',
+            },
+          },
+          message: '✅ Memory flush enabled — context compaction will save summaries',
+        },
+      ],
+    },
   },
 
   {
@@ -172,17 +161,23 @@ echo "✅ Memory flush enabled — context compaction will save summaries"`,
     title: 'No SOUL.md found',
     description: 'SOUL.md defines your agent\'s personality and behavior. Without it, your agent is generic and lacks character.',
     detect: (diag) => !diag.workspace?.hasSoul,
-    fix: `# Fix: Create a basic SOUL.md
-WORKSPACE=$(jq -r '.agents.defaults.workspace // "~/.openclaw/workspace"' ~/.openclaw/openclaw.json)
-cat > "$WORKSPACE/SOUL.md" << 'SOUL'
-# SOUL.md — Who You Are
+    plan: {
+      summary: 'Create a basic SOUL.md',
+      steps: [
+        {
+          op: 'file.write',
+          path: '$WORKSPACE/SOUL.md',
+          content: `# SOUL.md — Who You Are
 
 You are a helpful AI assistant. Be concise, direct, and genuinely useful.
 Have opinions. Be resourceful. Earn trust through competence.
 
 Customize this file to give your agent personality!
-SOUL
-echo "✅ Created basic SOUL.md at $WORKSPACE/SOUL.md"`,
+`,
+          message: '✅ Created basic SOUL.md in your workspace',
+        },
+      ],
+    },
   },
 
   {
@@ -191,11 +186,13 @@ echo "✅ Created basic SOUL.md at $WORKSPACE/SOUL.md"`,
     title: 'No memory files found',
     description: 'Your agent has no memory directory or daily note files. This means it can\'t persist knowledge across sessions.',
     detect: (diag) => diag.workspace?.memoryFiles === 0,
-    fix: `# Fix: Create memory directory
-WORKSPACE=$(jq -r '.agents.defaults.workspace // "~/.openclaw/workspace"' ~/.openclaw/openclaw.json)
-mkdir -p "$WORKSPACE/memory"
-echo "# Memory" > "$WORKSPACE/MEMORY.md"
-echo "✅ Created memory directory at $WORKSPACE/memory/"`,
+    plan: {
+      summary: 'Create memory directory',
+      steps: [
+        { op: 'dir.create', path: '$WORKSPACE/memory' },
+        { op: 'file.write', path: '$WORKSPACE/MEMORY.md', content: '# Memory\n', message: '✅ Created memory directory in your workspace' },
+      ],
+    },
   },
 
   {
@@ -208,13 +205,14 @@ echo "✅ Created memory directory at $WORKSPACE/memory/"`,
       const stderr = diag.logs?.stderr || '';
       return /GGML_ASSERT.*ggml-metal|ggml-metal.*ASSERT/i.test(logs + stderr);
     },
-    fix: `# Fix: Disable Metal GPU for GGML (use CPU instead)
-# Add to ~/.zshrc or ~/.bashrc
-echo 'export GGML_NO_METAL=1' >> ~/.zshrc
-# Also add to OpenClaw env
-jq '.env.GGML_NO_METAL = "1"' ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\
-  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json
-echo "✅ GGML Metal disabled — CPU mode active (fixes QMD crashes)"`,
+    plan: {
+      summary: 'Disable Metal GPU for GGML (use CPU instead)',
+      steps: [
+        // Shell profiles are appended to, not owned — kept as plain bash
+        { op: 'shell', script: `echo 'export GGML_NO_METAL=1' >> ~/.zshrc`, files: ['~/.zshrc'] },
+        { op: 'config.set', path: 'env.GGML_NO_METAL', value: '1', message: '✅ GGML Metal disabled — CPU mode active (fixes QMD crashes)' },
+      ],
+    },
   },
 
   {
@@ -226,14 +224,14 @@ echo "✅ GGML Metal disabled — CPU mode active (fixes QMD crashes)"`,
       const logs = diag.logs?.errors || '';
       return /tool_call_id.*not found|orphan.*tool/i.test(logs);
     },
-    fix: `# Fix: This is a known OpenClaw bug (#11187).
+    plan: shellPlan(`# Fix: This is a known OpenClaw bug (#11187).
 # Workaround: clear the affected session file
 # Find session files with orphan tool calls:
 find ~/.openclaw/sessions -name "*.jsonl" -exec grep -l "tool_call" {} \\; 2>/dev/null | while read f; do
   echo "Checking: $f"
 done
 echo "⚠️  If issues persist, try: openclaw gateway restart"
-echo "This bug is tracked at: https://github.com/openclaw/openclaw/issues/11187"`,
+echo "This bug is tracked at: https://github.com/openclaw/openclaw/issues/11187"`),
   },
 
   {
@@ -245,14 +243,14 @@ echo "This bug is tracked at: https://github.com/openclaw/openclaw/issues/11187"
       const status = diag.openclaw?.gatewayStatus || '';
       return /duplicate plugin id detected/i.test(status);
     },
-    fix: `# Fix: Remove duplicate plugin entries from config
+    plan: shellPlan(`# Fix: Remove duplicate plugin entries from config
 echo "⚠️  Check your openclaw.json for duplicate plugin entries."
 echo "Look for plugins listed twice in plugins.entries"
 echo "Remove the duplicate and keep the one with your preferred config."
 jq '.plugins.entries | keys[]' ~/.openclaw/openclaw.json 2>/dev/null | sort | uniq -d | while read dup; do
   echo "  Duplicate found: $dup"
 done
-echo "Edit ~/.openclaw/openclaw.json to remove duplicates"`,
+echo "Edit ~/.openclaw/openclaw.json to remove duplicates"`),
   },
 
   {
@@ -264,11 +262,11 @@ echo "Edit ~/.openclaw/openclaw.json to remove duplicates"`,
       const status = diag.openclaw?.gatewayStatus || '';
       return /State dir migration skipped/i.test(status);
     },
-    fix: `# Info: State directory migration was skipped
+    plan: shellPlan(`# Info: State directory migration was skipped
 # This is usually harmless — your ~/.openclaw directory already exists.
 # If you have issues, check for leftover files from a previous install:
 ls -la ~/.openclaw/ 2>/dev/null
-echo "✅ No action needed unless you're experiencing config conflicts"`,
+echo "✅ No action needed unless you're experiencing config conflicts"`),
   },
 
   {
@@ -279,7 +277,7 @@ echo "✅ No action needed unless you're experiencing config conflicts"`,
     detect: (diag) => {
       return (diag.workspace?.mdFiles || 0) > 100 && !diag.workspace?.hasSoul;
     },
-    fix: `# Fix: Create a MEMORY.md index to avoid loading everything
+    plan: shellPlan(`# Fix: Create a MEMORY.md index to avoid loading everything
 WORKSPACE=$(jq -r '.agents.defaults.workspace // "~/.openclaw/workspace"' ~/.openclaw/openclaw.json)
 echo "Your workspace has many .md files. Consider:"
 echo "1. Create a small MEMORY.md index that points to detailed files"
@@ -287,7 +285,7 @@ echo "2. Move old/large files to an archive/ subdirectory"
 echo "3. Use .contextignore to exclude files from context loading"
 echo ""
 echo "Files over 10KB:"
-find "$WORKSPACE" -name "*.md" -size +10k -not -path "*/node_modules/*" 2>/dev/null | head -10`,
+find "$WORKSPACE" -name "*.md" -size +10k -not -path "*/node_modules/*" 2>/dev/null | head -10`),
   },
 
   {
@@ -301,12 +299,13 @@ find "$WORKSPACE" -name "*.md" -size +10k -not -path "*/node_modules/*" 2>/dev/n
         return !compaction?.reserveTokensFloor && !compaction?.mode;
       } catch { return true; }
     },
-    fix: `# Fix: Set compaction safeguards
-jq '.agents.defaults.compaction.mode = "safeguard" |
-    .agents.defaults.compaction.reserveTokensFloor = 32000' \\
-  ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\
-  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json
-echo "✅ Compaction safeguard enabled (32K token reserve)"`,
+    plan: {
+      summary: 'Set compaction safeguards',
+      steps: [
+        { op: 'config.set', path: 'agents.defaults.compaction.mode', value: 'safeguard' },
+        { op: 'config.set', path: 'agents.defaults.compaction.reserveTokensFloor', value: 32000, message: '✅ Compaction safeguard enabled (32K token reserve)' },
+      ],
+    },
   },
 
   {
@@ -315,10 +314,13 @@ echo "✅ Compaction safeguard enabled (32K token reserve)"`,
     title: 'No AGENTS.md found',
     description: 'AGENTS.md provides instructions for your agent on how to use the workspace, handle memory, and behave in different contexts. Without it, your agent lacks operational guidance.',
     detect: (diag) => !diag.workspace?.hasAgents,
-    fix: `# Fix: Create a basic AGENTS.md
-WORKSPACE=$(jq -r '.agents.defaults.workspace // "~/.openclaw/workspace"' ~/.openclaw/openclaw.json)
-cat > "$WORKSPACE/AGENTS.md" << 'EOF'
-# AGENTS.md - Workspace Instructions
+    plan: {
+      summary: 'Create a basic AGENTS.md',
+      steps: [
+        {
+          op: 'file.write',
+          path: '$WORKSPACE/AGENTS.md',
+          content: `# AGENTS.md - Workspace Instructions
 
 ## Every Session
 1. Read SOUL.md — this is who you are
@@ -331,8 +333,11 @@ cat > "$WORKSPACE/AGENTS.md" << 'EOF'
 ## Safety
 - Don't run destructive commands without asking
 - trash > rm
-EOF
-echo "✅ Created basic AGENTS.md at $WORKSPACE/AGENTS.md"`,
+`,
+          message: '✅ Created basic AGENTS.md in your workspace',
+        },
+      ],
+    },
   },
 
   {
@@ -346,11 +351,12 @@ echo "✅ Created basic AGENTS.md at $WORKSPACE/AGENTS.md"`,
         return hb?.every && !hb?.model;
       } catch { return false; }
     },
-    fix: `# Fix: Set a cheaper model for heartbeats
-jq '.agents.defaults.heartbeat.model = "anthropic/claude-sonnet-4-6"' \\
-  ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\
-  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json
-echo "✅ Heartbeat model set to Sonnet (cheaper than default)"`,
+    plan: {
+      summary: 'Set a cheaper model for heartbeats',
+      steps: [
+        { op: 'config.set', path: 'agents.defaults.heartbeat.model', value: 'anthropic/claude-sonnet-4-6', message: '✅ Heartbeat model set to Sonnet (cheaper than default)' },
+      ],
+    },
   },
 
   {
@@ -363,11 +369,12 @@ echo "✅ Heartbeat model set to Sonnet (cheaper than default)"`,
         return !diag.config?.agents?.defaults?.memorySearch?.sessionTranscripts?.enabled;
       } catch { return true; }
     },
-    fix: `# Fix: Enable session transcript indexing
-jq '.agents.defaults.memorySearch.sessionTranscripts.enabled = true' \\
-  ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\
-  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json
-echo "✅ Session transcript indexing enabled"`,
+    plan: {
+      summary: 'Enable session transcript indexing',
+      steps: [
+        { op: 'config.set', path: 'agents.defaults.memorySearch.sessionTranscripts.enabled', value: true, message: '✅ Session transcript indexing enabled' },
+      ],
+    },
   },
 
   {
@@ -383,15 +390,13 @@ echo "✅ Session transcript indexing enabled"`,
         return !pruning && heartbeat?.every && /^\d+m$/.test(heartbeat.every) && parseInt(heartbeat.every) < 30;
       } catch { return false; }
     },
-    fix: `# Fix: Reduce token usage
-# 1. Enable context pruning (see fix above)
-# 2. Increase heartbeat interval to 30+ minutes
-jq '.agents.defaults.heartbeat.every = "30m"' ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\
-  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json
-# 3. Use a cheaper model for heartbeats
-jq '.agents.defaults.heartbeat.model = "anthropic/claude-sonnet-4-6"' ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\
-  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json
-echo "✅ Token usage optimized (30min heartbeat + Sonnet model)"`,
+    plan: {
+      summary: 'Reduce token usage (enable context pruning too, see above)',
+      steps: [
+        { op: 'config.set', path: 'agents.defaults.heartbeat.every', value: '30m' },
+        { op: 'config.set', path: 'agents.defaults.heartbeat.model', value: 'anthropic/claude-sonnet-4-6', message: '✅ Token usage optimized (30min heartbeat + Sonnet model)' },
+      ],
+    },
   },
 
   // ─── New issues from production crash analysis (Feb 2026) ───
@@ -410,12 +415,12 @@ echo "✅ Token usage optimized (30min heartbeat + Sonnet model)"`,
       // Auto-update enabled is always worth flagging; crash loop makes it critical
       return autoUpdate && (sigtermCount >= 2 || restartCount >= 3);
     },
-    fix: `# Fix: Disable auto-update (causes restart loops with current OpenClaw versions)
-cp ~/.openclaw/openclaw.json ~/.openclaw/openclaw.json.bak.\$(date +%s)
-jq '.update.auto.enabled = false' ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\
-  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json
-echo "✅ Auto-update disabled — use 'openclaw update' manually when ready"
-echo "ℹ️  Restart gateway: openclaw gateway restart"`,
+    plan: {
+      summary: 'Disable auto-update (causes restart loops with current OpenClaw versions)',
+      steps: [
+        { op: 'config.set', path: 'update.auto.enabled', value: false, message: '✅ Auto-update disabled — use \'openclaw update\' manually when ready' },
+      ],
+    },
   },
 
   {
@@ -426,11 +431,12 @@ echo "ℹ️  Restart gateway: openclaw gateway restart"`,
     detect: (diag) => {
       return diag.config?.update?.auto?.enabled === true;
     },
-    fix: `# Fix: Disable auto-update for stability
-cp ~/.openclaw/openclaw.json ~/.openclaw/openclaw.json.bak.\$(date +%s)
-jq '.update.auto.enabled = false' ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\
-  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json
-echo "✅ Auto-update disabled — run 'openclaw update' manually"`,
+    plan: {
+      summary: 'Disable auto-update for stability',
+      steps: [
+        { op: 'config.set', path: 'update.auto.enabled', value: false, message: '✅ Auto-update disabled — run \'openclaw update\' manually' },
+      ],
+    },
   },
 
   {
@@ -444,18 +450,16 @@ echo "✅ Auto-update disabled — run 'openclaw update' manually"`,
       const multipleReloads = (logs.match(/config change detected.*evaluating reload/gi) || []).length >= 3;
       return reloadAndSigterm || multipleReloads;
     },
-    fix: `# Info: Config reload cascade detected
-# This happens when plugins modify config fields during registration,
-# triggering reload → restart → re-register → reload cycles.
-#
-# Step 1: Disable auto-update if enabled (primary trigger)
-jq '.update.auto.enabled = false' ~/.openclaw/openclaw.json > /tmp/oc-fix.json && \\
-  mv /tmp/oc-fix.json ~/.openclaw/openclaw.json
-#
-# Step 2: Restart gateway cleanly
-openclaw gateway restart
-echo "✅ Config reload cascade mitigated"
-echo "ℹ️  If this recurs, check which plugin is modifying config on startup"`,
+    plan: {
+      // Plugins modifying config during registration trigger
+      // reload → restart → re-register → reload cycles
+      summary: 'Break the config reload cascade',
+      steps: [
+        { op: 'config.set', path: 'update.auto.enabled', value: false },
+        { op: 'service.restart', message: '✅ Config reload cascade mitigated' },
+        { op: 'note', text: 'ℹ️  If this recurs, check which plugin is modifying config on startup' },
+      ],
+    },
   },
 
   {
@@ -472,18 +476,25 @@ echo "ℹ️  If this recurs, check which plugin is modifying config on startup"
       // Also check if gateway PID started very recently but logs show old errors
       return false;
     },
-    fix: `# Fix: Gateway was down — restart and verify
-openclaw gateway restart
-sleep 3
-openclaw gateway status
-echo ""
-echo "⚠️  Check what caused the crash loop:"
-echo "   tail -50 ~/.openclaw/logs/gateway.err.log"
-echo ""
-echo "Common causes:"
-echo "  - Auto-update restart loop (disable: jq '.update.auto.enabled = false' ~/.openclaw/openclaw.json)"
-echo "  - Port conflict (check: lsof -i :18789)"
-echo "  - Plugin crash on startup (check error logs)"`,
+    plan: {
+      summary: 'Gateway was down — restart and verify',
+      steps: [
+        { op: 'service.restart' },
+        { op: 'wait', seconds: 3 },
+        { op: 'shell', script: 'openclaw gateway status' },
+        {
+          op: 'note',
+          text: `
+⚠️  Check what caused the crash loop:
+   tail -50 ~/.openclaw/logs/gateway.err.log
+
+Common causes:
+  - Auto-update restart loop (disable: jq '.update.auto.enabled = false' ~/.openclaw/openclaw.json)
+  - Port conflict (check: lsof -i :18789)
+  - Plugin crash on startup (check error logs)`,
+        },
+      ],
+    },
   },
 
   {
@@ -491,6 +502,7 @@ echo "  - Plugin crash on startup (check error logs)"`,
     severity: 'high',
     title: 'Browser Relay extension connecting to wrong port',
     description: 'The Chrome Browser Relay extension is configured to connect to the gateway port (18789) instead of the extension relay port (18792). This causes an infinite loop of WebSocket handshake timeouts because the gateway does not have an /extension endpoint. The extension\'s preflight check (HEAD /) passes on the wrong port because both servers return HTTP 200, masking the misconfiguration.',
+    supersedes: ['browser-relay-handshake-spam'],
     detect: (diag) => {
       const logs = diag.logs?.stderr || diag.logs?.errors || '';
       // Key indicator: handshake timeouts on port 18789 from chrome-extension origin
@@ -504,7 +516,7 @@ echo "  - Plugin crash on startup (check error logs)"`,
       if (handshakeTimeouts >= 3 && relayDown) return true;
       return false;
     },
-    fix: `# Fix: Browser Relay extension is connecting to the wrong port
+    plan: shellPlan(`# Fix: Browser Relay extension is connecting to the wrong port
 echo "The Browser Relay extension is pointed at port 18789 (gateway) instead of 18792 (relay)."
 echo ""
 echo "The gateway and relay are different services:"
@@ -531,7 +543,7 @@ if curl -sf http://127.0.0.1:18792/extension/status &>/dev/null; then
 else
   echo "  ⚠️  Relay not responding on 18792 — it starts lazily when a browser profile"
   echo "     with driver: 'extension' is first used. Try: openclaw gateway restart"
-fi`,
+fi`),
   },
 
   {
@@ -548,7 +560,7 @@ fi`,
       const wantsRelay = hasExtension || (diag.logs?.stderr || '').includes('chrome-extension');
       return gatewayUp && relayDown && wantsRelay;
     },
-    fix: `# Fix: Start the extension relay
+    plan: shellPlan(`# Fix: Start the extension relay
 echo "The extension relay on port 18792 is not running."
 echo "It starts lazily when a browser profile with driver: 'extension' is used."
 echo ""
@@ -567,7 +579,7 @@ if curl -sf http://127.0.0.1:18792/extension/status &>/dev/null; then
 else
   echo "⚠️  Relay still not responding. Check gateway logs:"
   echo "   tail -20 ~/.openclaw/logs/gateway.err.log"
-fi`,
+fi`),
   },
 
   {
@@ -583,27 +595,34 @@ fi`,
       if (ext.hasDeriveRelayToken === false) return true;
       return false;
     },
-    fix: `# Fix: Update Browser Relay extension from upstream
-echo "Your local Browser Relay extension is outdated."
-echo ""
-echo "The extension is bundled with OpenClaw. Updating OpenClaw should update it:"
-echo "  openclaw update"
-echo ""
-echo "After updating, reload the extension:"
-echo "  1. Open chrome://extensions"
-echo "  2. Find 'OpenClaw Browser Relay'"
-echo "  3. Click the reload (circular arrow) button"
-echo ""
-echo "If the extension wasn't updated by openclaw update, you can manually sync:"
-echo "  - Check upstream: https://github.com/openclaw/openclaw/tree/main/assets/chrome-extension"
-echo "  - Local path: ~/.openclaw/browser/chrome-extension/"
-echo ""
-echo "Key improvements in latest version:"
-echo "  ✓ HMAC-derived relay tokens (more secure than raw gateway token)"
-echo "  ✓ connect.challenge handshake protocol"
-echo "  ✓ Multi-attempt navigation re-attach [300, 700, 1500ms]"
-echo "  ✓ Structured options validation with clear error messages"
-echo "  ✓ chrome:// URL filtering (won't try to debug chrome:// pages)"`,
+    plan: {
+      summary: 'Update Browser Relay extension from upstream',
+      steps: [
+        {
+          op: 'note',
+          text: `Your local Browser Relay extension is outdated.
+
+The extension is bundled with OpenClaw. Updating OpenClaw should update it:
+  openclaw update
+
+After updating, reload the extension:
+  1. Open chrome://extensions
+  2. Find 'OpenClaw Browser Relay'
+  3. Click the reload (circular arrow) button
+
+If the extension wasn't updated by openclaw update, you can manually sync:
+  - Check upstream: https://github.com/openclaw/openclaw/tree/main/assets/chrome-extension
+  - Local path: ~/.openclaw/browser/chrome-extension/
+
+Key improvements in latest version:
+  ✓ HMAC-derived relay tokens (more secure than raw gateway token)
+  ✓ connect.challenge handshake protocol
+  ✓ Multi-attempt navigation re-attach [300, 700, 1500ms]
+  ✓ Structured options validation with clear error messages
+  ✓ chrome:// URL filtering (won't try to debug chrome:// pages)`,
+        },
+      ],
+    },
   },
 
   {
@@ -614,13 +633,14 @@ echo "  ✓ chrome:// URL filtering (won't try to debug chrome:// pages)"`,
     detect: (diag) => {
       const logs = diag.logs?.stderr || diag.logs?.errors || '';
       const handshakeErrors = (logs.match(/handshake timeout.*chrome-extension|invalid handshake.*chrome-extension|closed before connect.*chrome-extension/gi) || []).length;
-      // Don't double-report if wrong-port is already detected
-      const wrongPortPattern = /host=127\.0\.0\.1:18789.*chrome-extension/gi;
-      const isWrongPort = (logs.match(wrongPortPattern) || []).length >= 2;
-      return handshakeErrors >= 5 && !isWrongPort;
+      return handshakeErrors >= 5;
     },
-    fix: `# Fix: Stop Browser Relay handshake spam
-echo "The Browser Relay Chrome extension is failing to connect repeatedly."
+    plan: {
+      summary: 'Stop Browser Relay handshake spam',
+      steps: [
+        {
+          op: 'shell',
+          script: `echo "The Browser Relay Chrome extension is failing to connect repeatedly."
 echo ""
 echo "Common causes (check in order):"
 echo ""
@@ -645,12 +665,11 @@ else
 fi
 echo ""
 echo "4. If you don't use Browser Relay, disable/remove the extension:"
-echo "   Chrome → Extensions → OpenClaw Browser Relay → Remove"
-echo ""
-echo "Truncate the bloated error log:"
-tail -1000 ~/.openclaw/logs/gateway.err.log > /tmp/gw-err-trimmed.log && \\
-  mv /tmp/gw-err-trimmed.log ~/.openclaw/logs/gateway.err.log
-echo "✅ Error log truncated (kept last 1000 lines)"`,
+echo "   Chrome → Extensions → OpenClaw Browser Relay → Remove"`,
+        },
+        { op: 'file.truncate', path: '~/.openclaw/logs/gateway.err.log', keepLines: 1000, message: '✅ Error log truncated (kept last 1000 lines)' },
+      ],
+    },
   },
 
   {
@@ -663,35 +682,22 @@ echo "✅ Error log truncated (kept last 1000 lines)"`,
       const timeouts = (logs.match(/ESOCKETTIMEDOUT/gi) || []).length;
       return timeouts >= 3;
     },
-    fix: `# Info: Matrix sync timeouts detected
-echo "Matrix homeserver sync is timing out repeatedly."
-echo ""
-echo "This is usually transient. Check:"
-echo "  - Network connectivity: curl -s https://matrix.org/_matrix/client/versions"
-echo "  - Matrix status: https://status.matrix.org"
-echo ""
-echo "If you don't use Matrix, disable it:"
-echo "  jq '.channels.matrix.enabled = false' ~/.openclaw/openclaw.json > /tmp/oc-fix.json && mv /tmp/oc-fix.json ~/.openclaw/openclaw.json"`,
-  },
-
-  {
-    id: 'oversized-error-log',
-    severity: 'medium',
-    title: 'Error log is very large',
-    description: 'gateway.err.log has grown very large (50MB+), likely due to repeated errors like browser relay spam or Matrix timeouts. This wastes disk space and makes log analysis slow.',
-    detect: (diag) => {
-      return (diag.logs?.errLogSizeMB || 0) > 50;
+    plan: {
+      summary: 'Matrix sync timeouts detected (info only)',
+      steps: [
+        {
+          op: 'note',
+          text: `Matrix homeserver sync is timing out repeatedly.
+
+This is usually transient. Check:
+  - Network connectivity: curl -s https://matrix.org/_matrix/client/versions
+  - Matrix status: https://status.matrix.org
+
+If you don't use Matrix, disable it:
+  jq '.channels.matrix.enabled = false' ~/.openclaw/openclaw.json > /tmp/oc-fix.json && mv /tmp/oc-fix.json ~/.openclaw/openclaw.json`,
+        },
+      ],
     },
-    fix: `# Fix: Truncate oversized error log
-echo "Truncating gateway.err.log (keeping last 5000 lines)..."
-tail -5000 ~/.openclaw/logs/gateway.err.log > /tmp/gw-trimmed.log && \\
-  mv /tmp/gw-trimmed.log ~/.openclaw/logs/gateway.err.log
-echo "✅ Error log truncated"
-echo ""
-echo "To prevent this, identify the source of log spam:"
-echo "  tail -100 ~/.openclaw/logs/gateway.err.log | sort | uniq -c | sort -rn | head -5"
-echo ""
-echo "Common causes: Browser Relay handshake spam, Matrix sync timeouts"`,
   },
 
   // ─── Production crash scenarios (from real Feb 2026 crash report) ───
@@ -701,6 +707,7 @@ echo "Common causes: Browser Relay handshake spam, Matrix sync timeouts"`,
     severity: 'critical',
     title: 'LaunchAgent in corrupted state (SIGTERM crash loop)',
     description: 'The gateway received SIGTERM (exit code -15) and the LaunchAgent entered a corrupted load state. Simple restart commands fail with I/O errors. Requires a full unload → load cycle via launchctl to recover.',
+    supersedes: ['gateway-not-running', 'gateway-not-listening'],
     detect: (diag) => {
       const serviceState = diag.service?.state || '';
       const exitCode = diag.service?.exitCode || '';
@@ -719,38 +726,19 @@ echo "Common causes: Browser Relay handshake spam, Matrix sync timeouts"`,
       
       return false;
     },
-    fix: `# Fix: LaunchAgent corrupted state — full unload + reload cycle
-echo "Performing full LaunchAgent reset..."
-echo ""
-
-PLIST="\$HOME/Library/LaunchAgents/ai.openclaw.gateway.plist"
-
-if [ ! -f "\$PLIST" ]; then
-  echo "❌ LaunchAgent plist not found at \$PLIST"
-  echo "Try running: openclaw gateway install"
-  exit 1
-fi
-
-echo "Step 1: Unload LaunchAgent (ignore errors)..."
-launchctl unload "\$PLIST" 2>/dev/null || true
-sleep 2
-
-echo "Step 2: Kill any zombie gateway processes..."
-pkill -f "openclaw.*gateway" 2>/dev/null || true
-sleep 1
-
-echo "Step 3: Load LaunchAgent fresh..."
-launchctl load "\$PLIST"
-sleep 3
-
-echo "Step 4: Verify gateway is up..."
-if curl -sf http://localhost:18789/health &>/dev/null; then
-  echo "✅ Gateway is up and healthy!"
-else
-  echo "⚠️  Gateway did not start within 3 seconds. Check logs:"
-  echo "   tail -30 ~/.openclaw/logs/gateway.err.log"
-  echo "   tail -30 ~/.openclaw/logs/gateway.log"
-fi`,
+    plan: {
+      summary: 'LaunchAgent corrupted state — full unload + reload cycle',
+      preconditions: [
+        { check: 'file.exists', path: '~/Library/LaunchAgents/ai.openclaw.gateway.plist', label: 'the gateway LaunchAgent plist', hint: 'Try running: openclaw gateway install' },
+      ],
+      steps: [
+        { op: 'process.kill', pattern: 'openclaw.*gateway', message: 'Killed any zombie gateway processes' },
+        { op: 'launchd.reload' },
+      ],
+      verify: [
+        { check: 'http.ok', port: 'gateway', path: '/health', waitSeconds: 10, label: 'Gateway is up and healthy', hint: 'Check logs: tail -30 ~/.openclaw/logs/gateway.err.log' },
+      ],
+    },
   },
 
   {
@@ -758,43 +746,26 @@ fi`,
     severity: 'critical',
     title: 'Zombie gateway process (PID exists but not listening)',
     description: 'A gateway process exists in the process list but is NOT listening on the expected port. This typically happens after a SIGTERM or crash where the process is still visible but has already shut down internally. A simple restart won\'t work — the zombie must be killed first.',
+    supersedes: ['gateway-not-running'],
     detect: (diag) => {
       const processExists = diag.openclaw?.processExists === true;
       const portListening = diag.openclaw?.portListening === false || diag.openclaw?.portListening === 'false';
       // Only flag if we have the processExists field (new diagnostic format) and it's contradictory
       return processExists && portListening;
     },
-    fix: `# Fix: Kill zombie gateway process and restart cleanly
-echo "Killing zombie gateway process..."
-pkill -9 -f "openclaw.*gateway" 2>/dev/null || true
-sleep 2
-
-echo "Clearing any stale port locks..."
-PORT=\$(jq -r '.gateway.port // 18789' ~/.openclaw/openclaw.json 2>/dev/null || echo "18789")
-PID=\$(lsof -ti :\$PORT 2>/dev/null)
-[ -n "\$PID" ] && kill -9 "\$PID" 2>/dev/null || true
-sleep 1
-
-echo "Restarting gateway..."
-if [ -f "\$HOME/Library/LaunchAgents/ai.openclaw.gateway.plist" ]; then
-  # macOS: use launchctl for proper service management
-  launchctl unload "\$HOME/Library/LaunchAgents/ai.openclaw.gateway.plist" 2>/dev/null || true
-  sleep 1
-  launchctl load "\$HOME/Library/LaunchAgents/ai.openclaw.gateway.plist"
-elif command -v systemctl &>/dev/null; then
-  systemctl restart openclaw-gateway
-else
-  openclaw gateway restart
-fi
-
-sleep 3
-
-if curl -sf http://localhost:\$PORT/health &>/dev/null; then
-  echo "✅ Gateway is now running and healthy!"
-else
-  echo "⚠️  Gateway not responding. Check:"
-  echo "   tail -20 ~/.openclaw/logs/gateway.err.log"
-fi`,
+    plan: {
+      summary: 'Kill zombie gateway process and restart cleanly',
+      steps: [
+        { op: 'process.kill', pattern: 'openclaw.*gateway', signal: 'KILL' },
+        { op: 'wait', seconds: 2 },
+        { op: 'process.kill', port: 'gateway', signal: 'KILL', message: 'Cleared any stale port locks' },
+        { op: 'wait', seconds: 1 },
+        { op: 'service.restart', via: 'manager' },
+      ],
+      verify: [
+        { check: 'http.ok', port: 'gateway', path: '/health', waitSeconds: 10, label: 'Gateway is running and healthy', hint: 'Check: tail -20 ~/.openclaw/logs/gateway.err.log' },
+      ],
+    },
   },
 
   {
@@ -802,6 +773,7 @@ fi`,
     severity: 'critical',
     title: 'Gateway port not listening',
     description: 'The gateway is not listening on its configured port, even though the process may exist. This means no clients can connect — no heartbeats, no cron jobs, no channel messages. This can happen after a crash, SIGTERM, or config error.',
+    supersedes: ['gateway-not-running'],
     detect: (diag) => {
       const portListening = diag.openclaw?.portListening;
       // Only use this if we have the portListening field (new format)
@@ -811,30 +783,15 @@ fi`,
       // Zombie case is handled by gateway-zombie; this handles clean non-running
       return portNotListening && processNotExists;
     },
-    fix: `# Fix: Gateway not listening — restart via service manager
-echo "Gateway is not listening. Attempting restart..."
-PORT=\$(jq -r '.gateway.port // 18789' ~/.openclaw/openclaw.json 2>/dev/null || echo "18789")
-
-if [ -f "\$HOME/Library/LaunchAgents/ai.openclaw.gateway.plist" ]; then
-  echo "Using launchctl (macOS)..."
-  launchctl unload "\$HOME/Library/LaunchAgents/ai.openclaw.gateway.plist" 2>/dev/null || true
-  sleep 1
-  launchctl load "\$HOME/Library/LaunchAgents/ai.openclaw.gateway.plist"
-elif command -v systemctl &>/dev/null && systemctl list-unit-files openclaw-gateway.service &>/dev/null; then
-  echo "Using systemctl (Linux)..."
-  sudo systemctl restart openclaw-gateway
-else
-  echo "Using openclaw CLI..."
-  openclaw gateway restart
-fi
-
-sleep 4
-if curl -sf "http://localhost:\$PORT/health" &>/dev/null; then
-  echo "✅ Gateway is now running!"
-else
-  echo "❌ Gateway still not responding. Check logs:"
-  echo "   tail -30 ~/.openclaw/logs/gateway.err.log"
-fi`,
+    plan: {
+      summary: 'Gateway not listening — restart via service manager',
+      steps: [
+        { op: 'service.restart', via: 'manager' },
+      ],
+      verify: [
+        { check: 'http.ok', port: 'gateway', path: '/health', waitSeconds: 10, label: 'Gateway is listening', hint: 'Check logs: tail -30 ~/.openclaw/logs/gateway.err.log' },
+      ],
+    },
   },
 
   {
@@ -854,7 +811,7 @@ fi`,
       // Don't suggest if we can't tell (no service data)
       return hasPlist && hasCrashed;
     },
-    fix: `# Fix: Install a gateway watchdog LaunchAgent
+    plan: shellPlan(`# Fix: Install a gateway watchdog LaunchAgent
 echo "Installing gateway health watchdog..."
 WATCHDOG_SCRIPT="\$HOME/.openclaw/scripts/gateway-watchdog.sh"
 WATCHDOG_PLIST="\$HOME/Library/LaunchAgents/ai.openclaw.gateway-watchdog.plist"
@@ -919,15 +876,84 @@ launchctl unload "\$WATCHDOG_PLIST" 2>/dev/null || true
 launchctl load "\$WATCHDOG_PLIST"
 echo "✅ Watchdog installed — checks gateway every 2 minutes"
 echo "   Log: ~/.openclaw/logs/watchdog.log"
-echo "   Disable: launchctl unload \$WATCHDOG_PLIST"`,
+echo "   Disable: launchctl unload \$WATCHDOG_PLIST"`, [
+      '~/.openclaw/scripts/gateway-watchdog.sh',
+      '~/Library/LaunchAgents/ai.openclaw.gateway-watchdog.plist',
+    ]),
   },
 ];
 
+for (const issue of KNOWN_ISSUES) validatePlan(issue.plan, `known-issues.js: ${issue.id}.plan`);
+
+// Declarative rules: rules/ via src/rule-loader.js on the server, rules.json via detect.js in the CLI
+let declarativeRules = [];
+
+/**
+ * Replace the active set of declarative rules
+ */
+export function setDeclarativeRules(rules) {
+  declarativeRules = rules;
+}
+
+/**
+ * All active detectors: legacy closures first, then declarative rules
+ */
+export function getAllRules() {
+  return [...KNOWN_ISSUES, ...declarativeRules];
+}
+
+/**
+ * Fold findings that are consequences of another finding into their root cause.
+ * Edges come from both `supersedes` and `impliedBy`; chains resolve to the
+ * top-most firing root. Findings caught in a cycle with no outside root stay.
+ */
+export function resolveSupersession(fired, rules = getAllRules()) {
+  const firedIds = new Set(fired.map(i => i.id));
+  const parents = new Map(fired.map(i => [i.id, new Set()]));
+
+  for (const rule of rules) {
+    for (const child of rule.supersedes || []) {
+      if (firedIds.has(rule.id) && firedIds.has(child)) parents.get(child).add(rule.id);
+    }
+    for (const parent of rule.impliedBy || []) {
+      if (firedIds.has(rule.id) && firedIds.has(parent)) parents.get(rule.id).add(parent);
+    }
+  }
+
+  const findRoot = (id, seen = new Set()) => {
+    if (seen.has(id)) return null;
+    seen.add(id);
+    const ps = [...parents.get(id)];
+    if (ps.length === 0) return id;
+    for (const p of ps) {
+      const root = findRoot(p, seen);
+      if (root) return root;
+    }
+    return null;
+  };
+
+  const rootOf = new Map(fired.map(i => [i.id, findRoot(i.id) || i.id]));
+  const roots = fired
+    .filter(i => rootOf.get(i.id) === i.id)
+    .map(i => ({ ...i, consequences: [] }));
+  const byId = new Map(roots.map(r => [r.id, r]));
+
+  for (const issue of fired) {
+    const root = rootOf.get(issue.id);
+    if (root !== issue.id) {
+      byId.get(root).consequences.push({ id: issue.id, severity: issue.severity, title: issue.title });
+    }
+  }
+
+  return roots;
+}
+
 /**
- * Run all pattern detections against a diagnostic payload
+ * Run all pattern detections against a diagnostic payload.
+ * Returns root-cause findings; redundant ones are listed under `consequences`.
  */
 export function detectIssues(diagnostic) {
-  return KNOWN_ISSUES
+  const fired = getAllRules()
     .filter(issue => {
       try {
         return issue.detect(diagnostic);
@@ -935,11 +961,17 @@ export function detectIssues(diagnostic) {
         return false;
       }
     })
-    .map(issue => ({
-      id: issue.id,
-      severity: issue.severity,
-      title: issue.title,
-      description: issue.description,
-      fix: issue.fix,
-    }));
+    .map(issue => {
+      const plan = issue.plan || shellPlan(issue.renderFix ? issue.renderFix(diagnostic) : issue.fix);
+      return {
+        id: issue.id,
+        severity: issue.severity,
+        title: issue.title,
+        description: issue.description,
+        plan,
+        fix: compilePlan(plan),
+      };
+    });
+
+  return resolveSupersession(fired);
 }
@@ -0,0 +1,152 @@
+/**
+ * Backup ledger
+ * Before a fix script changes a file it copies it to
+ * ~/.openclaw/clawfix/ledger/<fixId>/ and lists it in manifest.tsv, so
+ * `clawfix rollback <fixId>` can put back exactly the files that fix touched.
+ * The bash side is ledgerPrelude(); this module reads and rolls back.
+ *
+ * manifest.tsv, one line per file, in the order they were first touched:
+ *   modified <TAB> /abs/path <TAB> <copy in files/> <TAB> <ISO time>
+ *   created  <TAB> /abs/path <TAB> -               <TAB> <ISO time>
+ */
+
+import { existsSync, readFileSync, readdirSync, copyFileSync, rmSync, rmdirSync, statSync, writeFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+export const LEDGER_DIR = join(homedir(), '.openclaw', 'clawfix', 'ledger');
+
+const ROLLED_BACK = 'rolled-back';
+
+/**
+ * Bash defining clawfix_backup <path>: records the file in the fix's ledger
+ * the first time it is touched. Directories that already exist are left out —
+ * operations only ever add to them.
+ */
+export function ledgerPrelude(fixId) {
+  return [
+    `CLAWFIX_LEDGER="$HOME/.openclaw/clawfix/ledger/${fixId}"`,
+    'clawfix_backup() {',
+    '  local path="$1" manifest="$CLAWFIX_LEDGER/manifest.tsv" n',
+    '  mkdir -p "$CLAWFIX_LEDGER/files" && touch "$manifest"',
+    '  P="$path" awk -F\'\\t\' \'$2 == ENVIRON["P"] { found = 1 } END { exit !found }\' "$manifest" && return 0',
+    '  [ -d "$path" ] && return 0',
+    '  n=$(wc -l < "$manifest" | tr -d \' \')',
+    '  if [ -e "$path" ]; then',
+    '    cp -p "$path" "$CLAWFIX_LEDGER/files/$n"',
+    '    printf \'modified\\t%s\\t%s\\t%s\\n\' "$path" "$n" "$(date -u +%Y-%m-%dT%H:%M:%SZ)" >> "$manifest"',
+    '  else',
+    '    printf \'created\\t%s\\t-\\t%s\\n\' "$path" "$(date -u +%Y-%m-%dT%H:%M:%SZ)" >> "$manifest"',
+    '  fi',
+    '}',
+  ].join('\n');
+}
+
+export function ledgerPath(fixId) {
+  return join(LEDGER_DIR, fixId);
+}
+
+/**
+ * Read a fix's ledger, or null when that fix never recorded anything
+ */
+export function readLedger(fixId) {
+  if (!/^[\w-]+$/.test(fixId)) throw new Error(`Invalid fix ID: ${fixId}`);
+  const dir = ledgerPath(fixId);
+  const manifest = join(dir, 'manifest.tsv');
+  if (!existsSync(manifest)) return null;
+
+  const entries = readFileSync(manifest, 'utf8').split('\n').filter(Boolean).map(line => {
+    const [action, path, backup, at] = line.split('\t');
+    return { action, path, backup: backup === '-' ? null : join(dir, 'files', backup), at };
+  });
+  const marker = join(dir, ROLLED_BACK);
+  return {
+    fixId,
+    dir,
+    createdAt: entries[0]?.at || null,
+    rolledBackAt: existsSync(marker) ? readFileSync(marker, 'utf8').trim() : null,
+    entries,
+  };
+}
+
+/**
+ * Every ledger on this machine, newest first
+ */
+export function listLedgers() {
+  if (!existsSync(LEDGER_DIR)) return [];
+  return readdirSync(LEDGER_DIR)
+    .map(id => readLedger(id))
+    .filter(Boolean)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+// Leaf paths whose values differ between two JSON documents
+function jsonChanges(before, after, prefix = '', out = []) {
+  const isObject = v => v && typeof v === 'object' && !Array.isArray(v);
+  if (isObject(before) && isObject(after)) {
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      jsonChanges(before[key], after[key], prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    out.push(prefix || '(whole file)');
+  }
+  return out;
+}
+
+/**
+ * What the fix changed in one ledger entry, compared to the file as it is now
+ */
+export function describeChange(entry) {
+  if (entry.action === 'created') {
+    return existsSync(entry.path) ? 'created by the fix' : 'created by the fix, already gone';
+  }
+  if (!existsSync(entry.path)) return 'deleted since the fix';
+
+  const before = readFileSync(entry.backup);
+  const after = readFileSync(entry.path);
+  if (before.equals(after)) return 'unchanged';
+  if (entry.path.endsWith('.json')) {
+    try {
+      const paths = jsonChanges(JSON.parse(before), JSON.parse(after));
+      return `changed ${paths.slice(0, 8).join(', ')}${paths.length > 8 ? `, … (${paths.length} keys)` : ''}`;
+    } catch {
+      // Not valid JSON on one side — fall through to the size comparison
+    }
+  }
+  return `changed (${before.length} → ${after.length} bytes)`;
+}
+
+/**
+ * Put every file in the ledger back the way it was before the fix: modified
+ * files are restored from their copies, created files are removed. Returns
+ * one { path, action, change } per entry, in the order they were undone.
+ */
+export function rollbackLedger(fixId) {
+  const ledger = readLedger(fixId);
+  if (!ledger) throw new Error(`No backup ledger for fix ${fixId}`);
+
+  const results = [];
+  for (const entry of [...ledger.entries].reverse()) {
+    const change = describeChange(entry);
+    if (entry.action === 'modified') {
+      copyFileSync(entry.backup, entry.path);
+      results.push({ path: entry.path, action: 'restored', change });
+    } else if (!existsSync(entry.path)) {
+      results.push({ path: entry.path, action: 'nothing to remove', change });
+    } else if (statSync(entry.path).isDirectory()) {
+      // Only remove directories the fix created if nothing else lives there now
+      try {
+        rmdirSync(entry.path);
+        results.push({ path: entry.path, action: 'removed', change });
+      } catch {
+        results.push({ path: entry.path, action: 'kept (not empty)', change });
+      }
+    } else {
+      rmSync(entry.path);
+      results.push({ path: entry.path, action: 'removed', change });
+    }
+  }
+
+  writeFileSync(join(ledger.dir, ROLLED_BACK), new Date().toISOString() + '\n');
+  return results;
+}
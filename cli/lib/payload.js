@@ -0,0 +1,49 @@
+/**
+ * Payload assembly
+ * Probes leave their findings in shell variables; each probe declares which
+ * payload field a variable feeds and how to type it. buildPayload() turns
+ * those variables into the diagnostic payload — it runs inside the collector
+ * script via node, so it must stay self-contained like sanitizeConfig().
+ */
+
+export const PAYLOAD_VERSION = '0.5.0';
+
+// Field specs are plain arrays so they can be embedded in the script as JSON:
+// [variable, type] or [variable, type, fallback]. Without a fallback an empty
+// variable leaves the field out of the payload.
+const spec = (type) => (name, fallback) => (fallback === undefined ? [name, type] : [name, type, fallback]);
+
+export const str = spec('string');
+export const int = spec('int');
+export const bool = spec('bool');
+export const json = spec('json');
+
+export function buildPayload(fields, vars, version) {
+  const payload = { version, timestamp: new Date().toISOString() };
+
+  for (const [path, [name, type, fallback]] of Object.entries(fields)) {
+    const raw = vars[name];
+    const has = typeof raw === 'string' && raw.trim() !== '';
+    let value = fallback;
+
+    if (has) {
+      if (type === 'int') {
+        if (/^\s*-?\d+\s*$/.test(raw)) value = parseInt(raw, 10);
+      } else if (type === 'bool') {
+        value = raw.trim() === 'true';
+      } else if (type === 'json') {
+        try { value = JSON.parse(raw); } catch {}
+      } else {
+        value = raw;
+      }
+    }
+    if (value === undefined) continue;
+
+    const keys = path.split('.');
+    let obj = payload;
+    for (const key of keys.slice(0, -1)) obj = obj[key] ??= {};
+    obj[keys[keys.length - 1]] = value;
+  }
+
+  return payload;
+}
@@ -0,0 +1,53 @@
+# Shared helpers for every probe. Kept to bash 3.2 (stock macOS):
+# no associative arrays, no heredocs inside $(...).
+
+CLAWFIX_NODE="${CLAWFIX_NODE:-node}"
+CLAWFIX_TMP=$(mktemp -d "${TMPDIR:-/tmp}/clawfix.XXXXXX")
+trap 'rm -rf "$CLAWFIX_TMP"' EXIT
+
+if [ "${CLAWFIX_COLOR:-1}" = "1" ]; then
+  RED='\033[0;31m'
+  GREEN='\033[0;32m'
+  YELLOW='\033[1;33m'
+  BLUE='\033[0;34m'
+  CYAN='\033[0;36m'
+  DIM='\033[2m'
+  BOLD='\033[1m'
+  NC='\033[0m'
+else
+  RED='' GREEN='' YELLOW='' BLUE='' CYAN='' DIM='' BOLD='' NC=''
+fi
+
+# Progress output — silenced for machine-readable runs
+say() {
+  [ "${CLAWFIX_QUIET:-0}" = "1" ] || echo -e "$@"
+}
+
+has() {
+  command -v "$1" >/dev/null 2>&1
+}
+
+# Run with a time limit where coreutils timeout exists (not on stock macOS)
+limit() {
+  if has timeout; then timeout "$@"; else shift; "$@"; fi
+}
+
+# Something is accepting TCP connections on port $1
+listening() {
+  lsof -nP -iTCP:"$1" -sTCP:LISTEN >/dev/null 2>&1 || ss -tln 2>/dev/null | grep -q ":$1 "
+}
+
+# Count lines in file $2 matching extended regex $1 (0 if the file is missing)
+count() {
+  local n
+  n=$(grep -Ec "$1" "$2" 2>/dev/null)
+  echo "${n:-0}"
+}
+
+# Read a dotted path from the raw (unsanitized) config — stays on this machine
+cfg() {
+  [ -n "$OPENCLAW_CONFIG" ] || return 0
+  "$CLAWFIX_NODE" -e 'const c = JSON.parse(require("fs").readFileSync(process.argv[1], "utf8"));
+const v = process.argv[2].split(".").reduce((o, k) => (o == null ? o : o[k]), c);
+if (v != null) process.stdout.write(typeof v === "object" ? JSON.stringify(v) : String(v));' "$OPENCLAW_CONFIG" "$1" 2>/dev/null
+}
@@ -0,0 +1,36 @@
+BROWSER_DIR="$OPENCLAW_DIR/browser"
+BROWSER_STATUS="not configured"
+[ -n "$OPENCLAW_DIR" ] && [ -d "$BROWSER_DIR" ] && BROWSER_STATUS="configured"
+
+RELAY_PORT=18792
+RELAY_LISTENING=false
+listening "$RELAY_PORT" && RELAY_LISTENING=true
+
+EXT_DIR="$BROWSER_DIR/chrome-extension"
+EXTENSION_INSTALLED=false
+MISSING_OPTIONS_VALIDATION=false
+HAS_DERIVE_RELAY_TOKEN=""
+if [ -n "$OPENCLAW_DIR" ] && [ -f "$EXT_DIR/background.js" ]; then
+  EXTENSION_INSTALLED=true
+  [ -f "$EXT_DIR/options-validation.js" ] || MISSING_OPTIONS_VALIDATION=true
+  # Current extensions derive an HMAC relay token instead of sending the raw gateway token
+  HAS_DERIVE_RELAY_TOKEN=false
+  grep -q "deriveRelayToken" "$EXT_DIR/background-utils.js" 2>/dev/null && HAS_DERIVE_RELAY_TOKEN=true
+fi
+
+# Extension pointed at the gateway port instead of the relay
+WRONG_PORT_HITS=$(count "host=127\.0\.0\.1:$GATEWAY_PORT.*chrome-extension|chrome-extension.*:$GATEWAY_PORT" "$ERR_LOG")
+
+if [ "$RELAY_LISTENING" = "true" ]; then
+  say "${GREEN}   ✅ Relay port $RELAY_PORT — listening${NC}"
+else
+  say "${YELLOW}   ⚠️  Relay port $RELAY_PORT — not listening${NC}"
+fi
+if [ "$EXTENSION_INSTALLED" = "true" ]; then
+  say "   Extension: installed"
+  [ "$MISSING_OPTIONS_VALIDATION" = "true" ] && say "${YELLOW}   ⚠️  Missing options-validation.js (outdated extension)${NC}"
+  [ "$HAS_DERIVE_RELAY_TOKEN" = "false" ] && say "${YELLOW}   ⚠️  Missing deriveRelayToken (outdated auth method)${NC}"
+else
+  say "${DIM}   Extension: not installed${NC}"
+fi
+[ "$WRONG_PORT_HITS" -gt 0 ] && say "${RED}   ⚠️  $WRONG_PORT_HITS wrong-port connections detected (extension → port $GATEWAY_PORT)${NC}"
@@ -0,0 +1,17 @@
+SANITIZED_CONFIG=""
+if [ -n "$OPENCLAW_CONFIG" ]; then
+  cat > "$CLAWFIX_TMP/sanitize.js" <<'CLAWFIX_JS'
+{{ sanitizeConfig }}
+const raw = JSON.parse(require('fs').readFileSync(process.argv[2], 'utf8'));
+process.stdout.write(JSON.stringify(sanitizeConfig(raw)));
+CLAWFIX_JS
+  SANITIZED_CONFIG=$("$CLAWFIX_NODE" "$CLAWFIX_TMP/sanitize.js" "$OPENCLAW_CONFIG" 2>/dev/null)
+  if [ -n "$SANITIZED_CONFIG" ]; then
+    say "${GREEN}   ✅ Config read and sanitized${NC}"
+  else
+    SANITIZED_CONFIG='{"error":"could not parse config"}'
+    say "${YELLOW}   ⚠️  Config could not be parsed${NC}"
+  fi
+else
+  say "${YELLOW}   ⚠️  No config file found${NC}"
+fi
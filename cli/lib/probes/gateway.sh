@@ -0,0 +1,26 @@
+GATEWAY_STATUS="unknown"
+if [ -n "$OPENCLAW_BIN" ]; then
+  GATEWAY_STATUS=$(limit 10 "$OPENCLAW_BIN" gateway status 2>&1)
+  [ -z "$GATEWAY_STATUS" ] && GATEWAY_STATUS="could not check"
+fi
+
+GATEWAY_PID=$(pgrep -f "openclaw.*gateway" 2>/dev/null | head -1)
+GATEWAY_PORT=$(cfg gateway.port)
+GATEWAY_PORT="${GATEWAY_PORT:-18789}"
+
+# A PID without a listener is a zombie gateway
+PROCESS_EXISTS=false
+[ -n "$GATEWAY_PID" ] && PROCESS_EXISTS=true
+PORT_LISTENING=false
+listening "$GATEWAY_PORT" && PORT_LISTENING=true
+
+# Skip config warnings that `gateway status` prints before the status itself
+STATUS_LINE=$(echo "$GATEWAY_STATUS" | grep -iE 'runtime:|listening|running|stopped' | head -1)
+[ -z "$STATUS_LINE" ] && STATUS_LINE=$(echo "$GATEWAY_STATUS" | head -1)
+
+say "   Status: $STATUS_LINE"
+[ -n "$GATEWAY_PID" ] && say "   PID: $GATEWAY_PID"
+say "   Port: $GATEWAY_PORT (listening: $PORT_LISTENING)"
+if [ "$PROCESS_EXISTS" = "true" ] && [ "$PORT_LISTENING" = "false" ]; then
+  say "${RED}   ⚠️  Zombie gateway: process exists but port not listening${NC}"
+fi
@@ -0,0 +1,116 @@
+/**
+ * Probe definitions
+ * A probe is a bash snippet (<id>.sh, run in order in one shell, so later
+ * probes can use earlier probes' variables) plus a map from payload field to
+ * the variable that holds it. The npx CLI runs these snippets as-is and the
+ * /fix script embeds them, so every collector sends the same payload.
+ */
+
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { str, int, bool, json } from '../payload.js';
+
+const PROBES_DIR = dirname(fileURLToPath(import.meta.url));
+
+const script = (id) => readFileSync(join(PROBES_DIR, `${id}.sh`), 'utf8');
+
+export const PRELUDE = script('_prelude');
+
+export const PROBES = [
+  {
+    id: 'system',
+    title: '📋 Collecting system information...',
+    fields: {
+      hostHash: str('HOST_HASH'),
+      'system.os': str('OS_NAME'),
+      'system.osVersion': str('OS_VERSION'),
+      'system.arch': str('OS_ARCH'),
+      'system.nodeVersion': str('NODE_VERSION', 'unknown'),
+      'system.npmVersion': str('NPM_VERSION', 'unknown'),
+      'openclaw.version': str('OC_VERSION', 'unknown'),
+      'openclaw.binary': str('OPENCLAW_BIN', 'not found'),
+      'openclaw.configDir': str('OPENCLAW_DIR', 'not found'),
+    },
+  },
+  {
+    id: 'config',
+    title: '🔒 Reading config (secrets redacted)...',
+    fields: {
+      config: json('SANITIZED_CONFIG', {}),
+    },
+  },
+  {
+    id: 'gateway',
+    title: '🔌 Checking gateway status...',
+    fields: {
+      'openclaw.gatewayStatus': str('GATEWAY_STATUS', 'unknown'),
+      'openclaw.gatewayPid': str('GATEWAY_PID', 'none'),
+      'openclaw.gatewayPort': str('GATEWAY_PORT'),
+      'openclaw.processExists': bool('PROCESS_EXISTS', false),
+      'openclaw.portListening': bool('PORT_LISTENING', false),
+    },
+  },
+  {
+    id: 'service',
+    title: '🔧 Checking service manager...',
+    fields: {
+      'service.manager': str('SERVICE_MANAGER', 'none'),
+      'service.state': str('SERVICE_STATE', 'unknown'),
+      'service.subState': str('SERVICE_SUBSTATE'),
+      'service.exitCode': str('SERVICE_EXIT_CODE', ''),
+      'service.pid': int('SERVICE_PID'),
+      'service.runs': int('SERVICE_RUNS'),
+      'service.nRestarts': int('SERVICE_RESTARTS'),
+      'service.uptimeSeconds': int('SERVICE_UPTIME'),
+      'service.uptimeStr': str('SERVICE_UPTIME_STR'),
+    },
+  },
+  {
+    id: 'logs',
+    title: '📜 Reading recent logs...',
+    fields: {
+      'logs.errors': str('ERROR_LOGS', ''),
+      'logs.stderr': str('STDERR_LOGS', ''),
+      'logs.gatewayLog': str('GATEWAY_LOG_TAIL', ''),
+      'logs.errLogSizeMB': int('ERR_LOG_SIZE_MB', 0),
+      'logs.logSizeMB': int('LOG_SIZE_MB', 0),
+      'logs.handshakeTimeoutCount': int('HANDSHAKE_TIMEOUT_COUNT', 0),
+      'logs.sigtermCount': int('SIGTERM_COUNT', 0),
+    },
+  },
+  {
+    id: 'plugins',
+    title: '🔌 Checking plugins...',
+    fields: {},
+  },
+  {
+    id: 'workspace',
+    title: '📁 Checking workspace...',
+    fields: {
+      'workspace.path': str('WORKSPACE_DIR', 'unknown'),
+      'workspace.mdFiles': int('WORKSPACE_FILES', 0),
+      'workspace.memoryFiles': int('MEMORY_FILES', 0),
+      'workspace.hasSoul': bool('SOUL_EXISTS', false),
+      'workspace.hasAgents': bool('AGENTS_EXISTS', false),
+    },
+  },
+  {
+    id: 'ports',
+    title: '🔗 Checking ports...',
+    fields: {},
+  },
+  {
+    id: 'browser',
+    title: '🌐 Checking browser relay...',
+    fields: {
+      'browser.status': str('BROWSER_STATUS', 'not configured'),
+      'browser.relayPort': str('RELAY_PORT'),
+      'browser.relayPortListening': bool('RELAY_LISTENING', false),
+      'browser.extensionInstalled': bool('EXTENSION_INSTALLED', false),
+      'browser.extension.missingOptionsValidation': bool('MISSING_OPTIONS_VALIDATION', false),
+      'browser.extension.hasDeriveRelayToken': bool('HAS_DERIVE_RELAY_TOKEN'),
+      'browser.wrongPortHits': int('WRONG_PORT_HITS', 0),
+    },
+  },
+].map(probe => ({ ...probe, script: script(probe.id) }));
@@ -0,0 +1,35 @@
+LOG_DIR="$OPENCLAW_DIR/logs"
+GW_LOG="$LOG_DIR/gateway.log"
+ERR_LOG="$LOG_DIR/gateway.err.log"
+
+ERROR_LOGS=""
+GATEWAY_LOG_TAIL=""
+STDERR_LOGS=""
+LOG_SIZE_MB=0
+ERR_LOG_SIZE_MB=0
+SIGTERM_COUNT=0
+HANDSHAKE_TIMEOUT_COUNT=0
+
+# Tail only — these files grow to hundreds of MB
+if [ -n "$OPENCLAW_DIR" ] && [ -f "$GW_LOG" ]; then
+  GW_TAIL=$(tail -500 "$GW_LOG" 2>/dev/null)
+  ERROR_LOGS=$(echo "$GW_TAIL" | grep -iE 'error|warn|fail|crash|EADDRINUSE|EACCES' | tail -30)
+  # Restart patterns: SIGTERMs, fresh listeners, config reloads, updates
+  GATEWAY_LOG_TAIL=$(echo "$GW_TAIL" | grep -iE 'signal SIGTERM|listening.*PID|config change detected.*reload|update available' | tail -20)
+  LOG_SIZE_MB=$(du -m "$GW_LOG" 2>/dev/null | awk '{print $1}')
+  SIGTERM_COUNT=$(count 'signal SIGTERM received|exit code -15' "$GW_LOG")
+  say "${GREEN}   ✅ Gateway log found (${LOG_SIZE_MB}MB)${NC}"
+  [ "$SIGTERM_COUNT" -gt 0 ] && say "${YELLOW}   ⚠️  $SIGTERM_COUNT SIGTERM events in gateway log${NC}"
+fi
+
+if [ -n "$OPENCLAW_DIR" ] && [ -f "$ERR_LOG" ]; then
+  STDERR_LOGS=$(tail -50 "$ERR_LOG" 2>/dev/null)
+  ERR_LOG_SIZE_MB=$(du -m "$ERR_LOG" 2>/dev/null | awk '{print $1}')
+  HANDSHAKE_TIMEOUT_COUNT=$(count 'invalid handshake|closed before connect|chrome-extension.*timeout' "$ERR_LOG")
+  if [ "${ERR_LOG_SIZE_MB:-0}" -gt 10 ]; then
+    say "${YELLOW}   ⚠️  Error log is ${ERR_LOG_SIZE_MB}MB (large — likely log spam)${NC}"
+  else
+    say "${GREEN}   ✅ Error log found (${ERR_LOG_SIZE_MB}MB)${NC}"
+  fi
+  [ "$HANDSHAKE_TIMEOUT_COUNT" -gt 0 ] && say "${YELLOW}   ⚠️  $HANDSHAKE_TIMEOUT_COUNT handshake timeout lines (browser relay spam?)${NC}"
+fi
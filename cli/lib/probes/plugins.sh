@@ -0,0 +1,9 @@
+if [ -n "$OPENCLAW_CONFIG" ]; then
+  PLUGIN_LINES=$("$CLAWFIX_NODE" -e 'const c = JSON.parse(require("fs").readFileSync(process.argv[1], "utf8"));
+for (const [name, p] of Object.entries(c.plugins?.entries || {})) console.log(`   ${p?.enabled === false ? "❌" : "✅"} ${name}`);' "$OPENCLAW_CONFIG" 2>/dev/null)
+  if [ -n "$PLUGIN_LINES" ]; then
+    say "$PLUGIN_LINES"
+  else
+    say "   No plugins configured"
+  fi
+fi
@@ -0,0 +1,9 @@
+for ENTRY in "$GATEWAY_PORT:gateway" "18791:browser control" "18792:extension relay" "18800:browser CDP"; do
+  PORT="${ENTRY%%:*}"
+  NAME="${ENTRY#*:}"
+  if listening "$PORT"; then
+    say "${YELLOW}   ⚠️  Port $PORT ($NAME) — IN USE${NC}"
+  else
+    say "${GREEN}   ✅ Port $PORT ($NAME) — available${NC}"
+  fi
+done
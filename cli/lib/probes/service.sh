@@ -0,0 +1,89 @@
+SERVICE_MANAGER="none"
+SERVICE_STATE="unknown"
+SERVICE_SUBSTATE=""
+SERVICE_EXIT_CODE=""
+SERVICE_PID=""
+SERVICE_RUNS=""
+SERVICE_RESTARTS=""
+SERVICE_UPTIME=""
+SERVICE_UPTIME_STR=""
+
+if [ "$OS_NAME" = "Darwin" ]; then
+  SERVICE_MANAGER="launchd"
+  LAUNCHCTL_OUT=$(launchctl list 2>/dev/null | awk '$3 == "ai.openclaw.gateway"')
+  [ -z "$LAUNCHCTL_OUT" ] && LAUNCHCTL_OUT=$(launchctl list 2>/dev/null | grep -i openclaw | head -1)
+  if [ -n "$LAUNCHCTL_OUT" ]; then
+    LIST_PID=$(echo "$LAUNCHCTL_OUT" | awk '{print $1}')
+    SERVICE_EXIT_CODE=$(echo "$LAUNCHCTL_OUT" | awk '{print $2}')
+    [ "$LIST_PID" != "-" ] && SERVICE_PID="$LIST_PID"
+    # Exit code -15 = SIGTERM
+    if [ "$SERVICE_EXIT_CODE" = "-15" ]; then
+      SERVICE_STATE="sigterm"
+      say "${RED}   ⚠️  Service received SIGTERM (exit -15) — possible crash loop${NC}"
+    elif [ -n "$SERVICE_PID" ]; then
+      SERVICE_STATE="running"
+      say "${GREEN}   ✅ launchd: running (pid $SERVICE_PID)${NC}"
+    elif [ "$SERVICE_EXIT_CODE" != "0" ]; then
+      SERVICE_STATE="crashed"
+      say "${RED}   ❌ launchd: not running (last exit: $SERVICE_EXIT_CODE)${NC}"
+    else
+      SERVICE_STATE="inactive"
+      say "${YELLOW}   ⚠️  launchd: loaded but not running${NC}"
+    fi
+    # `launchctl print` is the only place launchd exposes its restart counter
+    SERVICE_RUNS=$(launchctl print "gui/$(id -u)/ai.openclaw.gateway" 2>/dev/null | sed -n 's/^[[:space:]]*runs = \([0-9][0-9]*\).*/\1/p' | head -1)
+    if [ -n "$SERVICE_RUNS" ] && [ "$SERVICE_RUNS" -gt 2 ]; then
+      say "${YELLOW}   ⚠️  $SERVICE_RUNS runs — multiple restarts detected${NC}"
+    fi
+  else
+    SERVICE_STATE="not_registered"
+    say "${YELLOW}   ⚠️  No openclaw LaunchAgent found in launchctl${NC}"
+  fi
+elif has systemctl; then
+  SERVICE_MANAGER="systemd"
+  # OpenClaw installs a user unit; fall back to a system-wide one
+  SYSTEMCTL="systemctl --user"
+  if [ "$($SYSTEMCTL show openclaw-gateway -p LoadState --value 2>/dev/null)" != "loaded" ]; then
+    SYSTEMCTL="systemctl"
+  fi
+  if [ "$($SYSTEMCTL show openclaw-gateway -p LoadState --value 2>/dev/null)" = "loaded" ]; then
+    ACTIVE_STATE=$($SYSTEMCTL show openclaw-gateway -p ActiveState --value 2>/dev/null)
+    SERVICE_SUBSTATE=$($SYSTEMCTL show openclaw-gateway -p SubState --value 2>/dev/null)
+    SERVICE_RESTARTS=$($SYSTEMCTL show openclaw-gateway -p NRestarts --value 2>/dev/null)
+    MAIN_PID=$($SYSTEMCTL show openclaw-gateway -p ExecMainPID --value 2>/dev/null)
+    [ -n "$MAIN_PID" ] && [ "$MAIN_PID" != "0" ] && SERVICE_PID="$MAIN_PID"
+    case "$ACTIVE_STATE" in
+      active)
+        SERVICE_STATE="running"
+        say "${GREEN}   ✅ systemd: active ($SERVICE_SUBSTATE)${NC}"
+        ;;
+      failed)
+        SERVICE_STATE="failed"
+        SERVICE_EXIT_CODE=$($SYSTEMCTL show openclaw-gateway -p ExecMainStatus --value 2>/dev/null)
+        say "${RED}   ❌ systemd: failed (exit $SERVICE_EXIT_CODE)${NC}"
+        ;;
+      *)
+        SERVICE_STATE="${ACTIVE_STATE:-unknown}"
+        say "${YELLOW}   ⚠️  systemd: $SERVICE_STATE ($SERVICE_SUBSTATE)${NC}"
+        ;;
+    esac
+    if [ -n "$SERVICE_RESTARTS" ] && [ "$SERVICE_RESTARTS" -gt 0 ]; then
+      say "${YELLOW}   ⚠️  $SERVICE_RESTARTS restart(s)${NC}"
+    fi
+  else
+    SERVICE_STATE="not_registered"
+    say "${YELLOW}   ⚠️  No openclaw-gateway systemd unit found${NC}"
+  fi
+else
+  say "   No service manager detected"
+fi
+
+# Uptime of the service's current process — short uptime + many runs = crash loop
+if [ -n "$SERVICE_PID" ]; then
+  SERVICE_UPTIME_STR=$(ps -p "$SERVICE_PID" -o etime= 2>/dev/null | tr -d ' ')
+  if [ -n "$SERVICE_UPTIME_STR" ]; then
+    # etime is [[dd-]hh:]mm:ss
+    SERVICE_UPTIME=$(echo "$SERVICE_UPTIME_STR" | awk -F'[-:]' '{ s = 0; m = 1; for (i = NF; i > 0; i--) { s += $i * m; m = (m == 3600) ? 86400 : m * 60 } print s }')
+    say "   Uptime: $SERVICE_UPTIME_STR"
+  fi
+fi
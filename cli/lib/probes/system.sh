@@ -0,0 +1,47 @@
+OPENCLAW_BIN=""
+if has openclaw; then
+  OPENCLAW_BIN=$(command -v openclaw)
+elif [ -x /opt/homebrew/bin/openclaw ]; then
+  OPENCLAW_BIN=/opt/homebrew/bin/openclaw
+elif [ -x /usr/local/bin/openclaw ]; then
+  OPENCLAW_BIN=/usr/local/bin/openclaw
+fi
+
+OPENCLAW_DIR=""
+if [ -d "$HOME/.openclaw" ]; then
+  OPENCLAW_DIR="$HOME/.openclaw"
+elif [ -d "$HOME/.config/openclaw" ]; then
+  OPENCLAW_DIR="$HOME/.config/openclaw"
+fi
+
+OPENCLAW_CONFIG=""
+if [ -n "$OPENCLAW_DIR" ] && [ -f "$OPENCLAW_DIR/openclaw.json" ]; then
+  OPENCLAW_CONFIG="$OPENCLAW_DIR/openclaw.json"
+fi
+
+if [ -z "$OPENCLAW_BIN" ] && [ -z "$OPENCLAW_DIR" ]; then
+  say "${RED}❌ OpenClaw not found on this system.${NC}"
+  say "Make sure OpenClaw is installed: https://openclaw.ai"
+  exit 2
+fi
+
+say "${GREEN}✅ OpenClaw found${NC}"
+[ -n "$OPENCLAW_BIN" ] && say "   Binary: $OPENCLAW_BIN"
+[ -n "$OPENCLAW_DIR" ] && say "   Config: $OPENCLAW_DIR"
+
+OS_NAME=$(uname -s)
+OS_VERSION=$(uname -r)
+OS_ARCH=$(uname -m)
+NODE_VERSION=$("$CLAWFIX_NODE" --version 2>/dev/null)
+NPM_VERSION=$(npm --version 2>/dev/null)
+# Only the first 8 hex chars of the SHA-256 ever leave the machine
+HOST_HASH=$(hostname | tr -d '\n' | { shasum -a 256 2>/dev/null || sha256sum; } | cut -c1-8)
+
+OC_VERSION=""
+if [ -n "$OPENCLAW_BIN" ]; then
+  OC_VERSION=$(limit 10 "$OPENCLAW_BIN" --version 2>/dev/null | head -1)
+fi
+
+say "   OS: $OS_NAME $OS_VERSION ($OS_ARCH)"
+say "   Node: ${NODE_VERSION:-unknown}"
+say "   OpenClaw: ${OC_VERSION:-not found}"
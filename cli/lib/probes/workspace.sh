@@ -0,0 +1,25 @@
+WORKSPACE_DIR=$(cfg agents.defaults.workspace)
+case "$WORKSPACE_DIR" in
+  "~/"*) WORKSPACE_DIR="$HOME/${WORKSPACE_DIR#\~/}" ;;
+esac
+
+WORKSPACE_FILES=0
+MEMORY_FILES=0
+SOUL_EXISTS=false
+AGENTS_EXISTS=false
+
+# Counts and existence checks only — file contents are never read
+if [ -n "$WORKSPACE_DIR" ] && [ -d "$WORKSPACE_DIR" ]; then
+  WORKSPACE_FILES=$(find "$WORKSPACE_DIR" -name "*.md" 2>/dev/null | wc -l | tr -d ' ')
+  if [ -d "$WORKSPACE_DIR/memory" ]; then
+    MEMORY_FILES=$(find "$WORKSPACE_DIR/memory" -maxdepth 1 -name "*.md" 2>/dev/null | wc -l | tr -d ' ')
+  fi
+  [ -f "$WORKSPACE_DIR/SOUL.md" ] && SOUL_EXISTS=true
+  [ -f "$WORKSPACE_DIR/AGENTS.md" ] && AGENTS_EXISTS=true
+
+  say "   Path: $WORKSPACE_DIR"
+  say "   Files: $WORKSPACE_FILES .md files, $MEMORY_FILES memory notes"
+  say "   SOUL.md: $SOUL_EXISTS, AGENTS.md: $AGENTS_EXISTS"
+elif [ -n "$WORKSPACE_DIR" ]; then
+  say "${YELLOW}   ⚠️  Workspace $WORKSPACE_DIR does not exist${NC}"
+fi
@@ -0,0 +1,217 @@
+/**
+ * Declarative rule engine
+ * Evaluates rules written as data (rules/*.yaml, rules/*.json) against a
+ * diagnostic payload. Pure — no filesystem access, so it can be bundled anywhere.
+ *
+ * Rule shape:
+ *   id, severity, title, description  — same meaning as KNOWN_ISSUES entries
+ *   when                              — condition tree (see evaluateCondition)
+ *   fix                               — bash template, {{ $.path }} placeholders
+ *   plan                              — or a structured fix plan (see fix-plan.js)
+ *   supersedes, impliedBy             — optional lists of rule ids (see known-issues.js)
+ */
+
+import { shellQuote, validatePlan } from './fix-plan.js';
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const PATH_OPERATORS = ['equals', 'notEquals', 'exists', 'truthy', 'falsy', 'gt', 'gte', 'lt', 'lte', 'matches', 'in'];
+
+/**
+ * Parse a JSONPath-style expression into a list of keys.
+ * Supports $.a.b, $.a["b-c"], $.a['b'], $.a[0] — no wildcards or filters.
+ */
+export function parsePath(expr) {
+  if (typeof expr !== 'string' || !expr.trim()) {
+    throw new Error(`invalid path: ${JSON.stringify(expr)}`);
+  }
+
+  let rest = expr.trim();
+  if (rest.startsWith('$')) rest = rest.slice(1);
+
+  const keys = [];
+  const token = /^(?:\.([A-Za-z_$][\w$-]*)|\[\s*(\d+)\s*\]|\[\s*"((?:[^"\\]|\\.)*)"\s*\]|\[\s*'((?:[^'\\]|\\.)*)'\s*\])/;
+  // A bare leading segment ("logs.errors") is allowed for convenience
+  if (/^[A-Za-z_]/.test(rest)) rest = '.' + rest;
+
+  while (rest.length) {
+    const m = rest.match(token);
+    if (!m) throw new Error(`invalid path: ${expr}`);
+    if (m[1] !== undefined) keys.push(m[1]);
+    else if (m[2] !== undefined) keys.push(Number(m[2]));
+    else keys.push((m[3] ?? m[4]).replace(/\\(.)/g, '$1'));
+    rest = rest.slice(m[0].length);
+  }
+
+  return keys;
+}
+
+/**
+ * Resolve a parsed path against an object. Missing segments yield undefined.
+ */
+export function resolvePath(obj, keys) {
+  let cur = obj;
+  for (const key of keys) {
+    if (cur === null || cur === undefined || typeof cur !== 'object') return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+/**
+ * Validate and pre-compile a condition tree. Throws with a readable message.
+ */
+function compileCondition(cond, where) {
+  if (!cond || typeof cond !== 'object' || Array.isArray(cond)) {
+    throw new Error(`${where}: condition must be an object`);
+  }
+
+  if (cond.all || cond.any) {
+    const op = cond.all ? 'all' : 'any';
+    if (!Array.isArray(cond[op]) || cond[op].length === 0) {
+      throw new Error(`${where}: "${op}" must be a non-empty list`);
+    }
+    return { [op]: cond[op].map((c, i) => compileCondition(c, `${where}.${op}[${i}]`)) };
+  }
+
+  if (cond.not) {
+    return { not: compileCondition(cond.not, `${where}.not`) };
+  }
+
+  if (cond.log) {
+    const sources = Array.isArray(cond.log) ? cond.log : [cond.log];
+    if (typeof cond.pattern !== 'string') {
+      throw new Error(`${where}: log matcher needs a "pattern"`);
+    }
+    let regex;
+    try {
+      regex = new RegExp(cond.pattern, `${(cond.flags || 'i').replace('g', '')}g`);
+    } catch (err) {
+      throw new Error(`${where}: bad pattern — ${err.message}`);
+    }
+    return {
+      log: sources.map(s => parsePath(s.startsWith('$') ? s : `$.logs.${s}`)),
+      regex,
+      minCount: cond.minCount ?? 1,
+      maxCount: cond.maxCount ?? Infinity,
+    };
+  }
+
+  if (cond.path) {
+    const ops = PATH_OPERATORS.filter(op => op in cond);
+    if (ops.length !== 1) {
+      throw new Error(`${where}: path condition needs exactly one of ${PATH_OPERATORS.join(', ')}`);
+    }
+    const op = ops[0];
+    const compiled = { path: parsePath(cond.path), op, value: cond[op] };
+    if (op === 'matches') {
+      try {
+        compiled.value = new RegExp(cond.matches, cond.flags || 'i');
+      } catch (err) {
+        throw new Error(`${where}: bad pattern — ${err.message}`);
+      }
+    }
+    if (op === 'in' && !Array.isArray(cond.in)) {
+      throw new Error(`${where}: "in" must be a list`);
+    }
+    return compiled;
+  }
+
+  throw new Error(`${where}: unknown condition (expected all, any, not, log or path)`);
+}
+
+/**
+ * Evaluate a compiled condition against a diagnostic payload
+ */
+export function evaluateCondition(cond, diag) {
+  if (cond.all) return cond.all.every(c => evaluateCondition(c, diag));
+  if (cond.any) return cond.any.some(c => evaluateCondition(c, diag));
+  if (cond.not) return !evaluateCondition(cond.not, diag);
+
+  if (cond.log) {
+    const text = cond.log
+      .map(keys => resolvePath(diag, keys))
+      .filter(v => typeof v === 'string')
+      .join('\n');
+    const count = (text.match(cond.regex) || []).length;
+    return count >= cond.minCount && count <= cond.maxCount;
+  }
+
+  const actual = resolvePath(diag, cond.path);
+  switch (cond.op) {
+    case 'equals': return actual === cond.value;
+    case 'notEquals': return actual !== cond.value;
+    case 'exists': return (actual !== undefined && actual !== null) === cond.value;
+    case 'truthy': return !!actual === !!cond.value;
+    case 'falsy': return !actual === !!cond.value;
+    case 'gt': return Number(actual ?? 0) > cond.value;
+    case 'gte': return Number(actual ?? 0) >= cond.value;
+    case 'lt': return Number(actual ?? 0) < cond.value;
+    case 'lte': return Number(actual ?? 0) <= cond.value;
+    case 'matches': return typeof actual === 'string' && cond.value.test(actual);
+    case 'in': return cond.value.includes(actual);
+    default: return false;
+  }
+}
+
+/**
+ * Render a fix template. {{ $.path }} placeholders become shell-quoted payload
+ * values — payload data is user-controlled and must never reach bash unquoted.
+ */
+export function renderFixTemplate(template, diag) {
+  return template.replace(/\{\{\s*([^}]+?)\s*\}\}/g, (_, expr) => shellQuote(resolvePath(diag, parsePath(expr))));
+}
+
+/**
+ * Turn a rule definition (parsed YAML/JSON) into a detector with the same
+ * shape as a KNOWN_ISSUES entry.
+ */
+export function compileRule(def, source = 'inline') {
+  if (!def || typeof def !== 'object') throw new Error(`${source}: rule must be an object`);
+
+  for (const field of ['id', 'severity', 'title', 'description']) {
+    if (typeof def[field] !== 'string' || !def[field].trim()) {
+      throw new Error(`${source}: rule is missing "${field}"`);
+    }
+  }
+  if ((def.fix === undefined) === (def.plan === undefined)) {
+    throw new Error(`${source}: rule "${def.id}" needs exactly one of "fix" or "plan"`);
+  }
+  if (def.fix !== undefined && (typeof def.fix !== 'string' || !def.fix.trim())) {
+    throw new Error(`${source}: rule "${def.id}" has an empty "fix"`);
+  }
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(def.id)) {
+    throw new Error(`${source}: rule id "${def.id}" must be lowercase kebab-case`);
+  }
+  if (!SEVERITIES.includes(def.severity)) {
+    throw new Error(`${source}: severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (!def.when) throw new Error(`${source}: rule "${def.id}" is missing "when"`);
+
+  for (const field of ['supersedes', 'impliedBy']) {
+    if (def[field] !== undefined && (!Array.isArray(def[field]) || def[field].some(id => typeof id !== 'string'))) {
+      throw new Error(`${source}: "${field}" must be a list of rule ids`);
+    }
+  }
+
+  const when = compileCondition(def.when, `${source}: ${def.id}.when`);
+  const rule = {
+    id: def.id,
+    severity: def.severity,
+    title: def.title,
+    description: def.description.trim(),
+    detect: (diag) => evaluateCondition(when, diag),
+    supersedes: def.supersedes || [],
+    impliedBy: def.impliedBy || [],
+    source,
+  };
+
+  if (def.plan) {
+    rule.plan = validatePlan(def.plan, `${source}: ${def.id}.plan`);
+  } else {
+    const template = def.fix.replace(/\s+$/, '');
+    rule.fix = template;
+    rule.renderFix = (diag) => renderFixTemplate(template, diag);
+  }
+  return rule;
+}
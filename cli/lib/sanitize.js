@@ -0,0 +1,37 @@
+/**
+ * Config redaction
+ * Runs on the user's machine before anything is sent. The collector embeds
+ * this function's source into the probe script, so it must stay
+ * self-contained: no imports, no references outside its own body.
+ */
+
+export function sanitizeConfig(config) {
+  const REDACTED = '***REDACTED***';
+  // Key names that hold credentials: apiKey, accessToken, token, clientSecret...
+  const SECRET_KEY = /(key|token|secret|password|passwd|jwt|bearer|credentials?)$/i;
+  const SECRET_PREFIX = /^(sk-|xai-|eyJ|ghp_|gho_|npm_|m0-|AIza|ntn_)/;
+  const OPAQUE_BLOB = /^[A-Za-z0-9+=][A-Za-z0-9+/=]{39,}$/;
+
+  const redact = (value, key) => {
+    if (typeof value === 'string') {
+      if (key && SECRET_KEY.test(key) && value.length > 0) return REDACTED;
+      if (value.length > 20 && SECRET_PREFIX.test(value)) return REDACTED;
+      if (OPAQUE_BLOB.test(value)) return REDACTED;
+      return value;
+    }
+    if (Array.isArray(value)) return value.map(v => redact(v));
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) {
+        // env blocks are nothing but secrets
+        if (k === 'env') continue;
+        out[k] = redact(v, k);
+      }
+      return out;
+    }
+    return value;
+  };
+
+  if (!config || typeof config !== 'object') return {};
+  return redact(config);
+}
@@ -0,0 +1,80 @@
+/**
+ * Local secrets
+ * What this machine holds that the ClawFix server only knows a hash of, in
+ * ~/.openclaw/clawfix/secrets.json (readable by you only):
+ *
+ *   deleteTokens  fixId → the token /api/diagnose returned with it, for
+ *                 `clawfix forget <fixId>`
+ *   hostSecret    made once and sent with every diagnosis, so
+ *                 `clawfix history` can show this machine's, and only its
+ *   hostHash      the hostHash those diagnoses were sent with
+ */
+
+import { randomBytes } from 'node:crypto';
+import { existsSync, readFileSync, writeFileSync, mkdirSync, chmodSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { join, dirname } from 'node:path';
+
+export const SECRETS_PATH = join(homedir(), '.openclaw', 'clawfix', 'secrets.json');
+
+function load() {
+  if (!existsSync(SECRETS_PATH)) return { deleteTokens: {} };
+  const secrets = JSON.parse(readFileSync(SECRETS_PATH, 'utf8'));
+  return { ...secrets, deleteTokens: secrets.deleteTokens || {} };
+}
+
+function save(secrets) {
+  mkdirSync(dirname(SECRETS_PATH), { recursive: true });
+  writeFileSync(SECRETS_PATH, JSON.stringify(secrets, null, 2) + '\n', { mode: 0o600 });
+  chmodSync(SECRETS_PATH, 0o600); // in case it existed with looser permissions
+}
+
+/**
+ * Keep the delete token for a fix sent from this machine
+ */
+export function saveDeleteToken(fixId, token) {
+  const secrets = load();
+  secrets.deleteTokens[fixId] = token;
+  save(secrets);
+}
+
+/**
+ * The delete token for a fix, or null if it wasn't sent from here
+ */
+export function deleteTokenFor(fixId) {
+  return load().deleteTokens[fixId] || null;
+}
+
+export function dropDeleteToken(fixId) {
+  const secrets = load();
+  if (!(fixId in secrets.deleteTokens)) return;
+  delete secrets.deleteTokens[fixId];
+  save(secrets);
+}
+
+/**
+ * This machine's host secret, made on first use
+ */
+export function hostSecret() {
+  const secrets = load();
+  if (!secrets.hostSecret) {
+    secrets.hostSecret = randomBytes(32).toString('base64url');
+    save(secrets);
+  }
+  return secrets.hostSecret;
+}
+
+export function rememberHostHash(hostHash) {
+  const secrets = load();
+  if (secrets.hostHash === hostHash) return;
+  secrets.hostHash = hostHash;
+  save(secrets);
+}
+
+/**
+ * { hostHash, hostSecret } as saved — either may be null
+ */
+export function savedHost() {
+  const { hostHash = null, hostSecret = null } = load();
+  return { hostHash, hostSecret };
+}
@@ -0,0 +1,54 @@
+/**
+ * Server-Sent Events
+ * formatEvent() writes one event, parseSSE() reads them back from a fetch
+ * response body. Shared by the server (streaming /api/diagnose), its AI
+ * provider adapters (which stream the same format) and the CLI.
+ */
+
+/**
+ * One event on the wire. data is JSON-encoded unless it's already a string.
+ */
+export function formatEvent(event, data) {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  const lines = payload.split('\n').map(line => `data: ${line}`).join('\n');
+  return `${event ? `event: ${event}\n` : ''}${lines}\n\n`;
+}
+
+/**
+ * Events from a stream of bytes (a fetch body), as { event, data } with data
+ * left as a string. Comments and `id:`/`retry:` fields are skipped.
+ */
+export async function* parseSSE(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = null;
+  let data = [];
+
+  const flush = () => {
+    const out = data.length ? { event: event || 'message', data: data.join('\n') } : null;
+    event = null;
+    data = [];
+    return out;
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.search(/\r?\n/)) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(buffer[newline] === '\r' ? newline + 2 : newline + 1);
+
+      if (line === '') {
+        const out = flush();
+        if (out) yield out;
+      } else if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+  }
+
+  const out = flush();
+  if (out) yield out;
+}
@@ -0,0 +1,66 @@
+/**
+ * Post-fix verification
+ * Scan again with the same collector and rules after a fix ran, and compare:
+ * which of the fix's issues are gone and which are still detected. `clawfix
+ * apply` does this after the last step, `clawfix verify` on demand. For server
+ * fixes the outcome goes to /api/feedback, so per-pattern success rates come
+ * from re-scans rather than from the script merely finishing.
+ */
+
+import { collect } from './collector.js';
+import { diagnoseOffline } from './detect.js';
+import { getAllRules } from './known-issues.js';
+
+/**
+ * Compare the issue IDs a fix targeted with a fresh detection result.
+ * Consequences count as present — a folded finding is still a finding.
+ */
+export function compareIssues(checked, result) {
+  const present = new Set(result.knownIssues.flatMap(i => [i.id, ...(i.consequences || []).map(c => c.id)]));
+  const remaining = checked.filter(id => present.has(id));
+  return {
+    checked,
+    resolved: checked.filter(id => !present.has(id)),
+    remaining,
+    appeared: [...present].filter(id => !checked.includes(id)),
+    success: checked.length > 0 && remaining.length === 0,
+  };
+}
+
+/**
+ * Re-scan this machine and check the given fix steps. Steps from older
+ * scripts carry no rule ID and are matched by title; AI steps can't be
+ * checked locally and are ignored.
+ */
+export function verifyFix(steps, diagnostic = collect({ quiet: true })) {
+  const result = diagnoseOffline(diagnostic);
+  const rules = getAllRules();
+
+  const checked = [];
+  const unmatched = [];
+  for (const step of steps.filter(s => s.kind === 'fix')) {
+    const id = step.id || rules.find(r => r.title === step.title)?.id;
+    if (id && !checked.includes(id)) checked.push(id);
+    else if (!id) unmatched.push(step.title);
+  }
+
+  return { ...compareIssues(checked, result), unmatched };
+}
+
+/**
+ * Send a verification to /api/feedback. Only the checked issue IDs are sent.
+ */
+export async function reportVerification(apiUrl, fixId, verification) {
+  const response = await fetch(`${apiUrl}/api/feedback/${fixId}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      success: verification.success,
+      issuesRemaining: verification.remaining.length,
+      remainingIssues: verification.remaining,
+      checkedIssues: verification.checked,
+      verified: true,
+    }),
+  });
+  if (!response.ok) throw new Error(`API returned ${response.status}`);
+}
@@ -0,0 +1,124 @@
+-- The schema as it stood before migrations. Safe on databases that older
+-- versions created at boot: tables are only created if missing and columns
+-- added since then are added if missing.
+
+CREATE TABLE IF NOT EXISTS diagnoses (
+  id TEXT PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  host_hash TEXT,
+  os TEXT,
+  arch TEXT,
+  node_version TEXT,
+  openclaw_version TEXT,
+  issues_pattern JSONB DEFAULT '[]',
+  issues_ai JSONB DEFAULT '[]',
+  issues_count INTEGER DEFAULT 0,
+  ai_model TEXT,
+  ai_tokens INTEGER,
+  fix_script TEXT,
+  ai_summary TEXT,
+  ai_insights TEXT,
+  known_issues_detail JSONB DEFAULT '[]',
+  fix_plan JSONB,
+  outcome TEXT DEFAULT 'unknown',
+  paid BOOLEAN DEFAULT FALSE,
+  amount NUMERIC(10,2) DEFAULT 0,
+  payment_method TEXT,
+  source TEXT DEFAULT 'unknown'
+);
+
+ALTER TABLE diagnoses ADD COLUMN IF NOT EXISTS ai_insights TEXT;
+ALTER TABLE diagnoses ADD COLUMN IF NOT EXISTS known_issues_detail JSONB DEFAULT '[]';
+ALTER TABLE diagnoses ADD COLUMN IF NOT EXISTS service_manager TEXT;
+ALTER TABLE diagnoses ADD COLUMN IF NOT EXISTS service_state TEXT;
+ALTER TABLE diagnoses ADD COLUMN IF NOT EXISTS service_exit_code TEXT;
+ALTER TABLE diagnoses ADD COLUMN IF NOT EXISTS err_log_size_mb INTEGER;
+ALTER TABLE diagnoses ADD COLUMN IF NOT EXISTS sigterm_count INTEGER;
+ALTER TABLE diagnoses ADD COLUMN IF NOT EXISTS fix_plan JSONB;
+ALTER TABLE diagnoses ADD COLUMN IF NOT EXISTS ai_input_tokens INTEGER;
+ALTER TABLE diagnoses ADD COLUMN IF NOT EXISTS ai_output_tokens INTEGER;
+ALTER TABLE diagnoses ADD COLUMN IF NOT EXISTS ai_cost_usd NUMERIC(12,6);
+ALTER TABLE diagnoses ADD COLUMN IF NOT EXISTS ai_cache_hit BOOLEAN;
+ALTER TABLE diagnoses ADD COLUMN IF NOT EXISTS payload JSONB;
+
+CREATE TABLE IF NOT EXISTS patterns (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  times_detected INTEGER DEFAULT 0,
+  times_fixed INTEGER DEFAULT 0,
+  times_verified INTEGER DEFAULT 0,
+  success_rate REAL,
+  first_seen TIMESTAMPTZ DEFAULT NOW(),
+  last_seen TIMESTAMPTZ DEFAULT NOW(),
+  source TEXT DEFAULT 'manual'
+);
+
+ALTER TABLE patterns ADD COLUMN IF NOT EXISTS times_verified INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS ai_discoveries (
+  id SERIAL PRIMARY KEY,
+  issue_hash TEXT,
+  issue_summary TEXT NOT NULL,
+  similar_count INTEGER DEFAULT 1,
+  first_seen TIMESTAMPTZ DEFAULT NOW(),
+  last_seen TIMESTAMPTZ DEFAULT NOW(),
+  graduated BOOLEAN DEFAULT FALSE,
+  pattern_id TEXT REFERENCES patterns(id)
+);
+
+ALTER TABLE ai_discoveries ADD COLUMN IF NOT EXISTS title TEXT;
+ALTER TABLE ai_discoveries ADD COLUMN IF NOT EXISTS severity TEXT;
+ALTER TABLE ai_discoveries ADD COLUMN IF NOT EXISTS examples JSONB DEFAULT '[]';
+
+CREATE TABLE IF NOT EXISTS feedback (
+  id SERIAL PRIMARY KEY,
+  fix_id TEXT REFERENCES diagnoses(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  success BOOLEAN,
+  issues_remaining INTEGER,
+  remaining_issues JSONB,
+  checked_issues JSONB,
+  verified BOOLEAN DEFAULT FALSE,
+  comment TEXT
+);
+
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS remaining_issues JSONB;
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS checked_issues JSONB;
+ALTER TABLE feedback ADD COLUMN IF NOT EXISTS verified BOOLEAN DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS diagnosis_jobs (
+  id TEXT PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'pending',
+  payload JSONB,
+  source TEXT,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS ai_cache (
+  fingerprint TEXT PRIMARY KEY,
+  rules_version TEXT NOT NULL,
+  analysis JSONB NOT NULL,
+  hits INTEGER DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS admin_tokens (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_diagnoses_created ON diagnoses(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_diagnoses_host ON diagnoses(host_hash);
+CREATE INDEX IF NOT EXISTS idx_diagnoses_version ON diagnoses(openclaw_version);
+CREATE INDEX IF NOT EXISTS idx_ai_discoveries_hash ON ai_discoveries(issue_hash);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_discoveries_hash_unique ON ai_discoveries(issue_hash);
+CREATE INDEX IF NOT EXISTS idx_diagnosis_jobs_open ON diagnosis_jobs(created_at) WHERE status IN ('pending', 'running');
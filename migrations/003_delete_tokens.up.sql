@@ -0,0 +1,5 @@
+-- Owner deletion (see src/owner-auth.js): the hash of the token /api/diagnose
+-- handed back, on the diagnosis and on its job until the diagnosis exists
+
+ALTER TABLE diagnoses ADD COLUMN delete_token_hash TEXT;
+ALTER TABLE diagnosis_jobs ADD COLUMN delete_token_hash TEXT;
@@ -0,0 +1,3 @@
+ALTER TABLE diagnosis_jobs DROP COLUMN host_secret_hash;
+ALTER TABLE diagnoses DROP COLUMN service_restarts;
+ALTER TABLE diagnoses DROP COLUMN host_secret_hash;
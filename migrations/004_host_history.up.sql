@@ -0,0 +1,6 @@
+-- Per-host history (see src/history.js): the hash of the host secret a
+-- diagnosis was sent with, on it and on its job, and systemd's restart count
+
+ALTER TABLE diagnoses ADD COLUMN host_secret_hash TEXT;
+ALTER TABLE diagnoses ADD COLUMN service_restarts INTEGER;
+ALTER TABLE diagnosis_jobs ADD COLUMN host_secret_hash TEXT;
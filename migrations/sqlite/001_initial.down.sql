@@ -0,0 +1,8 @@
+-- Drops everything ClawFix stores
+DROP TABLE IF EXISTS admin_tokens;
+DROP TABLE IF EXISTS ai_cache;
+DROP TABLE IF EXISTS diagnosis_jobs;
+DROP TABLE IF EXISTS feedback;
+DROP TABLE IF EXISTS ai_discoveries;
+DROP TABLE IF EXISTS patterns;
+DROP TABLE IF EXISTS diagnoses;
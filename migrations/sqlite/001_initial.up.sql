@@ -0,0 +1,110 @@
+-- The same schema as ../001_initial for SQLite: JSON is stored as text,
+-- booleans as 0/1 and timestamps as ISO 8601 text in UTC.
+
+CREATE TABLE IF NOT EXISTS diagnoses (
+  id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  host_hash TEXT,
+  os TEXT,
+  arch TEXT,
+  node_version TEXT,
+  openclaw_version TEXT,
+  issues_pattern TEXT DEFAULT '[]',
+  issues_ai TEXT DEFAULT '[]',
+  issues_count INTEGER DEFAULT 0,
+  ai_model TEXT,
+  ai_tokens INTEGER,
+  fix_script TEXT,
+  ai_summary TEXT,
+  ai_insights TEXT,
+  known_issues_detail TEXT DEFAULT '[]',
+  fix_plan TEXT,
+  outcome TEXT DEFAULT 'unknown',
+  paid INTEGER DEFAULT 0,
+  amount REAL DEFAULT 0,
+  payment_method TEXT,
+  source TEXT DEFAULT 'unknown',
+  service_manager TEXT,
+  service_state TEXT,
+  service_exit_code TEXT,
+  err_log_size_mb INTEGER,
+  sigterm_count INTEGER,
+  ai_input_tokens INTEGER,
+  ai_output_tokens INTEGER,
+  ai_cost_usd REAL,
+  ai_cache_hit INTEGER,
+  payload TEXT
+);
+
+CREATE TABLE IF NOT EXISTS patterns (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  severity TEXT NOT NULL,
+  times_detected INTEGER DEFAULT 0,
+  times_fixed INTEGER DEFAULT 0,
+  times_verified INTEGER DEFAULT 0,
+  success_rate REAL,
+  first_seen TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_seen TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  source TEXT DEFAULT 'manual'
+);
+
+CREATE TABLE IF NOT EXISTS ai_discoveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  issue_hash TEXT UNIQUE,
+  issue_summary TEXT NOT NULL,
+  similar_count INTEGER DEFAULT 1,
+  first_seen TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_seen TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  graduated INTEGER DEFAULT 0,
+  pattern_id TEXT REFERENCES patterns(id),
+  title TEXT,
+  severity TEXT,
+  examples TEXT DEFAULT '[]'
+);
+
+CREATE TABLE IF NOT EXISTS feedback (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  fix_id TEXT REFERENCES diagnoses(id),
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  success INTEGER,
+  issues_remaining INTEGER,
+  remaining_issues TEXT,
+  checked_issues TEXT,
+  verified INTEGER DEFAULT 0,
+  comment TEXT
+);
+
+CREATE TABLE IF NOT EXISTS diagnosis_jobs (
+  id TEXT PRIMARY KEY,
+  status TEXT NOT NULL DEFAULT 'pending',
+  payload TEXT,
+  source TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS ai_cache (
+  fingerprint TEXT PRIMARY KEY,
+  rules_version TEXT NOT NULL,
+  analysis TEXT NOT NULL,
+  hits INTEGER DEFAULT 0,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  expires_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS admin_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_used_at TEXT,
+  revoked_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_diagnoses_created ON diagnoses(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_diagnoses_host ON diagnoses(host_hash);
+CREATE INDEX IF NOT EXISTS idx_diagnoses_version ON diagnoses(openclaw_version);
+CREATE INDEX IF NOT EXISTS idx_diagnosis_jobs_open ON diagnosis_jobs(created_at) WHERE status IN ('pending', 'running');
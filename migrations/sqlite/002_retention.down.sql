@@ -0,0 +1,2 @@
+ALTER TABLE diagnoses DROP COLUMN anonymized_at;
+ALTER TABLE diagnoses DROP COLUMN expired_at;
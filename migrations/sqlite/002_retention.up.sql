@@ -0,0 +1,5 @@
+-- Retention (see src/retention.js): when a diagnosis's results were deleted,
+-- and when it was stripped of what identifies the machine
+
+ALTER TABLE diagnoses ADD COLUMN expired_at TEXT;
+ALTER TABLE diagnoses ADD COLUMN anonymized_at TEXT;
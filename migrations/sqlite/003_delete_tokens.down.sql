@@ -0,0 +1,2 @@
+ALTER TABLE diagnosis_jobs DROP COLUMN delete_token_hash;
+ALTER TABLE diagnoses DROP COLUMN delete_token_hash;
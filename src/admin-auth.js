@@ -0,0 +1,76 @@
+/**
+ * Admin API auth
+ * Operators authenticate with `Authorization: Bearer <token>`. ADMIN_TOKEN is
+ * the operator token and can do everything, including minting scoped tokens
+ * for people and scripts that need less. Scoped tokens live in admin_tokens,
+ * stored as SHA-256 hashes; the token itself is shown once, when it's made.
+ * Without ADMIN_TOKEN the admin API is off.
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { findAdminToken } from './db.js';
+
+/**
+ *   read      list and view diagnoses, feedback and discoveries
+ *   delete    delete diagnoses
+ *   rerun     re-run pattern matching on a stored diagnosis
+ *   graduate  turn discoveries into draft rules
+ *   tokens    create, list and revoke scoped tokens
+ */
+export const ADMIN_SCOPES = ['read', 'delete', 'rerun', 'graduate', 'tokens'];
+
+export const hashToken = token => createHash('sha256').update(token).digest('hex');
+
+/**
+ * A new scoped token — { token, hash }; only the hash is stored
+ */
+export function generateToken() {
+  const token = `cfx_admin_${randomBytes(24).toString('base64url')}`;
+  return { token, hash: hashToken(token) };
+}
+
+function sameSecret(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Middleware for the admin router. operatorToken() and findToken(hash) are
+ * swappable for tests; findToken resolves to { id, name, scopes } or null.
+ */
+export function createAdminAuth({
+  operatorToken = () => process.env.ADMIN_TOKEN,
+  findToken = findAdminToken,
+} = {}) {
+  return {
+    /**
+     * Identify the caller as req.admin = { name, scopes }
+     */
+    async authenticate(req, res, next) {
+      const operator = operatorToken();
+      if (!operator) return res.status(503).json({ error: 'Admin API disabled', hint: 'Set ADMIN_TOKEN to enable it' });
+
+      const given = req.headers.authorization?.match(/^Bearer\s+(\S+)$/i)?.[1];
+      if (!given) return res.status(401).json({ error: 'Missing admin token' });
+
+      if (sameSecret(given, operator)) {
+        req.admin = { name: 'operator', scopes: ADMIN_SCOPES };
+        return next();
+      }
+
+      const scoped = await findToken(hashToken(given));
+      if (!scoped) return res.status(401).json({ error: 'Invalid admin token' });
+      req.admin = { id: scoped.id, name: scoped.name, scopes: scoped.scopes };
+      next();
+    },
+
+    /**
+     * Only let through callers whose token has `scope`
+     */
+    requireScope: scope => (req, res, next) => {
+      if (req.admin?.scopes.includes(scope)) return next();
+      res.status(403).json({ error: `Token lacks the "${scope}" scope` });
+    },
+  };
+}
@@ -0,0 +1,155 @@
+/**
+ * AI analysis cache
+ * Most diagnoses are one of a few situations — the same issues on the same
+ * OpenClaw version — and an AI answer for one fits the next. A situation is
+ * fingerprinted from what the analysis depends on: the detected issue IDs,
+ * OpenClaw version, OS family, service and gateway state, the config sections
+ * the prompt shows in full and the set of distinct log lines (hashed, counts
+ * ignored). Entries live in memory and, with a database, in ai_cache.
+ *
+ * The rule set version is part of the fingerprint, so new or changed rules
+ * start a fresh cache; entries from older rule sets are purged when the
+ * change is noticed. AI_CACHE_TTL_HOURS sets how long an answer is reused
+ * (0 turns caching off).
+ */
+
+import { createHash } from 'node:crypto';
+import { relevantConfigPaths, lineKey, LOG_FIELDS } from './ai-prompt.js';
+import { getCachedAnalysis, storeCachedAnalysis, purgeAICache } from './db.js';
+
+export const DEFAULT_CACHE_TTL_HOURS = 24;
+
+const sha256 = text => createHash('sha256').update(text).digest('hex');
+
+// JSON with object keys sorted, so key order in a config doesn't matter
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Fingerprint of the situation a diagnostic describes, under a rule set
+ */
+export function diagnosticFingerprint(diagnostic, knownIssues, rulesVersion) {
+  const config = diagnostic.config || {};
+  const sections = relevantConfigPaths(knownIssues).map(keys => [keys.join('.'), keys.reduce((v, k) => v?.[k], config)]);
+
+  const logLines = new Set();
+  for (const field of LOG_FIELDS) {
+    const text = diagnostic.logs?.[field];
+    if (typeof text !== 'string') continue;
+    for (const line of text.split('\n')) {
+      if (line.trim()) logLines.add(lineKey(line));
+    }
+  }
+
+  return sha256(canonical({
+    rules: rulesVersion,
+    issues: knownIssues.map(i => i.id).sort(),
+    openclawVersion: diagnostic.openclaw?.version,
+    os: [diagnostic.system?.os?.split(' ')[0], diagnostic.system?.arch],
+    service: [diagnostic.service?.manager, diagnostic.service?.state],
+    gateway: [diagnostic.openclaw?.processExists, diagnostic.openclaw?.portListening],
+    config: sections,
+    logs: sha256([...logLines].sort().join('\n')),
+  }));
+}
+
+/**
+ * Cache TTL from the environment, in ms
+ */
+export function loadCacheTTL(env = process.env) {
+  const value = env.AI_CACHE_TTL_HOURS;
+  if (value === undefined || value === '') return DEFAULT_CACHE_TTL_HOURS * 3600_000;
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours < 0) {
+    console.warn(`⚠️  Ignoring AI_CACHE_TTL_HOURS="${value}" — using ${DEFAULT_CACHE_TTL_HOURS}`);
+    return DEFAULT_CACHE_TTL_HOURS * 3600_000;
+  }
+  return hours * 3600_000;
+}
+
+/**
+ * A cache of analyses by fingerprint. rulesVersion() is checked on every use;
+ * when it changes the memory cache is emptied and the store purged. `store`
+ * and `now` are swappable for tests.
+ */
+export function createAICache({
+  ttlMs,
+  rulesVersion,
+  maxEntries = 500,
+  store = { get: getCachedAnalysis, set: storeCachedAnalysis, purge: purgeAICache },
+  now = Date.now,
+}) {
+  const entries = new Map(); // fingerprint → { analysis, createdAt, expiresAt }
+  const counts = { hits: 0, misses: 0 };
+  let seenVersion = rulesVersion();
+
+  function checkRules() {
+    const version = rulesVersion();
+    if (version === seenVersion) return;
+    // null: rules weren't loaded yet at startup — only the stored entries can be stale
+    if (seenVersion !== null) {
+      entries.clear();
+      console.log('🧹 Rules changed — AI cache cleared');
+    }
+    seenVersion = version;
+    store.purge(version).catch(() => {});
+  }
+
+  return {
+    /**
+     * { analysis, createdAt } for a fingerprint, or null
+     */
+    async get(fingerprint) {
+      if (ttlMs <= 0) return null;
+      checkRules();
+
+      let entry = entries.get(fingerprint);
+      if (entry && entry.expiresAt <= now()) {
+        entries.delete(fingerprint);
+        entry = null;
+      }
+      if (!entry) {
+        const stored = await store.get(fingerprint);
+        if (stored) {
+          entry = { ...stored, expiresAt: Date.parse(stored.createdAt) + ttlMs };
+          entries.set(fingerprint, entry);
+        }
+      }
+
+      if (entry) counts.hits++;
+      else counts.misses++;
+      return entry ? { analysis: entry.analysis, createdAt: entry.createdAt } : null;
+    },
+
+    async set(fingerprint, analysis) {
+      if (ttlMs <= 0) return;
+      checkRules();
+
+      const createdAt = new Date(now()).toISOString();
+      entries.set(fingerprint, { analysis, createdAt, expiresAt: now() + ttlMs });
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+      await store.set(fingerprint, seenVersion, analysis, ttlMs);
+    },
+
+    /**
+     * For /api/stats — hits and misses since startup
+     */
+    stats() {
+      const lookups = counts.hits + counts.misses;
+      return {
+        enabled: ttlMs > 0,
+        ttlHours: ttlMs / 3600_000,
+        rulesVersion: seenVersion,
+        entries: entries.size,
+        hits: counts.hits,
+        misses: counts.misses,
+        hitRate: lookups ? counts.hits / lookups : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,179 @@
+/**
+ * AI provider fallback chain
+ * Providers are tried in order until one answers. Each call has a timeout;
+ * retryable failures (429, 5xx, timeouts) are retried with exponential
+ * backoff, honouring Retry-After. A provider that keeps failing trips its
+ * circuit breaker and is skipped until the cooldown passes, then gets one
+ * trial call (half-open) before it's trusted again.
+ *
+ *   AI_CHAIN=anthropic:claude-sonnet-4-5,openrouter:minimax/minimax-m2.5
+ *
+ * Without AI_CHAIN the chain is the single AI_PROVIDER / AI_MODEL pair.
+ */
+
+import { callProvider, PROVIDER_KEY_VARS, PROVIDER_URL_VARS } from './ai-providers.js';
+
+const DEFAULT_PROVIDER = 'openrouter';
+const DEFAULT_MODEL = 'minimax/minimax-m2.5';
+const MAX_BACKOFF_MS = 10_000;
+
+const label = config => `${config.provider}:${config.model}`;
+
+/**
+ * Chain entries from the environment, in order. Each provider's key comes
+ * from its own variable (ANTHROPIC_API_KEY, …), then AI_API_KEY. Entries
+ * without a key are left out. Base URLs come from the provider's own variable
+ * (ANTHROPIC_BASE_URL, …); AI_BASE_URL is for the single AI_PROVIDER only,
+ * since one URL can't serve every provider in a chain.
+ */
+export function loadChainConfig(env = process.env) {
+  const spec = env.AI_CHAIN || `${env.AI_PROVIDER || DEFAULT_PROVIDER}:${env.AI_MODEL || DEFAULT_MODEL}`;
+  if (env.AI_CHAIN && env.AI_BASE_URL) {
+    console.error('⚠️  AI_BASE_URL is ignored with AI_CHAIN — set the provider\'s own, e.g. OPENROUTER_BASE_URL');
+  }
+
+  const configs = [];
+  for (const entry of spec.split(',').map(s => s.trim()).filter(Boolean)) {
+    // Split on the first colon only — model names can contain colons (":free")
+    const at = entry.indexOf(':');
+    if (at < 1 || at === entry.length - 1) throw new Error(`AI_CHAIN entry "${entry}" must be provider:model`);
+    const provider = entry.slice(0, at);
+    const apiKey = env[PROVIDER_KEY_VARS[provider]] || env.AI_API_KEY;
+    if (!apiKey) {
+      if (env.AI_CHAIN) console.error(`⚠️  AI_CHAIN: no API key for ${entry} — skipped`);
+      continue;
+    }
+    configs.push({
+      provider,
+      model: entry.slice(at + 1),
+      apiKey,
+      // null: the provider's own (PROVIDER_URLS)
+      baseUrl: env[PROVIDER_URL_VARS[provider]] || (env.AI_CHAIN ? null : env.AI_BASE_URL) || null,
+      maxTokens: 2000,
+    });
+  }
+  return configs;
+}
+
+/**
+ * Chain settings from the environment
+ */
+export function loadChainOptions(env = process.env) {
+  // A whole number (at least min), or the default — NaN retries would never
+  // stop and a NaN timeout fails every call
+  const num = (name, fallback, min = 0) => {
+    const value = env[name];
+    if (value === undefined || value === '') return fallback;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) {
+      console.error(`⚠️  Ignoring ${name}="${value}" — using ${fallback}`);
+      return fallback;
+    }
+    return n;
+  };
+  return {
+    timeoutMs: num('AI_TIMEOUT_MS', 30_000, 1),
+    retries: num('AI_RETRIES', 2),
+    breakerThreshold: num('AI_BREAKER_THRESHOLD', 3),
+    breakerCooldownMs: num('AI_BREAKER_COOLDOWN_MS', 60_000),
+  };
+}
+
+/**
+ * Build a chain over provider configs. call(system, messages) returns the
+ * first provider's answer ({ text, usage, provider, model, … }) or throws once
+ * every provider has failed or is open. messages may be a function of the
+ * provider config, for prompts sized to each model. `call`, `sleep`, `now`
+ * and `log` are swappable for tests.
+ *
+ * call(system, messages, { onToken, onRestart }) streams the reply through
+ * onToken; if a stream breaks off and the call is retried or moves on to the
+ * next provider, onRestart() is called first so the partial text can be dropped.
+ */
+export function createAIChain(configs, {
+  timeoutMs = 30_000,
+  retries = 2,
+  backoffMs = 500,
+  breakerThreshold = 3,
+  breakerCooldownMs = 60_000,
+  call = callProvider,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  now = Date.now,
+  log = console.error,
+} = {}) {
+  const breakers = new Map(configs.map(config => [config, { failures: 0, openUntil: 0 }]));
+
+  const stateOf = breaker => {
+    if (breaker.failures < breakerThreshold) return 'closed';
+    return now() < breaker.openUntil ? 'open' : 'half-open';
+  };
+
+  async function attempt(config, system, messages, stream) {
+    const conversation = typeof messages === 'function' ? messages(config) : messages;
+    for (let n = 0; ; n++) {
+      // Text from a failed attempt is already out; tell the listener to drop it
+      if (stream.streamed) {
+        stream.streamed = false;
+        stream.onRestart?.();
+      }
+      const onToken = stream.onToken && (text => {
+        stream.streamed = true;
+        stream.onToken(text);
+      });
+      try {
+        return await call(config, system, conversation, { signal: AbortSignal.timeout(timeoutMs), onToken });
+      } catch (err) {
+        if (!err.retryable || n >= retries) throw err;
+        const wait = Math.min(err.retryAfter ? err.retryAfter * 1000 : backoffMs * 2 ** n, MAX_BACKOFF_MS);
+        log(`⚠️  ${label(config)}: ${err.message} — retrying in ${wait}ms`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  return {
+    configs,
+
+    async call(system, messages, { onToken, onRestart } = {}) {
+      if (!configs.length) throw new Error('no AI provider configured');
+
+      const stream = { onToken, onRestart, streamed: false };
+      const errors = [];
+      for (const config of configs) {
+        const breaker = breakers.get(config);
+        if (stateOf(breaker) === 'open') {
+          errors.push(`${label(config)}: circuit open`);
+          continue;
+        }
+        try {
+          const result = await attempt(config, system, messages, stream);
+          breaker.failures = 0;
+          return result;
+        } catch (err) {
+          // A request the provider rejects as malformed says nothing about its health
+          if (err.kind !== 'bad_request') {
+            breaker.failures++;
+            if (breaker.failures >= breakerThreshold) breaker.openUntil = now() + breakerCooldownMs;
+          }
+          log(`⚠️  ${label(config)} failed: ${err.message}`);
+          errors.push(`${label(config)}: ${err.message}`);
+        }
+      }
+      throw new Error(`all AI providers failed (${errors.join('; ')})`);
+    },
+
+    /**
+     * Breaker state per provider, for /api/stats
+     */
+    status() {
+      return configs.map(config => {
+        const breaker = breakers.get(config);
+        return { provider: config.provider, model: config.model, state: stateOf(breaker), failures: breaker.failures };
+      });
+    },
+  };
+}
+
+export function describeChain(configs) {
+  return configs.map(label).join(' → ');
+}
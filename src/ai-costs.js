@@ -0,0 +1,101 @@
+/**
+ * AI cost accounting
+ * Every provider reports prompt and completion tokens (see ai-providers.js);
+ * this turns them into USD with a per-model price table and keeps a daily
+ * budget. Prices are USD per million tokens, looked up by "provider:model",
+ * then by model alone. AI_PRICES (JSON, same shape) adds to or overrides the
+ * defaults:
+ *
+ *   AI_PRICES='{"openrouter:minimax/minimax-m2.5": {"input": 0.3, "output": 1.2}}'
+ *
+ * With AI_DAILY_BUDGET_USD set, AI analysis stops once the UTC day's spend
+ * reaches it and /api/diagnose falls back to pattern matching until midnight.
+ */
+
+// List prices at the time of writing — override with AI_PRICES when they change
+export const DEFAULT_PRICES = {
+  'minimax/minimax-m2.5': { input: 0.3, output: 1.2 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'deepseek-chat': { input: 0.28, output: 0.42 },
+};
+
+/**
+ * The price table: defaults plus AI_PRICES
+ */
+export function loadPrices(env = process.env) {
+  if (!env.AI_PRICES) return { ...DEFAULT_PRICES };
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(env.AI_PRICES) };
+  } catch (err) {
+    console.error(`⚠️  AI_PRICES is not valid JSON (${err.message}) — using default prices`);
+    return { ...DEFAULT_PRICES };
+  }
+}
+
+/**
+ * USD cost of one call, or null when the model has no price or the provider
+ * reported no usage
+ */
+export function costOf(prices, { provider, model, usage }) {
+  const price = prices[`${provider}:${model}`] || prices[model];
+  if (!price || usage?.inputTokens == null || usage?.outputTokens == null) return null;
+  return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Add up the calls behind one analysis (the first answer plus any repair).
+ * costUsd is null if any call couldn't be priced.
+ */
+export function sumUsage(calls) {
+  const total = { calls: calls.length, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  for (const call of calls) {
+    total.inputTokens += call.usage?.inputTokens || 0;
+    total.outputTokens += call.usage?.outputTokens || 0;
+    total.costUsd = total.costUsd === null || call.costUsd === null ? null : total.costUsd + call.costUsd;
+  }
+  return total;
+}
+
+/**
+ * Spend tracker for the current UTC day. dailyUsd null means no cap. seed()
+ * loads what was already spent today (from the database after a restart).
+ */
+export function createBudget({ dailyUsd = null, now = Date.now } = {}) {
+  const today = () => new Date(now()).toISOString().slice(0, 10);
+  let day = today();
+  let spent = 0;
+
+  const roll = () => {
+    if (today() !== day) {
+      day = today();
+      spent = 0;
+    }
+  };
+
+  return {
+    seed(usd) {
+      roll();
+      spent = Math.max(spent, usd || 0);
+    },
+    add(usd) {
+      roll();
+      spent += usd || 0;
+    },
+    exceeded() {
+      roll();
+      return dailyUsd !== null && spent >= dailyUsd;
+    },
+    status() {
+      roll();
+      return { day, spentUsd: Number(spent.toFixed(6)), dailyBudgetUsd: dailyUsd, exceeded: dailyUsd !== null && spent >= dailyUsd };
+    },
+  };
+}
+
+export function loadDailyBudget(env = process.env) {
+  const usd = Number(env.AI_DAILY_BUDGET_USD);
+  return env.AI_DAILY_BUDGET_USD && usd >= 0 ? usd : null;
+}
@@ -0,0 +1,133 @@
+/**
+ * AI analysis output contract
+ * The analyzer asks the model for JSON matching schemas/ai-analysis.json.
+ * parseAIOutput() checks a reply against it (fix plans against validatePlan),
+ * repairPrompt() asks the model to correct a bad reply, and textAnalysis() is
+ * the old free-text scrape, kept as the fallback for models that never manage
+ * valid JSON.
+ */
+
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+import { OPERATIONS, CHECKS, validatePlan } from '../cli/lib/fix-plan.js';
+
+const SCHEMA_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', 'schemas', 'ai-analysis.json');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateSchema = ajv.compile(JSON.parse(readFileSync(SCHEMA_PATH, 'utf8')));
+
+const describeFields = defs => Object.entries(defs)
+  .map(([name, def]) => `${name} {${Object.keys(def.fields).join(', ')}}`)
+  .join('; ');
+
+/**
+ * Appended to the analysis request — the reply format, including the fix
+ * plan operations so AI fixes get the same treatment as rule fixes
+ */
+export const OUTPUT_INSTRUCTIONS = `Reply with ONLY a JSON object — no prose, no code fences — of this shape:
+{
+  "summary": "2-4 plain-language sentences on the overall health of this installation",
+  "insights": ["one optimization suggestion per entry"],
+  "issues": [{ "id": "kebab-case-id", "severity": "critical|high|medium|low", "title": "...", "description": "...", "confidence": 0.8 }],
+  "fixes": [{ "issueId": "an id from issues", "title": "...", "plan": { "summary": "...", "steps": [{ "op": "config.set", "path": "agents.defaults.x", "value": true }] } }],
+  "confidence": 0.8
+}
+- "issues" lists only problems NOT already detected by pattern matching; use [] when there are none.
+- "confidence" is 0 to 1: how sure you are, given the data.
+- Fix plans may also have "preconditions" and "verify" lists of checks. Field names marked ? are optional.
+  Operations: ${describeFields(OPERATIONS)}
+  Checks: ${describeFields(CHECKS)}
+  Prefer operations over {"op": "shell", "script": "..."}; use shell only when nothing else fits.`;
+
+/**
+ * Pull the JSON object out of a reply, tolerating code fences and chatter
+ */
+function extractJSON(text) {
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end < start) throw new Error('no JSON object in the reply');
+  return JSON.parse(unfenced.slice(start, end + 1));
+}
+
+/**
+ * Check a model reply. Returns { value, errors } — errors are readable strings
+ * to feed back to the model; value is usable only when errors is empty.
+ * Issues that pattern matching already found (knownIds) are dropped.
+ */
+export function parseAIOutput(text, knownIds = []) {
+  let value;
+  try {
+    value = extractJSON(text);
+  } catch (err) {
+    return { value: null, errors: [`not valid JSON: ${err.message}`] };
+  }
+
+  if (!validateSchema(value)) {
+    const errors = validateSchema.errors.map(e => `${e.instancePath.slice(1).replace(/\//g, '.') || '(root)'} ${e.message}`);
+    return { value: null, errors };
+  }
+
+  const errors = [];
+  value.insights ||= [];
+  value.issues = value.issues.filter(i => !knownIds.includes(i.id));
+  const issueIds = new Set([...value.issues.map(i => i.id), ...knownIds]);
+  value.fixes.forEach((fix, i) => {
+    if (!issueIds.has(fix.issueId)) errors.push(`fixes.${i}.issueId "${fix.issueId}" is not an issue id`);
+    try {
+      validatePlan(fix.plan, `fixes.${i}.plan`);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  });
+
+  return { value: errors.length ? null : value, errors };
+}
+
+/**
+ * Follow-up message asking the model to fix its previous reply
+ */
+export function repairPrompt(errors) {
+  return `Your reply did not match the required format:
+${errors.slice(0, 10).map(e => `- ${e}`).join('\n')}
+
+Reply again with ONLY the corrected JSON object.`;
+}
+
+/**
+ * Analysis result from a valid structured reply
+ */
+export function structuredAnalysis(value) {
+  return {
+    summary: value.summary,
+    insights: value.insights.map(i => `• ${i}`).join('\n'),
+    additionalIssues: value.issues.map(i => ({ ...i, source: 'ai' })),
+    aiFixes: value.fixes,
+    additionalFixes: '',
+    confidence: value.confidence,
+    structured: true,
+  };
+}
+
+function extractSection(text, keyword) {
+  const regex = new RegExp(`(?:^|\\n)(?:#+\\s*)?(?:${keyword})[:\\s]*\\n([\\s\\S]*?)(?=\\n#+|$)`, 'i');
+  const match = text.match(regex);
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Fallback: scrape sections out of a free-text reply
+ */
+export function textAnalysis(text) {
+  return {
+    summary: extractSection(text, 'summary') || text.slice(0, 500),
+    insights: extractSection(text, 'optimization') || '',
+    additionalIssues: [],
+    aiFixes: [],
+    additionalFixes: extractSection(text, 'fix') || '',
+    confidence: null,
+    structured: false,
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * AI prompt builder
+ * The analysis prompt is built from a trimmed copy of the diagnostic, not the
+ * raw payload: repeated log lines are collapsed (a handshake storm is
+ * thousands of identical lines), the config is cut down to an outline plus the
+ * sections the detected issues touch, and the result is squeezed level by
+ * level until it fits the model's prompt budget.
+ *
+ * Budgets are estimated tokens (~4 characters each) for the whole request,
+ * system prompt included. AI_PROMPT_TOKENS sets the default, AI_PROMPT_BUDGETS
+ * (JSON, by "provider:model" or model) overrides it per model.
+ */
+
+import { planEffects } from '../cli/lib/fix-plan.js';
+import { parsePath } from '../cli/lib/rule-engine.js';
+import { OUTPUT_INSTRUCTIONS } from './ai-output.js';
+
+export const DEFAULT_PROMPT_TOKENS = 12_000;
+
+export const LOG_FIELDS = ['errors', 'stderr', 'gatewayLog'];
+const MAX_LINE_CHARS = 300;
+const MAX_STRING_CHARS = 200;
+const FULL_DEPTH = 8;
+
+// Always worth showing in full, whatever was detected
+const ALWAYS_RELEVANT = [['gateway']];
+
+// Tried in order until the prompt fits
+const LEVELS = [
+  { logLines: 60, configDepth: FULL_DEPTH, relevant: true },
+  { logLines: 60, configDepth: 3, relevant: true },
+  { logLines: 30, configDepth: 2, relevant: true },
+  { logLines: 15, configDepth: 1, relevant: true },
+  { logLines: 5, configDepth: 1, relevant: false },
+  { logLines: 0, configDepth: 0, relevant: false },
+];
+
+export const estimateTokens = text => Math.ceil(text.length / 4);
+
+/**
+ * Prompt budget for one chain entry
+ */
+export function promptBudget(budgets, { provider, model }) {
+  return budgets[`${provider}:${model}`] || budgets[model] || budgets.default || DEFAULT_PROMPT_TOKENS;
+}
+
+/**
+ * Budget table from the environment
+ */
+export function loadPromptBudgets(env = process.env) {
+  const budgets = env.AI_PROMPT_TOKENS ? { default: Number(env.AI_PROMPT_TOKENS) } : {};
+  if (!env.AI_PROMPT_BUDGETS) return budgets;
+  try {
+    return { ...budgets, ...JSON.parse(env.AI_PROMPT_BUDGETS) };
+  } catch (err) {
+    console.error(`⚠️  AI_PROMPT_BUDGETS is not valid JSON (${err.message}) — ignored`);
+    return budgets;
+  }
+}
+
+// Lines that differ only in timestamps, counters or ids count as the same line
+export const lineKey = line => line
+  .replace(/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, '')
+  .replace(/0x[0-9a-f]+/gi, '0x')
+  .replace(/\d+/g, '0')
+  .trim();
+
+/**
+ * Collapse repeated log lines into one with a count, keeping the most recent
+ * maxLines distinct ones in order of first appearance
+ */
+export function dedupeLog(text, maxLines) {
+  if (!text || maxLines <= 0) return '';
+
+  const groups = new Map();
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const key = lineKey(line);
+    const group = groups.get(key);
+    if (group) group.count++;
+    else groups.set(key, { line: line.length > MAX_LINE_CHARS ? line.slice(0, MAX_LINE_CHARS) + '…' : line, count: 1 });
+  }
+
+  const all = [...groups.values()];
+  const kept = all.slice(-maxLines).map(g => (g.count > 1 ? `${g.line}  [×${g.count}]` : g.line));
+  if (all.length > maxLines) kept.unshift(`[${all.length - maxLines} earlier distinct lines omitted]`);
+  return kept.join('\n');
+}
+
+// Value cut to `depth` levels; deeper objects and arrays become a size note
+function outline(value, depth) {
+  if (Array.isArray(value)) {
+    return depth > 0 ? value.slice(0, 10).map(v => outline(v, depth - 1)) : `[${value.length} items]`;
+  }
+  if (value && typeof value === 'object') {
+    if (depth <= 0) return `{${Object.keys(value).length} keys}`;
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, outline(v, depth - 1)]));
+  }
+  if (typeof value === 'string' && value.length > MAX_STRING_CHARS) return value.slice(0, MAX_STRING_CHARS) + '…';
+  return value;
+}
+
+/**
+ * Config sections the detected issues' fixes change — the parent of each
+ * config.set path
+ */
+export function relevantConfigPaths(knownIssues) {
+  const paths = [...ALWAYS_RELEVANT];
+  for (const issue of knownIssues) {
+    if (!issue.plan) continue;
+    for (const path of planEffects(issue.plan).config) {
+      const keys = parsePath(path);
+      paths.push(keys.length > 1 ? keys.slice(0, -1) : keys);
+    }
+  }
+  return paths;
+}
+
+/**
+ * The config as an outline `depth` levels deep, with the given sections in full
+ */
+export function summarizeConfig(config, depth, paths = []) {
+  if (!config || typeof config !== 'object') return config ?? null;
+
+  const summary = outline(config, depth);
+  for (const keys of paths) {
+    let source = config;
+    for (const key of keys) source = source?.[key];
+    if (source === undefined) continue;
+
+    let target = summary;
+    keys.slice(0, -1).forEach(key => {
+      if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = outline(source, FULL_DEPTH);
+  }
+  return summary;
+}
+
+function trimDiagnostic(diagnostic, knownIssues, level) {
+  const logs = { ...diagnostic.logs };
+  for (const field of LOG_FIELDS) {
+    if (typeof logs[field] === 'string') logs[field] = dedupeLog(logs[field], level.logLines);
+  }
+  const paths = level.relevant ? relevantConfigPaths(knownIssues) : [];
+  return { ...diagnostic, logs, config: summarizeConfig(diagnostic.config, level.configDepth, paths) };
+}
+
+function render(knownIssues, data) {
+  const knownIds = knownIssues.map(i => i.id);
+  return `Analyze this OpenClaw diagnostic data.
+
+Known issues already detected by pattern matching: ${knownIds.join(', ') || 'none'}
+
+Look for ADDITIONAL issues not covered by the known patterns. Also provide:
+1. A brief plain-language summary of the overall health
+2. Any optimization suggestions
+3. Fix plans for any new issues you find
+
+${OUTPUT_INSTRUCTIONS}
+
+Diagnostic data (repeated log lines are collapsed with a [×count]; config
+sections not related to the detected issues are outlined as {N keys}):
+${data}`;
+}
+
+/**
+ * The analysis request for one model. Returns { text, tokens, level } —
+ * level is how many trimming steps it took (0 = the lightest).
+ */
+export function buildPrompt(diagnostic, knownIssues, { maxTokens = DEFAULT_PROMPT_TOKENS, reservedTokens = 0 } = {}) {
+  const available = maxTokens - reservedTokens;
+
+  let text = '';
+  for (const [i, level] of LEVELS.entries()) {
+    text = render(knownIssues, JSON.stringify(trimDiagnostic(diagnostic, knownIssues, level), null, 2));
+    if (estimateTokens(text) <= available) return { text, tokens: estimateTokens(text), level: i };
+  }
+
+  // Even the smallest outline is too big: cut the data off at the budget
+  text = text.slice(0, Math.max(available * 4 - 20, 0)) + '\n…(truncated)';
+  return { text, tokens: estimateTokens(text), level: LEVELS.length };
+}
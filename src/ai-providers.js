@@ -0,0 +1,256 @@
+/**
+ * AI provider adapters
+ * Each provider speaks its own API: request shape, auth header, where the
+ * text and token usage sit in the response, how errors look. An adapter maps
+ * one conversation ({ system, messages: [{ role: user|assistant, content }] })
+ * to a request and the response back to { text, usage }; with streaming, chunk()
+ * reads one streamed event. callProvider() sends it and turns failures into
+ * Errors carrying `kind` and `retryable`.
+ *
+ *   openai     — /chat/completions (OpenRouter, DeepSeek, Together, MiniMax)
+ *   anthropic  — /messages
+ *   gemini     — /models/<model>:generateContent
+ */
+
+import { parseSSE } from '../cli/lib/sse.js';
+
+// Provider base URLs
+export const PROVIDER_URLS = {
+  openrouter: 'https://openrouter.ai/api/v1',
+  anthropic: 'https://api.anthropic.com/v1',
+  deepseek: 'https://api.deepseek.com/v1',
+  gemini: 'https://generativelanguage.googleapis.com/v1beta',
+  together: 'https://api.together.xyz/v1',
+  minimax: 'https://api.minimax.chat/v1',
+};
+
+// Provider-specific key variables, used when AI_API_KEY isn't set
+export const PROVIDER_KEY_VARS = {
+  openrouter: 'OPENROUTER_API_KEY',
+  anthropic: 'ANTHROPIC_API_KEY',
+  gemini: 'GEMINI_API_KEY',
+  deepseek: 'DEEPSEEK_API_KEY',
+  together: 'TOGETHER_API_KEY',
+  minimax: 'MINIMAX_API_KEY',
+};
+
+// Provider-specific base URL overrides — AI_BASE_URL only applies without AI_CHAIN
+export const PROVIDER_URL_VARS = {
+  openrouter: 'OPENROUTER_BASE_URL',
+  anthropic: 'ANTHROPIC_BASE_URL',
+  gemini: 'GEMINI_BASE_URL',
+  deepseek: 'DEEPSEEK_BASE_URL',
+  together: 'TOGETHER_BASE_URL',
+  minimax: 'MINIMAX_BASE_URL',
+};
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const openai = {
+  request({ baseUrl, apiKey, model, maxTokens, system, messages, provider, stream }) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`,
+    };
+    // OpenRouter-specific headers
+    if (provider === 'openrouter') {
+      headers['HTTP-Referer'] = 'https://clawfix.dev';
+      headers['X-Title'] = 'ClawFix';
+    }
+    const body = { model, max_tokens: maxTokens, messages: [{ role: 'system', content: system }, ...messages] };
+    if (stream) Object.assign(body, { stream: true, stream_options: { include_usage: true } });
+    return { url: `${baseUrl}/chat/completions`, headers, body };
+  },
+  response(data) {
+    const choice = data.choices?.[0];
+    return {
+      text: choice?.message?.content || '',
+      finishReason: choice?.finish_reason || null,
+      usage: { inputTokens: data.usage?.prompt_tokens ?? null, outputTokens: data.usage?.completion_tokens ?? null },
+    };
+  },
+  chunk(event, data, acc) {
+    // Usage arrives in a final chunk with no choices
+    if (data.usage) acc.usage = { inputTokens: data.usage.prompt_tokens ?? null, outputTokens: data.usage.completion_tokens ?? null };
+    const choice = data.choices?.[0];
+    if (choice?.finish_reason) acc.finishReason = choice.finish_reason;
+    return choice?.delta?.content || '';
+  },
+};
+
+const anthropic = {
+  request({ baseUrl, apiKey, model, maxTokens, system, messages, stream }) {
+    return {
+      url: `${baseUrl}/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+      body: { model, max_tokens: maxTokens, system, messages, ...(stream && { stream: true }) },
+    };
+  },
+  response(data) {
+    return {
+      text: (data.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+      finishReason: data.stop_reason || null,
+      usage: { inputTokens: data.usage?.input_tokens ?? null, outputTokens: data.usage?.output_tokens ?? null },
+    };
+  },
+  chunk(event, data, acc) {
+    switch (data.type) {
+      case 'message_start':
+        acc.usage.inputTokens = data.message?.usage?.input_tokens ?? null;
+        return '';
+      case 'content_block_delta':
+        return data.delta?.type === 'text_delta' ? data.delta.text : '';
+      case 'message_delta':
+        acc.usage.outputTokens = data.usage?.output_tokens ?? null;
+        acc.finishReason = data.delta?.stop_reason || acc.finishReason;
+        return '';
+      case 'error':
+        // Errors after the 200 arrive as an event in the stream
+        throw providerError(`AI API stream error (anthropic): ${data.error?.message || 'unknown'}`, data.error?.type === 'overloaded_error'
+          ? { kind: 'overloaded', retryable: true }
+          : { kind: 'server', retryable: true });
+      default:
+        return '';
+    }
+  },
+};
+
+const gemini = {
+  request({ baseUrl, apiKey, model, maxTokens, system, messages, stream }) {
+    return {
+      url: `${baseUrl}/models/${encodeURIComponent(model)}:${stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': apiKey,
+      },
+      body: {
+        systemInstruction: { parts: [{ text: system }] },
+        contents: messages.map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
+        generationConfig: { maxOutputTokens: maxTokens },
+      },
+    };
+  },
+  response(data) {
+    const candidate = data.candidates?.[0];
+    return {
+      text: (candidate?.content?.parts || []).map(p => p.text || '').join(''),
+      finishReason: candidate?.finishReason || data.promptFeedback?.blockReason || null,
+      usage: { inputTokens: data.usageMetadata?.promptTokenCount ?? null, outputTokens: data.usageMetadata?.candidatesTokenCount ?? null },
+    };
+  },
+  chunk(event, data, acc) {
+    // Every chunk is a full response holding only the new text; usage is cumulative
+    const { text, finishReason, usage } = gemini.response(data);
+    if (finishReason) acc.finishReason = finishReason;
+    if (usage.inputTokens !== null) acc.usage = usage;
+    return text;
+  },
+};
+
+const ADAPTERS = { openai, anthropic, gemini };
+
+/**
+ * Adapter for a provider name; anything not anthropic or gemini is assumed
+ * to speak the OpenAI-compatible API
+ */
+export function getAdapter(provider) {
+  return ADAPTERS[provider] || openai;
+}
+
+function providerError(message, { kind, retryable, status = null, retryAfter = null }) {
+  const err = new Error(message);
+  Object.assign(err, { kind, retryable, status, retryAfter });
+  return err;
+}
+
+/**
+ * Error kind for an HTTP failure. Anthropic's 529 and any 503 mean the
+ * provider is overloaded — worth retrying, unlike bad keys or bad requests.
+ */
+export function classifyStatus(status) {
+  if (status === 401 || status === 403) return { kind: 'auth', retryable: false };
+  if (status === 429) return { kind: 'rate_limit', retryable: true };
+  if (status === 408) return { kind: 'timeout', retryable: true };
+  if (status === 503 || status === 529) return { kind: 'overloaded', retryable: true };
+  if (status >= 500) return { kind: 'server', retryable: true };
+  return { kind: 'bad_request', retryable: false };
+}
+
+// All three APIs put a readable message at error.message
+function errorMessage(text) {
+  try {
+    const data = JSON.parse(text);
+    return data.error?.message || data.message || text;
+  } catch {
+    return text;
+  }
+}
+
+// Fetch failures (before or during the body) as classified errors
+function transportError(err, provider) {
+  if (err.kind) return err;
+  if (err.name === 'AbortError' || err.name === 'TimeoutError') {
+    return providerError(`AI API timed out (${provider})`, { kind: 'timeout', retryable: true });
+  }
+  return providerError(`AI API unreachable (${provider}): ${err.cause?.code || err.message}`, { kind: 'network', retryable: true });
+}
+
+/**
+ * Read a streamed response, handing each piece of text to onToken
+ */
+async function readStream(adapter, response, onToken) {
+  const acc = { text: '', usage: { inputTokens: null, outputTokens: null }, finishReason: null };
+  for await (const { event, data } of parseSSE(response.body)) {
+    if (data === '[DONE]') break;
+    const delta = adapter.chunk(event, JSON.parse(data), acc);
+    if (delta) {
+      acc.text += delta;
+      onToken(delta);
+    }
+  }
+  return acc;
+}
+
+/**
+ * Send one conversation to a provider. config is { provider, model, apiKey,
+ * baseUrl?, maxTokens }. With onToken the reply is streamed and each piece
+ * of text passed to it as it arrives. Returns { text, usage, finishReason,
+ * provider, model }.
+ */
+export async function callProvider(config, system, messages, { signal, onToken } = {}) {
+  const baseUrl = config.baseUrl || PROVIDER_URLS[config.provider] || PROVIDER_URLS.openrouter;
+  const adapter = getAdapter(config.provider);
+  const { url, headers, body } = adapter.request({ ...config, baseUrl, system, messages, stream: Boolean(onToken) });
+
+  let response;
+  try {
+    response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal });
+  } catch (err) {
+    throw transportError(err, config.provider);
+  }
+
+  if (!response.ok) {
+    const text = await response.text();
+    const retryAfter = Number(response.headers.get('retry-after')) || null;
+    throw providerError(`AI API ${response.status} (${config.provider}): ${errorMessage(text).slice(0, 500)}`, {
+      ...classifyStatus(response.status),
+      status: response.status,
+      retryAfter,
+    });
+  }
+
+  let result;
+  try {
+    result = onToken ? await readStream(adapter, response, onToken) : adapter.response(await response.json());
+  } catch (err) {
+    throw transportError(err, config.provider);
+  }
+  if (!result.text) {
+    throw providerError(`AI API returned no text (${config.provider}, finish reason ${result.finishReason || 'unknown'})`, { kind: 'empty', retryable: true });
+  }
+  return { ...result, provider: config.provider, model: config.model };
+}
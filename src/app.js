@@ -0,0 +1,59 @@
+/**
+ * The Express app: middleware and routes, without listening or boot work
+ * (server.js does that), so tests can serve it on a port of their own.
+ */
+
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import { diagnoseRouter } from './routes/diagnose.js';
+import { healthRouter } from './routes/health.js';
+import { scriptRouter } from './routes/script.js';
+import { resultsRouter } from './routes/results.js';
+import { paymentRouter } from './routes/payment.js';
+import { webhooksRouter } from './routes/webhooks.js';
+import { adminRouter } from './routes/admin.js';
+import { historyRouter } from './routes/history.js';
+import { landingRouter } from './landing.js';
+
+export const app = express();
+
+// Security & parsing
+app.use(helmet({
+  contentSecurityPolicy: {
+    directives: {
+      defaultSrc: ["'self'"],
+      styleSrc: ["'self'", "'unsafe-inline'"],
+      scriptSrc: ["'self'", "'unsafe-inline'"],
+      imgSrc: ["'self'", "data:"],
+      connectSrc: ["'self'"],
+      workerSrc: ["'self'", "blob:"],
+    },
+  },
+}));
+app.use(cors());
+app.use(express.json({ limit: '2mb' }));
+
+// Request logging
+app.use((req, res, next) => {
+  const start = Date.now();
+  res.on('finish', () => {
+    const ms = Date.now() - start;
+    if (req.path !== '/api/health') {
+      console.log(`${req.method} ${req.path} ${res.statusCode} ${ms}ms`);
+    }
+  });
+  next();
+});
+
+// Routes
+app.use('/api', diagnoseRouter);
+app.use('/api', healthRouter);
+app.use('/api', adminRouter);    // /api/admin/* — needs ADMIN_TOKEN
+app.use('/api', historyRouter);  // /api/history/:hostHash — needs the host secret
+app.use('/api', paymentRouter);  // POST /api/checkout, /api/webhook/lemonsqueezy
+app.use('/', paymentRouter);    // GET /pay/:fixId — payment page
+app.use('/', webhooksRouter);   // POST /webhooks/resend — inbound email
+app.use('/', scriptRouter);     // GET /fix — diagnostic script
+app.use('/', resultsRouter);    // GET /results/:fixId — web results page
+app.use('/', landingRouter);    // GET / — landing page (must be last)
@@ -0,0 +1,167 @@
+/**
+ * AI discoveries
+ * Issues the AI finds beyond the known patterns are recorded in
+ * ai_discoveries, one row per kind of issue, with a count and a few example
+ * payloads. The AI names the same issue a little differently each time, so
+ * the kind is a hash of the significant words of its id, in any order.
+ *
+ * Once an issue keeps turning up, an operator graduates it: a draft rule is
+ * scaffolded from the examples — a YAML rule for the rules directory or a
+ * KNOWN_ISSUES entry for known-issues.js — for a human to review and ship.
+ */
+
+import { createHash } from 'node:crypto';
+import { inspect } from 'node:util';
+import YAML from 'yaml';
+import { dedupeLog, lineKey, summarizeConfig, LOG_FIELDS } from './ai-prompt.js';
+
+// Distinct log lines kept per field in an example payload
+const EXAMPLE_LOG_LINES = 60;
+const EXAMPLE_CONFIG_DEPTH = 4;
+
+// Shorter shared log lines are too generic to detect anything by
+const MIN_SIGNATURE_CHARS = 12;
+
+const STOPWORDS = new Set(['the', 'and', 'for', 'not', 'with', 'was', 'are', 'has', 'have', 'from', 'into', 'too', 'issue', 'error', 'problem']);
+
+const words = text => String(text || '').toLowerCase().split(/[^a-z0-9]+/)
+  .filter(w => w.length > 2 && !STOPWORDS.has(w));
+
+/**
+ * Hash identifying an AI issue across diagnoses — "telegram-token-invalid"
+ * and "invalid-telegram-token" are the same discovery
+ */
+export function discoveryHash(issue) {
+  const significant = [...new Set(words(issue.id).length ? words(issue.id) : words(issue.title))].sort();
+  return createHash('sha256').update(significant.join(' ')).digest('hex').slice(0, 16);
+}
+
+/**
+ * A diagnostic cut down to keep as an example: repeated log lines collapsed,
+ * deep config outlined
+ */
+export function compactPayload(diagnostic) {
+  const logs = { ...diagnostic.logs };
+  for (const field of LOG_FIELDS) {
+    if (typeof logs[field] === 'string') logs[field] = dedupeLog(logs[field], EXAMPLE_LOG_LINES);
+  }
+  return {
+    system: diagnostic.system,
+    openclaw: diagnostic.openclaw,
+    service: diagnostic.service,
+    config: summarizeConfig(diagnostic.config, EXAMPLE_CONFIG_DEPTH),
+    logs,
+  };
+}
+
+/**
+ * The discoveries in one AI analysis — its issues, each with the AI's fix
+ * plan if it gave one
+ */
+export function discoveriesFrom(aiAnalysis, diagnostic) {
+  const issues = aiAnalysis.additionalIssues || [];
+  if (!issues.length) return [];
+
+  const payload = compactPayload(diagnostic);
+  const seen = new Set();
+  return issues.flatMap(issue => {
+    const hash = discoveryHash(issue);
+    if (seen.has(hash)) return [];
+    seen.add(hash);
+    const fix = (aiAnalysis.aiFixes || []).find(f => f.issueId === issue.id);
+    return [{ hash, issue: { id: issue.id, severity: issue.severity, title: issue.title, description: issue.description }, plan: fix?.plan || null, payload }];
+  });
+}
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regex matching every line with this key (see lineKey)
+const keyPattern = key => key.split(/(0x|0|\s{2,})/).map(part => {
+  if (part === '0x') return '0x[0-9a-f]+';
+  if (part === '0') return '\\d+';
+  return /^\s{2,}$/.test(part) ? '.*' : escapeRegex(part);
+}).join('');
+
+/**
+ * The most specific log line every example has, as a log matcher — or null
+ */
+export function sharedLogSignature(examples) {
+  const payloads = examples.map(e => e.payload).filter(Boolean);
+  if (!payloads.length) return null;
+
+  const keysOf = payload => {
+    const keys = new Map(); // key → fields it appears in
+    for (const field of LOG_FIELDS) {
+      const text = payload.logs?.[field];
+      if (typeof text !== 'string') continue;
+      for (const line of text.split('\n')) {
+        const key = lineKey(line.replace(/\s+\[×\d+\]$/, ''));
+        if (key.length < MIN_SIGNATURE_CHARS) continue;
+        keys.set(key, [...new Set([...(keys.get(key) || []), field])]);
+      }
+    }
+    return keys;
+  };
+
+  const [first, ...rest] = payloads.map(keysOf);
+  const shared = [...first.keys()].filter(key => rest.every(keys => keys.has(key)));
+  if (!shared.length) return null;
+
+  const key = shared.sort((a, b) => b.length - a.length)[0];
+  const fields = [...new Set([first, ...rest].flatMap(keys => keys.get(key)))];
+  return { log: fields, pattern: keyPattern(key) };
+}
+
+const day = date => new Date(date).toISOString().slice(0, 10);
+
+const TODO_PLAN = {
+  summary: 'TODO: describe the fix',
+  steps: [{ op: 'note', text: 'TODO: no fix plan came with this discovery — write the steps' }],
+};
+
+/**
+ * Scaffold a draft rule for a discovery. target is 'rules' (a YAML rule for
+ * the rules directory) or 'known-issues' (an entry for KNOWN_ISSUES).
+ * Returns { filename, text }.
+ */
+export function scaffoldRule(discovery, { ruleId, target = 'rules' }) {
+  const latest = discovery.examples.at(-1)?.issue || {};
+  const signature = sharedLogSignature(discovery.examples);
+  const plan = discovery.examples.map(e => e.plan).find(Boolean) || TODO_PLAN;
+
+  const header = [
+    `Draft from AI discovery #${discovery.id}, seen ${discovery.count} times (${day(discovery.firstSeen)} – ${day(discovery.lastSeen)})`,
+    signature
+      ? 'The detector matches a log line every example had — check it is specific enough.'
+      : 'TODO: no log line was common to the examples — write the detector.',
+    'Review the plan, then move this out of drafts/.',
+  ];
+
+  const rule = {
+    id: ruleId,
+    severity: discovery.severity || latest.severity || 'medium',
+    title: discovery.title || latest.title,
+    description: latest.description || discovery.summary,
+  };
+
+  if (target === 'known-issues') {
+    const logs = signature?.log.map(f => `diag.logs?.${f}`).join(', ');
+    const detect = signature
+      ? `(diag) => new RegExp(${inspect(signature.pattern)}, 'i').test([${logs}].join('\\n'))`
+      : '(diag) => false /* TODO */';
+    const entry = inspect({ ...rule, plan }, { depth: null, breakLength: 100 })
+      .replace(/^\{ /, '{\n  ')
+      .replace(/,\n?\s*plan:/, `,\n  detect: ${detect},\n  plan:`)
+      .replace(/^/gm, '  ');
+    return {
+      filename: `${ruleId}.js`,
+      text: `${header.map(line => `// ${line}`).join('\n')}\n// Add to KNOWN_ISSUES in cli/lib/known-issues.js\n${entry},\n`,
+    };
+  }
+
+  const when = signature || { path: '$.TODO', exists: true };
+  return {
+    filename: `${ruleId}.yaml`,
+    text: `${header.map(line => `# ${line}`).join('\n')}\n${YAML.stringify({ ...rule, when, plan })}`,
+  };
+}
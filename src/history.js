@@ -0,0 +1,71 @@
+/**
+ * Per-host history
+ * GET /api/history/:hostHash shows one machine's diagnoses over time: when
+ * each issue was first and last detected and whether it's still there, what
+ * appeared and what went away from one scan to the next, and how gateway
+ * restarts and SIGTERMs are trending. Only diagnoses sent with the host
+ * secret the request carries count (see owner-auth.js) — a hostHash is just
+ * 8 hex characters of a hostname hash, neither secret nor unique.
+ */
+
+// Service states that mean the gateway died
+const CRASHED = new Set(['crashed', 'failed']);
+
+/**
+ * How a per-scan number moved: { first, latest, max, change, direction }
+ * where change is latest minus the scan before and direction rising,
+ * falling or steady. Null when no scan had the number.
+ */
+export function trend(values) {
+  const known = values.filter(v => v !== null && v !== undefined);
+  if (!known.length) return null;
+  const latest = known[known.length - 1];
+  const change = known.length > 1 ? latest - known[known.length - 2] : 0;
+  return {
+    first: known[0],
+    latest,
+    max: Math.max(...known),
+    change,
+    direction: change > 0 ? 'rising' : change < 0 ? 'falling' : 'steady',
+  };
+}
+
+/**
+ * Issues, changes and trends from a host's diagnoses (oldest first, as
+ * getHostHistory returns them). titleOf(id) names an issue, or null.
+ */
+export function summarizeHistory(diagnoses, titleOf = () => null) {
+  const issues = new Map();
+  const changes = [];
+  let previous = new Set();
+
+  for (const diagnosis of diagnoses) {
+    const current = new Set(diagnosis.issues);
+    for (const id of current) {
+      const issue = issues.get(id) || { id, title: titleOf(id), firstSeen: diagnosis.timestamp, lastSeen: null, times: 0 };
+      issue.lastSeen = diagnosis.timestamp;
+      issue.times++;
+      issues.set(id, issue);
+    }
+
+    const appeared = [...current].filter(id => !previous.has(id));
+    const resolved = [...previous].filter(id => !current.has(id));
+    if (appeared.length || resolved.length) {
+      changes.push({ fixId: diagnosis.fixId, timestamp: diagnosis.timestamp, appeared, resolved });
+    }
+    previous = current;
+  }
+
+  return {
+    // Still detected in the latest scan first, then most recently seen
+    issues: [...issues.values()]
+      .map(issue => ({ ...issue, active: previous.has(issue.id) }))
+      .sort((a, b) => b.active - a.active || b.lastSeen.localeCompare(a.lastSeen)),
+    changes,
+    trends: {
+      restarts: trend(diagnoses.map(d => d.restarts)),
+      sigterms: trend(diagnoses.map(d => d.sigtermCount)),
+      crashes: diagnoses.filter(d => CRASHED.has(d.serviceState)).length,
+    },
+  };
+}
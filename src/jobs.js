@@ -0,0 +1,140 @@
+/**
+ * Diagnosis job queue
+ * `POST /api/diagnose?async=1` answers straight away and the diagnosis runs
+ * here, a few at a time (DIAGNOSE_CONCURRENCY), while clients poll
+ * GET /api/fix/:fixId. With a database every job is recorded in
+ * diagnosis_jobs along with its payload, so jobs a restart interrupted are
+ * picked up again — on startup and every few minutes after, which also takes
+ * over jobs another server died running.
+ */
+
+import { createJob, claimJob, finishJob, getJob, getResumableJobs } from './db.js';
+
+// Failed jobs kept in memory for polling (done ones live on as fixes)
+const MAX_FAILED = 1000;
+
+// How often unfinished jobs are looked for. A running job counts as
+// abandoned once it hasn't moved for 10 minutes (see storage/).
+const SWEEP_MS = 5 * 60_000;
+
+/**
+ * Build a queue around run(payload, { fixId, source, owner }), which does the
+ * diagnosis and stores its result. owner is { deleteTokenHash, hostSecretHash }.
+ * At most maxPending jobs wait at once — each holds its payload in memory.
+ * `resumable` is swappable for tests.
+ */
+export function createJobQueue(run, {
+  concurrency = 2,
+  maxPending = 100,
+  sweepMs = SWEEP_MS,
+  resumable = getResumableJobs,
+} = {}) {
+  const jobs = new Map(); // fixId → { status: pending|running, payload, source, owner }
+  const failed = new Map(); // fixId → error message
+  const queue = [];
+  let running = 0;
+  let timer = null;
+
+  async function execute(fixId) {
+    const job = jobs.get(fixId);
+    if (!(await claimJob(fixId))) {
+      // Another server took it
+      jobs.delete(fixId);
+      return;
+    }
+
+    job.status = 'running';
+    try {
+      await run(job.payload, { fixId, source: job.source, owner: job.owner });
+      jobs.delete(fixId);
+      await finishJob(fixId, 'done');
+    } catch (err) {
+      console.error(`Diagnosis job ${fixId} failed:`, err.message);
+      jobs.delete(fixId);
+      failed.set(fixId, err.message);
+      if (failed.size > MAX_FAILED) failed.delete(failed.keys().next().value);
+      await finishJob(fixId, 'failed', err.message);
+    }
+  }
+
+  function pump() {
+    while (running < concurrency && queue.length) {
+      running++;
+      execute(queue.shift()).finally(() => {
+        running--;
+        pump();
+      });
+    }
+  }
+
+  function enqueue(fixId, payload, source, owner) {
+    jobs.set(fixId, { status: 'pending', payload, source, owner });
+    queue.push(fixId);
+    pump();
+  }
+
+  /**
+   * Queue the unfinished jobs nobody is running — left by a restart or by
+   * a server that died — up to maxPending; the rest wait for the next
+   * sweep. Returns how many were queued.
+   */
+  async function resume() {
+    let resumed = 0;
+    for (const job of await resumable()) {
+      if (queue.length >= maxPending) break;
+      if (jobs.has(job.id)) continue;
+      enqueue(job.id, job.payload, job.source, { deleteTokenHash: job.delete_token_hash, hostSecretHash: job.host_secret_hash });
+      resumed++;
+    }
+    if (resumed) console.log(`🔁 Resumed ${resumed} unfinished diagnosis job(s)`);
+    return resumed;
+  }
+
+  return {
+    /**
+     * Queue a diagnosis; it's recorded before this resolves. False, and
+     * nothing queued, while maxPending jobs are already waiting.
+     */
+    async add(fixId, payload, source, owner = {}) {
+      if (queue.length >= maxPending) return false;
+      await createJob(fixId, payload, source, owner);
+      enqueue(fixId, payload, source, owner);
+      return true;
+    },
+
+    /**
+     * { status, error } for a job that isn't done, or null — running counts
+     * as pending to clients
+     */
+    async status(fixId) {
+      if (jobs.has(fixId)) return { status: 'pending', error: null };
+      if (failed.has(fixId)) return { status: 'failed', error: failed.get(fixId) };
+      const job = await getJob(fixId);
+      if (!job || job.status === 'done') return null;
+      return { status: job.status === 'failed' ? 'failed' : 'pending', error: job.error };
+    },
+
+    resume,
+
+    /**
+     * Resume now and then every sweepMs
+     */
+    start() {
+      const tick = () => resume().catch(err => console.error('Resuming diagnosis jobs failed:', err.message));
+      tick();
+      if (sweepMs > 0 && !timer) {
+        timer = setInterval(tick, sweepMs);
+        timer.unref();
+      }
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    get size() {
+      return queue.length + running;
+    },
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * Database migrations
+ * Schema changes live in migrations/ as numbered files, applied in order and
+ * recorded in schema_migrations:
+ *
+ *   NNN_name.up.sql    the change
+ *   NNN_name.down.sql  undoing it (optional)
+ *   NNN_name.js        or both in JS: export async function up(db) / down(db)
+ *
+ * SQLite (SQLITE_PATH) has its own set in migrations/sqlite/, same numbering.
+ *
+ * Each migration runs in its own transaction. On Postgres an advisory lock is
+ * held throughout, so servers booting together apply each migration once.
+ * The server migrates to the latest on startup; `npm run migrate` does it by
+ * hand and can also roll back and show status.
+ */
+
+import { readdirSync, readFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { join, dirname } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+export const MIGRATIONS_DIR = process.env.MIGRATIONS_DIR ||
+  join(dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+const dirFor = dialect => (dialect === 'sqlite' ? join(MIGRATIONS_DIR, 'sqlite') : MIGRATIONS_DIR);
+
+// pg_advisory_lock key — any constant, as long as nothing else uses it
+const LOCK_KEY = 7_323_291;
+
+const FILE_PATTERN = /^(\d+)_([\w-]+?)(\.up\.sql|\.down\.sql|\.js)$/;
+
+const labelOf = m => `${String(m.version).padStart(3, '0')}_${m.name}`;
+
+const sha256 = text => createHash('sha256').update(text).digest('hex');
+
+/**
+ * The migrations in a directory, in order:
+ * [{ version, name, up(db), down(db) | null, checksum }]
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of readdirSync(dir).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+    const [, number, name, kind] = match;
+    const version = Number(number);
+
+    const migration = byVersion.get(version) || { version, name, up: null, down: null, sources: [] };
+    if (migration.name !== name) {
+      throw new Error(`Two migrations numbered ${number}: ${migration.name} and ${name}`);
+    }
+    byVersion.set(version, migration);
+
+    const path = join(dir, file);
+    const source = readFileSync(path, 'utf8');
+    if (kind === '.js') {
+      const mod = await import(pathToFileURL(path).href);
+      if (typeof mod.up !== 'function') throw new Error(`${file} does not export up()`);
+      migration.up = mod.up;
+      migration.down = typeof mod.down === 'function' ? mod.down : null;
+      migration.sources.push(source);
+    } else if (kind === '.up.sql') {
+      migration.up = db => db.query(source);
+      migration.sources.unshift(source);
+    } else {
+      migration.down = db => db.query(source);
+    }
+  }
+
+  return [...byVersion.values()]
+    .sort((a, b) => a.version - b.version)
+    .map(({ sources, ...m }) => {
+      if (!m.up) throw new Error(`Migration ${labelOf(m)} has no up`);
+      return { ...m, checksum: sha256(sources[0]) };
+    });
+}
+
+// Run fn(client) holding the migration lock, with schema_migrations in place.
+// A SQLite file has one server, and its transactions are serialized anyway.
+async function withLock(pool, dialect, fn) {
+  const locking = dialect === 'postgres';
+  const client = await pool.connect();
+  try {
+    if (locking) await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    return await fn(client);
+  } finally {
+    if (locking) await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+async function appliedMigrations(client) {
+  const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(r => [r.version, r]));
+}
+
+// One migration step in its own transaction
+async function step(client, migration, direction) {
+  const label = labelOf(migration);
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw new Error(`Migration ${label} (${direction}) failed: ${err.message}`);
+  }
+  console.log(`${direction === 'up' ? '⬆️ ' : '⬇️ '} ${label}`);
+  return label;
+}
+
+/**
+ * Apply pending migrations up to version `to` (default: all). Returns the
+ * ones applied.
+ */
+export async function migrate(pool, { to = Infinity, dialect = 'postgres', dir = dirFor(dialect) } = {}) {
+  const migrations = await loadMigrations(dir);
+  return withLock(pool, dialect, async client => {
+    const applied = await appliedMigrations(client);
+    for (const m of migrations) {
+      const row = applied.get(m.version);
+      if (row && row.checksum !== m.checksum) {
+        console.warn(`⚠️  Migration ${labelOf(m)} was changed after it was applied`);
+      }
+    }
+
+    const done = [];
+    for (const m of migrations) {
+      if (m.version > to || applied.has(m.version)) continue;
+      done.push(await step(client, m, 'up'));
+    }
+    return done;
+  });
+}
+
+/**
+ * Undo applied migrations, newest first: the last `steps` of them, or all
+ * above version `to`. Returns the ones undone.
+ */
+export async function rollback(pool, { steps = 1, to = null, dialect = 'postgres', dir = dirFor(dialect) } = {}) {
+  const migrations = await loadMigrations(dir);
+  return withLock(pool, dialect, async client => {
+    const applied = await appliedMigrations(client);
+    const targets = [...applied.keys()]
+      .sort((a, b) => b - a)
+      .filter((version, i) => (to === null ? i < steps : version > to));
+
+    const done = [];
+    for (const version of targets) {
+      const m = migrations.find(x => x.version === version);
+      if (!m) throw new Error(`Migration ${version} is applied but its file is missing`);
+      if (!m.down) throw new Error(`Migration ${labelOf(m)} can't be rolled back (no down)`);
+      done.push(await step(client, m, 'down'));
+    }
+    return done;
+  });
+}
+
+/**
+ * Every known or applied migration: [{ version, name, appliedAt, changed, missing }]
+ */
+export async function migrationStatus(pool, { dialect = 'postgres', dir = dirFor(dialect) } = {}) {
+  const migrations = await loadMigrations(dir);
+  return withLock(pool, dialect, async client => {
+    const applied = await appliedMigrations(client);
+    const versions = [...new Set([...migrations.map(m => m.version), ...applied.keys()])].sort((a, b) => a - b);
+    return versions.map(version => {
+      const m = migrations.find(x => x.version === version);
+      const row = applied.get(version);
+      return {
+        version,
+        name: m?.name || row.name,
+        appliedAt: row?.applied_at || null,
+        changed: Boolean(m && row && m.checksum !== row.checksum),
+        missing: !m,
+      };
+    });
+  });
+}
+
+/**
+ * npm run migrate [-- up [--to N] | down [--steps N | --to N] | status]
+ */
+async function main(args) {
+  let pool = null;
+  const dialect = process.env.DATABASE_URL ? 'postgres' : 'sqlite';
+  if (process.env.DATABASE_URL) pool = (await import('./storage/postgres.js')).getPool();
+  else if (process.env.SQLITE_PATH) pool = (await import('./storage/sqlite.js')).migrationPool(process.env.SQLITE_PATH);
+  if (!pool) {
+    console.error('❌ Neither DATABASE_URL nor SQLITE_PATH is set');
+    process.exit(1);
+  }
+
+  const command = args[0]?.startsWith('--') ? 'up' : args[0] || 'up';
+  const option = name => {
+    const i = args.indexOf(`--${name}`);
+    return i === -1 ? undefined : Number(args[i + 1]);
+  };
+
+  try {
+    if (command === 'up') {
+      const done = await migrate(pool, { to: option('to') ?? Infinity, dialect });
+      console.log(done.length ? `✅ Applied ${done.length} migration(s)` : '✅ Already up to date');
+    } else if (command === 'down') {
+      const done = await rollback(pool, { steps: option('steps') ?? 1, to: option('to') ?? null, dialect });
+      console.log(`✅ Rolled back ${done.length} migration(s)`);
+    } else if (command === 'status') {
+      for (const m of await migrationStatus(pool, { dialect })) {
+        const state = m.missing ? 'applied, file missing' : m.appliedAt ? `applied ${m.appliedAt instanceof Date ? m.appliedAt.toISOString() : m.appliedAt}` : 'pending';
+        console.log(`${labelOf(m)}  ${state}${m.changed ? '  (changed since applied)' : ''}`);
+      }
+    } else {
+      console.error(`Unknown command "${command}" — use up, down or status`);
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2));
+}
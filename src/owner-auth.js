@@ -0,0 +1,52 @@
+/**
+ * Owner auth
+ * Whoever sent a diagnosis can delete it. /api/diagnose hands back a delete
+ * token with the fixId — in the X-Delete-Token header, and as deleteToken in
+ * JSON answers — and keeps only its SHA-256 hash, so the server can check a
+ * token but never produce one. DELETE /api/fix/:fixId takes it as
+ * `Authorization: Bearer <token>`.
+ *
+ * A machine's diagnoses are tied together the other way round: the CLI makes
+ * a host secret once and sends it (X-Host-Secret) with each diagnosis, which
+ * keeps its hash. GET /api/history/:hostHash takes the secret as a bearer
+ * token and shows only the diagnoses sent with it.
+ */
+
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+import { hashToken } from './admin-auth.js';
+
+/**
+ * A new delete token — { token, hash }; only the hash is stored
+ */
+export function generateDeleteToken() {
+  const token = `cfx_del_${randomBytes(24).toString('base64url')}`;
+  return { token, hash: hashToken(token) };
+}
+
+/**
+ * Whether a token is the one a stored hash was made from
+ */
+export function matchesHash(token, hash) {
+  if (!token || !hash) return false;
+  const a = Buffer.from(hashToken(token), 'hex');
+  const b = Buffer.from(hash, 'hex');
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+// Host secrets are the CLI's 32 random bytes, base64url — allow some slack
+const HOST_SECRET = /^[\w-]{16,256}$/;
+
+/**
+ * The hash of the X-Host-Secret a diagnosis was sent with, or null
+ */
+export function hostSecretHash(req) {
+  const secret = req.headers['x-host-secret'];
+  return typeof secret === 'string' && HOST_SECRET.test(secret) ? hashToken(secret) : null;
+}
+
+/**
+ * The token in `Authorization: Bearer <token>`, or null
+ */
+export function bearerToken(req) {
+  return req.headers.authorization?.match(/^Bearer\s+(\S+)$/i)?.[1] || null;
+}
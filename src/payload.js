@@ -0,0 +1,158 @@
+/**
+ * Diagnostic payload versions
+ * Each collector stamps its payload with `version`; the major.minor selects a
+ * JSON Schema from schemas/. Payloads are validated against the schema for
+ * their own version, then upgraded to the current shape so detectors only
+ * ever see one layout.
+ *
+ *   0.3 — npm CLI (cli/bin/clawfix.js)
+ *   0.4 — bash script served at /fix
+ *   0.5 — current (cli/index.js)
+ */
+
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+
+const SCHEMAS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'schemas');
+
+export const CURRENT_PAYLOAD_VERSION = '0.5.0';
+export const SUPPORTED_PAYLOAD_VERSIONS = ['0.3', '0.4', '0.5'];
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = Object.fromEntries(SUPPORTED_PAYLOAD_VERSIONS.map(v => [
+  v,
+  ajv.compile(JSON.parse(readFileSync(join(SCHEMAS_DIR, `diagnostic-${v}.json`), 'utf8'))),
+]));
+
+/**
+ * Schema key ("0.4") for a payload version string ("0.4.0"), or null
+ */
+function schemaKey(version) {
+  const m = typeof version === 'string' && version.match(/^(\d+\.\d+)\./);
+  return m ? m[1] : null;
+}
+
+/**
+ * Turn an Ajv error into { field, message } with a dotted field path
+ */
+function formatError(err) {
+  const path = err.instancePath.slice(1).split('/').filter(Boolean).join('.');
+  if (err.keyword === 'required') {
+    const field = path ? `${path}.${err.params.missingProperty}` : err.params.missingProperty;
+    return { field, message: 'is required' };
+  }
+  let message = err.message;
+  if (err.keyword === 'enum') message += `: ${err.params.allowedValues.join(', ')}`;
+  return { field: path || '(root)', message };
+}
+
+/**
+ * Validate a payload against the schema for its version.
+ * Returns { valid, version, errors: [{ field, message }] }.
+ */
+export function validateDiagnostic(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { valid: false, version: null, errors: [{ field: '(root)', message: 'must be an object' }] };
+  }
+
+  if (payload.version === undefined || payload.version === null) {
+    return { valid: false, version: null, errors: [{ field: 'version', message: 'is required' }] };
+  }
+
+  const key = schemaKey(payload.version);
+  if (!validators[key]) {
+    return {
+      valid: false,
+      version: payload.version,
+      errors: [{
+        field: 'version',
+        message: `unsupported payload version ${JSON.stringify(payload.version)} (supported: ${SUPPORTED_PAYLOAD_VERSIONS.map(v => `${v}.x`).join(', ')})`,
+      }],
+    };
+  }
+
+  const validate = validators[key];
+  if (validate(payload)) return { valid: true, version: key, errors: [] };
+  return { valid: false, version: key, errors: validate.errors.map(formatError) };
+}
+
+const countMatches = (text, regex) => (String(text || '').match(regex) || []).length;
+
+const toInt = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * v0.3 (npm CLI) → current
+ */
+function upgradeFrom03(diag) {
+  const out = structuredClone(diag);
+  const osNames = { darwin: 'Darwin', linux: 'Linux' };
+  out.system = { ...out.system, os: osNames[out.system.os] || out.system.os };
+
+  const pid = out.openclaw?.gatewayPid;
+  out.openclaw = {
+    ...out.openclaw,
+    gatewayPid: pid || 'none',
+    // v0.3 ran pgrep but never probed the port
+    processExists: !!pid && pid !== 'none',
+    portListening: null,
+  };
+
+  const svc = out.service || {};
+  if (svc.manager === 'launchd') {
+    const exitCode = svc.lastExitCode === null || svc.lastExitCode === undefined ? '' : String(svc.lastExitCode);
+    const { lastExitCode, ...rest } = svc;
+    let state = svc.state;
+    if (state === 'not running' || state === 'waiting') state = exitCode && exitCode !== '0' ? 'crashed' : 'inactive';
+    out.service = { ...rest, state: state || 'unknown', exitCode, pid: svc.pid || null };
+  } else if (svc.manager === 'systemd') {
+    const states = { active: 'running', failed: 'failed', inactive: 'inactive' };
+    out.service = { ...svc, state: states[svc.state] || svc.state || 'unknown', exitCode: '', pid: svc.pid || null };
+  } else {
+    out.service = { manager: 'none', state: 'unknown', exitCode: '' };
+  }
+
+  // v0.3 only shipped log tails; derive the counters the newer collectors grep for
+  out.logs = {
+    ...out.logs,
+    sigtermCount: countMatches(out.logs?.gatewayLog, /signal SIGTERM received|exit code -15/gi),
+    handshakeTimeoutCount: countMatches(out.logs?.stderr, /invalid handshake|closed before connect|chrome-extension.*timeout/gi),
+  };
+
+  return out;
+}
+
+/**
+ * v0.4 (bash script) → current
+ */
+function upgradeFrom04(diag) {
+  const out = structuredClone(diag);
+  const svc = out.service || {};
+  const { runs, ...rest } = svc;
+  out.service = { ...rest, pid: toInt(svc.pid) };
+  // On systemd `runs` is NRestarts; on launchd it held the plist ThrottleInterval,
+  // which says nothing about restarts — drop it
+  if (svc.manager === 'systemd' && toInt(runs) !== null) out.service.nRestarts = toInt(runs);
+  return out;
+}
+
+const UPGRADES = {
+  '0.3': upgradeFrom03,
+  '0.4': upgradeFrom04,
+};
+
+/**
+ * Upgrade a validated payload to the current shape. Current-version payloads
+ * are returned unchanged; upgraded ones keep their original version in
+ * `upgradedFrom`.
+ */
+export function normalizeDiagnostic(payload) {
+  const key = schemaKey(payload.version);
+  const upgrade = UPGRADES[key];
+  if (!upgrade) return payload;
+  return { ...upgrade(payload), version: CURRENT_PAYLOAD_VERSION, upgradedFrom: payload.version };
+}
@@ -0,0 +1,113 @@
+/**
+ * Data retention
+ * Diagnoses don't keep their results forever. After RETAIN_RESULTS_DAYS the
+ * fix script, plan, AI output and payload are deleted — GET /api/fix/:fixId
+ * then answers 410 instead of 404 — and after RETAIN_DIAGNOSES_DAYS what
+ * identifies the machine goes too. What's left (issue ids, versions,
+ * outcomes, AI usage) and the pattern counters keep /api/stats going. A
+ * purge runs on startup and every RETENTION_INTERVAL_HOURS; 0 days keeps
+ * that data forever.
+ */
+
+import { purgeDiagnoses } from './db.js';
+
+export const DEFAULT_RETENTION = { resultsDays: 30, anonymizeDays: 365, intervalHours: 6 };
+
+const DAY_MS = 24 * 3600_000;
+
+// A count of days or hours from the environment, or the default
+function number(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) {
+    console.warn(`⚠️  Ignoring retention setting "${value}" — using ${fallback}`);
+    return fallback;
+  }
+  return n;
+}
+
+/**
+ * Retention settings from the environment: { resultsDays, anonymizeDays, intervalMs }
+ */
+export function loadRetention(env = process.env) {
+  return {
+    resultsDays: number(env.RETAIN_RESULTS_DAYS, DEFAULT_RETENTION.resultsDays),
+    anonymizeDays: number(env.RETAIN_DIAGNOSES_DAYS, DEFAULT_RETENTION.anonymizeDays),
+    intervalMs: number(env.RETENTION_INTERVAL_HOURS, DEFAULT_RETENTION.intervalHours) * 3600_000,
+  };
+}
+
+/**
+ * The purge job. forgetInMemory(before) drops results made before a date
+ * from wherever the server keeps them in memory and returns how many;
+ * `purge` and `now` are swappable for tests.
+ */
+export function createRetention({
+  resultsDays,
+  anonymizeDays,
+  intervalMs,
+  forgetInMemory = () => 0,
+  purge = purgeDiagnoses,
+  now = Date.now,
+}) {
+  let timer = null;
+  let lastRun = null;
+
+  const cutoff = days => (days > 0 ? new Date(now() - days * DAY_MS) : null);
+
+  /**
+   * The dates results expire and diagnoses are anonymized before. An
+   * anonymized diagnosis always loses its results too.
+   */
+  function cutoffs() {
+    const anonymizeBefore = cutoff(anonymizeDays);
+    let expireBefore = cutoff(resultsDays);
+    if (anonymizeBefore && (!expireBefore || anonymizeBefore > expireBefore)) expireBefore = anonymizeBefore;
+    return { expireBefore, anonymizeBefore };
+  }
+
+  /**
+   * Purge once. Returns { expired, anonymized, inMemory } counts.
+   */
+  async function run() {
+    const { expireBefore, anonymizeBefore } = cutoffs();
+    if (!expireBefore) return { expired: 0, anonymized: 0, inMemory: 0 };
+
+    const inMemory = forgetInMemory(expireBefore);
+    const { expired, anonymized } = await purge({ expireBefore, anonymizeBefore });
+    lastRun = new Date(now()).toISOString();
+    if (expired || anonymized || inMemory) {
+      console.log(`🧹 Retention: ${expired} result(s) expired, ${anonymized} diagnosis(es) anonymized, ${inMemory} dropped from memory`);
+    }
+    return { expired, anonymized, inMemory };
+  }
+
+  return {
+    run,
+    cutoffs,
+
+    /**
+     * Purge now and then every intervalMs (0: only now)
+     */
+    start() {
+      const tick = () => run().catch(err => console.error('Retention purge failed:', err.message));
+      tick();
+      if (intervalMs > 0 && !timer) {
+        timer = setInterval(tick, intervalMs);
+        timer.unref();
+      }
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    /**
+     * For /api/stats
+     */
+    status() {
+      return { resultsDays, anonymizeDays, lastRun };
+    },
+  };
+}
@@ -0,0 +1,182 @@
+import { Router } from 'express';
+import { mkdirSync, writeFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { getAllRules, detectIssues } from '../../cli/lib/known-issues.js';
+import {
+  getDiscoveries, getDiscovery, graduateDiscovery, searchDiagnoses, getDiagnosisRecord, getFeedback,
+  createAdminToken, listAdminTokens, revokeAdminToken,
+} from '../db.js';
+import { scaffoldRule } from '../discoveries.js';
+import { RULES_DIR, getRulesVersion } from '../rule-loader.js';
+import { createAdminAuth, generateToken, ADMIN_SCOPES } from '../admin-auth.js';
+import { forgetDiagnosis } from './diagnose.js';
+
+export const adminRouter = Router();
+
+/**
+ * Operator endpoints, under /api/admin. Every request needs a bearer token:
+ * ADMIN_TOKEN for everything, or a scoped token from POST /api/admin/tokens
+ * (see admin-auth.js). Without ADMIN_TOKEN set they're switched off.
+ */
+
+// Discoveries seen fewer times than this are left out unless asked for
+const DEFAULT_MIN_COUNT = 3;
+
+// Drafts go here — rule-loader only reads the top level of RULES_DIR
+const DRAFTS_DIR = join(RULES_DIR, 'drafts');
+
+const RULE_ID = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const TARGETS = ['rules', 'known-issues'];
+
+const { authenticate, requireScope } = createAdminAuth();
+
+adminRouter.use('/admin', authenticate);
+
+// limit/offset from the query string
+const page = query => ({
+  limit: Math.min(Math.max(Number(query.limit) || 50, 1), 500),
+  offset: Math.max(Number(query.offset) || 0, 0),
+});
+
+// ?flag=1|0 → true/false, anything else → either
+const flag = value => ({ 1: true, true: true, 0: false, false: false })[value] ?? null;
+
+const NEEDS_DB = { error: 'The admin API needs a database for this' };
+
+// List and search stored diagnoses
+adminRouter.get('/admin/diagnoses', requireScope('read'), async (req, res) => {
+  const { q, hostHash, version, issue, outcome, source, since, until } = req.query;
+  const found = await searchDiagnoses({ q, hostHash, version, issue, outcome, source, since, until, ...page(req.query) });
+  if (!found) return res.status(503).json(NEEDS_DB);
+  res.json(found);
+});
+
+// Everything stored for one diagnosis, including its payload and feedback
+adminRouter.get('/admin/diagnoses/:fixId', requireScope('read'), async (req, res) => {
+  const record = await getDiagnosisRecord(req.params.fixId);
+  if (!record) return res.status(404).json({ error: 'Diagnosis not found' });
+  res.json(record);
+});
+
+// Delete a diagnosis and what was recorded about it (data deletion requests)
+adminRouter.delete('/admin/diagnoses/:fixId', requireScope('delete'), async (req, res) => {
+  if (!(await forgetDiagnosis(req.params.fixId))) return res.status(404).json({ error: 'Diagnosis not found' });
+  console.log(`🗑️  Diagnosis ${req.params.fixId} deleted by ${req.admin.name}`);
+  res.json({ fixId: req.params.fixId, deleted: true });
+});
+
+// Pattern matching again, against the rules loaded now
+adminRouter.post('/admin/diagnoses/:fixId/rerun', requireScope('rerun'), async (req, res) => {
+  const record = await getDiagnosisRecord(req.params.fixId);
+  if (!record) return res.status(404).json({ error: 'Diagnosis not found' });
+  if (!record.diagnosis.payload) {
+    return res.status(409).json({ error: 'This diagnosis was stored without its payload' });
+  }
+
+  const knownIssues = detectIssues(record.diagnosis.payload);
+  const stored = record.diagnosis.issues_pattern || [];
+  const current = knownIssues.map(i => i.id);
+  res.json({
+    fixId: req.params.fixId,
+    rulesVersion: getRulesVersion(),
+    stored,
+    current,
+    added: current.filter(id => !stored.includes(id)),
+    resolved: stored.filter(id => !current.includes(id)),
+    knownIssues: knownIssues.map(i => ({ id: i.id, severity: i.severity, title: i.title, description: i.description })),
+  });
+});
+
+// Feedback, newest first
+adminRouter.get('/admin/feedback', requireScope('read'), async (req, res) => {
+  const feedback = await getFeedback({
+    fixId: req.query.fixId,
+    success: flag(req.query.success),
+    verified: flag(req.query.verified),
+    ...page(req.query),
+  });
+  if (!feedback) return res.status(503).json(NEEDS_DB);
+  res.json({ count: feedback.length, feedback });
+});
+
+// Scoped tokens — the token itself is only ever in this response
+adminRouter.post('/admin/tokens', requireScope('tokens'), async (req, res) => {
+  const { name, scopes } = req.body || {};
+  if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'name is required' });
+  if (!Array.isArray(scopes) || !scopes.length || scopes.some(s => !ADMIN_SCOPES.includes(s))) {
+    return res.status(400).json({ error: `scopes must be a list of: ${ADMIN_SCOPES.join(', ')}` });
+  }
+
+  const { token, hash } = generateToken();
+  const id = await createAdminToken(name.trim(), [...new Set(scopes)], hash);
+  if (!id) return res.status(503).json(NEEDS_DB);
+  console.log(`🔑 Admin token #${id} (${name.trim()}: ${scopes.join(', ')}) created by ${req.admin.name}`);
+  res.status(201).json({ id, name: name.trim(), scopes, token });
+});
+
+adminRouter.get('/admin/tokens', requireScope('tokens'), async (req, res) => {
+  const tokens = await listAdminTokens();
+  if (!tokens) return res.status(503).json(NEEDS_DB);
+  res.json({ tokens });
+});
+
+adminRouter.delete('/admin/tokens/:id', requireScope('tokens'), async (req, res) => {
+  if (!(await revokeAdminToken(Number(req.params.id) || 0))) return res.status(404).json({ error: 'Token not found' });
+  console.log(`🔒 Admin token #${req.params.id} revoked by ${req.admin.name}`);
+  res.json({ id: Number(req.params.id), revoked: true });
+});
+
+// Recurring AI discoveries, with example payloads
+adminRouter.get('/admin/discoveries', requireScope('read'), async (req, res) => {
+  const minCount = Math.max(Number(req.query.minCount) || DEFAULT_MIN_COUNT, 1);
+  const graduated = { 1: true, all: null }[req.query.graduated] ?? false;
+
+  const discoveries = await getDiscoveries({ minCount, graduated, limit: page(req.query).limit });
+  if (!discoveries) return res.status(503).json(NEEDS_DB);
+  res.json({ minCount, count: discoveries.length, discoveries });
+});
+
+// Scaffold a draft rule from a discovery and mark it graduated
+adminRouter.post('/admin/discoveries/:id/graduate', requireScope('graduate'), async (req, res) => {
+  const target = req.body?.target || 'rules';
+  if (!TARGETS.includes(target)) {
+    return res.status(400).json({ error: `target must be one of: ${TARGETS.join(', ')}` });
+  }
+
+  const discovery = await getDiscovery(Number(req.params.id) || 0);
+  if (!discovery) return res.status(404).json({ error: 'Discovery not found' });
+  if (discovery.graduated) {
+    return res.status(409).json({ error: 'Already graduated', patternId: discovery.patternId });
+  }
+
+  const ruleId = req.body?.ruleId || discovery.examples.at(-1)?.issue?.id;
+  if (!RULE_ID.test(ruleId || '')) {
+    return res.status(400).json({ error: 'ruleId must be kebab-case' });
+  }
+  if (getAllRules().some(rule => rule.id === ruleId)) {
+    return res.status(409).json({ error: `A rule "${ruleId}" already exists`, hint: 'Pass another ruleId' });
+  }
+
+  const draft = scaffoldRule(discovery, { ruleId, target });
+  let path = join(DRAFTS_DIR, draft.filename);
+  if (existsSync(path)) return res.status(409).json({ error: `A draft already exists at ${path}` });
+
+  // Marked first, so a failed update leaves no draft behind to block a retry
+  if (!(await graduateDiscovery(discovery.id, { patternId: ruleId, title: discovery.title, severity: discovery.severity || 'medium' }))) {
+    const current = await getDiscovery(discovery.id);
+    if (current?.graduated) return res.status(409).json({ error: 'Already graduated', patternId: current.patternId });
+    return res.status(500).json({ error: 'Could not mark the discovery graduated — try again' });
+  }
+
+  try {
+    mkdirSync(DRAFTS_DIR, { recursive: true });
+    writeFileSync(path, draft.text, { flag: 'wx' });
+  } catch (err) {
+    // Read-only deploys still get the draft in the response
+    console.error('Write rule draft failed:', err.message);
+    path = null;
+  }
+
+  console.log(`🎓 Discovery #${discovery.id} graduated to draft rule ${ruleId} by ${req.admin.name}${path ? ` (${path})` : ''}`);
+  res.status(201).json({ id: discovery.id, ruleId, target, path, draft: draft.text });
+});
@@ -1,34 +1,99 @@
 import { Router } from 'express';
 import { nanoid } from 'nanoid';
-import { detectIssues, KNOWN_ISSUES } from '../known-issues.js';
-import { storeDiagnosis, storeFeedback, getStats, getDiagnosis } from '../db.js';
+import { detectIssues } from '../../cli/lib/known-issues.js';
+import { buildFixPlan, compileFixPlan } from '../../cli/lib/fix-script.js';
+import { summarizeSystem } from '../../cli/lib/detect.js';
+import { validateDiagnostic, normalizeDiagnostic } from '../payload.js';
+import { createAIChain, loadChainConfig, loadChainOptions } from '../ai-chain.js';
+import { loadPrices, costOf, sumUsage, createBudget, loadDailyBudget } from '../ai-costs.js';
+import { buildPrompt, promptBudget, loadPromptBudgets, estimateTokens } from '../ai-prompt.js';
+import { parseAIOutput, repairPrompt, structuredAnalysis, textAnalysis } from '../ai-output.js';
+import { storeDiagnosis, storeFeedback, getStats, getDiagnosis, getDiagnosisOwner, getAISpendToday, recordDiscoveries, deleteDiagnosis } from '../db.js';
+import { formatEvent } from '../../cli/lib/sse.js';
+import { createJobQueue } from '../jobs.js';
+import { createAICache, diagnosticFingerprint, loadCacheTTL } from '../ai-cache.js';
+import { getRulesVersion } from '../rule-loader.js';
+import { discoveriesFrom } from '../discoveries.js';
+import { createRetention, loadRetention } from '../retention.js';
+import { generateDeleteToken, matchesHash, bearerToken, hostSecretHash } from '../owner-auth.js';
 
 export const diagnoseRouter = Router();
 
 // In-memory store for fix results (use Redis/DB in production)
 const fixes = new Map();
 
-// Model configuration — swap easily via env vars
-const AI_CONFIG = {
-  provider: process.env.AI_PROVIDER || 'openrouter', // openrouter | anthropic | deepseek | gemini
-  model: process.env.AI_MODEL || 'minimax/minimax-m2.5',
-  apiKey: process.env.AI_API_KEY || process.env.OPENROUTER_API_KEY || process.env.ANTHROPIC_API_KEY,
-  baseUrl: process.env.AI_BASE_URL || 'https://openrouter.ai/api/v1',
-  maxTokens: 2000,
-};
+// When results dropped from memory went, so /api/fix can say they expired
+// rather than never existed — all there is to go on without a database
+const expiredFixes = new Map(); // fixId → expiredAt
+const MAX_EXPIRED = 10_000;
+
+function dropFix(fixId) {
+  fixes.delete(fixId);
+  expiredFixes.set(fixId, new Date().toISOString());
+  if (expiredFixes.size > MAX_EXPIRED) expiredFixes.delete(expiredFixes.keys().next().value);
+}
+
+// Diagnoses still running, by fixId — their events so far and who's listening
+const live = new Map();
 
-// Provider base URLs
-const PROVIDER_URLS = {
-  openrouter: 'https://openrouter.ai/api/v1',
-  anthropic: 'https://api.anthropic.com/v1',
-  deepseek: 'https://api.deepseek.com/v1',
-  gemini: 'https://generativelanguage.googleapis.com/v1beta',
-  together: 'https://api.together.xyz/v1',
-  minimax: 'https://api.minimax.chat/v1',
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+  'X-Accel-Buffering': 'no', // nginx would otherwise hold the stream back
 };
+const HEARTBEAT_MS = 15_000;
+
+// A count from the environment, at least 1, or the default
+function count(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    console.error(`⚠️  Ignoring ${name}="${value}" — using ${fallback}`);
+    return fallback;
+  }
+  return n;
+}
+
+// ?async=1 diagnoses, run in the background (DIAGNOSE_CONCURRENCY at a time,
+// DIAGNOSE_QUEUE_MAX waiting at most — more answer 503)
+export const diagnosisJobs = createJobQueue(runTracked, {
+  concurrency: count('DIAGNOSE_CONCURRENCY', 2),
+  maxPending: count('DIAGNOSE_QUEUE_MAX', 100),
+});
+const QUEUE_FULL_RETRY_S = 30;
+
+// AI providers, tried in order — see src/ai-chain.js for AI_CHAIN and friends
+export const aiChain = createAIChain(loadChainConfig(), loadChainOptions());
+
+// What AI calls cost, and the daily cap (AI_PRICES, AI_DAILY_BUDGET_USD — see src/ai-costs.js)
+const AI_PRICES = loadPrices();
+const aiBudget = createBudget({ dailyUsd: loadDailyBudget() });
+const unpricedModels = new Set();
+
+// Earlier answers for the same situation (AI_CACHE_TTL_HOURS — see src/ai-cache.js)
+const aiCache = createAICache({ ttlMs: loadCacheTTL(), rulesVersion: getRulesVersion });
+
+// Results expire and old diagnoses are anonymized (RETAIN_* — see src/retention.js)
+export const retention = createRetention({
+  ...loadRetention(),
+  forgetInMemory(before) {
+    const old = [...fixes.values()].filter(fix => Date.parse(fix.timestamp) < before);
+    old.forEach(fix => dropFix(fix.fixId));
+    return old.length;
+  },
+});
+
+// Today's spend so far is loaded from the database once, on the first diagnosis
+let budgetSeeded = null;
+function seedBudget() {
+  budgetSeeded ||= getAISpendToday().then(usd => aiBudget.seed(usd));
+  return budgetSeeded;
+}
 
 const SYSTEM_PROMPT = `You are ClawFix, an expert AI diagnostician for OpenClaw installations.
-You analyze diagnostic data from users' OpenClaw setups and generate precise fix scripts.
+You analyze diagnostic data from users' OpenClaw setups and generate precise fix plans.
 
 Your expertise comes from real-world experience running OpenClaw in production:
 - Memory configuration (hybrid search, context pruning, compaction, Mem0)
@@ -86,8 +151,8 @@ Your expertise comes from real-world experience running OpenClaw in production:
 - browser.wrongPortHits: count of log lines showing extension connecting to wrong port (18789)
 
 Rules:
-1. Generate bash fix scripts that are safe, idempotent, and well-commented
-2. ALWAYS create a backup before modifying any file
+1. Fixes must be safe, idempotent, and well-explained
+2. Files changed by plan operations are backed up automatically; shell steps must list the files they modify
 3. Explain each fix in plain language
 4. If you're not sure about something, say so — don't guess
 5. Never include secrets, tokens, or API keys in your output
@@ -97,99 +162,272 @@ Rules:
 9. For gateway crashes, ALWAYS recommend installing the watchdog if not already present
 10. On macOS, prefer launchctl unload/load over "openclaw gateway restart" for crash recovery`;
 
-diagnoseRouter.post('/diagnose', async (req, res) => {
-  try {
-    const diagnostic = req.body;
+// Prompt budgets per model (AI_PROMPT_TOKENS, AI_PROMPT_BUDGETS — see src/ai-prompt.js)
+const PROMPT_BUDGETS = loadPromptBudgets();
+const SYSTEM_PROMPT_TOKENS = estimateTokens(SYSTEM_PROMPT);
 
-    if (!diagnostic || !diagnostic.system) {
-      return res.status(400).json({
-        error: 'Invalid diagnostic payload',
-        hint: 'Run the diagnostic script: curl -sSL clawfix.dev/fix | bash'
-      });
-    }
+/**
+ * Diagnose one payload. Progress goes to emit() as it happens:
+ *   patterns  — pattern-matching results, straight away
+ *   token     — a piece of the AI's reply as it streams in
+ *   restart   — the AI reply so far was dropped (retry, fallback, repair)
+ *   analysis  — the parsed AI analysis
+ *   result    — the stored result, as GET /api/fix/:fixId returns it
+ */
+async function runDiagnosis(diagnostic, { fixId, source, owner = {}, emit = () => {} }) {
+  // Step 1: Pattern matching (fast, free)
+  const knownIssues = detectIssues(diagnostic);
+  const publicIssues = knownIssues.map(i => ({
+    id: i.id,
+    severity: i.severity,
+    title: i.title,
+    description: i.description,
+    consequences: i.consequences,
+  }));
+  const systemInfo = summarizeSystem(diagnostic);
+  emit('patterns', { fixId, issuesFound: knownIssues.length, knownIssues: publicIssues, systemInfo });
+
+  // Step 2: AI analysis (for novel issues and better explanations)
+  const aiAnalysis = await analyzeCached(diagnostic, knownIssues, {
+    onToken: text => emit('token', { text }),
+    onRestart: () => emit('restart', {}),
+  });
+  emit('analysis', {
+    analysis: aiAnalysis.summary,
+    aiIssues: aiAnalysis.additionalIssues || [],
+    aiInsights: aiAnalysis.insights || '',
+    aiConfidence: aiAnalysis.confidence ?? null,
+    model: aiAnalysis.model || 'pattern-matching',
+    cacheHit: aiAnalysis.cacheHit,
+  });
 
-    // Step 1: Pattern matching (fast, free)
-    const knownIssues = detectIssues(diagnostic);
-
-    // Step 2: AI analysis (for novel issues and better explanations)
-    const aiAnalysis = await analyzeWithAI(diagnostic, knownIssues);
-
-    // Generate fix ID
-    const fixId = nanoid(12);
-
-    // Combine known fixes + AI fixes into a single script
-    const fixScript = generateFixScript(knownIssues, aiAnalysis, fixId);
-
-    // Store for later retrieval
-    const result = {
-      fixId,
-      timestamp: new Date().toISOString(),
-      issuesFound: knownIssues.length + (aiAnalysis.additionalIssues?.length || 0),
-      knownIssues: knownIssues.map(i => ({
-        id: i.id,
-        severity: i.severity,
-        title: i.title,
-        description: i.description,
-      })),
-      analysis: aiAnalysis.summary,
-      fixScript,
-      aiInsights: aiAnalysis.insights || '',
-      model: AI_CONFIG.model,
-      systemInfo: {
-        os: diagnostic.system?.os ? `${diagnostic.system.os} ${diagnostic.system.osVersion || ''} (${diagnostic.system.arch || ''})` : null,
-        nodeVersion: diagnostic.system?.nodeVersion || null,
-        openclawVersion: diagnostic.openclaw?.version || null,
-        serviceManager: diagnostic.service?.manager || null,
-        serviceState: diagnostic.service?.state || null,
-      },
-      // Internal metadata for DB (not sent to client)
-      _hostHash: diagnostic.hostHash,
-      _os: diagnostic.system?.os,
-      _arch: diagnostic.system?.arch,
-      _nodeVersion: diagnostic.system?.nodeVersion,
-      _openclawVersion: diagnostic.openclaw?.version,
-      _serviceManager: diagnostic.service?.manager || null,
-      _serviceState: diagnostic.service?.state || null,
-      _serviceExitCode: diagnostic.service?.exitCode || null,
-      _errLogSizeMB: diagnostic.logs?.errLogSizeMB || 0,
-      _sigtermCount: diagnostic.logs?.sigtermCount || 0,
-      _processExists: diagnostic.openclaw?.processExists ?? null,
-      _portListening: diagnostic.openclaw?.portListening ?? null,
-      _aiIssues: aiAnalysis.additionalIssues || [],
-    };
+  // Combine known fixes + AI fixes into one plan, compiled to a single script
+  const fixPlan = buildFixPlan(knownIssues, aiAnalysis, fixId);
+  const fixScript = compileFixPlan(fixPlan);
+
+  // Store for later retrieval
+  const result = {
+    fixId,
+    timestamp: new Date().toISOString(),
+    issuesFound: knownIssues.length + (aiAnalysis.additionalIssues?.length || 0),
+    knownIssues: publicIssues,
+    analysis: aiAnalysis.summary,
+    fixScript,
+    fixPlan,
+    aiIssues: aiAnalysis.additionalIssues || [],
+    aiInsights: aiAnalysis.insights || '',
+    aiConfidence: aiAnalysis.confidence ?? null,
+    model: aiAnalysis.model || 'pattern-matching',
+    cacheHit: aiAnalysis.cacheHit,
+    systemInfo,
+    // Internal metadata for DB (not sent to client)
+    _hostHash: diagnostic.hostHash,
+    _os: diagnostic.system?.os,
+    _arch: diagnostic.system?.arch,
+    _nodeVersion: diagnostic.system?.nodeVersion,
+    _openclawVersion: diagnostic.openclaw?.version,
+    _serviceManager: diagnostic.service?.manager || null,
+    _serviceState: diagnostic.service?.state || null,
+    _serviceExitCode: diagnostic.service?.exitCode || null,
+    _errLogSizeMB: diagnostic.logs?.errLogSizeMB || 0,
+    _sigtermCount: diagnostic.logs?.sigtermCount || 0,
+    _processExists: diagnostic.openclaw?.processExists ?? null,
+    _portListening: diagnostic.openclaw?.portListening ?? null,
+    _aiUsage: aiAnalysis.usage || null,
+    _serviceRestarts: diagnostic.service?.nRestarts ?? null,
+    _deleteTokenHash: owner.deleteTokenHash || null,
+    _hostSecretHash: owner.hostSecretHash || null,
+  };
+
+  fixes.set(fixId, result);
+
+  // Persist to database — before the result goes out, so a client polling
+  // another server never sees a finished job without its result
+  await storeDiagnosis(result, source, diagnostic);
+
+  // Count what the AI found beyond the known patterns (see /api/admin/discoveries)
+  recordDiscoveries(fixId, discoveriesFrom(aiAnalysis, diagnostic));
+
+  // Clean up old fixes (keep last 1000)
+  if (fixes.size > 1000) dropFix(fixes.keys().next().value);
+
+  emit('result', publicView(result));
+  return result;
+}
+
+/**
+ * Drop a diagnosis from memory and the database. False if neither had it.
+ */
+export async function forgetDiagnosis(fixId) {
+  const inMemory = fixes.delete(fixId);
+  expiredFixes.delete(fixId);
+  return (await deleteDiagnosis(fixId)) || inMemory;
+}
+
+/**
+ * Register a running diagnosis so others can follow it. Events are kept for
+ * late listeners (the results page), with streamed tokens merged into one.
+ */
+function trackLive(fixId) {
+  const run = { patterns: null, events: [], listeners: new Set() };
+  live.set(fixId, run);
+  return {
+    run,
+    emit(event, data) {
+      const last = run.events[run.events.length - 1];
+      if (event === 'patterns') run.patterns = data;
+      if (event === 'token' && last?.event === 'token') last.data = { text: last.data.text + data.text };
+      else if (event === 'restart') run.events = run.events.filter(e => e.event !== 'token');
+      else run.events.push({ event, data });
+      for (const listener of run.listeners) listener(event, data);
+    },
+    end: () => live.delete(fixId),
+  };
+}
+
+/**
+ * Stream a running diagnosis to an SSE response until its result (or error).
+ * A client going away only stops the stream, never the diagnosis.
+ */
+function streamLive(res, run, { replay = false } = {}) {
+  res.writeHead(200, SSE_HEADERS);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  const send = (event, data) => {
+    res.write(formatEvent(event, data));
+    if (event === 'result' || event === 'error') res.end();
+  };
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    run.listeners.delete(send);
+  });
+  if (replay) run.events.forEach(({ event, data }) => send(event, data));
+  run.listeners.add(send);
+}
 
-    fixes.set(fixId, result);
+const wantsStream = req => req.query.stream === '1' || Boolean(req.headers.accept?.includes('text/event-stream'));
+
+// Everything but the internal (_-prefixed) metadata
+function publicView(result) {
+  return Object.fromEntries(Object.entries(result).filter(([key]) => !key.startsWith('_')));
+}
 
-    // Persist to database
-    const source = req.headers['user-agent']?.includes('node') ? 'npx' : 'curl';
-    storeDiagnosis(result, source).catch(() => {});
+/**
+ * The 410 body for a fix whose results retention deleted
+ */
+function expiredView(fixId, expiredAt) {
+  return {
+    fixId,
+    status: 'expired',
+    expiredAt,
+    error: 'Fix expired — its results were deleted after the retention period. Run the diagnostic again.',
+  };
+}
 
-    // Clean up old fixes (keep last 1000)
-    if (fixes.size > 1000) {
-      const oldest = fixes.keys().next().value;
-      fixes.delete(oldest);
+/**
+ * runDiagnosis, followable live while it runs. With stream (a response) the
+ * events also go out to it as SSE.
+ */
+async function runTracked(diagnostic, { fixId, source, owner = {}, stream = null }) {
+  const tracker = trackLive(fixId);
+  if (stream) streamLive(stream, tracker.run);
+  try {
+    return await runDiagnosis(diagnostic, { fixId, source, owner, emit: tracker.emit });
+  } catch (error) {
+    tracker.emit('error', failure(error.message));
+    throw error;
+  } finally {
+    tracker.end();
+  }
+}
+
+const failure = message => ({
+  error: 'Diagnosis failed',
+  message,
+  hint: 'If this persists, report at https://github.com/arcabotai/clawfix/issues'
+});
+
+// ?async=1 answers 202 at once and queues the diagnosis; ?stream=1 (or
+// Accept: text/event-stream) streams it; otherwise the result comes as JSON.
+// Every answer carries the delete token in X-Delete-Token — only here, and
+// only to the sender; JSON answers repeat it as deleteToken.
+diagnoseRouter.post('/diagnose', async (req, res) => {
+  const check = validateDiagnostic(req.body);
+
+  if (!check.valid) {
+    return res.status(400).json({
+      error: 'Invalid diagnostic payload',
+      payloadVersion: check.version,
+      fields: check.errors,
+      hint: 'Run the diagnostic script: curl -sSL clawfix.dev/fix | bash'
+    });
+  }
+
+  // Older collectors send older shapes — detectors only see the current one
+  const diagnostic = normalizeDiagnostic(req.body);
+  const fixId = nanoid(12);
+  const source = req.headers['user-agent']?.includes('node') ? 'npx' : 'curl';
+  const deleteToken = generateDeleteToken();
+  const owner = { deleteTokenHash: deleteToken.hash, hostSecretHash: hostSecretHash(req) };
+  res.setHeader('X-Delete-Token', deleteToken.token);
+
+  if (req.query.async === '1') {
+    if (!(await diagnosisJobs.add(fixId, diagnostic, source, owner))) {
+      res.removeHeader('X-Delete-Token');
+      res.setHeader('Retry-After', String(QUEUE_FULL_RETRY_S));
+      return res.status(503).json({ error: 'Too many diagnoses queued', hint: `Try again in ${QUEUE_FULL_RETRY_S}s, or send it without ?async=1` });
     }
+    return res.status(202).json({ fixId, status: 'pending', poll: `/api/fix/${fixId}`, results: `/results/${fixId}`, deleteToken: deleteToken.token });
+  }
 
-    // Strip internal metadata before sending to client
-    const { _hostHash, _os, _arch, _nodeVersion, _openclawVersion, _serviceManager, _serviceState, _serviceExitCode, _errLogSizeMB, _sigtermCount, _processExists, _portListening, _aiIssues, ...clientResult } = result;
-    res.json(clientResult);
+  const stream = wantsStream(req);
+  try {
+    const result = await runTracked(diagnostic, { fixId, source, owner, stream: stream ? res : null });
+    if (!stream) res.json({ ...publicView(result), deleteToken: deleteToken.token });
   } catch (error) {
     console.error('Diagnosis error:', error);
-    res.status(500).json({
-      error: 'Diagnosis failed',
-      message: error.message,
-      hint: 'If this persists, report at https://github.com/arcabotai/clawfix/issues'
-    });
+    if (!stream) res.status(500).json(failure(error.message));
+  }
+});
+
+// Follow a diagnosis over SSE: what happened so far, then live. A finished
+// one sends just its result, a failed job just its error.
+diagnoseRouter.get('/diagnose/:fixId/events', async (req, res) => {
+  const run = live.get(req.params.fixId);
+  if (run) return streamLive(res, run, { replay: true });
+
+  const fix = fixes.get(req.params.fixId) || await getDiagnosis(req.params.fixId);
+  if (fix?.expiredAt) return res.status(410).json(expiredView(fix.fixId, fix.expiredAt));
+  if (!fix) {
+    const job = await diagnosisJobs.status(req.params.fixId);
+    if (job?.status === 'failed') {
+      res.writeHead(200, SSE_HEADERS);
+      return res.end(formatEvent('error', failure(job.error)));
+    }
+    // Queued and not started: nothing to follow yet, poll /api/fix/:fixId
+    if (job) return res.status(202).json({ fixId: req.params.fixId, status: 'pending' });
+    if (expiredFixes.has(req.params.fixId)) return res.status(410).json(expiredView(req.params.fixId, expiredFixes.get(req.params.fixId)));
+    return res.status(404).json({ error: 'Fix not found' });
   }
+  res.writeHead(200, SSE_HEADERS);
+  res.end(formatEvent('result', publicView(fix)));
 });
 
-// Retrieve a previously generated fix (memory cache → DB fallback)
+// Retrieve a previously generated fix (memory cache → DB fallback). status is
+// pending (202 — queued, or running with what pattern matching found so far),
+// done, failed or expired (410 — retention deleted the results; 404 means
+// there never was such a fix).
 diagnoseRouter.get('/fix/:fixId', async (req, res) => {
+  const run = live.get(req.params.fixId);
+  if (run) {
+    return res.status(202).json({ fixId: req.params.fixId, ...run.patterns, status: 'pending', events: `/api/diagnose/${req.params.fixId}/events` });
+  }
+
   let fix = fixes.get(req.params.fixId);
   
   // Fall back to database if not in memory
   if (!fix) {
     fix = await getDiagnosis(req.params.fixId);
+    if (fix?.expiredAt) return res.status(410).json(expiredView(fix.fixId, fix.expiredAt));
     if (fix) {
       // Re-cache in memory for subsequent requests
       fixes.set(req.params.fixId, fix);
@@ -197,7 +435,11 @@ diagnoseRouter.get('/fix/:fixId', async (req, res) => {
   }
 
   if (!fix) {
-    return res.status(404).json({ error: 'Fix not found or expired' });
+    const job = await diagnosisJobs.status(req.params.fixId);
+    if (job?.status === 'pending') return res.status(202).json({ fixId: req.params.fixId, status: 'pending' });
+    if (job?.status === 'failed') return res.json({ fixId: req.params.fixId, status: 'failed', ...failure(job.error) });
+    if (expiredFixes.has(req.params.fixId)) return res.status(410).json(expiredView(req.params.fixId, expiredFixes.get(req.params.fixId)));
+    return res.status(404).json({ error: 'Fix not found' });
   }
   
   // Return just the script as plain text (downloadable)
@@ -207,9 +449,30 @@ diagnoseRouter.get('/fix/:fixId', async (req, res) => {
     return res.send(fix.fixScript);
   }
   
-  // Strip internal metadata
-  const { _hostHash, _os, _arch, _nodeVersion, _openclawVersion, _serviceManager, _serviceState, _serviceExitCode, _errLogSizeMB, _sigtermCount, _processExists, _portListening, _aiIssues, ...clientFix } = fix;
-  res.json(clientFix);
+  res.json({ ...publicView(fix), status: 'done' });
+});
+
+// Delete a diagnosis — its row, feedback and the in-memory copy — with the
+// delete token /api/diagnose returned (Authorization: Bearer <token>)
+diagnoseRouter.delete('/fix/:fixId', async (req, res) => {
+  const { fixId } = req.params;
+  const token = bearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Missing delete token', hint: 'Send Authorization: Bearer <deleteToken> — /api/diagnose returned it with the fixId' });
+  }
+  if (live.has(fixId) || (await diagnosisJobs.status(fixId))?.status === 'pending') {
+    return res.status(409).json({ error: 'Diagnosis still running — delete it once it has finished' });
+  }
+
+  // Copies re-cached from the database don't carry the hash
+  const remembered = fixes.get(fixId)?._deleteTokenHash;
+  const owner = remembered ? { deleteTokenHash: remembered } : await getDiagnosisOwner(fixId);
+  if (!owner) return res.status(404).json({ error: 'Fix not found' });
+  if (!matchesHash(token, owner.deleteTokenHash)) return res.status(403).json({ error: 'Wrong delete token for this fix' });
+
+  await forgetDiagnosis(fixId);
+  console.log(`🗑️  Diagnosis ${fixId} deleted by its owner`);
+  res.json({ deleted: true, fixId });
 });
 
 // Stats endpoint
@@ -227,167 +490,185 @@ diagnoseRouter.get('/stats', async (req, res) => {
     zombieProcesses: dbStats?.zombieProcesses || 0,
     uptime: process.uptime(),
     version: '0.5.0',
-    aiProvider: AI_CONFIG.provider,
-    aiModel: AI_CONFIG.model,
-    aiAvailable: !!AI_CONFIG.apiKey,
+    aiProvider: aiChain.configs[0]?.provider || null,
+    aiModel: aiChain.configs[0]?.model || null,
+    aiAvailable: aiChain.configs.length > 0,
+    aiChain: aiChain.status(),
+    aiCache: aiCache.stats(),
+    retention: retention.status(),
+    aiUsage: {
+      today: aiBudget.status(),
+      daily: dbStats?.aiDaily || memoryUsage(f => f.timestamp.slice(0, 10), 'day'),
+      byModel: dbStats?.aiByModel || memoryUsage(f => f.model, 'model'),
+    },
   });
 });
 
 // Feedback endpoint — did the fix work?
+// `clawfix verify` sends { success, issuesRemaining, remainingIssues, checkedIssues, verified: true };
+// fix scripts send { applied: true }, which says nothing about success
 diagnoseRouter.post('/feedback/:fixId', async (req, res) => {
   const { fixId } = req.params;
-  const success = req.body?.success ?? req.query?.success === 'true';
-  const issuesRemaining = req.body?.issuesRemaining ?? (parseInt(req.query?.remaining) || null);
-  const comment = req.body?.comment || null;
+  const body = req.body || {};
+  const isIdList = v => Array.isArray(v) && v.length <= 100 && v.every(id => typeof id === 'string' && /^[\w-]{1,80}$/.test(id));
 
-  await storeFeedback(fixId, success, issuesRemaining, comment);
+  if (body.success !== undefined && typeof body.success !== 'boolean') {
+    return res.status(400).json({ error: 'success must be a boolean' });
+  }
+  for (const field of ['remainingIssues', 'checkedIssues']) {
+    if (body[field] !== undefined && !isIdList(body[field])) {
+      return res.status(400).json({ error: `${field} must be a list of issue IDs` });
+    }
+  }
+  if (body.verified && !body.remainingIssues) {
+    return res.status(400).json({ error: 'verified feedback needs remainingIssues' });
+  }
 
-  res.json({ received: true, fixId, success });
+  const success = body.success ?? (req.query?.success ? req.query.success === 'true' : null);
+  const remainingIssues = body.remainingIssues || null;
+  const issuesRemaining = Number.isInteger(body.issuesRemaining) ? body.issuesRemaining
+    : remainingIssues ? remainingIssues.length : (parseInt(req.query?.remaining) || null);
+
+  await storeFeedback(fixId, {
+    success,
+    issuesRemaining,
+    remainingIssues,
+    checkedIssues: body.checkedIssues || null,
+    verified: body.verified === true,
+    comment: typeof body.comment === 'string' ? body.comment.slice(0, 2000) : null,
+  });
+
+  res.json({ received: true, fixId, success, verified: body.verified === true });
 });
 
 /**
- * Call AI via OpenAI-compatible API (works with OpenRouter, Together, DeepSeek, etc.)
+ * AI usage grouped by key, from the in-memory fixes — /api/stats without a database
  */
-async function callAI(systemPrompt, userMessage) {
-  const baseUrl = AI_CONFIG.baseUrl || PROVIDER_URLS[AI_CONFIG.provider] || PROVIDER_URLS.openrouter;
-  
-  const headers = {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${AI_CONFIG.apiKey}`,
-  };
+function memoryUsage(keyOf, name) {
+  const groups = new Map();
+  for (const fix of fixes.values()) {
+    if (!fix._aiUsage) continue;
+    const key = keyOf(fix);
+    const group = groups.get(key) || { [name]: key, analyses: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+    group.analyses++;
+    group.inputTokens += fix._aiUsage.inputTokens;
+    group.outputTokens += fix._aiUsage.outputTokens;
+    group.costUsd += fix._aiUsage.costUsd || 0;
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+}
 
-  // OpenRouter-specific headers
-  if (AI_CONFIG.provider === 'openrouter') {
-    headers['HTTP-Referer'] = 'https://clawfix.dev';
-    headers['X-Title'] = 'ClawFix';
+/**
+ * Call the first provider in the chain that answers. messages is the
+ * conversation so far — [{ role, content }] without the system prompt — or a
+ * function building it for a chain entry; stream is { onToken, onRestart }
+ * (see createAIChain). Returns { text, entry, model, usage, costUsd }: entry
+ * is the { provider, model } that answered and model its "provider:model"
+ * label. The cost is charged to today's budget.
+ */
+async function callAI(systemPrompt, messages, stream = {}) {
+  const { text, provider, model, usage } = await aiChain.call(systemPrompt, messages, stream);
+  const costUsd = costOf(AI_PRICES, { provider, model, usage });
+  if (costUsd === null && !unpricedModels.has(`${provider}:${model}`)) {
+    unpricedModels.add(`${provider}:${model}`);
+    console.error(`⚠️  No price for ${provider}:${model} — its cost isn't counted (set AI_PRICES)`);
   }
+  aiBudget.add(costUsd);
+  return { text, entry: { provider, model }, model: `${provider}:${model}`, usage, costUsd };
+}
 
-  const body = {
-    model: AI_CONFIG.model,
-    max_tokens: AI_CONFIG.maxTokens,
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userMessage },
-    ],
-  };
+/**
+ * analyzeWithAI, reusing an earlier answer for the same situation. Only
+ * structured answers are kept: a scraped free-text one is worth asking again.
+ */
+async function analyzeCached(diagnostic, knownIssues, stream) {
+  if (!aiChain.configs.length) return { ...await analyzeWithAI(diagnostic, knownIssues, stream), cacheHit: false };
 
-  const response = await fetch(`${baseUrl}/chat/completions`, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(body),
-  });
+  const fingerprint = diagnosticFingerprint(diagnostic, knownIssues, getRulesVersion());
+  const cached = await aiCache.get(fingerprint);
+  if (cached) return { ...cached.analysis, cacheHit: true, cachedAt: cached.createdAt };
 
-  if (!response.ok) {
-    const err = await response.text();
-    throw new Error(`AI API ${response.status}: ${err}`);
+  const analysis = await analyzeWithAI(diagnostic, knownIssues, stream);
+  if (analysis.structured) {
+    const { usage, raw, ...answer } = analysis;
+    aiCache.set(fingerprint, answer).catch(() => {});
   }
-
-  const data = await response.json();
-  return data.choices?.[0]?.message?.content || '';
+  return { ...analysis, cacheHit: false };
 }
 
-async function analyzeWithAI(diagnostic, knownIssues) {
+/**
+ * Ask the model for a structured analysis (schemas/ai-analysis.json). A reply
+ * that doesn't validate gets one repair attempt; if that fails too, the first
+ * reply is scraped as free text like before. The reply streams to
+ * stream.onToken; the repair restarts it.
+ */
+async function analyzeWithAI(diagnostic, knownIssues, stream = {}) {
   try {
-    if (!AI_CONFIG.apiKey) {
+    if (!aiChain.configs.length) {
       return {
         summary: `Pattern matching found ${knownIssues.length} issue(s). AI analysis unavailable (no API key configured).`,
         insights: '',
         additionalIssues: [],
+        aiFixes: [],
         additionalFixes: '',
       };
     }
 
-    const knownIds = knownIssues.map(i => i.id);
-
-    const userMessage = `Analyze this OpenClaw diagnostic data. 
-        
-Known issues already detected by pattern matching: ${knownIds.join(', ') || 'none'}
-
-Look for ADDITIONAL issues not covered by the known patterns. Also provide:
-1. A brief plain-language summary of the overall health
-2. Any optimization suggestions
-3. Fix scripts for any new issues you find
+    await seedBudget();
+    if (aiBudget.exceeded()) {
+      return {
+        summary: `Pattern matching found ${knownIssues.length} issue(s). AI analysis paused (daily AI budget reached).`,
+        insights: '',
+        additionalIssues: [],
+        aiFixes: [],
+        additionalFixes: '',
+      };
+    }
 
-Diagnostic data:
-${JSON.stringify(diagnostic, null, 2)}`;
+    const knownIds = knownIssues.map(i => i.id);
 
-    const response = await callAI(SYSTEM_PROMPT, userMessage);
+    // The diagnostic, trimmed to each model's prompt budget
+    const prompt = config => [{
+      role: 'user',
+      content: buildPrompt(diagnostic, knownIssues, { maxTokens: promptBudget(PROMPT_BUDGETS, config), reservedTokens: SYSTEM_PROMPT_TOKENS }).text,
+    }];
+
+    const response = await callAI(SYSTEM_PROMPT, prompt, stream);
+    const calls = [response];
+    let parsed = parseAIOutput(response.text, knownIds);
+
+    if (parsed.errors.length && !aiBudget.exceeded()) {
+      console.error(`⚠️  AI output invalid (${parsed.errors[0]}), asking for a repair`);
+      try {
+        const messages = [
+          ...prompt(response.entry),
+          { role: 'assistant', content: response.text },
+          { role: 'user', content: repairPrompt(parsed.errors) },
+        ];
+        stream.onRestart?.();
+        const repaired = await callAI(SYSTEM_PROMPT, messages, stream);
+        calls.push(repaired);
+        parsed = parseAIOutput(repaired.text, knownIds);
+        if (parsed.value) return { ...structuredAnalysis(parsed.value), model: repaired.model, usage: sumUsage(calls), raw: repaired.text };
+      } catch (error) {
+        console.error('AI repair failed:', error.message);
+      }
+    }
+    if (!parsed.value) {
+      console.error('⚠️  AI output still invalid, falling back to text analysis');
+      return { ...textAnalysis(response.text), model: response.model, usage: sumUsage(calls), raw: response.text };
+    }
 
-    return {
-      summary: extractSection(response, 'summary') || response.slice(0, 500),
-      insights: extractSection(response, 'optimization') || '',
-      additionalIssues: [],
-      additionalFixes: extractSection(response, 'fix') || '',
-      raw: response,
-    };
+    return { ...structuredAnalysis(parsed.value), model: response.model, usage: sumUsage(calls), raw: response.text };
   } catch (error) {
     console.error('AI analysis failed:', error.message);
     return {
       summary: `Pattern matching found ${knownIssues.length} issue(s). AI analysis unavailable (${error.message}).`,
       insights: '',
       additionalIssues: [],
+      aiFixes: [],
       additionalFixes: '',
     };
   }
 }
-
-function extractSection(text, keyword) {
-  const regex = new RegExp(`(?:^|\\n)(?:#+\\s*)?(?:${keyword})[:\\s]*\\n([\\s\\S]*?)(?=\\n#+|$)`, 'i');
-  const match = text.match(regex);
-  return match ? match[1].trim() : '';
-}
-
-function generateFixScript(knownIssues, aiAnalysis, fixId) {
-  const lines = [
-    '#!/usr/bin/env bash',
-    `# ClawFix Fix Script — ${fixId}`,
-    `# Generated: ${new Date().toISOString()}`,
-    '# Review each step before running!',
-    '#',
-    '# Usage: bash fix.sh',
-    '',
-    'set -euo pipefail',
-    '',
-    '# Backup current config',
-    'if [ -f ~/.openclaw/openclaw.json ]; then',
-    '  cp ~/.openclaw/openclaw.json ~/.openclaw/openclaw.json.bak.$(date +%s)',
-    '  echo "✅ Config backed up"',
-    'fi',
-    '',
-  ];
-
-  // Add known issue fixes
-  for (const issue of knownIssues) {
-    lines.push(`# ─── Fix: ${issue.title} (${issue.severity}) ───`);
-    lines.push(`# ${issue.description}`);
-    lines.push(issue.fix);
-    lines.push('');
-  }
-
-  // Add AI-generated fixes
-  if (aiAnalysis.additionalFixes) {
-    lines.push('# ─── Additional AI-Recommended Fixes ───');
-    lines.push(aiAnalysis.additionalFixes);
-    lines.push('');
-  }
-
-  // Restart gateway
-  if (knownIssues.some(i => i.fix.includes('openclaw.json'))) {
-    lines.push('# ─── Restart Gateway to Apply Changes ───');
-    lines.push('echo "Restarting OpenClaw gateway..."');
-    lines.push('openclaw gateway restart 2>/dev/null || echo "⚠️  Could not restart gateway automatically. Run: openclaw gateway restart"');
-    lines.push('');
-  }
-
-  lines.push('echo ""');
-  lines.push('echo "🦞 All fixes applied! Run \'openclaw status\' to verify."');
-  lines.push(`echo "Fix ID: ${fixId}"`);
-  lines.push('');
-  lines.push('# ─── Optional: Tell ClawFix if this worked ───');
-  lines.push('# This helps us improve fixes for everyone. Remove if you prefer.');
-  lines.push(`curl -s -X POST "https://clawfix.dev/api/feedback/${fixId}" \\`);
-  lines.push('  -H "Content-Type: application/json" \\');
-  lines.push('  -d \'{"success": true}\' &>/dev/null || true');
-
-  return lines.join('\n');
-}
@@ -0,0 +1,36 @@
+import { Router } from 'express';
+import { getHostHistory } from '../db.js';
+import { getAllRules } from '../../cli/lib/known-issues.js';
+import { summarizeHistory } from '../history.js';
+import { bearerToken } from '../owner-auth.js';
+import { hashToken } from '../admin-auth.js';
+
+export const historyRouter = Router();
+
+// One machine's diagnoses over time — see src/history.js. The host secret
+// `npx clawfix` keeps goes in Authorization: Bearer <secret>.
+historyRouter.get('/history/:hostHash', async (req, res) => {
+  const { hostHash } = req.params;
+  if (!/^[\w-]{1,64}$/.test(hostHash)) return res.status(400).json({ error: 'Invalid hostHash' });
+
+  const secret = bearerToken(req);
+  if (!secret) {
+    return res.status(401).json({ error: 'Missing host secret', hint: 'Send Authorization: Bearer <secret> — npx clawfix keeps it in ~/.openclaw/clawfix/secrets.json' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 1000);
+  const diagnoses = await getHostHistory(hostHash, hashToken(secret), { limit });
+  if (!diagnoses) return res.status(503).json({ error: 'History needs a database' });
+  if (!diagnoses.length) {
+    // Same answer for a wrong secret, so it doesn't tell which hosts exist
+    return res.status(404).json({ error: 'No history for this host', hint: 'Only diagnoses sent with this host secret count' });
+  }
+
+  const titles = new Map(getAllRules().map(rule => [rule.id, rule.title]));
+  res.json({
+    hostHash,
+    count: diagnoses.length,
+    diagnoses,
+    ...summarizeHistory(diagnoses, id => titles.get(id) || null),
+  });
+});
@@ -5,6 +5,9 @@ export const resultsRouter = Router();
 /**
  * Web-based results page — non-devs see diagnosis results in the browser.
  * Flow: user runs curl command → gets a fix ID → visits /results/:fixId in browser
+ * A diagnosis still running shows its pattern-matching results and follows
+ * the AI analysis live (/api/diagnose/:fixId/events) until the fix is ready;
+ * a queued one (?async=1) is polled until it starts.
  */
 resultsRouter.get('/results/:fixId', (req, res) => {
   res.setHeader('Content-Type', 'text/html');
@@ -59,12 +62,14 @@ function resultsPage(fixId) {
     .badge-high { background: rgba(249,115,22,0.2); color: #f97316; }
     .badge-medium { background: rgba(234,179,8,0.2); color: var(--yellow); }
     .badge-low { background: rgba(59,130,246,0.2); color: var(--blue); }
+    .badge-ai { background: rgba(168,85,247,0.2); color: #a855f7; }
     .issue {
       background: var(--surface); border: 1px solid var(--border);
       border-radius: 8px; padding: 16px; margin-bottom: 12px;
     }
     .issue h3 { font-size: 1rem; margin-bottom: 4px; display: flex; align-items: center; gap: 8px; }
     .issue p { color: var(--muted); font-size: 0.9rem; }
+    .issue .consequences { margin-top: 8px; font-size: 0.85rem; }
     .fix-section { margin-top: 32px; }
     .fix-section h2 { font-size: 1.25rem; margin-bottom: 16px; }
     pre {
@@ -100,6 +105,7 @@ function resultsPage(fixId) {
     .payment h3 { color: var(--green); margin-bottom: 8px; }
     .payment p { color: var(--muted); font-size: 0.9rem; margin-bottom: 16px; }
     .payment-options { display: flex; gap: 12px; justify-content: center; flex-wrap: wrap; }
+    .live-count { color: var(--muted); font-size: 0.8rem; font-weight: 400; }
     .meta { color: var(--muted); font-size: 0.8rem; margin-top: 24px; text-align: center; }
     .meta a { color: var(--muted); }
   </style>
@@ -120,24 +126,74 @@ function resultsPage(fixId) {
   <script>
     const fixId = "${fixId}";
     const API_BASE = window.location.origin;
+    const POLL_MS = 2000;
 
     async function loadResults() {
       try {
         const res = await fetch(API_BASE + '/api/fix/' + fixId);
         if (!res.ok) {
           if (res.status === 404) {
-            showError('Fix not found or expired. Results are stored temporarily — try running the diagnostic again.');
+            showError('Fix not found — check the link, or run the diagnostic again.');
+            return;
+          }
+          if (res.status === 410) {
+            const data = await res.json();
+            showError('This fix has expired: results are only kept for a while, and these were deleted on ' +
+              escapeHtml(new Date(data.expiredAt).toLocaleDateString()) + '. Run the diagnostic again for a fresh one.');
             return;
           }
           throw new Error('API error: ' + res.status);
         }
         const data = await res.json();
-        renderResults(data);
+        if (data.status === 'failed') {
+          showError('Diagnosis failed: ' + escapeHtml(data.message || 'unknown error'));
+        } else if (res.status === 202 && data.events) {
+          followLive(data);
+        } else if (res.status === 202) {
+          // Queued — check again shortly
+          document.querySelector('.loading p').textContent = 'Diagnosis queued — waiting for it to start...';
+          setTimeout(loadResults, POLL_MS);
+        } else {
+          renderResults(data);
+        }
       } catch (err) {
         showError('Failed to load results: ' + err.message);
       }
     }
 
+    // Diagnosis still running: show what's known, stream the AI's reply in
+    function followLive(patterns) {
+      var text = '';
+      var showPartial = function (data) {
+        renderResults(Object.assign({}, data, { analysis: 'Pattern matching done — AI analysis in progress…' }));
+        document.getElementById('content').insertAdjacentHTML('beforeend',
+          '<div class="ai-insights" id="live"><h2>🧠 AI Analysis <span class="live-count" id="liveCount">waiting for the model…</span></h2>' +
+          '<pre id="liveText" style="max-height:320px;overflow-y:auto"></pre></div>');
+      };
+      var showText = function () {
+        document.getElementById('liveText').textContent = text;
+        document.getElementById('liveCount').textContent = text ? text.length + ' characters received' : 'waiting for the model…';
+      };
+      showPartial(patterns);
+
+      const events = new EventSource(API_BASE + '/api/diagnose/' + fixId + '/events');
+      // A reconnect replays everything, so start over on patterns
+      events.addEventListener('patterns', e => { text = ''; showPartial(JSON.parse(e.data)); });
+      events.addEventListener('token', e => { text += JSON.parse(e.data).text; showText(); });
+      events.addEventListener('restart', () => { text = ''; showText(); });
+      events.addEventListener('analysis', () => {
+        document.getElementById('liveCount').textContent = 'analysis done — building the fix script…';
+      });
+      events.addEventListener('result', e => { events.close(); renderResults(JSON.parse(e.data)); });
+      events.addEventListener('error', e => {
+        // Events from the server carry data; connection errors don't (the browser retries those)
+        if (e.data) {
+          events.close();
+          showError('Diagnosis failed: ' + escapeHtml(JSON.parse(e.data).message || 'unknown error'));
+        }
+      });
+    }
+
     function showError(msg) {
       document.getElementById('content').innerHTML = 
         '<div class="error-box"><strong>❌ Error</strong><br>' + msg + '</div>' +
@@ -169,7 +225,7 @@ function resultsPage(fixId) {
       // Summary
       html += '<div class="summary">';
       html += '<h2>' + (count === 0 ? '✅ No Issues Found' : '🔍 Found ' + count + ' Issue' + (count > 1 ? 's' : '')) + '</h2>';
-      html += '<p style="color:var(--muted)">' + (data.analysis || 'Pattern matching analysis complete.') + '</p>';
+      html += '<p style="color:var(--muted)">' + escapeHtml(data.analysis || 'Pattern matching analysis complete.') + '</p>';
       html += '</div>';
 
       // Issues list
@@ -179,10 +235,28 @@ function resultsPage(fixId) {
           html += '<div class="issue" style="border-left:3px solid ' + borderColor + '">';
           html += '<h3><span class="badge badge-' + issue.severity + '" style="font-size:0.8rem;padding:3px 10px">' + issue.severity.toUpperCase() + '</span> ' + issue.title + '</h3>';
           html += '<p>' + issue.description + '</p>';
+          if (issue.consequences && issue.consequences.length > 0) {
+            html += '<p class="consequences">Root cause of: ' + issue.consequences.map(function (c) {
+              return '<span class="badge badge-' + escapeHtml(c.severity) + '">' + escapeHtml(c.severity) + '</span> ' + escapeHtml(c.title);
+            }).join(' · ') + '</p>';
+          }
           html += '</div>';
         });
       }
 
+      // Issues the AI found beyond the patterns
+      (data.aiIssues || []).forEach(issue => {
+        var borderColor = {critical: 'var(--red)', high: '#f97316', medium: 'var(--yellow)', low: 'var(--blue)'}[issue.severity] || 'var(--border)';
+        html += '<div class="issue" style="border-left:3px solid ' + borderColor + '">';
+        html += '<h3><span class="badge badge-' + issue.severity + '" style="font-size:0.8rem;padding:3px 10px">' + issue.severity.toUpperCase() + '</span> ';
+        html += '<span class="badge badge-ai">AI</span> ' + escapeHtml(issue.title) + '</h3>';
+        html += '<p>' + escapeHtml(issue.description) + '</p>';
+        if (typeof issue.confidence === 'number') {
+          html += '<p class="consequences">Confidence: ' + Math.round(issue.confidence * 100) + '%</p>';
+        }
+        html += '</div>';
+      });
+
       // AI insights
       if (data.aiInsights) {
         html += '<div class="ai-insights">';
@@ -220,8 +294,8 @@ function resultsPage(fixId) {
       }
 
       // Meta
-      html += '<p class="meta">Fix ID: ' + data.fixId + ' · Generated: ' + new Date(data.timestamp).toLocaleString();
-      html += ' · Model: ' + (data.model || 'pattern-matching');
+      html += '<p class="meta">Fix ID: ' + data.fixId + (data.timestamp ? ' · Generated: ' + new Date(data.timestamp).toLocaleString() : '');
+      html += ' · Model: ' + (data.model || 'pattern-matching') + (data.cacheHit ? ' (cached answer)' : '');
       html += '<br><a href="/">← Back to ClawFix</a></p>';
 
       document.getElementById('content').innerHTML = html;
@@ -231,7 +305,7 @@ function resultsPage(fixId) {
     }
 
     function escapeHtml(str) {
-      return str.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
+      return String(str).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;');
     }
 
     function copyScript() {
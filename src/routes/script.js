@@ -1,5 +1,6 @@
 import { Router } from 'express';
 import { createHash } from 'node:crypto';
+import { renderCollector, PAYLOAD_VERSION } from '../../cli/lib/collector.js';
 
 export const scriptRouter = Router();
 
@@ -19,7 +20,9 @@ scriptRouter.get('/fix/sha256', (req, res) => {
   });
 });
 
-const DIAGNOSTIC_SCRIPT = `#!/usr/bin/env bash
+// Everything from "Check dependencies" to the payload is generated from the
+// same probes the npx CLI runs (cli/lib/probes) — edit those, not this file.
+const SCRIPT_HEAD = `#!/usr/bin/env bash
 # ClawFix — AI-Powered OpenClaw Diagnostic
 # https://clawfix.dev
 # 
@@ -46,373 +49,40 @@ const DIAGNOSTIC_SCRIPT = `#!/usr/bin/env bash
 #   npx clawfix                 # Interactive scan
 #   npx clawfix --dry-run       # See what data would be collected
 #
+# MACHINE-READABLE:
+#   curl -sSL clawfix.dev/fix | CLAWFIX_JSON=1 bash   # Print the payload, send nothing
+#
 # Source code: https://github.com/arcabotai/clawfix
 
-set -euo pipefail
-
 # --- Config ---
 API_URL="\${CLAWFIX_API:-https://clawfix.dev}"
-VERSION="0.4.0"
+VERSION="${PAYLOAD_VERSION}"
+if [ "\${CLAWFIX_JSON:-0}" = "1" ]; then
+  CLAWFIX_QUIET=1
+  CLAWFIX_COLOR=0
+fi
+`;
 
-# --- Colors ---
-RED='\\033[0;31m'
-GREEN='\\033[0;32m'
-YELLOW='\\033[1;33m'
-BLUE='\\033[0;34m'
-CYAN='\\033[0;36m'
-NC='\\033[0m'
-BOLD='\\033[1m'
-
-echo ""
-echo -e "\${CYAN}🦞 ClawFix v\${VERSION} — AI-Powered OpenClaw Diagnostic\${NC}"
-echo -e "\${CYAN}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\${NC}"
-echo ""
+const SCRIPT_INTRO = `say ""
+say "\${CYAN}🦞 ClawFix v\${VERSION} — AI-Powered OpenClaw Diagnostic\${NC}"
+say "\${CYAN}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\${NC}"
 
 # --- Check dependencies ---
-for cmd in node npm jq curl; do
-  if ! command -v "\$cmd" &>/dev/null; then
-    echo -e "\${RED}❌ Missing: \$cmd\${NC}"
-    echo "Please install \$cmd and try again."
+for cmd in node jq curl; do
+  if ! has "\$cmd"; then
+    echo -e "\${RED}❌ Missing: \$cmd\${NC}" >&2
+    echo "Please install \$cmd and try again." >&2
     exit 1
   fi
-done
-
-# --- Detect OpenClaw ---
-OPENCLAW_BIN=""
-OPENCLAW_DIR=""
-OPENCLAW_CONFIG=""
-
-# Find openclaw binary
-if command -v openclaw &>/dev/null; then
-  OPENCLAW_BIN=\$(which openclaw)
-elif [ -f "/opt/homebrew/bin/openclaw" ]; then
-  OPENCLAW_BIN="/opt/homebrew/bin/openclaw"
-elif [ -f "/usr/local/bin/openclaw" ]; then
-  OPENCLAW_BIN="/usr/local/bin/openclaw"
-fi
-
-# Find config directory
-if [ -d "\$HOME/.openclaw" ]; then
-  OPENCLAW_DIR="\$HOME/.openclaw"
-elif [ -d "\$HOME/.config/openclaw" ]; then
-  OPENCLAW_DIR="\$HOME/.config/openclaw"
-fi
-
-# Find config file
-if [ -n "\$OPENCLAW_DIR" ] && [ -f "\$OPENCLAW_DIR/openclaw.json" ]; then
-  OPENCLAW_CONFIG="\$OPENCLAW_DIR/openclaw.json"
-fi
-
-if [ -z "\$OPENCLAW_BIN" ] && [ -z "\$OPENCLAW_DIR" ]; then
-  echo -e "\${RED}❌ OpenClaw not found on this system.\${NC}"
-  echo "Make sure OpenClaw is installed: https://openclaw.ai"
-  exit 1
-fi
-
-echo -e "\${GREEN}✅ OpenClaw found\${NC}"
-[ -n "\$OPENCLAW_BIN" ] && echo "   Binary: \$OPENCLAW_BIN"
-[ -n "\$OPENCLAW_DIR" ] && echo "   Config: \$OPENCLAW_DIR"
-
-# --- Collect System Info ---
-echo ""
-echo -e "\${BLUE}📋 Collecting system information...\${NC}"
-
-OS_NAME=\$(uname -s)
-OS_VERSION=\$(uname -r)
-OS_ARCH=\$(uname -m)
-NODE_VERSION=\$(node --version 2>/dev/null || echo "unknown")
-NPM_VERSION=\$(npm --version 2>/dev/null || echo "unknown")
-HOSTNAME_HASH=\$(hostname | shasum -a 256 | cut -c1-8)
-
-# OpenClaw version
-OC_VERSION=""
-if [ -n "\$OPENCLAW_BIN" ]; then
-  OC_VERSION=\$("\$OPENCLAW_BIN" --version 2>/dev/null || echo "unknown")
-fi
-
-echo -e "   OS: \$OS_NAME \$OS_VERSION (\$OS_ARCH)"
-echo -e "   Node: \$NODE_VERSION"
-echo -e "   OpenClaw: \${OC_VERSION:-not found}"
-
-# --- Sanitize Config (REDACT ALL SECRETS) ---
-echo ""
-echo -e "\${BLUE}🔒 Reading config (secrets will be redacted)...\${NC}"
-
-SANITIZED_CONFIG="{}"
-if [ -n "\$OPENCLAW_CONFIG" ]; then
-  # Redact anything that looks like a key, token, secret, or password
-  SANITIZED_CONFIG=\$(jq '
-    walk(
-      if type == "string" then
-        if (length > 20 and (test("^(sk-|xai-|eyJ|ghp_|gho_|npm_|m0-|AIza|ntn_)") or test("^[A-Za-z0-9+/=]{40,}$"))) then
-          "***REDACTED***"
-        elif (length > 8 and test("(key|token|secret|password|jwt|apiKey|accessToken)"; "i")) then
-          "***REDACTED***"
-        else .
-        end
-      else .
-      end
-    )
-    | del(.env)
-    | if .gateway.auth then .gateway.auth.token = "***REDACTED***" else . end
-    | if .channels then (.channels | to_entries | map(.value.accessToken = "***REDACTED***" | .value.apiKey = "***REDACTED***") | from_entries) as \$ch | .channels = \$ch else . end
-  ' "\$OPENCLAW_CONFIG" 2>/dev/null || echo '{"error": "could not parse config"}')
-  
-  echo -e "\${GREEN}   ✅ Config read and sanitized\${NC}"
-else
-  echo -e "\${YELLOW}   ⚠️  No config file found\${NC}"
-fi
-
-# --- Check Gateway Status ---
-echo ""
-echo -e "\${BLUE}🔌 Checking gateway status...\${NC}"
-
-GATEWAY_STATUS="unknown"
-GATEWAY_PID=""
-GATEWAY_PORT=""
-
-if [ -n "\$OPENCLAW_BIN" ]; then
-  GATEWAY_STATUS=\$("\$OPENCLAW_BIN" gateway status 2>&1 || echo "error")
-fi
-
-# Try to find gateway process
-GATEWAY_PID=\$(pgrep -f "openclaw.*gateway" 2>/dev/null | head -1 || echo "")
-
-# Try to detect port from config
-if [ -n "\$OPENCLAW_CONFIG" ]; then
-  GATEWAY_PORT=\$(jq -r '.gateway.port // 18789' "\$OPENCLAW_CONFIG" 2>/dev/null || echo "18789")
-fi
-
-# Check if port is actually listening (process may exist but be zombie/shutdown)
-PORT_LISTENING=false
-PROCESS_EXISTS=false
-[ -n "\$GATEWAY_PID" ] && PROCESS_EXISTS=true
-if lsof -i ":\${GATEWAY_PORT:-18789}" &>/dev/null 2>&1 || ss -tlnp 2>/dev/null | grep -q ":\${GATEWAY_PORT:-18789} "; then
-  PORT_LISTENING=true
-fi
-
-# --- Check Service Manager ---
-echo ""
-echo -e "\${BLUE}🔧 Checking service manager...\${NC}"
-
-SERVICE_MANAGER="none"
-SERVICE_STATE=""
-SERVICE_EXIT_CODE=""
-SERVICE_RUNS=""
-SERVICE_PID=""
-
-if [ "\$OS_NAME" = "Darwin" ]; then
-  SERVICE_MANAGER="launchd"
-  LAUNCHCTL_OUT=\$(launchctl list 2>/dev/null | grep -i openclaw || echo "")
-  if [ -n "\$LAUNCHCTL_OUT" ]; then
-    SERVICE_PID=\$(echo "\$LAUNCHCTL_OUT" | awk '{print \$1}')
-    SERVICE_EXIT_CODE=\$(echo "\$LAUNCHCTL_OUT" | awk '{print \$2}')
-    # Exit code -15 = SIGTERM, -1 = last run failed
-    if [ "\$SERVICE_EXIT_CODE" = "-15" ]; then
-      SERVICE_STATE="sigterm"
-      echo -e "   \${RED}⚠️  Service received SIGTERM (exit -15) — possible crash loop or forced kill\${NC}"
-    elif [ "\$SERVICE_EXIT_CODE" = "0" ] && [ "\$SERVICE_PID" != "-" ]; then
-      SERVICE_STATE="running"
-      echo -e "   \${GREEN}✅ launchd: running (pid \$SERVICE_PID)\${NC}"
-    elif [ "\$SERVICE_PID" = "-" ] && [ "\$SERVICE_EXIT_CODE" != "0" ]; then
-      SERVICE_STATE="crashed"
-      echo -e "   \${RED}❌ launchd: not running (last exit: \$SERVICE_EXIT_CODE)\${NC}"
-    else
-      SERVICE_STATE="unknown"
-      echo -e "   \${YELLOW}⚠️  launchd state unclear: \$LAUNCHCTL_OUT\${NC}"
-    fi
-    # Get ThrottleInterval / runs if plist exists
-    PLIST_PATH="\$HOME/Library/LaunchAgents/ai.openclaw.gateway.plist"
-    if [ -f "\$PLIST_PATH" ]; then
-      SERVICE_RUNS=\$(defaults read "\$PLIST_PATH" ThrottleInterval 2>/dev/null || echo "")
-      echo -e "   plist: \$PLIST_PATH"
-    fi
-  else
-    SERVICE_STATE="not_registered"
-    echo -e "   \${YELLOW}⚠️  No openclaw LaunchAgent found in launchctl\${NC}"
-  fi
-elif command -v systemctl &>/dev/null; then
-  SERVICE_MANAGER="systemd"
-  SYSTEMCTL_OUT=\$(systemctl status openclaw-gateway 2>/dev/null | head -10 || echo "")
-  if echo "\$SYSTEMCTL_OUT" | grep -q "active (running)"; then
-    SERVICE_STATE="running"
-    echo -e "   \${GREEN}✅ systemd: active (running)\${NC}"
-  elif echo "\$SYSTEMCTL_OUT" | grep -q "failed"; then
-    SERVICE_STATE="failed"
-    SERVICE_EXIT_CODE=\$(echo "\$SYSTEMCTL_OUT" | grep -oP 'status=\K[0-9/]+' || echo "?")
-    echo -e "   \${RED}❌ systemd: failed (exit \$SERVICE_EXIT_CODE)\${NC}"
-  elif echo "\$SYSTEMCTL_OUT" | grep -q "inactive"; then
-    SERVICE_STATE="inactive"
-    echo -e "   \${YELLOW}⚠️  systemd: inactive (stopped)\${NC}"
-  fi
-  SERVICE_RUNS=\$(systemctl show openclaw-gateway --property=NRestarts 2>/dev/null | cut -d= -f2 || echo "0")
-else
-  echo -e "   No service manager detected"
-fi
-
-echo -e "   Status: \$GATEWAY_STATUS"
-[ -n "\$GATEWAY_PID" ] && echo -e "   PID: \$GATEWAY_PID (exists: \$PROCESS_EXISTS)"
-echo -e "   Port: \${GATEWAY_PORT:-18789} (listening: \$PORT_LISTENING)"
-
-# --- Check Logs ---
-echo ""
-echo -e "\${BLUE}📜 Reading recent logs...\${NC}"
-
-GATEWAY_LOG=""
-ERROR_LOG=""
-SIGTERM_COUNT=0
-
-if [ -f "\$OPENCLAW_DIR/logs/gateway.log" ]; then
-  GATEWAY_LOG=\$(tail -100 "\$OPENCLAW_DIR/logs/gateway.log" 2>/dev/null | grep -i "error\\|warn\\|fail\\|crash\\|EADDRINUSE\\|EACCES" | tail -30 || echo "")
-  echo -e "   \${GREEN}✅ Gateway log found (\$(wc -l < "\$OPENCLAW_DIR/logs/gateway.log" | tr -d ' ') lines)\${NC}"
-fi
-
-ERR_LOG_SIZE_MB=0
-HANDSHAKE_TIMEOUT_COUNT=0
-if [ -f "\$OPENCLAW_DIR/logs/gateway.err.log" ]; then
-  ERROR_LOG=\$(tail -50 "\$OPENCLAW_DIR/logs/gateway.err.log" 2>/dev/null || echo "")
-  # Collect metrics about the error log
-  ERR_LOG_SIZE_MB=\$(du -sm "\$OPENCLAW_DIR/logs/gateway.err.log" 2>/dev/null | awk '{print \$1}' || echo "0")
-  HANDSHAKE_TIMEOUT_COUNT=\$(grep -c "invalid handshake\\|closed before connect\\|chrome-extension.*timeout" "\$OPENCLAW_DIR/logs/gateway.err.log" 2>/dev/null || echo "0")
-  # Also scan for SIGTERM events in gateway log
-  SIGTERM_COUNT=\$(grep -c "signal SIGTERM received\\|exit code -15" "\$OPENCLAW_DIR/logs/gateway.log" 2>/dev/null || echo "0")
-  if [ "\$ERR_LOG_SIZE_MB" -gt 10 ]; then
-    echo -e "   \${YELLOW}⚠️  Error log is \${ERR_LOG_SIZE_MB}MB (large — likely log spam)\${NC}"
-  else
-    echo -e "   \${GREEN}✅ Error log found (\${ERR_LOG_SIZE_MB}MB)\${NC}"
-  fi
-  [ "\$HANDSHAKE_TIMEOUT_COUNT" -gt 0 ] && echo -e "   \${YELLOW}⚠️  \$HANDSHAKE_TIMEOUT_COUNT handshake timeout lines (browser relay spam?)\${NC}"
-  [ "\$SIGTERM_COUNT" -gt 0 ] && echo -e "   \${YELLOW}⚠️  \$SIGTERM_COUNT SIGTERM events in gateway log\${NC}"
-fi
+done`;
 
-# --- Check Plugins ---
-echo ""
-echo -e "\${BLUE}🔌 Checking plugins...\${NC}"
-
-PLUGINS_STATUS=""
-if [ -n "\$OPENCLAW_CONFIG" ]; then
-  PLUGINS_STATUS=\$(jq -r '
-    .plugins.entries // {} | to_entries[] |
-    "   " + (if .value.enabled == false then "❌" else "✅" end) + " " + .key
-  ' "\$OPENCLAW_CONFIG" 2>/dev/null || echo "   Could not read plugins")
-  echo "\$PLUGINS_STATUS"
+const SCRIPT_TAIL = `
+# --- Machine-readable mode ---
+if [ "\${CLAWFIX_JSON:-0}" = "1" ]; then
+  echo "\$DIAGNOSTIC"
+  exit 0
 fi
 
-# --- Check Browser ---
-echo ""
-echo -e "\${BLUE}🌐 Checking browser setup...\${NC}"
-
-BROWSER_DIR="\$OPENCLAW_DIR/browser"
-BROWSER_STATUS="not configured"
-if [ -d "\$BROWSER_DIR" ]; then
-  BROWSER_STATUS="configured"
-  [ -d "\$BROWSER_DIR/openclaw/user-data" ] && echo -e "   \${GREEN}✅ Managed browser profile found\${NC}"
-  [ -d "\$BROWSER_DIR/chrome-extension" ] && echo -e "   \${GREEN}✅ Relay extension found\${NC}"
-  [ -d "\$BROWSER_DIR/metamask-extension" ] && echo -e "   \${GREEN}✅ MetaMask extension found\${NC}"
-fi
-
-# --- Check Workspace ---
-echo ""
-echo -e "\${BLUE}📁 Checking workspace...\${NC}"
-
-WORKSPACE_DIR=""
-if [ -n "\$OPENCLAW_CONFIG" ]; then
-  WORKSPACE_DIR=\$(jq -r '.agents.defaults.workspace // ""' "\$OPENCLAW_CONFIG" 2>/dev/null)
-fi
-
-WORKSPACE_FILES=0
-MEMORY_FILES=0
-SOUL_EXISTS=false
-AGENTS_EXISTS=false
-
-if [ -n "\$WORKSPACE_DIR" ] && [ -d "\$WORKSPACE_DIR" ]; then
-  WORKSPACE_FILES=\$(find "\$WORKSPACE_DIR" -name "*.md" 2>/dev/null | wc -l | tr -d ' ')
-  [ -d "\$WORKSPACE_DIR/memory" ] && MEMORY_FILES=\$(ls "\$WORKSPACE_DIR/memory/"*.md 2>/dev/null | wc -l | tr -d ' ')
-  [ -f "\$WORKSPACE_DIR/SOUL.md" ] && SOUL_EXISTS=true
-  [ -f "\$WORKSPACE_DIR/AGENTS.md" ] && AGENTS_EXISTS=true
-  
-  echo -e "   Path: \$WORKSPACE_DIR"
-  echo -e "   Files: \$WORKSPACE_FILES .md files"
-  echo -e "   Memory: \$MEMORY_FILES daily notes"
-  echo -e "   SOUL.md: \$SOUL_EXISTS"
-  echo -e "   AGENTS.md: \$AGENTS_EXISTS"
-fi
-
-# --- Check Ports ---
-echo ""
-echo -e "\${BLUE}🔗 Checking port availability...\${NC}"
-
-check_port() {
-  local port=\$1
-  local name=\$2
-  if lsof -i ":\$port" &>/dev/null 2>&1 || ss -tlnp 2>/dev/null | grep -q ":\$port "; then
-    echo -e "   \${YELLOW}⚠️  Port \$port (\$name) — IN USE\${NC}"
-    return 1
-  else
-    echo -e "   \${GREEN}✅ Port \$port (\$name) — available\${NC}"
-    return 0
-  fi
-}
-
-check_port "\${GATEWAY_PORT:-18789}" "gateway"
-check_port 18800 "browser CDP"
-check_port 18791 "browser control"
-
-# --- Build Diagnostic Payload ---
-echo ""
-echo -e "\${BLUE}📦 Building diagnostic report...\${NC}"
-
-DIAGNOSTIC=\$(cat <<EOF
-{
-  "version": "\$VERSION",
-  "timestamp": "\$(date -u +%Y-%m-%dT%H:%M:%SZ)",
-  "hostHash": "\$HOSTNAME_HASH",
-  "system": {
-    "os": "\$OS_NAME",
-    "osVersion": "\$OS_VERSION",
-    "arch": "\$OS_ARCH",
-    "nodeVersion": "\$NODE_VERSION",
-    "npmVersion": "\$NPM_VERSION"
-  },
-  "openclaw": {
-    "version": "\${OC_VERSION:-unknown}",
-    "binary": "\${OPENCLAW_BIN:-not found}",
-    "configDir": "\${OPENCLAW_DIR:-not found}",
-    "gatewayStatus": \$(echo "\$GATEWAY_STATUS" | jq -Rs .),
-    "gatewayPid": "\${GATEWAY_PID:-none}",
-    "gatewayPort": "\${GATEWAY_PORT:-18789}",
-    "processExists": \$PROCESS_EXISTS,
-    "portListening": \$PORT_LISTENING
-  },
-  "service": {
-    "manager": "\$SERVICE_MANAGER",
-    "state": "\${SERVICE_STATE:-unknown}",
-    "exitCode": "\${SERVICE_EXIT_CODE:-}",
-    "pid": "\${SERVICE_PID:-}",
-    "runs": "\${SERVICE_RUNS:-}"
-  },
-  "config": \$SANITIZED_CONFIG,
-  "logs": {
-    "errors": \$(echo "\$GATEWAY_LOG" | jq -Rs .),
-    "stderr": \$(echo "\$ERROR_LOG" | jq -Rs .),
-    "errLogSizeMB": \${ERR_LOG_SIZE_MB:-0},
-    "handshakeTimeoutCount": \${HANDSHAKE_TIMEOUT_COUNT:-0},
-    "sigtermCount": \${SIGTERM_COUNT:-0}
-  },
-  "workspace": {
-    "path": "\${WORKSPACE_DIR:-unknown}",
-    "mdFiles": \$WORKSPACE_FILES,
-    "memoryFiles": \$MEMORY_FILES,
-    "hasSoul": \$SOUL_EXISTS,
-    "hasAgents": \$AGENTS_EXISTS
-  },
-  "browser": {
-    "status": "\$BROWSER_STATUS"
-  }
-}
-EOF
-)
-
 # --- Show Summary ---
 echo ""
 echo -e "\${CYAN}━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\${NC}"
@@ -437,7 +107,7 @@ elif [ "\$GATEWAY_RUNNING" = "false" ] && ! echo "\$GATEWAY_STATUS" | grep -qi "
   ISSUE_LIST="\${ISSUE_LIST}   \${RED}❌ Gateway is not running\${NC}\\n"
 fi
 
-if echo "\$GATEWAY_LOG" | grep -qi "EADDRINUSE"; then
+if echo "\$ERROR_LOGS" | grep -qi "EADDRINUSE"; then
   ISSUES=\$((ISSUES + 1))
   ISSUE_LIST="\${ISSUE_LIST}   \${RED}❌ Port conflict detected\${NC}\\n"
 fi
@@ -559,14 +229,20 @@ if [ \$ISSUES -gt 0 ]; then
       echo -e "   \${CYAN}\$API_URL/results/\$FIX_ID\${NC}"
       echo ""
       echo -e "\${BOLD}Fix ID:\${NC} \$FIX_ID"
+      DELETE_TOKEN=\$(echo "\$RESPONSE" | jq -r '.deleteToken // empty')
+      if [ -n "\$DELETE_TOKEN" ]; then
+        echo ""
+        echo -e "To delete this diagnosis from ClawFix later (keep the token private):"
+        echo -e "  curl -X DELETE -H 'Authorization: Bearer \$DELETE_TOKEN' \$API_URL/api/fix/\$FIX_ID"
+      fi
     else
       echo -e "\${RED}❌ Error from API:\${NC}"
       echo "\$RESPONSE"
     fi
   else
     echo ""
-    echo -e "No problem! You can review the diagnostic data:"
-    echo -e "  echo '\$DIAGNOSTIC' | jq ."
+    echo -e "No problem! You can save the diagnostic data and review it:"
+    echo -e "  curl -sSL \$API_URL/fix | CLAWFIX_JSON=1 bash > diagnostic.json"
     echo ""
     echo -e "Or send it manually later:"
     echo -e "  curl -X POST \$API_URL/api/diagnose -H 'Content-Type: application/json' -d @diagnostic.json"
@@ -583,5 +259,11 @@ echo -e "\${CYAN}   https://clawfix.dev | https://x.com/arcabotai\${NC}"
 echo ""
 `;
 
+export const DIAGNOSTIC_SCRIPT = [
+  SCRIPT_HEAD,
+  renderCollector(undefined, { intro: SCRIPT_INTRO }),
+  SCRIPT_TAIL,
+].join('\n');
+
 // Compute hash of the script for verification
-const SCRIPT_HASH = createHash('sha256').update(DIAGNOSTIC_SCRIPT).digest('hex');
+export const SCRIPT_HASH = createHash('sha256').update(DIAGNOSTIC_SCRIPT).digest('hex');
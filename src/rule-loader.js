@@ -0,0 +1,149 @@
+import { readdirSync, readFileSync, writeFileSync, watch } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { join, extname, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import YAML from 'yaml';
+import { compileRule } from '../cli/lib/rule-engine.js';
+import { KNOWN_ISSUES, setDeclarativeRules } from '../cli/lib/known-issues.js';
+import { BUNDLED_RULES_PATH } from '../cli/lib/detect.js';
+
+export const RULES_DIR = process.env.RULES_DIR ||
+  join(dirname(fileURLToPath(import.meta.url)), '..', 'rules');
+
+const RULE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// Last good compile of each file — a broken edit keeps the previous version live
+const loadedFiles = new Map(); // name → { rules, hash }
+
+// The coded detectors are part of the rule set too
+const KNOWN_ISSUES_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', 'cli', 'lib', 'known-issues.js');
+
+let rulesVersion = null;
+
+const sha256 = data => createHash('sha256').update(data).digest('hex');
+
+/**
+ * Read the raw rule definitions from one file. A file holds a single rule or a list of rules.
+ */
+function readRuleFile(path) {
+  const text = readFileSync(path, 'utf8');
+  const data = extname(path) === '.json' ? JSON.parse(text) : YAML.parse(text);
+  return Array.isArray(data) ? data : [data];
+}
+
+function listRuleFiles(dir) {
+  return readdirSync(dir).filter(f => RULE_EXTENSIONS.includes(extname(f))).sort();
+}
+
+/**
+ * Parse and compile one rule file
+ */
+export function parseRuleFile(path) {
+  return readRuleFile(path).map(def => compileRule(def, path));
+}
+
+/**
+ * (Re)load every rule file in the rules directory and activate them
+ */
+export function loadRules(dir = RULES_DIR) {
+  let files;
+  try {
+    files = listRuleFiles(dir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Rules dir unreadable: ${err.message}`);
+    files = [];
+  }
+
+  for (const name of loadedFiles.keys()) {
+    if (!files.includes(name)) loadedFiles.delete(name);
+  }
+
+  for (const name of files) {
+    try {
+      const path = join(dir, name);
+      loadedFiles.set(name, { rules: parseRuleFile(path), hash: sha256(readFileSync(path)) });
+    } catch (err) {
+      const kept = loadedFiles.has(name) ? ' (keeping previous version)' : '';
+      console.error(`Rule file ${name} rejected${kept}: ${err.message}`);
+    }
+  }
+
+  const seen = new Set(KNOWN_ISSUES.map(i => i.id));
+  const rules = [];
+  for (const [name, { rules: compiled }] of loadedFiles) {
+    for (const rule of compiled) {
+      if (seen.has(rule.id)) {
+        console.error(`Rule ${rule.id} in ${name} duplicates an existing rule id — skipped`);
+        continue;
+      }
+      seen.add(rule.id);
+      rules.push(rule);
+    }
+  }
+
+  setDeclarativeRules(rules);
+  rulesVersion = sha256([
+    sha256(readFileSync(KNOWN_ISSUES_PATH)),
+    ...[...loadedFiles].map(([name, { hash }]) => `${name}:${hash}`),
+  ].join('\n')).slice(0, 16);
+  return rules;
+}
+
+/**
+ * Changes whenever the active rules do — a rule file, or the coded detectors
+ * after a deploy. Anything derived from detection results (the AI cache) is
+ * keyed on it.
+ */
+export function getRulesVersion() {
+  return rulesVersion;
+}
+
+/**
+ * Every rule definition in the directory, in load order, as one JSON-ready
+ * list for the CLI. Unlike loadRules() this is strict: a broken or duplicate
+ * rule fails the bundle instead of being skipped.
+ */
+export function bundleRules(dir = RULES_DIR) {
+  const seen = new Set(KNOWN_ISSUES.map(i => i.id));
+  const defs = [];
+  for (const name of listRuleFiles(dir)) {
+    for (const def of readRuleFile(join(dir, name))) {
+      const rule = compileRule(def, name);
+      if (seen.has(rule.id)) throw new Error(`${name}: rule id "${rule.id}" is already taken`);
+      seen.add(rule.id);
+      defs.push(def);
+    }
+  }
+  return defs;
+}
+
+/**
+ * Regenerate the rule bundle shipped with the CLI (npm run bundle-rules)
+ */
+export function writeRuleBundle(dir = RULES_DIR, path = BUNDLED_RULES_PATH) {
+  const defs = bundleRules(dir);
+  writeFileSync(path, JSON.stringify(defs, null, 2) + '\n');
+  return defs;
+}
+
+/**
+ * Hot-reload rules when files in the directory change
+ */
+export function watchRules(dir = RULES_DIR) {
+  let timer = null;
+  try {
+    const watcher = watch(dir, () => {
+      // Editors fire several events per save — debounce
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const rules = loadRules(dir);
+        console.log(`📐 Rules reloaded (${rules.length} declarative)`);
+      }, 200);
+    });
+    watcher.on('error', (err) => console.error('Rules watcher error:', err.message));
+    return watcher;
+  } catch (err) {
+    console.error(`Cannot watch rules dir: ${err.message}`);
+    return null;
+  }
+}
@@ -1,62 +1,25 @@
-import express from 'express';
-import cors from 'cors';
-import helmet from 'helmet';
-import { diagnoseRouter } from './routes/diagnose.js';
-import { healthRouter } from './routes/health.js';
-import { scriptRouter } from './routes/script.js';
-import { resultsRouter } from './routes/results.js';
-import { paymentRouter } from './routes/payment.js';
-import { webhooksRouter } from './routes/webhooks.js';
-import { landingRouter } from './landing.js';
-import { initDB } from './db.js';
+import { app } from './app.js';
+import { aiChain, diagnosisJobs, retention } from './routes/diagnose.js';
+import { initDB, describeStorage } from './db.js';
+import { describeChain } from './ai-chain.js';
+import { loadRules, watchRules, RULES_DIR } from './rule-loader.js';
 
-const app = express();
+// Declarative rules (rules/*.yaml) — hot-reloaded on change
+const rules = loadRules();
+if (process.env.RULES_WATCH !== '0') watchRules();
 const PORT = process.env.PORT || 3001;
 
-// Security & parsing
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'"],
-      scriptSrc: ["'self'", "'unsafe-inline'"],
-      imgSrc: ["'self'", "data:"],
-      connectSrc: ["'self'"],
-      workerSrc: ["'self'", "blob:"],
-    },
-  },
-}));
-app.use(cors());
-app.use(express.json({ limit: '2mb' }));
-
-// Request logging
-app.use((req, res, next) => {
-  const start = Date.now();
-  res.on('finish', () => {
-    const ms = Date.now() - start;
-    if (req.path !== '/api/health') {
-      console.log(`${req.method} ${req.path} ${res.statusCode} ${ms}ms`);
-    }
-  });
-  next();
-});
-
-// Routes
-app.use('/api', diagnoseRouter);
-app.use('/api', healthRouter);
-app.use('/api', paymentRouter);  // POST /api/checkout, /api/webhook/lemonsqueezy
-app.use('/', paymentRouter);    // GET /pay/:fixId — payment page
-app.use('/', webhooksRouter);   // POST /webhooks/resend — inbound email
-app.use('/', scriptRouter);     // GET /fix — diagnostic script
-app.use('/', resultsRouter);    // GET /results/:fixId — web results page
-app.use('/', landingRouter);    // GET / — landing page (must be last)
-
 app.listen(PORT, async () => {
   console.log(`🦞 ClawFix v${process.env.npm_package_version || '0.1.0'} running on port ${PORT}`);
   console.log(`   Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`   AI: ${process.env.AI_PROVIDER || 'none'} / ${process.env.AI_MODEL || 'pattern-matching only'}`);
-  console.log(`   DB: ${process.env.DATABASE_URL ? 'PostgreSQL' : 'in-memory only'}`);
+  console.log(`   AI: ${describeChain(aiChain.configs) || 'pattern-matching only'}`);
+  console.log(`   DB: ${describeStorage()}`);
+  console.log(`   Rules: ${rules.length} declarative from ${RULES_DIR}`);
   
-  // Initialize database
-  await initDB();
+  // Initialize database, then pick up unfinished diagnosis jobs — now and
+  // from time to time, for jobs a server died running
+  if (await initDB()) diagnosisJobs.start();
+
+  // Expire old results now and from time to time (RETAIN_* — see retention.js)
+  retention.start();
 });
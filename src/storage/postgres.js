@@ -0,0 +1,873 @@
+/**
+ * PostgreSQL storage (DATABASE_URL) — see db.js
+ */
+
+import pg from 'pg';
+import { migrate } from '../migrate.js';
+
+const { Pool } = pg;
+
+let pool = null;
+
+export function getPool() {
+  if (!pool && process.env.DATABASE_URL) {
+    pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      max: 5,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 5000,
+    });
+    pool.on('error', (err) => {
+      console.error('Unexpected DB error:', err.message);
+    });
+  }
+  return pool;
+}
+
+/**
+ * Bring the database schema up to date (see migrate.js)
+ */
+export async function initDB() {
+  const db = getPool();
+  if (!db) {
+    console.log('⚠️  No DATABASE_URL or SQLITE_PATH — running without persistence');
+    return false;
+  }
+
+  try {
+    const applied = await migrate(db);
+    console.log(`✅ Database initialized${applied.length ? ` (${applied.length} migration(s) applied)` : ''}`);
+    return true;
+  } catch (err) {
+    console.error('DB init failed:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Store a diagnosis result, with the (redacted) payload it came from so
+ * pattern matching can be re-run on it
+ */
+export async function storeDiagnosis(result, source = 'cli', payload = null) {
+  const db = getPool();
+  if (!db) return;
+
+  try {
+    await db.query(`
+      INSERT INTO diagnoses (id, host_hash, os, arch, node_version, openclaw_version,
+        issues_pattern, issues_ai, issues_count, ai_model, fix_script, ai_summary, ai_insights, known_issues_detail,
+        service_manager, service_state, service_exit_code, err_log_size_mb, sigterm_count, source, fix_plan,
+        ai_tokens, ai_input_tokens, ai_output_tokens, ai_cost_usd, ai_cache_hit, payload, delete_token_hash,
+        host_secret_hash, service_restarts)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30)
+    `, [
+      result.fixId,
+      result._hostHash || null,
+      result._os || null,
+      result._arch || null,
+      result._nodeVersion || null,
+      result._openclawVersion || null,
+      JSON.stringify(result.knownIssues?.map(i => i.id) || []),
+      JSON.stringify(result.aiIssues || []),
+      result.issuesFound || 0,
+      result.model || null,
+      result.fixScript || null,
+      result.analysis || null,
+      result.aiInsights || null,
+      JSON.stringify(result.knownIssues || []),
+      result._serviceManager || null,
+      result._serviceState || null,
+      result._serviceExitCode || null,
+      result._errLogSizeMB || null,
+      result._sigtermCount || null,
+      source,
+      result.fixPlan ? JSON.stringify(result.fixPlan) : null,
+      result._aiUsage ? result._aiUsage.inputTokens + result._aiUsage.outputTokens : null,
+      result._aiUsage?.inputTokens ?? null,
+      result._aiUsage?.outputTokens ?? null,
+      result._aiUsage?.costUsd ?? null,
+      result.cacheHit ?? null,
+      payload && JSON.stringify(payload),
+      result._deleteTokenHash || null,
+      result._hostSecretHash || null,
+      result._serviceRestarts ?? null,
+    ]);
+
+    // Update pattern detection counts
+    if (result.knownIssues) {
+      for (const issue of result.knownIssues) {
+        await db.query(`
+          INSERT INTO patterns (id, title, severity, times_detected, last_seen)
+          VALUES ($1, $2, $3, 1, NOW())
+          ON CONFLICT (id) DO UPDATE SET
+            times_detected = patterns.times_detected + 1,
+            last_seen = NOW()
+        `, [issue.id, issue.title, issue.severity]);
+      }
+    }
+  } catch (err) {
+    console.error('Store diagnosis failed:', err.message);
+  }
+}
+
+/**
+ * Record fix feedback. Verified feedback comes from a re-scan after the fix
+ * (`clawfix verify`) and lists which checked issues are still detected; only
+ * that moves per-pattern success rates, once per fix. Unverified feedback
+ * (the fix script's closing curl) just marks the fix as applied.
+ */
+export async function storeFeedback(fixId, { success = null, issuesRemaining = null, remainingIssues = null, checkedIssues = null, verified = false, comment = null }) {
+  const db = getPool();
+  if (!db) return;
+
+  try {
+    const earlier = await db.query('SELECT 1 FROM feedback WHERE fix_id = $1 AND verified LIMIT 1', [fixId]);
+
+    await db.query(`
+      INSERT INTO feedback (fix_id, success, issues_remaining, remaining_issues, checked_issues, verified, comment)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [fixId, success, issuesRemaining, remainingIssues && JSON.stringify(remainingIssues),
+      checkedIssues && JSON.stringify(checkedIssues), verified, comment]);
+
+    // Update diagnosis outcome — a verified result is never overwritten by an unverified one
+    const outcome = success === null ? 'applied' : success ? 'success' : 'failed';
+    await db.query(`
+      UPDATE diagnoses SET outcome = $2 WHERE id = $1 AND ($3 OR outcome NOT IN ('success', 'failed'))
+    `, [fixId, outcome, verified]);
+
+    if (!verified || earlier.rows.length) return;
+
+    // Per-pattern success: of the patterns this fix targeted and the re-scan
+    // checked, which are gone
+    const diag = await db.query('SELECT issues_pattern FROM diagnoses WHERE id = $1', [fixId]);
+    if (!diag.rows[0]) return;
+    const remaining = new Set(remainingIssues || []);
+    const checked = new Set(checkedIssues || diag.rows[0].issues_pattern || []);
+    for (const patternId of diag.rows[0].issues_pattern || []) {
+      if (!checked.has(patternId)) continue;
+      const fixed = remaining.has(patternId) ? 0 : 1;
+      await db.query(`
+        UPDATE patterns SET
+          times_verified = times_verified + 1,
+          times_fixed = times_fixed + $2,
+          success_rate = (times_fixed + $2)::REAL / (times_verified + 1)
+        WHERE id = $1
+      `, [patternId, fixed]);
+    }
+  } catch (err) {
+    console.error('Store feedback failed:', err.message);
+  }
+}
+
+/**
+ * Retrieve a diagnosis by fix ID (for results page persistence). One whose
+ * results retention deleted is just { fixId, timestamp, expiredAt }.
+ */
+export async function getDiagnosis(fixId) {
+  const db = getPool();
+  if (!db) return null;
+
+  try {
+    const result = await db.query(
+      'SELECT * FROM diagnoses WHERE id = $1',
+      [fixId]
+    );
+    if (!result.rows[0]) return null;
+
+    const row = result.rows[0];
+    if (row.expired_at) return { fixId: row.id, timestamp: row.created_at.toISOString(), expiredAt: row.expired_at.toISOString() };
+
+    // Use full issue details if available, otherwise reconstruct from patterns table
+    let knownIssues = row.known_issues_detail || [];
+    if ((!knownIssues || knownIssues.length === 0) && row.issues_pattern?.length > 0) {
+      const patterns = await db.query(
+        'SELECT id, title, severity FROM patterns WHERE id = ANY($1)',
+        [row.issues_pattern]
+      );
+      knownIssues = row.issues_pattern.map(pid => {
+        const p = patterns.rows.find(r => r.id === pid);
+        return p ? { id: p.id, title: p.title, severity: p.severity, description: '' } : null;
+      }).filter(Boolean);
+    }
+
+    return {
+      fixId: row.id,
+      timestamp: row.created_at.toISOString(),
+      issuesFound: row.issues_count,
+      knownIssues,
+      analysis: row.ai_summary || `Pattern matching found ${row.issues_count} issue(s).`,
+      fixScript: row.fix_script || null,
+      fixPlan: row.fix_plan || null,
+      aiIssues: row.issues_ai || [],
+      aiInsights: row.ai_insights || '',
+      model: row.ai_model || 'pattern-matching',
+      cacheHit: row.ai_cache_hit ?? false,
+      systemInfo: {
+        os: row.os ? `${row.os} (${row.arch || ''})` : null,
+        nodeVersion: row.node_version || null,
+        openclawVersion: row.openclaw_version || null,
+        serviceManager: row.service_manager || null,
+        serviceState: row.service_state || null,
+      },
+    };
+  } catch (err) {
+    console.error('Get diagnosis failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Who may act on a diagnosis — { deleteTokenHash, hostHash } — or null if
+ * there's no such diagnosis. Expired ones count: their owner can still
+ * delete what's left.
+ */
+export async function getDiagnosisOwner(fixId) {
+  const db = getPool();
+  if (!db) return null;
+
+  try {
+    const { rows } = await db.query('SELECT delete_token_hash, host_hash FROM diagnoses WHERE id = $1', [fixId]);
+    return rows[0] ? { deleteTokenHash: rows[0].delete_token_hash, hostHash: rows[0].host_hash } : null;
+  } catch (err) {
+    console.error('Get diagnosis owner failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * One machine's diagnoses sent with its host secret, oldest first — the most
+ * recent `limit` of them. Null without a database.
+ */
+export async function getHostHistory(hostHash, secretHash, { limit = 200 } = {}) {
+  const db = getPool();
+  if (!db) return null;
+
+  try {
+    const { rows } = await db.query(`
+      SELECT * FROM (
+        SELECT id, created_at, openclaw_version, issues_pattern, issues_count, outcome,
+          service_manager, service_state, service_restarts, sigterm_count, expired_at
+        FROM diagnoses WHERE host_hash = $1 AND host_secret_hash = $2
+        ORDER BY created_at DESC LIMIT $3
+      ) recent ORDER BY created_at
+    `, [hostHash, secretHash, Math.min(limit, 1000)]);
+    return rows.map(r => ({
+      fixId: r.id,
+      timestamp: r.created_at.toISOString(),
+      openclawVersion: r.openclaw_version,
+      issues: r.issues_pattern || [],
+      issuesCount: r.issues_count,
+      outcome: r.outcome,
+      serviceManager: r.service_manager,
+      serviceState: r.service_state,
+      restarts: r.service_restarts,
+      sigtermCount: r.sigterm_count || 0,
+      expired: Boolean(r.expired_at),
+    }));
+  } catch (err) {
+    console.error('Get host history failed:', err.message);
+    return null;
+  }
+}
+
+// A running job not touched for this long belongs to a server that died
+const STALE_JOB_MINUTES = 10;
+
+/**
+ * Record a queued diagnosis job with its payload and owner ({ deleteTokenHash,
+ * hostSecretHash }), so it survives a restart
+ */
+export async function createJob(fixId, payload, source, owner = {}) {
+  const db = getPool();
+  if (!db) return;
+
+  try {
+    await db.query(
+      'INSERT INTO diagnosis_jobs (id, status, payload, source, delete_token_hash, host_secret_hash) VALUES ($1, $2, $3, $4, $5, $6)',
+      [fixId, 'pending', JSON.stringify(payload), source, owner.deleteTokenHash || null, owner.hostSecretHash || null]
+    );
+  } catch (err) {
+    console.error('Create job failed:', err.message);
+  }
+}
+
+/**
+ * Take a job to run. False if another server already has it; without a
+ * database every job is ours.
+ */
+export async function claimJob(fixId) {
+  const db = getPool();
+  if (!db) return true;
+
+  try {
+    const { rows } = await db.query(`
+      UPDATE diagnosis_jobs SET status = 'running', updated_at = NOW()
+      WHERE id = $1 AND (status = 'pending' OR (status = 'running' AND updated_at < NOW() - INTERVAL '${STALE_JOB_MINUTES} minutes'))
+      RETURNING id
+    `, [fixId]);
+    return rows.length > 0;
+  } catch (err) {
+    // Run it anyway — a lost claim costs a duplicate analysis, not a lost one
+    console.error('Claim job failed:', err.message);
+    return true;
+  }
+}
+
+/**
+ * Mark a job done or failed; the payload isn't needed any more
+ */
+export async function finishJob(fixId, status, error = null) {
+  const db = getPool();
+  if (!db) return;
+
+  try {
+    await db.query(
+      'UPDATE diagnosis_jobs SET status = $2, error = $3, payload = NULL, updated_at = NOW() WHERE id = $1',
+      [fixId, status, error]
+    );
+  } catch (err) {
+    console.error('Finish job failed:', err.message);
+  }
+}
+
+/**
+ * A job's status ({ status, error }), or null if there's no such job
+ */
+export async function getJob(fixId) {
+  const db = getPool();
+  if (!db) return null;
+
+  try {
+    const { rows } = await db.query('SELECT status, error FROM diagnosis_jobs WHERE id = $1', [fixId]);
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Get job failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Jobs left unfinished by a restart — still pending, or running on a server
+ * that has stopped touching them — oldest first
+ */
+export async function getResumableJobs() {
+  const db = getPool();
+  if (!db) return [];
+
+  try {
+    const { rows } = await db.query(`
+      SELECT id, payload, source, delete_token_hash, host_secret_hash FROM diagnosis_jobs
+      WHERE status = 'pending' OR (status = 'running' AND updated_at < NOW() - INTERVAL '${STALE_JOB_MINUTES} minutes')
+      ORDER BY created_at
+    `);
+    return rows;
+  } catch (err) {
+    console.error('Get resumable jobs failed:', err.message);
+    return [];
+  }
+}
+
+/**
+ * A cached AI analysis ({ analysis, createdAt }) if there's one still fresh
+ */
+export async function getCachedAnalysis(fingerprint) {
+  const db = getPool();
+  if (!db) return null;
+
+  try {
+    const { rows } = await db.query(
+      'UPDATE ai_cache SET hits = hits + 1 WHERE fingerprint = $1 AND expires_at > NOW() RETURNING analysis, created_at',
+      [fingerprint]
+    );
+    return rows[0] ? { analysis: rows[0].analysis, createdAt: rows[0].created_at.toISOString() } : null;
+  } catch (err) {
+    console.error('Get cached analysis failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Cache an AI analysis for ttlMs, replacing any earlier one
+ */
+export async function storeCachedAnalysis(fingerprint, rulesVersion, analysis, ttlMs) {
+  const db = getPool();
+  if (!db) return;
+
+  try {
+    await db.query(`
+      INSERT INTO ai_cache (fingerprint, rules_version, analysis, expires_at)
+      VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 millisecond')
+      ON CONFLICT (fingerprint) DO UPDATE SET
+        rules_version = EXCLUDED.rules_version, analysis = EXCLUDED.analysis,
+        hits = 0, created_at = NOW(), expires_at = EXCLUDED.expires_at
+    `, [fingerprint, rulesVersion, JSON.stringify(analysis), ttlMs]);
+  } catch (err) {
+    console.error('Store cached analysis failed:', err.message);
+  }
+}
+
+/**
+ * Drop cached analyses made under other rule sets, and expired ones
+ */
+export async function purgeAICache(rulesVersion) {
+  const db = getPool();
+  if (!db) return;
+
+  try {
+    await db.query('DELETE FROM ai_cache WHERE rules_version <> $1 OR expires_at <= NOW()', [rulesVersion]);
+  } catch (err) {
+    console.error('Purge AI cache failed:', err.message);
+  }
+}
+
+// Example payloads kept per discovery — enough to write a detector from
+const MAX_DISCOVERY_EXAMPLES = 3;
+
+/**
+ * Count this diagnosis's AI discoveries ({ hash, issue, plan, payload }),
+ * keeping the first few as examples
+ */
+export async function recordDiscoveries(fixId, discoveries) {
+  const db = getPool();
+  if (!db || !discoveries.length) return;
+
+  try {
+    for (const { hash, issue, plan, payload } of discoveries) {
+      const example = { fixId, seenAt: new Date().toISOString(), issue, plan, payload };
+      await db.query(`
+        INSERT INTO ai_discoveries (issue_hash, issue_summary, title, severity, examples)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (issue_hash) DO UPDATE SET
+          similar_count = ai_discoveries.similar_count + 1,
+          last_seen = NOW(),
+          examples = CASE WHEN jsonb_array_length(ai_discoveries.examples) < ${MAX_DISCOVERY_EXAMPLES}
+            THEN ai_discoveries.examples || EXCLUDED.examples ELSE ai_discoveries.examples END
+      `, [hash, issue.description || issue.title, issue.title, issue.severity, JSON.stringify([example])]);
+    }
+  } catch (err) {
+    console.error('Record discoveries failed:', err.message);
+  }
+}
+
+const discoveryRow = r => ({
+  id: r.id,
+  hash: r.issue_hash,
+  title: r.title,
+  severity: r.severity,
+  summary: r.issue_summary,
+  count: r.similar_count,
+  firstSeen: r.first_seen,
+  lastSeen: r.last_seen,
+  graduated: r.graduated,
+  patternId: r.pattern_id,
+  examples: r.examples || [],
+});
+
+/**
+ * Discoveries seen at least minCount times, most frequent first.
+ * graduated: true, false or null for both.
+ */
+export async function getDiscoveries({ minCount = 1, graduated = false, limit = 50 } = {}) {
+  const db = getPool();
+  if (!db) return null;
+
+  try {
+    const { rows } = await db.query(`
+      SELECT * FROM ai_discoveries
+      WHERE similar_count >= $1 AND ($2::boolean IS NULL OR graduated = $2)
+      ORDER BY similar_count DESC, last_seen DESC LIMIT $3
+    `, [minCount, graduated, limit]);
+    return rows.map(discoveryRow);
+  } catch (err) {
+    console.error('Get discoveries failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * One discovery by id, or null
+ */
+export async function getDiscovery(id) {
+  const db = getPool();
+  if (!db) return null;
+
+  try {
+    const { rows } = await db.query('SELECT * FROM ai_discoveries WHERE id = $1', [id]);
+    return rows[0] ? discoveryRow(rows[0]) : null;
+  } catch (err) {
+    console.error('Get discovery failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Mark a discovery graduated into a pattern, creating the pattern. False if
+ * it had already graduated.
+ */
+export async function graduateDiscovery(id, { patternId, title, severity }) {
+  const db = getPool();
+  if (!db) return false;
+
+  try {
+    await db.query(
+      "INSERT INTO patterns (id, title, severity, source) VALUES ($1, $2, $3, 'ai-discovery') ON CONFLICT (id) DO NOTHING",
+      [patternId, title, severity]
+    );
+    const { rowCount } = await db.query(
+      'UPDATE ai_discoveries SET graduated = TRUE, pattern_id = $2 WHERE id = $1 AND NOT graduated',
+      [id, patternId]
+    );
+    return rowCount > 0;
+  } catch (err) {
+    console.error('Graduate discovery failed:', err.message);
+    return false;
+  }
+}
+
+/**
+ * Search stored diagnoses, newest first — { total, diagnoses }
+ */
+export async function searchDiagnoses({ q, hostHash, version, issue, outcome, source, since, until, limit = 50, offset = 0 } = {}) {
+  const db = getPool();
+  if (!db) return null;
+
+  const where = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    where.push(sql.replaceAll('?', `$${params.length}`));
+  };
+  if (q) add("(id = ? OR ai_summary ILIKE '%' || ? || '%')", q);
+  if (hostHash) add('host_hash = ?', hostHash);
+  if (version) add('openclaw_version = ?', version);
+  if (issue) add('issues_pattern @> ?::jsonb', JSON.stringify([issue]));
+  if (outcome) add('outcome = ?', outcome);
+  if (source) add('source = ?', source);
+  if (since) add('created_at >= ?', since);
+  if (until) add('created_at < ?', until);
+
+  try {
+    const { rows } = await db.query(`
+      SELECT id, created_at, host_hash, os, arch, openclaw_version, issues_pattern, issues_count,
+        ai_model, ai_cost_usd, outcome, source, payload IS NOT NULL AS has_payload, COUNT(*) OVER () AS total
+      FROM diagnoses ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+    return {
+      total: rows.length ? parseInt(rows[0].total) : 0,
+      diagnoses: rows.map(r => ({
+        fixId: r.id,
+        timestamp: r.created_at.toISOString(),
+        hostHash: r.host_hash,
+        os: r.os,
+        arch: r.arch,
+        openclawVersion: r.openclaw_version,
+        patternIssues: r.issues_pattern || [],
+        issuesFound: r.issues_count,
+        model: r.ai_model,
+        aiCostUsd: r.ai_cost_usd === null ? null : Number(r.ai_cost_usd),
+        outcome: r.outcome,
+        source: r.source,
+        hasPayload: r.has_payload,
+      })),
+    };
+  } catch (err) {
+    console.error('Search diagnoses failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Everything stored for a diagnosis — the row as it is in the table, plus
+ * its feedback — or null
+ */
+export async function getDiagnosisRecord(fixId) {
+  const db = getPool();
+  if (!db) return null;
+
+  try {
+    const [diagnosis, feedback] = await Promise.all([
+      db.query('SELECT * FROM diagnoses WHERE id = $1', [fixId]),
+      db.query('SELECT * FROM feedback WHERE fix_id = $1 ORDER BY created_at', [fixId]),
+    ]);
+    return diagnosis.rows[0] ? { diagnosis: diagnosis.rows[0], feedback: feedback.rows } : null;
+  } catch (err) {
+    console.error('Get diagnosis record failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Delete a diagnosis and everything recorded about it: feedback, its job and
+ * any discovery examples taken from it. Pattern counts are aggregates and
+ * stay. False if there was no such diagnosis.
+ */
+export async function deleteDiagnosis(fixId) {
+  const db = getPool();
+  if (!db) return false;
+
+  // One client and one transaction: all of it goes, or none of it
+  let client;
+  try {
+    client = await db.connect();
+    await client.query('BEGIN');
+    await client.query('DELETE FROM feedback WHERE fix_id = $1', [fixId]);
+    await client.query('DELETE FROM diagnosis_jobs WHERE id = $1', [fixId]);
+    await client.query(`
+      UPDATE ai_discoveries SET examples = (
+        SELECT COALESCE(jsonb_agg(e), '[]'::jsonb) FROM jsonb_array_elements(examples) e WHERE e->>'fixId' <> $1
+      ) WHERE examples @> jsonb_build_array(jsonb_build_object('fixId', $1::text))
+    `, [fixId]);
+    const { rowCount } = await client.query('DELETE FROM diagnoses WHERE id = $1', [fixId]);
+    await client.query('COMMIT');
+    return rowCount > 0;
+  } catch (err) {
+    await client?.query('ROLLBACK').catch(() => {});
+    console.error('Delete diagnosis failed:', err.message);
+    return false;
+  } finally {
+    client?.release();
+  }
+}
+
+/**
+ * Retention (see retention.js). Diagnoses made before expireBefore lose their
+ * results — fix script, plan, AI output and payload — and any discovery
+ * examples taken from them; finished jobs and expired AI cache entries go
+ * too. Diagnoses made before anonymizeBefore also lose what identifies the
+ * machine, and their feedback its comments. Issue ids, versions, outcomes
+ * and pattern counts stay for stats. Either date may be null to skip that
+ * step. Returns { expired, anonymized } counts.
+ */
+export async function purgeDiagnoses({ expireBefore = null, anonymizeBefore = null } = {}) {
+  const db = getPool();
+  if (!db) return { expired: 0, anonymized: 0 };
+
+  try {
+    let expired = [];
+    if (expireBefore) {
+      ({ rows: expired } = await db.query(`
+        UPDATE diagnoses SET fix_script = NULL, fix_plan = NULL, ai_summary = NULL, ai_insights = NULL,
+          issues_ai = '[]', payload = NULL, expired_at = NOW()
+        WHERE expired_at IS NULL AND created_at < $1
+        RETURNING id
+      `, [expireBefore]));
+      if (expired.length) {
+        await db.query(`
+          UPDATE ai_discoveries SET examples = (
+            SELECT COALESCE(jsonb_agg(e), '[]'::jsonb) FROM jsonb_array_elements(examples) e WHERE NOT (e->>'fixId' = ANY($1))
+          ) WHERE EXISTS (SELECT 1 FROM jsonb_array_elements(examples) e WHERE e->>'fixId' = ANY($1))
+        `, [expired.map(r => r.id)]);
+      }
+      await db.query("DELETE FROM diagnosis_jobs WHERE status IN ('done', 'failed') AND updated_at < $1", [expireBefore]);
+      await db.query('DELETE FROM ai_cache WHERE expires_at <= NOW()');
+    }
+
+    let anonymized = [];
+    if (anonymizeBefore) {
+      ({ rows: anonymized } = await db.query(`
+        UPDATE diagnoses SET host_hash = NULL, host_secret_hash = NULL, os = NULL, arch = NULL, node_version = NULL,
+          service_exit_code = NULL, anonymized_at = NOW()
+        WHERE anonymized_at IS NULL AND created_at < $1
+        RETURNING id
+      `, [anonymizeBefore]));
+      if (anonymized.length) {
+        await db.query('UPDATE feedback SET comment = NULL WHERE fix_id = ANY($1)', [anonymized.map(r => r.id)]);
+      }
+    }
+
+    return { expired: expired.length, anonymized: anonymized.length };
+  } catch (err) {
+    console.error('Purge diagnoses failed:', err.message);
+    return { expired: 0, anonymized: 0 };
+  }
+}
+
+/**
+ * Feedback, newest first, optionally for one fix or one kind
+ */
+export async function getFeedback({ fixId, success, verified, limit = 50, offset = 0 } = {}) {
+  const db = getPool();
+  if (!db) return null;
+
+  try {
+    const { rows } = await db.query(`
+      SELECT f.*, d.openclaw_version, d.issues_pattern
+      FROM feedback f LEFT JOIN diagnoses d ON d.id = f.fix_id
+      WHERE ($1::text IS NULL OR f.fix_id = $1)
+        AND ($2::boolean IS NULL OR f.success = $2)
+        AND ($3::boolean IS NULL OR f.verified = $3)
+      ORDER BY f.created_at DESC LIMIT $4 OFFSET $5
+    `, [fixId ?? null, success ?? null, verified ?? null, limit, offset]);
+    return rows.map(r => ({
+      id: r.id,
+      fixId: r.fix_id,
+      timestamp: r.created_at.toISOString(),
+      success: r.success,
+      verified: r.verified,
+      issuesRemaining: r.issues_remaining,
+      remainingIssues: r.remaining_issues,
+      checkedIssues: r.checked_issues,
+      comment: r.comment,
+      openclawVersion: r.openclaw_version,
+      patternIssues: r.issues_pattern || [],
+    }));
+  } catch (err) {
+    console.error('Get feedback failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * The scoped admin token with this hash ({ id, name, scopes }), if it's not
+ * revoked; marks it used
+ */
+export async function findAdminToken(tokenHash) {
+  const db = getPool();
+  if (!db) return null;
+
+  try {
+    const { rows } = await db.query(
+      'UPDATE admin_tokens SET last_used_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL RETURNING id, name, scopes',
+      [tokenHash]
+    );
+    return rows[0] || null;
+  } catch (err) {
+    console.error('Find admin token failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Store a scoped admin token by its hash; returns its id
+ */
+export async function createAdminToken(name, scopes, tokenHash) {
+  const db = getPool();
+  if (!db) return null;
+
+  try {
+    const { rows } = await db.query(
+      'INSERT INTO admin_tokens (name, scopes, token_hash) VALUES ($1, $2, $3) RETURNING id',
+      [name, scopes, tokenHash]
+    );
+    return rows[0].id;
+  } catch (err) {
+    console.error('Create admin token failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Scoped admin tokens, without their hashes
+ */
+export async function listAdminTokens() {
+  const db = getPool();
+  if (!db) return null;
+
+  try {
+    const { rows } = await db.query('SELECT id, name, scopes, created_at, last_used_at, revoked_at FROM admin_tokens ORDER BY id');
+    return rows.map(r => ({
+      id: r.id,
+      name: r.name,
+      scopes: r.scopes,
+      createdAt: r.created_at,
+      lastUsedAt: r.last_used_at,
+      revokedAt: r.revoked_at,
+    }));
+  } catch (err) {
+    console.error('List admin tokens failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Revoke a scoped admin token. False if there was no such live token.
+ */
+export async function revokeAdminToken(id) {
+  const db = getPool();
+  if (!db) return false;
+
+  try {
+    const { rowCount } = await db.query('UPDATE admin_tokens SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL', [id]);
+    return rowCount > 0;
+  } catch (err) {
+    console.error('Revoke admin token failed:', err.message);
+    return false;
+  }
+}
+
+/**
+ * AI spend so far today (UTC), to seed the daily budget after a restart
+ */
+export async function getAISpendToday() {
+  const db = getPool();
+  if (!db) return 0;
+
+  try {
+    const { rows } = await db.query(
+      "SELECT COALESCE(SUM(ai_cost_usd), 0) AS usd FROM diagnoses WHERE created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'"
+    );
+    return Number(rows[0].usd);
+  } catch (err) {
+    console.error('Get AI spend failed:', err.message);
+    return 0;
+  }
+}
+
+/**
+ * Get stats for the dashboard
+ */
+export async function getStats() {
+  const db = getPool();
+  if (!db) return null;
+
+  try {
+    const [total, today, topIssues, versions, outcomes, serviceManagers, sigterms, zombies, aiDaily, aiByModel] = await Promise.all([
+      db.query('SELECT COUNT(*) as count FROM diagnoses'),
+      db.query("SELECT COUNT(*) as count FROM diagnoses WHERE created_at > NOW() - INTERVAL '24 hours'"),
+      db.query('SELECT id, title, severity, times_detected, times_verified, times_fixed, success_rate FROM patterns ORDER BY times_detected DESC LIMIT 10'),
+      db.query('SELECT openclaw_version, COUNT(*) as count FROM diagnoses WHERE openclaw_version IS NOT NULL GROUP BY openclaw_version ORDER BY count DESC LIMIT 5'),
+      db.query("SELECT outcome, COUNT(*) as count FROM diagnoses GROUP BY outcome"),
+      db.query("SELECT service_manager, COUNT(*) as count FROM diagnoses WHERE service_manager IS NOT NULL GROUP BY service_manager ORDER BY count DESC"),
+      db.query("SELECT COUNT(*) as count FROM diagnoses WHERE sigterm_count > 0 OR service_state = 'sigterm'"),
+      db.query("SELECT COUNT(*) as count FROM diagnoses WHERE service_state = 'crashed' OR service_state = 'failed'"),
+      db.query(`
+        SELECT to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day, COUNT(*) AS analyses,
+          SUM(ai_input_tokens) AS input_tokens, SUM(ai_output_tokens) AS output_tokens, SUM(ai_cost_usd) AS cost_usd
+        FROM diagnoses WHERE ai_tokens IS NOT NULL AND created_at > NOW() - INTERVAL '30 days'
+        GROUP BY day ORDER BY day DESC
+      `),
+      db.query(`
+        SELECT ai_model AS model, COUNT(*) AS analyses,
+          SUM(ai_input_tokens) AS input_tokens, SUM(ai_output_tokens) AS output_tokens, SUM(ai_cost_usd) AS cost_usd
+        FROM diagnoses WHERE ai_tokens IS NOT NULL AND created_at > NOW() - INTERVAL '30 days'
+        GROUP BY ai_model ORDER BY cost_usd DESC NULLS LAST
+      `),
+    ]);
+
+    // SUM() comes back as a string; match the in-memory shape
+    const usageRow = (key, r) => ({
+      [key]: r[key],
+      analyses: parseInt(r.analyses),
+      inputTokens: Number(r.input_tokens || 0),
+      outputTokens: Number(r.output_tokens || 0),
+      costUsd: Number(r.cost_usd || 0),
+    });
+
+    return {
+      totalDiagnoses: parseInt(total.rows[0].count),
+      last24h: parseInt(today.rows[0].count),
+      topIssues: topIssues.rows,
+      versionBreakdown: versions.rows,
+      outcomes: outcomes.rows,
+      serviceManagerBreakdown: serviceManagers.rows,
+      sigtermCrashes: parseInt(sigterms.rows[0].count),
+      zombieProcesses: parseInt(zombies.rows[0].count),
+      aiDaily: aiDaily.rows.map(r => usageRow('day', r)),
+      aiByModel: aiByModel.rows.map(r => usageRow('model', r)),
+    };
+  } catch (err) {
+    console.error('Get stats failed:', err.message);
+    return null;
+  }
+}
@@ -0,0 +1,678 @@
+/**
+ * SQLite storage (SQLITE_PATH)
+ * For single-container self-hosting: everything the Postgres store keeps, in
+ * one file and with no database server. Same functions and return shapes as
+ * postgres.js; db.js picks the backend. Uses node:sqlite (Node 22.13+ without a flag), so
+ * this module is only loaded when SQLITE_PATH is set.
+ */
+
+import { DatabaseSync } from 'node:sqlite';
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { migrate } from '../migrate.js';
+
+// A running job not touched for this long belongs to a server that died
+const STALE_JOB_MINUTES = 10;
+
+// Example payloads kept per discovery — enough to write a detector from
+const MAX_DISCOVERY_EXAMPLES = 3;
+
+// Timestamps are ISO 8601 text in UTC, so they compare as strings
+const now = () => new Date().toISOString();
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+const json = value => (value === null || value === undefined ? null : JSON.stringify(value));
+const parse = text => (text === null || text === undefined ? null : JSON.parse(text));
+const bit = value => (value === null || value === undefined ? null : value ? 1 : 0);
+const bool = value => (value === null || value === undefined ? null : Boolean(value));
+
+function openDatabase(path) {
+  if (path !== ':memory:') mkdirSync(dirname(path), { recursive: true });
+  const db = new DatabaseSync(path);
+  db.exec('PRAGMA journal_mode = WAL; PRAGMA foreign_keys = ON; PRAGMA busy_timeout = 5000;');
+  return db;
+}
+
+/**
+ * A pg.Pool look-alike over a SQLite database, for migrate.js — $n
+ * parameters become ?n. Takes a path or an open database.
+ */
+export function migrationPool(pathOrDb) {
+  const db = typeof pathOrDb === 'string' ? openDatabase(pathOrDb) : pathOrDb;
+  const client = {
+    async query(sql, params = []) {
+      if (/^\s*SELECT\b/i.test(sql) || /\bRETURNING\b/i.test(sql)) {
+        const rows = db.prepare(sql.replace(/\$(\d+)/g, '?$1')).all(...params);
+        return { rows, rowCount: rows.length };
+      }
+      if (!params.length) {
+        db.exec(sql); // may hold several statements
+        return { rows: [], rowCount: 0 };
+      }
+      const { changes } = db.prepare(sql.replace(/\$(\d+)/g, '?$1')).run(...params);
+      return { rows: [], rowCount: changes };
+    },
+    release() {},
+  };
+  return { connect: async () => client, end: async () => db.close() };
+}
+
+/**
+ * Open (creating if needed) and migrate the database at `path`, and return
+ * the store
+ */
+export async function openSQLite(path) {
+  const db = openDatabase(path);
+  await migrate(migrationPool(db), { dialect: 'sqlite' });
+  return createStore(db);
+}
+
+function createStore(db) {
+  const all = (sql, ...params) => db.prepare(sql).all(...params);
+  const get = (sql, ...params) => db.prepare(sql).get(...params);
+  const run = (sql, ...params) => db.prepare(sql).run(...params);
+  const transaction = fn => {
+    db.exec('BEGIN');
+    try {
+      const result = fn();
+      db.exec('COMMIT');
+      return result;
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+  };
+
+  const diagnosisRow = row => row && {
+    ...row,
+    issues_pattern: parse(row.issues_pattern),
+    issues_ai: parse(row.issues_ai),
+    known_issues_detail: parse(row.known_issues_detail),
+    fix_plan: parse(row.fix_plan),
+    payload: parse(row.payload),
+    paid: bool(row.paid),
+    ai_cache_hit: bool(row.ai_cache_hit),
+  };
+
+  const feedbackRow = row => ({
+    ...row,
+    success: bool(row.success),
+    verified: bool(row.verified),
+    remaining_issues: parse(row.remaining_issues),
+    checked_issues: parse(row.checked_issues),
+  });
+
+  const discoveryRow = r => ({
+    id: r.id,
+    hash: r.issue_hash,
+    title: r.title,
+    severity: r.severity,
+    summary: r.issue_summary,
+    count: r.similar_count,
+    firstSeen: r.first_seen,
+    lastSeen: r.last_seen,
+    graduated: Boolean(r.graduated),
+    patternId: r.pattern_id,
+    examples: parse(r.examples) || [],
+  });
+
+  return {
+    async storeDiagnosis(result, source = 'cli', payload = null) {
+      try {
+        run(`
+          INSERT INTO diagnoses (id, host_hash, os, arch, node_version, openclaw_version,
+            issues_pattern, issues_ai, issues_count, ai_model, fix_script, ai_summary, ai_insights, known_issues_detail,
+            service_manager, service_state, service_exit_code, err_log_size_mb, sigterm_count, source, fix_plan,
+            ai_tokens, ai_input_tokens, ai_output_tokens, ai_cost_usd, ai_cache_hit, payload, delete_token_hash,
+            host_secret_hash, service_restarts)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+        result.fixId,
+        result._hostHash || null,
+        result._os || null,
+        result._arch || null,
+        result._nodeVersion || null,
+        result._openclawVersion || null,
+        JSON.stringify(result.knownIssues?.map(i => i.id) || []),
+        JSON.stringify(result.aiIssues || []),
+        result.issuesFound || 0,
+        result.model || null,
+        result.fixScript || null,
+        result.analysis || null,
+        result.aiInsights || null,
+        JSON.stringify(result.knownIssues || []),
+        result._serviceManager || null,
+        result._serviceState || null,
+        result._serviceExitCode || null,
+        result._errLogSizeMB || null,
+        result._sigtermCount || null,
+        source,
+        json(result.fixPlan),
+        result._aiUsage ? result._aiUsage.inputTokens + result._aiUsage.outputTokens : null,
+        result._aiUsage?.inputTokens ?? null,
+        result._aiUsage?.outputTokens ?? null,
+        result._aiUsage?.costUsd ?? null,
+        bit(result.cacheHit),
+        json(payload),
+        result._deleteTokenHash || null,
+        result._hostSecretHash || null,
+        result._serviceRestarts ?? null);
+
+        // Update pattern detection counts
+        for (const issue of result.knownIssues || []) {
+          run(`
+            INSERT INTO patterns (id, title, severity, times_detected, last_seen) VALUES (?, ?, ?, 1, ?)
+            ON CONFLICT (id) DO UPDATE SET times_detected = times_detected + 1, last_seen = excluded.last_seen
+          `, issue.id, issue.title, issue.severity, now());
+        }
+      } catch (err) {
+        console.error('Store diagnosis failed:', err.message);
+      }
+    },
+
+    async storeFeedback(fixId, { success = null, issuesRemaining = null, remainingIssues = null, checkedIssues = null, verified = false, comment = null }) {
+      try {
+        const earlier = get('SELECT 1 AS found FROM feedback WHERE fix_id = ? AND verified = 1 LIMIT 1', fixId);
+
+        run(`
+          INSERT INTO feedback (fix_id, success, issues_remaining, remaining_issues, checked_issues, verified, comment)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, fixId, bit(success), issuesRemaining, json(remainingIssues), json(checkedIssues), bit(verified), comment);
+
+        // A verified result is never overwritten by an unverified one
+        const outcome = success === null ? 'applied' : success ? 'success' : 'failed';
+        run("UPDATE diagnoses SET outcome = ? WHERE id = ? AND (? OR outcome NOT IN ('success', 'failed'))", outcome, fixId, bit(verified));
+
+        if (!verified || earlier) return;
+
+        const diag = get('SELECT issues_pattern FROM diagnoses WHERE id = ?', fixId);
+        if (!diag) return;
+        const patterns = parse(diag.issues_pattern) || [];
+        const remaining = new Set(remainingIssues || []);
+        const checked = new Set(checkedIssues || patterns);
+        for (const patternId of patterns) {
+          if (!checked.has(patternId)) continue;
+          const fixed = remaining.has(patternId) ? 0 : 1;
+          run(`
+            UPDATE patterns SET
+              times_verified = times_verified + 1,
+              times_fixed = times_fixed + ?,
+              success_rate = CAST(times_fixed + ? AS REAL) / (times_verified + 1)
+            WHERE id = ?
+          `, fixed, fixed, patternId);
+        }
+      } catch (err) {
+        console.error('Store feedback failed:', err.message);
+      }
+    },
+
+    async getDiagnosis(fixId) {
+      try {
+        const row = diagnosisRow(get('SELECT * FROM diagnoses WHERE id = ?', fixId));
+        if (!row) return null;
+        if (row.expired_at) return { fixId: row.id, timestamp: row.created_at, expiredAt: row.expired_at };
+
+        // Use full issue details if available, otherwise reconstruct from patterns table
+        let knownIssues = row.known_issues_detail || [];
+        if (!knownIssues.length && row.issues_pattern?.length > 0) {
+          const patterns = all(`SELECT id, title, severity FROM patterns WHERE id IN (${row.issues_pattern.map(() => '?').join(', ')})`, ...row.issues_pattern);
+          knownIssues = row.issues_pattern.map(pid => {
+            const p = patterns.find(r => r.id === pid);
+            return p ? { id: p.id, title: p.title, severity: p.severity, description: '' } : null;
+          }).filter(Boolean);
+        }
+
+        return {
+          fixId: row.id,
+          timestamp: row.created_at,
+          issuesFound: row.issues_count,
+          knownIssues,
+          analysis: row.ai_summary || `Pattern matching found ${row.issues_count} issue(s).`,
+          fixScript: row.fix_script || null,
+          fixPlan: row.fix_plan || null,
+          aiIssues: row.issues_ai || [],
+          aiInsights: row.ai_insights || '',
+          model: row.ai_model || 'pattern-matching',
+          cacheHit: row.ai_cache_hit ?? false,
+          systemInfo: {
+            os: row.os ? `${row.os} (${row.arch || ''})` : null,
+            nodeVersion: row.node_version || null,
+            openclawVersion: row.openclaw_version || null,
+            serviceManager: row.service_manager || null,
+            serviceState: row.service_state || null,
+          },
+        };
+      } catch (err) {
+        console.error('Get diagnosis failed:', err.message);
+        return null;
+      }
+    },
+
+    async getDiagnosisOwner(fixId) {
+      try {
+        const row = get('SELECT delete_token_hash, host_hash FROM diagnoses WHERE id = ?', fixId);
+        return row ? { deleteTokenHash: row.delete_token_hash, hostHash: row.host_hash } : null;
+      } catch (err) {
+        console.error('Get diagnosis owner failed:', err.message);
+        return null;
+      }
+    },
+
+    async getHostHistory(hostHash, secretHash, { limit = 200 } = {}) {
+      try {
+        return all(`
+          SELECT * FROM (
+            SELECT id, created_at, openclaw_version, issues_pattern, issues_count, outcome,
+              service_manager, service_state, service_restarts, sigterm_count, expired_at
+            FROM diagnoses WHERE host_hash = ? AND host_secret_hash = ?
+            ORDER BY created_at DESC LIMIT ?
+          ) ORDER BY created_at
+        `, hostHash, secretHash, Math.min(limit, 1000)).map(r => ({
+          fixId: r.id,
+          timestamp: r.created_at,
+          openclawVersion: r.openclaw_version,
+          issues: parse(r.issues_pattern) || [],
+          issuesCount: r.issues_count,
+          outcome: r.outcome,
+          serviceManager: r.service_manager,
+          serviceState: r.service_state,
+          restarts: r.service_restarts,
+          sigtermCount: r.sigterm_count || 0,
+          expired: Boolean(r.expired_at),
+        }));
+      } catch (err) {
+        console.error('Get host history failed:', err.message);
+        return null;
+      }
+    },
+
+    async createJob(fixId, payload, source, owner = {}) {
+      try {
+        run(`
+          INSERT INTO diagnosis_jobs (id, status, payload, source, delete_token_hash, host_secret_hash)
+          VALUES (?, 'pending', ?, ?, ?, ?)
+        `, fixId, json(payload), source, owner.deleteTokenHash || null, owner.hostSecretHash || null);
+      } catch (err) {
+        console.error('Create job failed:', err.message);
+      }
+    },
+
+    async claimJob(fixId) {
+      try {
+        return all(`
+          UPDATE diagnosis_jobs SET status = 'running', updated_at = ?
+          WHERE id = ? AND (status = 'pending' OR (status = 'running' AND updated_at < ?))
+          RETURNING id
+        `, now(), fixId, ago(STALE_JOB_MINUTES * 60_000)).length > 0;
+      } catch (err) {
+        // Run it anyway — a lost claim costs a duplicate analysis, not a lost one
+        console.error('Claim job failed:', err.message);
+        return true;
+      }
+    },
+
+    async finishJob(fixId, status, error = null) {
+      try {
+        run('UPDATE diagnosis_jobs SET status = ?, error = ?, payload = NULL, updated_at = ? WHERE id = ?', status, error, now(), fixId);
+      } catch (err) {
+        console.error('Finish job failed:', err.message);
+      }
+    },
+
+    async getJob(fixId) {
+      try {
+        const row = get('SELECT status, error FROM diagnosis_jobs WHERE id = ?', fixId);
+        return row ? { status: row.status, error: row.error } : null;
+      } catch (err) {
+        console.error('Get job failed:', err.message);
+        return null;
+      }
+    },
+
+    async getResumableJobs() {
+      try {
+        return all(`
+          SELECT id, payload, source, delete_token_hash, host_secret_hash FROM diagnosis_jobs
+          WHERE status = 'pending' OR (status = 'running' AND updated_at < ?)
+          ORDER BY created_at
+        `, ago(STALE_JOB_MINUTES * 60_000)).map(r => ({ ...r, payload: parse(r.payload) }));
+      } catch (err) {
+        console.error('Get resumable jobs failed:', err.message);
+        return [];
+      }
+    },
+
+    async getCachedAnalysis(fingerprint) {
+      try {
+        const row = all(
+          'UPDATE ai_cache SET hits = hits + 1 WHERE fingerprint = ? AND expires_at > ? RETURNING analysis, created_at',
+          fingerprint, now()
+        )[0];
+        return row ? { analysis: parse(row.analysis), createdAt: row.created_at } : null;
+      } catch (err) {
+        console.error('Get cached analysis failed:', err.message);
+        return null;
+      }
+    },
+
+    async storeCachedAnalysis(fingerprint, rulesVersion, analysis, ttlMs) {
+      try {
+        run(`
+          INSERT INTO ai_cache (fingerprint, rules_version, analysis, created_at, expires_at) VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT (fingerprint) DO UPDATE SET
+            rules_version = excluded.rules_version, analysis = excluded.analysis,
+            hits = 0, created_at = excluded.created_at, expires_at = excluded.expires_at
+        `, fingerprint, rulesVersion, json(analysis), now(), new Date(Date.now() + ttlMs).toISOString());
+      } catch (err) {
+        console.error('Store cached analysis failed:', err.message);
+      }
+    },
+
+    async purgeAICache(rulesVersion) {
+      try {
+        run('DELETE FROM ai_cache WHERE rules_version <> ? OR expires_at <= ?', rulesVersion, now());
+      } catch (err) {
+        console.error('Purge AI cache failed:', err.message);
+      }
+    },
+
+    async recordDiscoveries(fixId, discoveries) {
+      try {
+        for (const { hash, issue, plan, payload } of discoveries) {
+          const example = { fixId, seenAt: now(), issue, plan, payload };
+          const row = get('SELECT id, examples FROM ai_discoveries WHERE issue_hash = ?', hash);
+          if (row) {
+            const examples = parse(row.examples) || [];
+            if (examples.length < MAX_DISCOVERY_EXAMPLES) examples.push(example);
+            run('UPDATE ai_discoveries SET similar_count = similar_count + 1, last_seen = ?, examples = ? WHERE id = ?',
+              now(), json(examples), row.id);
+          } else {
+            run('INSERT INTO ai_discoveries (issue_hash, issue_summary, title, severity, examples) VALUES (?, ?, ?, ?, ?)',
+              hash, issue.description || issue.title, issue.title, issue.severity, json([example]));
+          }
+        }
+      } catch (err) {
+        console.error('Record discoveries failed:', err.message);
+      }
+    },
+
+    async getDiscoveries({ minCount = 1, graduated = false, limit = 50 } = {}) {
+      try {
+        return all(`
+          SELECT * FROM ai_discoveries
+          WHERE similar_count >= ?1 AND (?2 IS NULL OR graduated = ?2)
+          ORDER BY similar_count DESC, last_seen DESC LIMIT ?3
+        `, minCount, bit(graduated), limit).map(discoveryRow);
+      } catch (err) {
+        console.error('Get discoveries failed:', err.message);
+        return null;
+      }
+    },
+
+    async getDiscovery(id) {
+      try {
+        const row = get('SELECT * FROM ai_discoveries WHERE id = ?', id);
+        return row ? discoveryRow(row) : null;
+      } catch (err) {
+        console.error('Get discovery failed:', err.message);
+        return null;
+      }
+    },
+
+    async graduateDiscovery(id, { patternId, title, severity }) {
+      try {
+        run("INSERT INTO patterns (id, title, severity, source) VALUES (?, ?, ?, 'ai-discovery') ON CONFLICT (id) DO NOTHING",
+          patternId, title, severity);
+        return run('UPDATE ai_discoveries SET graduated = 1, pattern_id = ? WHERE id = ? AND NOT graduated', patternId, id).changes > 0;
+      } catch (err) {
+        console.error('Graduate discovery failed:', err.message);
+        return false;
+      }
+    },
+
+    async searchDiagnoses({ q, hostHash, version, issue, outcome, source, since, until, limit = 50, offset = 0 } = {}) {
+      try {
+        const where = [];
+        const params = [];
+        const add = (sql, value) => {
+          params.push(value);
+          where.push(sql.replaceAll('?', `?${params.length}`));
+        };
+        if (q) add("(id = ? OR ai_summary LIKE '%' || ? || '%')", q);
+        if (hostHash) add('host_hash = ?', hostHash);
+        if (version) add('openclaw_version = ?', version);
+        if (issue) add('EXISTS (SELECT 1 FROM json_each(issues_pattern) WHERE value = ?)', issue);
+        if (outcome) add('outcome = ?', outcome);
+        if (source) add('source = ?', source);
+        if (since) add('created_at >= ?', new Date(since).toISOString());
+        if (until) add('created_at < ?', new Date(until).toISOString());
+
+        const rows = all(`
+          SELECT id, created_at, host_hash, os, arch, openclaw_version, issues_pattern, issues_count,
+            ai_model, ai_cost_usd, outcome, source, payload IS NOT NULL AS has_payload, COUNT(*) OVER () AS total
+          FROM diagnoses ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+          ORDER BY created_at DESC LIMIT ?${params.length + 1} OFFSET ?${params.length + 2}
+        `, ...params, limit, offset);
+        return {
+          total: rows.length ? rows[0].total : 0,
+          diagnoses: rows.map(r => ({
+            fixId: r.id,
+            timestamp: r.created_at,
+            hostHash: r.host_hash,
+            os: r.os,
+            arch: r.arch,
+            openclawVersion: r.openclaw_version,
+            patternIssues: parse(r.issues_pattern) || [],
+            issuesFound: r.issues_count,
+            model: r.ai_model,
+            aiCostUsd: r.ai_cost_usd,
+            outcome: r.outcome,
+            source: r.source,
+            hasPayload: Boolean(r.has_payload),
+          })),
+        };
+      } catch (err) {
+        console.error('Search diagnoses failed:', err.message);
+        return null;
+      }
+    },
+
+    async getDiagnosisRecord(fixId) {
+      try {
+        const diagnosis = diagnosisRow(get('SELECT * FROM diagnoses WHERE id = ?', fixId));
+        if (!diagnosis) return null;
+        const feedback = all('SELECT * FROM feedback WHERE fix_id = ? ORDER BY created_at', fixId).map(feedbackRow);
+        return { diagnosis, feedback };
+      } catch (err) {
+        console.error('Get diagnosis record failed:', err.message);
+        return null;
+      }
+    },
+
+    async deleteDiagnosis(fixId) {
+      try {
+        return transaction(() => {
+          run('DELETE FROM feedback WHERE fix_id = ?', fixId);
+          run('DELETE FROM diagnosis_jobs WHERE id = ?', fixId);
+          const discoveries = all(`
+            SELECT id, examples FROM ai_discoveries
+            WHERE EXISTS (SELECT 1 FROM json_each(examples) WHERE json_extract(value, '$.fixId') = ?)
+          `, fixId);
+          for (const row of discoveries) {
+            const examples = parse(row.examples).filter(e => e.fixId !== fixId);
+            run('UPDATE ai_discoveries SET examples = ? WHERE id = ?', json(examples), row.id);
+          }
+          return run('DELETE FROM diagnoses WHERE id = ?', fixId).changes > 0;
+        });
+      } catch (err) {
+        console.error('Delete diagnosis failed:', err.message);
+        return false;
+      }
+    },
+
+    async purgeDiagnoses({ expireBefore = null, anonymizeBefore = null } = {}) {
+      try {
+        let expired = [];
+        if (expireBefore) {
+          expired = all(`
+            UPDATE diagnoses SET fix_script = NULL, fix_plan = NULL, ai_summary = NULL, ai_insights = NULL,
+              issues_ai = '[]', payload = NULL, expired_at = ?
+            WHERE expired_at IS NULL AND created_at < ?
+            RETURNING id
+          `, now(), new Date(expireBefore).toISOString()).map(r => r.id);
+          if (expired.length) {
+            const gone = new Set(expired);
+            const discoveries = all(`
+              SELECT id, examples FROM ai_discoveries
+              WHERE EXISTS (SELECT 1 FROM json_each(examples) WHERE json_extract(value, '$.fixId') IN (SELECT value FROM json_each(?)))
+            `, json(expired));
+            for (const row of discoveries) {
+              const examples = parse(row.examples).filter(e => !gone.has(e.fixId));
+              run('UPDATE ai_discoveries SET examples = ? WHERE id = ?', json(examples), row.id);
+            }
+          }
+          run("DELETE FROM diagnosis_jobs WHERE status IN ('done', 'failed') AND updated_at < ?", new Date(expireBefore).toISOString());
+          run('DELETE FROM ai_cache WHERE expires_at <= ?', now());
+        }
+
+        let anonymized = [];
+        if (anonymizeBefore) {
+          anonymized = all(`
+            UPDATE diagnoses SET host_hash = NULL, host_secret_hash = NULL, os = NULL, arch = NULL, node_version = NULL,
+              service_exit_code = NULL, anonymized_at = ?
+            WHERE anonymized_at IS NULL AND created_at < ?
+            RETURNING id
+          `, now(), new Date(anonymizeBefore).toISOString()).map(r => r.id);
+          if (anonymized.length) {
+            run('UPDATE feedback SET comment = NULL WHERE fix_id IN (SELECT value FROM json_each(?))', json(anonymized));
+          }
+        }
+
+        return { expired: expired.length, anonymized: anonymized.length };
+      } catch (err) {
+        console.error('Purge diagnoses failed:', err.message);
+        return { expired: 0, anonymized: 0 };
+      }
+    },
+
+    async getFeedback({ fixId, success, verified, limit = 50, offset = 0 } = {}) {
+      try {
+        return all(`
+          SELECT f.*, d.openclaw_version, d.issues_pattern
+          FROM feedback f LEFT JOIN diagnoses d ON d.id = f.fix_id
+          WHERE (?1 IS NULL OR f.fix_id = ?1)
+            AND (?2 IS NULL OR f.success = ?2)
+            AND (?3 IS NULL OR f.verified = ?3)
+          ORDER BY f.created_at DESC LIMIT ?4 OFFSET ?5
+        `, fixId ?? null, bit(success), bit(verified), limit, offset).map(r => ({
+          id: r.id,
+          fixId: r.fix_id,
+          timestamp: r.created_at,
+          success: bool(r.success),
+          verified: bool(r.verified),
+          issuesRemaining: r.issues_remaining,
+          remainingIssues: parse(r.remaining_issues),
+          checkedIssues: parse(r.checked_issues),
+          comment: r.comment,
+          openclawVersion: r.openclaw_version,
+          patternIssues: parse(r.issues_pattern) || [],
+        }));
+      } catch (err) {
+        console.error('Get feedback failed:', err.message);
+        return null;
+      }
+    },
+
+    async findAdminToken(tokenHash) {
+      try {
+        const row = all(
+          'UPDATE admin_tokens SET last_used_at = ? WHERE token_hash = ? AND revoked_at IS NULL RETURNING id, name, scopes',
+          now(), tokenHash
+        )[0];
+        return row ? { id: row.id, name: row.name, scopes: parse(row.scopes) } : null;
+      } catch (err) {
+        console.error('Find admin token failed:', err.message);
+        return null;
+      }
+    },
+
+    async createAdminToken(name, scopes, tokenHash) {
+      try {
+        return all('INSERT INTO admin_tokens (name, scopes, token_hash) VALUES (?, ?, ?) RETURNING id', name, json(scopes), tokenHash)[0].id;
+      } catch (err) {
+        console.error('Create admin token failed:', err.message);
+        return null;
+      }
+    },
+
+    async listAdminTokens() {
+      try {
+        return all('SELECT id, name, scopes, created_at, last_used_at, revoked_at FROM admin_tokens ORDER BY id').map(r => ({
+          id: r.id,
+          name: r.name,
+          scopes: parse(r.scopes),
+          createdAt: r.created_at,
+          lastUsedAt: r.last_used_at,
+          revokedAt: r.revoked_at,
+        }));
+      } catch (err) {
+        console.error('List admin tokens failed:', err.message);
+        return null;
+      }
+    },
+
+    async revokeAdminToken(id) {
+      try {
+        return run('UPDATE admin_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', now(), id).changes > 0;
+      } catch (err) {
+        console.error('Revoke admin token failed:', err.message);
+        return false;
+      }
+    },
+
+    async getAISpendToday() {
+      try {
+        const today = `${now().slice(0, 10)}T00:00:00.000Z`;
+        return get('SELECT COALESCE(SUM(ai_cost_usd), 0) AS usd FROM diagnoses WHERE created_at >= ?', today).usd;
+      } catch (err) {
+        console.error('Get AI spend failed:', err.message);
+        return 0;
+      }
+    },
+
+    async getStats() {
+      try {
+        const count = (sql, ...params) => get(sql, ...params).count;
+        const usage = key => `
+          SELECT ${key}, COUNT(*) AS analyses, SUM(ai_input_tokens) AS input_tokens,
+            SUM(ai_output_tokens) AS output_tokens, SUM(ai_cost_usd) AS cost_usd
+          FROM diagnoses WHERE ai_tokens IS NOT NULL AND created_at > ?
+        `;
+        const usageRow = (key, r) => ({
+          [key]: r[key],
+          analyses: r.analyses,
+          inputTokens: r.input_tokens || 0,
+          outputTokens: r.output_tokens || 0,
+          costUsd: r.cost_usd || 0,
+        });
+        const month = ago(30 * 24 * 3600_000);
+
+        return {
+          totalDiagnoses: count('SELECT COUNT(*) AS count FROM diagnoses'),
+          last24h: count('SELECT COUNT(*) AS count FROM diagnoses WHERE created_at > ?', ago(24 * 3600_000)),
+          topIssues: all('SELECT id, title, severity, times_detected, times_verified, times_fixed, success_rate FROM patterns ORDER BY times_detected DESC LIMIT 10'),
+          versionBreakdown: all('SELECT openclaw_version, COUNT(*) AS count FROM diagnoses WHERE openclaw_version IS NOT NULL GROUP BY openclaw_version ORDER BY count DESC LIMIT 5'),
+          outcomes: all('SELECT outcome, COUNT(*) AS count FROM diagnoses GROUP BY outcome'),
+          serviceManagerBreakdown: all('SELECT service_manager, COUNT(*) AS count FROM diagnoses WHERE service_manager IS NOT NULL GROUP BY service_manager ORDER BY count DESC'),
+          sigtermCrashes: count("SELECT COUNT(*) AS count FROM diagnoses WHERE sigterm_count > 0 OR service_state = 'sigterm'"),
+          zombieProcesses: count("SELECT COUNT(*) AS count FROM diagnoses WHERE service_state = 'crashed' OR service_state = 'failed'"),
+          aiDaily: all(`${usage('substr(created_at, 1, 10) AS day')} GROUP BY day ORDER BY day DESC`, month).map(r => usageRow('day', r)),
+          aiByModel: all(`${usage('ai_model AS model')} GROUP BY ai_model ORDER BY cost_usd DESC NULLS LAST`, month).map(r => usageRow('model', r)),
+        };
+      } catch (err) {
+        console.error('Get stats failed:', err.message);
+        return null;
+      }
+    },
+  };
+}
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Admin API auth
+ *
+ * The operator token gets every scope, scoped tokens are looked up by hash
+ * and only get their own, and anything else is turned away — with the whole
+ * API off while ADMIN_TOKEN is unset.
+ *
+ * Usage: npm test
+ */
+
+import { createAdminAuth, generateToken, hashToken, ADMIN_SCOPES } from '../src/admin-auth.js';
+import { createChecks, report } from './helpers.js';
+
+// Run a middleware; resolves to { status, body } if it answered, or { next: true }
+function call(middleware, req) {
+  return new Promise(resolve => {
+    const res = {
+      status(code) {
+        return { json: body => resolve({ status: code, body }) };
+      },
+    };
+    middleware(req, res, () => resolve({ next: true, admin: req.admin }));
+  });
+}
+
+const request = token => ({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+async function main() {
+  const { failures, check } = createChecks();
+
+  const scoped = generateToken();
+  check(scoped.token.startsWith('cfx_admin_') && scoped.hash === hashToken(scoped.token), 'generated token and hash disagree');
+  check(generateToken().token !== scoped.token, 'two generated tokens are the same');
+
+  const lookups = [];
+  const tokens = new Map([[scoped.hash, { id: 4, name: 'support', scopes: ['read'] }]]);
+  let operator = 'op-secret';
+  const { authenticate, requireScope } = createAdminAuth({
+    operatorToken: () => operator,
+    findToken: async hash => {
+      lookups.push(hash);
+      return tokens.get(hash) || null;
+    },
+  });
+
+  const asOperator = await call(authenticate, request('op-secret'));
+  check(asOperator.next && asOperator.admin.scopes.join() === ADMIN_SCOPES.join(), `operator token got ${JSON.stringify(asOperator)}`);
+  check(lookups.length === 0, 'the operator token was looked up in the database');
+
+  const asSupport = await call(authenticate, request(scoped.token));
+  check(asSupport.next && asSupport.admin.name === 'support', `scoped token got ${JSON.stringify(asSupport)}`);
+  check(!lookups.includes(scoped.token), 'a token was looked up in plain text');
+
+  check((await call(authenticate, request('op-secreT'))).status === 401, 'a wrong token got in');
+  check((await call(authenticate, request())).status === 401, 'no token got in');
+
+  const canRead = await call(requireScope('read'), { admin: asSupport.admin });
+  const canDelete = await call(requireScope('delete'), { admin: asSupport.admin });
+  check(canRead.next, 'a read token could not read');
+  check(canDelete.status === 403, `a read token could delete (${JSON.stringify(canDelete)})`);
+  check((await call(requireScope('tokens'), { admin: asOperator.admin })).next, 'the operator could not manage tokens');
+
+  operator = undefined;
+  const disabled = await call(authenticate, request(scoped.token));
+  check(disabled.status === 503, `with ADMIN_TOKEN unset a scoped token got ${JSON.stringify(disabled)}`);
+
+  report('Admin auth', failures, 'operator token, scoped tokens and scopes behave');
+}
+
+main();
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * AI analysis cache
+ *
+ * The fingerprint ignores what doesn't change the answer (timestamps, repeat
+ * counts, host, config key order) and changes with what does (issues,
+ * version, rule set). Entries expire after the TTL, are shared through the
+ * store, and are dropped when the rule set changes.
+ *
+ * Usage: npm test
+ */
+
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadRules } from '../src/rule-loader.js';
+import { detectIssues } from '../cli/lib/known-issues.js';
+import { diagnosticFingerprint, createAICache, loadCacheTTL } from '../src/ai-cache.js';
+import { createChecks, report } from './helpers.js';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Stands in for the ai_cache table
+function memoryStore() {
+  const rows = new Map();
+  return {
+    rows,
+    purged: [],
+    async get(fingerprint) {
+      return rows.get(fingerprint) || null;
+    },
+    async set(fingerprint, rulesVersion, analysis) {
+      rows.set(fingerprint, { analysis, createdAt: new Date(clock).toISOString(), rulesVersion });
+    },
+    async purge(rulesVersion) {
+      this.purged.push(rulesVersion);
+      for (const [key, row] of rows) if (row.rulesVersion !== rulesVersion) rows.delete(key);
+    },
+  };
+}
+
+let clock = Date.parse('2026-03-01T00:00:00Z');
+
+async function main() {
+  loadRules();
+  const { failures, check } = createChecks();
+
+  const base = JSON.parse(readFileSync(join(FIXTURES, '_base', 'healthy-linux.json'), 'utf8'));
+  const situation = structuredClone(base);
+  situation.logs.errors = ['2026-02-14T09:00:00Z [ws] handshake timeout conn=1', '2026-02-14T09:00:11Z [ws] handshake timeout conn=2'].join('\n');
+  const fp = d => diagnosticFingerprint(d, detectIssues(d), 'rules-1');
+
+  // Same situation, different host, later timestamps, more repeats, reordered config
+  const same = structuredClone(situation);
+  same.hostHash = 'someone-else';
+  same.logs.errors = Array.from({ length: 50 }, (_, i) => `2026-03-01T10:00:${String(i).padStart(2, '0')}Z [ws] handshake timeout conn=${i + 100}`).join('\n');
+  same.config = Object.fromEntries(Object.entries(same.config).reverse());
+  check(fp(same) === fp(situation), 'the same situation got a different fingerprint');
+
+  const otherVersion = structuredClone(situation);
+  otherVersion.openclaw.version = '2099.1.1';
+  check(fp(otherVersion) !== fp(situation), 'a different OpenClaw version got the same fingerprint');
+
+  const otherIssues = structuredClone(situation);
+  otherIssues.config.plugins.entries['openclaw-mem0'].config.enableGraph = true;
+  check(fp(otherIssues) !== fp(situation), 'a different issue set got the same fingerprint');
+
+  const otherLogs = structuredClone(situation);
+  otherLogs.logs.errors += '\nFATAL: out of memory';
+  check(fp(otherLogs) !== fp(situation), 'a new log line got the same fingerprint');
+
+  check(diagnosticFingerprint(situation, detectIssues(situation), 'rules-2') !== fp(situation), 'a new rule set got the same fingerprint');
+
+  // The cache itself
+  const originalLog = console.log;
+  console.log = () => {}; // "rules changed"
+  try {
+    let rules = 'rules-1';
+    const store = memoryStore();
+    const now = () => clock;
+    const cache = createAICache({ ttlMs: 3600_000, rulesVersion: () => rules, store, now });
+
+    check(await cache.get('a') === null, 'hit on an empty cache');
+    await cache.set('a', { summary: 'cached answer' });
+    check((await cache.get('a'))?.analysis.summary === 'cached answer', 'miss right after set');
+
+    // Another server sharing the store
+    const other = createAICache({ ttlMs: 3600_000, rulesVersion: () => rules, store, now });
+    check((await other.get('a'))?.analysis.summary === 'cached answer', 'stored entry not found by a second cache');
+
+    clock += 3600_000;
+    store.rows.clear(); // the table filters expired rows itself
+    check(await cache.get('a') === null, 'entry outlived its TTL');
+
+    await cache.set('b', { summary: 'old rules' });
+    rules = 'rules-2';
+    check(await cache.get('b') === null, 'entry survived a rule change');
+    check(store.purged.at(-1) === 'rules-2' && !store.rows.has('b'), `store not purged on a rule change (${store.purged})`);
+
+    const stats = cache.stats();
+    check(stats.hits === 1 && stats.misses === 3 && stats.rulesVersion === 'rules-2', `stats are ${JSON.stringify(stats)}`);
+
+    const off = createAICache({ ttlMs: loadCacheTTL({ AI_CACHE_TTL_HOURS: '0' }), rulesVersion: () => rules, store, now });
+    await off.set('c', { summary: 'never kept' });
+    check(await off.get('c') === null && !store.rows.has('c'), 'AI_CACHE_TTL_HOURS=0 still cached');
+    check(loadCacheTTL({}) === 24 * 3600_000, 'default TTL is not 24 hours');
+    check(loadCacheTTL({ AI_CACHE_TTL_HOURS: '1.5' }) === 1.5 * 3600_000, 'fractional TTL not used');
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    const bad = ['soon', '-1', 'Infinity'].map(value => loadCacheTTL({ AI_CACHE_TTL_HOURS: value }));
+    console.warn = originalWarn;
+    check(bad.every(ttl => ttl === 24 * 3600_000) && warnings.length === 3, `bad TTLs gave ${bad.join()} with ${warnings.length} warnings`);
+  } finally {
+    console.log = originalLog;
+  }
+
+  report('AI cache', failures, 'fingerprints, TTL, shared store and rule-change invalidation behave');
+}
+
+main();
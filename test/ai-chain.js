@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * AI provider fallback chain
+ *
+ * Against the mock provider (test/mock-provider.js): retryable failures are
+ * retried with backoff, the next provider answers when one gives up, slow
+ * providers time out, and a provider that keeps failing is skipped until its
+ * breaker's cooldown passes. A stream that breaks off is restarted. Sleeps
+ * and the clock are stubbed.
+ *
+ * Usage: npm test
+ */
+
+import { createAIChain, loadChainConfig, loadChainOptions } from '../src/ai-chain.js';
+import { startMockProvider } from './mock-provider.js';
+import { createChecks, report } from './helpers.js';
+
+const MESSAGES = [{ role: 'user', content: 'hello' }];
+
+async function main() {
+  const { failures, check } = createChecks();
+
+  const env = { AI_CHAIN: 'anthropic:claude-test, gemini:gemini-test ,openrouter:vendor/model:free', ANTHROPIC_API_KEY: 'a', AI_API_KEY: 'shared' };
+  const configs = loadChainConfig(env);
+  check(configs.map(c => `${c.provider}:${c.model}:${c.apiKey}`).join() === 'anthropic:claude-test:a,gemini:gemini-test:shared,openrouter:vendor/model:free:shared',
+    `AI_CHAIN parsed as ${JSON.stringify(configs.map(c => [c.provider, c.model, c.apiKey]))}`);
+  check(loadChainConfig({}).length === 0, 'a provider without an API key was kept');
+  check(loadChainConfig({ AI_PROVIDER: 'gemini', AI_MODEL: 'g', GEMINI_API_KEY: 'k' })[0]?.model === 'g', 'AI_PROVIDER/AI_MODEL not used without AI_CHAIN');
+
+  // AI_BASE_URL is the single provider's; in a chain each provider has its own
+  check(loadChainConfig({ AI_API_KEY: 'k', AI_BASE_URL: 'http://proxy' })[0]?.baseUrl === 'http://proxy', 'AI_BASE_URL not used for AI_PROVIDER');
+  const originalError = console.error;
+  console.error = () => {};
+  const urls = loadChainConfig({ ...env, AI_BASE_URL: 'http://proxy', GEMINI_BASE_URL: 'http://gemini-proxy' }).map(c => c.baseUrl);
+  console.error = originalError;
+  check(urls.join() === ',http://gemini-proxy,', `chain base URLs: ${JSON.stringify(urls)}`);
+
+  // Settings that aren't whole numbers fall back to the defaults
+  const defaults = loadChainOptions({});
+  check(defaults.timeoutMs === 30_000 && defaults.retries === 2 && defaults.breakerThreshold === 3, `default options: ${JSON.stringify(defaults)}`);
+  check(loadChainOptions({ AI_RETRIES: '0', AI_TIMEOUT_MS: '5000' }).retries === 0 && loadChainOptions({ AI_TIMEOUT_MS: '5000' }).timeoutMs === 5000, 'valid options not used');
+  const warnings = [];
+  console.error = message => warnings.push(message);
+  const bad = loadChainOptions({ AI_RETRIES: 'two', AI_TIMEOUT_MS: '30s', AI_BREAKER_THRESHOLD: '-1', AI_BREAKER_COOLDOWN_MS: '1.5' });
+  const noTimeout = loadChainOptions({ AI_TIMEOUT_MS: '0' });
+  console.error = originalError;
+  check(JSON.stringify(bad) === JSON.stringify(defaults), `bad options used: ${JSON.stringify(bad)}`);
+  check(warnings.length === 5 && warnings[0].includes('AI_TIMEOUT_MS="30s"'), `warnings: ${warnings.join(' | ')}`);
+  check(noTimeout.timeoutMs === 30_000, `a 0 ms timeout was used (${noTimeout.timeoutMs})`);
+
+  const mock = await startMockProvider();
+  const entries = [
+    { provider: 'anthropic', model: 'primary', apiKey: 'k', baseUrl: mock.url, maxTokens: 10 },
+    { provider: 'gemini', model: 'backup', apiKey: 'k', baseUrl: mock.url, maxTokens: 10 },
+  ];
+  const hits = api => mock.requests.filter(r => r.api === api).length;
+
+  let clock = 0;
+  const waits = [];
+  const chain = createAIChain(entries, {
+    timeoutMs: 200, retries: 2, backoffMs: 100, breakerThreshold: 2, breakerCooldownMs: 60_000,
+    sleep: async ms => { waits.push(ms); },
+    now: () => clock,
+    log: () => {},
+  });
+
+  try {
+    // 5xx is retried with exponential backoff, then the backup answers
+    mock.reply({ status: 500 }, { status: 503 }, { status: 529 }, { text: 'from backup' });
+    let result = await chain.call('system', MESSAGES);
+    check(result.text === 'from backup' && result.provider === 'gemini' && result.model === 'backup', `expected the backup to answer, got ${result.provider}:${result.model}`);
+    check(waits.join() === '100,200', `backoff waits were ${waits.join()}`);
+
+    // Retry-After wins over the backoff schedule
+    waits.length = 0;
+    mock.reply({ status: 429, retryAfter: 3 }, { text: 'from primary' });
+    result = await chain.call('system', MESSAGES);
+    check(result.provider === 'anthropic' && waits.join() === '3000', `429 waited ${waits.join()} and answered from ${result.provider}`);
+
+    // Auth failures aren't retried; the backup answers straight away
+    waits.length = 0;
+    mock.reply({ status: 401 }, { text: 'from backup' });
+    result = await chain.call('system', MESSAGES);
+    check(result.provider === 'gemini' && waits.length === 0, `401 was retried (${waits.join()})`);
+
+    // A slow provider times out
+    mock.reply({ text: 'too late', delayMs: 600 }, { status: 500 }, { status: 500 }, { text: 'from backup' });
+    result = await chain.call('system', MESSAGES);
+    check(result.provider === 'gemini', `timeout didn't fall back (answered by ${result.provider})`);
+
+    // Two failed calls in a row opened the primary's breaker: it's skipped now
+    check(chain.status()[0].state === 'open', `primary breaker is ${chain.status()[0].state} after two failures`);
+    const before = hits('anthropic');
+    mock.reply({ text: 'from backup' });
+    result = await chain.call('system', MESSAGES);
+    check(hits('anthropic') === before && result.provider === 'gemini', 'open breaker still sent a request to the primary');
+
+    // After the cooldown one trial call goes through and closes it again
+    clock += 60_000;
+    check(chain.status()[0].state === 'half-open', `primary breaker is ${chain.status()[0].state} after the cooldown`);
+    mock.reply({ text: 'from primary' });
+    result = await chain.call('system', MESSAGES);
+    check(result.provider === 'anthropic' && chain.status()[0].state === 'closed', 'half-open trial did not close the breaker');
+
+    // A stream cut off mid-reply is retried; the listener is told to start over
+    let streamedText = '';
+    let restarts = 0;
+    mock.reply({ text: 'a reply that gets cut off', breakAfter: 4 }, { text: 'the whole reply' });
+    result = await chain.call('system', MESSAGES, {
+      onToken: text => { streamedText += text; },
+      onRestart: () => { streamedText = ''; restarts++; },
+    });
+    check(result.text === 'the whole reply' && streamedText === 'the whole reply' && restarts === 1,
+      `streamed ${JSON.stringify(streamedText)} after ${restarts} restarts`);
+
+    // Every provider down: one error naming them all
+    mock.reply({ status: 400 }, { status: 403 });
+    try {
+      await chain.call('system', MESSAGES);
+      failures.push('call succeeded with every provider failing');
+    } catch (err) {
+      check(err.message.includes('anthropic:primary') && err.message.includes('gemini:backup'), `error doesn't name every provider: ${err.message}`);
+    }
+    check(chain.status()[0].failures === 0, 'a 400 counted against the primary breaker');
+  } finally {
+    await mock.close();
+  }
+
+  report('AI chain', failures, 'retries, fallback, timeouts and circuit breaker behave');
+}
+
+main();
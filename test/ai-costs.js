@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * AI cost accounting
+ *
+ * Prices resolve by provider:model before model, unpriced calls cost null
+ * rather than 0, and the daily budget trips at the cap and resets at UTC
+ * midnight.
+ *
+ * Usage: npm test
+ */
+
+import { loadPrices, costOf, sumUsage, createBudget, loadDailyBudget } from '../src/ai-costs.js';
+import { createChecks, report } from './helpers.js';
+
+function main() {
+  const { failures, check } = createChecks();
+
+  const prices = loadPrices({ AI_PRICES: '{"m": {"input": 2, "output": 10}, "router:m": {"input": 4, "output": 20}}' });
+  const usage = { inputTokens: 1_000_000, outputTokens: 100_000 };
+  check(costOf(prices, { provider: 'other', model: 'm', usage }) === 3, 'model price not used');
+  check(costOf(prices, { provider: 'router', model: 'm', usage }) === 6, 'provider:model price does not win over the model price');
+  check(costOf(prices, { provider: 'x', model: 'unknown', usage }) === null, 'unpriced model got a cost');
+  check(costOf(prices, { provider: 'x', model: 'm', usage: { inputTokens: null, outputTokens: 5 } }) === null, 'missing usage got a cost');
+  check(loadPrices({ AI_PRICES: 'not json' })['claude-sonnet-4-5']?.input === 3, 'bad AI_PRICES lost the defaults');
+
+  const total = sumUsage([{ usage, costUsd: 3 }, { usage: { inputTokens: 10, outputTokens: 5 }, costUsd: 1 }]);
+  check(total.calls === 2 && total.inputTokens === 1_000_010 && total.outputTokens === 100_005 && total.costUsd === 4, `usage summed to ${JSON.stringify(total)}`);
+  check(sumUsage([{ usage, costUsd: 3 }, { usage, costUsd: null }]).costUsd === null, 'partially priced analysis got a cost');
+
+  let clock = Date.parse('2026-03-01T23:00:00Z');
+  const budget = createBudget({ dailyUsd: 5, now: () => clock });
+  budget.seed(3);
+  check(!budget.exceeded(), 'budget exceeded below the cap');
+  budget.add(2);
+  check(budget.exceeded() && budget.status().spentUsd === 5, `budget not exceeded at the cap (${JSON.stringify(budget.status())})`);
+  clock += 2 * 3600_000;
+  check(!budget.exceeded() && budget.status().day === '2026-03-02' && budget.status().spentUsd === 0, 'budget did not reset at UTC midnight');
+
+  check(!createBudget({ dailyUsd: null }).exceeded(), 'no cap still tripped');
+  check(loadDailyBudget({}) === null && loadDailyBudget({ AI_DAILY_BUDGET_USD: '2.5' }) === 2.5, 'AI_DAILY_BUDGET_USD not read');
+
+  report('AI costs', failures, 'prices, usage totals and daily budget behave');
+}
+
+main();
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * AI prompt builder
+ *
+ * A handshake storm collapses to one counted line, config sections the
+ * detected issues touch stay in full while the rest is outlined, and a huge
+ * install still yields a prompt inside the model's budget.
+ *
+ * Usage: npm test
+ */
+
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadRules } from '../src/rule-loader.js';
+import { detectIssues } from '../cli/lib/known-issues.js';
+import { buildPrompt, dedupeLog, summarizeConfig, relevantConfigPaths, estimateTokens } from '../src/ai-prompt.js';
+import { createChecks, report } from './helpers.js';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+function main() {
+  loadRules();
+  const { failures, check } = createChecks();
+
+  // A storm of the same line with different timestamps and connection ids
+  const storm = Array.from({ length: 5000 }, (_, i) =>
+    `2026-02-14T09:${String(i % 60).padStart(2, '0')}:00.000Z [ws] handshake timeout host=127.0.0.1:18789 conn=${i}`);
+  const log = ['gateway starting', ...storm, 'SIGTERM received'].join('\n');
+  const deduped = dedupeLog(log, 60).split('\n');
+  check(deduped.length === 3 && deduped[1].endsWith('[×5000]'), `storm deduped to ${deduped.length} lines: ${deduped[1]}`);
+  const capped = dedupeLog(Array.from({ length: 100 }, (_, i) => `error in module ${'abcdefghij'[i % 10]}${'klmnopqrst'[Math.floor(i / 10)]}`).join('\n'), 5).split('\n');
+  check(capped.length === 6 && capped[0] === '[95 earlier distinct lines omitted]' && capped[5].endsWith('jt'), `capped log kept ${JSON.stringify(capped)}`);
+
+  const base = JSON.parse(readFileSync(join(FIXTURES, '_base', 'healthy-linux.json'), 'utf8'));
+  const diagnostic = structuredClone(base);
+  diagnostic.config.plugins.entries['openclaw-mem0'].config.enableGraph = true;
+  const issues = detectIssues(diagnostic);
+  const paths = relevantConfigPaths(issues).map(p => p.join('.'));
+  check(paths.includes('plugins.entries.openclaw-mem0.config'), `mem0 fix section not relevant: ${paths.join(', ')}`);
+
+  const summary = summarizeConfig(diagnostic.config, 1, relevantConfigPaths(issues));
+  check(summary.plugins.entries['openclaw-mem0'].config.enableGraph === true, 'relevant config section not kept in full');
+  check(summary.agents === '{1 keys}', `unrelated section not outlined: ${JSON.stringify(summary.agents)}`);
+  check(summary.gateway.port === 18789, 'gateway section missing');
+
+  const small = buildPrompt(base, [], { maxTokens: 12_000 });
+  check(small.level === 0 && small.text.includes('"hybrid"'), `a small install was trimmed (level ${small.level})`);
+
+  // A big install: thousands of log lines and a sprawling config
+  const big = structuredClone(diagnostic);
+  big.logs.stderr = log;
+  big.logs.errors = log;
+  big.config.agents.list = Array.from({ length: 300 }, (_, i) => ({ id: `agent-${i}`, workspace: `/srv/agents/${i}`, tools: { allow: ['read', 'write', 'exec'] } }));
+  const raw = estimateTokens(JSON.stringify(big, null, 2));
+  for (const maxTokens of [12_000, 4_000, 2_000, 500]) {
+    const prompt = buildPrompt(big, issues, { maxTokens, reservedTokens: 200 });
+    check(prompt.tokens <= maxTokens - 200, `budget ${maxTokens}: prompt is ~${prompt.tokens} tokens (raw payload ~${raw})`);
+  }
+  check(buildPrompt(big, issues, { maxTokens: 12_000 }).text.includes('"enableGraph": true'), 'relevant config dropped from a budget that has room for it');
+
+  report('AI prompt', failures, `logs deduped, config summarized, ~${raw}-token payload fits every budget`);
+}
+
+main();
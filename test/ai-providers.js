@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * AI provider adapters
+ *
+ * Run each adapter against the mock provider (test/mock-provider.js): the
+ * request must reach the provider's own endpoint with its auth header and
+ * message layout, text and token usage must come back out of its response
+ * shape, and failures must be classified so callers know what to retry.
+ * Streamed, the same text must arrive in pieces with usage from the stream.
+ *
+ * Usage: npm test
+ */
+
+import { callProvider } from '../src/ai-providers.js';
+import { startMockProvider } from './mock-provider.js';
+import { createChecks, report } from './helpers.js';
+
+const SYSTEM = 'You are a test.';
+const MESSAGES = [
+  { role: 'user', content: 'first question' },
+  { role: 'assistant', content: 'first answer' },
+  { role: 'user', content: 'second question' },
+];
+
+// What each API must receive, checked against the recorded request
+const EXPECTED = {
+  openrouter: {
+    path: '/chat/completions',
+    auth: h => h.authorization === 'Bearer key-openrouter' && h['x-title'] === 'ClawFix',
+    layout: b => b.messages[0].role === 'system' && b.messages[0].content === SYSTEM && b.messages[3].content === 'second question' && b.max_tokens === 500,
+    streaming: r => r.body.stream === true && r.body.stream_options?.include_usage === true,
+  },
+  anthropic: {
+    path: '/messages',
+    auth: h => h['x-api-key'] === 'key-anthropic' && Boolean(h['anthropic-version']) && !h.authorization,
+    layout: b => b.system === SYSTEM && b.messages.length === 3 && b.messages[1].role === 'assistant' && b.max_tokens === 500,
+    streaming: r => r.body.stream === true,
+  },
+  gemini: {
+    path: '/models/gemini-test:generateContent',
+    auth: h => h['x-goog-api-key'] === 'key-gemini' && !h.authorization,
+    layout: b => b.systemInstruction.parts[0].text === SYSTEM && b.contents[1].role === 'model'
+      && b.contents[2].parts[0].text === 'second question' && b.generationConfig.maxOutputTokens === 500,
+    streaming: r => r.path === '/models/gemini-test:streamGenerateContent?alt=sse',
+  },
+};
+
+const FAILURES = [
+  [{ status: 401 }, { kind: 'auth', retryable: false }],
+  [{ status: 429, retryAfter: 7 }, { kind: 'rate_limit', retryable: true, retryAfter: 7 }],
+  [{ status: 529 }, { kind: 'overloaded', retryable: true }],
+  [{ status: 500 }, { kind: 'server', retryable: true }],
+  [{ status: 400, message: 'max_tokens too large' }, { kind: 'bad_request', retryable: false }],
+  [{ text: '' }, { kind: 'empty', retryable: true }],
+];
+
+async function expectError(promise, expected) {
+  try {
+    await promise;
+    return 'succeeded';
+  } catch (err) {
+    const wrong = Object.entries(expected).filter(([k, v]) => err[k] !== v);
+    return wrong.length ? `${wrong.map(([k]) => `${k}=${JSON.stringify(err[k])}`).join(', ')} (${err.message})` : null;
+  }
+}
+
+async function main() {
+  const { failures } = createChecks();
+  const mock = await startMockProvider();
+
+  try {
+    for (const [provider, expected] of Object.entries(EXPECTED)) {
+      const config = { provider, model: `${provider}-test`, apiKey: `key-${provider}`, baseUrl: mock.url, maxTokens: 500 };
+
+      mock.reply({ text: `hello from ${provider}`, inputTokens: 321, outputTokens: 54 });
+      const result = await callProvider(config, SYSTEM, MESSAGES);
+      const request = mock.requests.at(-1);
+      if (request.path !== expected.path) failures.push(`${provider}: posted to ${request.path}`);
+      if (!expected.auth(request.headers)) failures.push(`${provider}: wrong auth headers`);
+      if (!expected.layout(request.body)) failures.push(`${provider}: wrong request layout ${JSON.stringify(request.body)}`);
+      if (result.text !== `hello from ${provider}`) failures.push(`${provider}: text came back as ${JSON.stringify(result.text)}`);
+      if (result.usage.inputTokens !== 321 || result.usage.outputTokens !== 54) failures.push(`${provider}: usage came back as ${JSON.stringify(result.usage)}`);
+
+      const text = `streamed from ${provider}, in several pieces`;
+      const pieces = [];
+      mock.reply({ text, inputTokens: 321, outputTokens: 54 });
+      const streamed = await callProvider(config, SYSTEM, MESSAGES, { onToken: piece => pieces.push(piece) });
+      if (!expected.streaming(mock.requests.at(-1))) failures.push(`${provider}: streaming not requested (${mock.requests.at(-1).path})`);
+      if (pieces.length < 2 || pieces.join('') !== text || streamed.text !== text) failures.push(`${provider}: streamed ${JSON.stringify(pieces)} → ${JSON.stringify(streamed.text)}`);
+      if (streamed.usage.inputTokens !== 321 || streamed.usage.outputTokens !== 54) failures.push(`${provider}: streamed usage came back as ${JSON.stringify(streamed.usage)}`);
+
+      mock.reply({ text, breakAfter: 3 });
+      const cut = await expectError(callProvider(config, SYSTEM, MESSAGES, { onToken: () => {} }), { kind: 'network', retryable: true });
+      if (cut) failures.push(`${provider}: stream cut off → ${cut}`);
+
+      for (const [reply, classified] of FAILURES) {
+        mock.reply(reply);
+        const wrong = await expectError(callProvider(config, SYSTEM, MESSAGES), classified);
+        if (wrong) failures.push(`${provider}: ${JSON.stringify(reply)} → ${wrong}`);
+      }
+    }
+
+    const config = { provider: 'anthropic', model: 'm', apiKey: 'k', baseUrl: mock.url, maxTokens: 10 };
+    mock.reply({ text: 'late', delayMs: 500 });
+    const slow = await expectError(callProvider(config, SYSTEM, MESSAGES, { signal: AbortSignal.timeout(100) }), { kind: 'timeout', retryable: true });
+    if (slow) failures.push(`timeout → ${slow}`);
+  } finally {
+    await mock.close();
+  }
+
+  const down = await expectError(
+    callProvider({ provider: 'gemini', model: 'm', apiKey: 'k', baseUrl: mock.url, maxTokens: 10 }, SYSTEM, MESSAGES),
+    { kind: 'network', retryable: true },
+  );
+  if (down) failures.push(`provider down → ${down}`);
+
+  report('AI providers', failures, `${Object.keys(EXPECTED).length} adapters map requests, responses, streams and ${FAILURES.length + 3} failure kinds`);
+}
+
+main();
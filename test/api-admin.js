@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Admin API (routes)
+ *
+ * /api/admin answers 503 without ADMIN_TOKEN and 401 without a known token.
+ * The operator token can do everything, including minting scoped tokens;
+ * a scoped token reaches only the routes its scopes cover (403 elsewhere)
+ * and stops working once revoked. Graduating a discovery writes its draft
+ * only once the discovery is marked, so a failed update can be retried.
+ * Runs against SQLite, without an AI.
+ *
+ * Usage: npm test
+ */
+
+import { mkdtempSync, rmSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createChecks, report, skip, hasSQLite, startServer, postJSON, stoppedGateway } from './helpers.js';
+
+const OPERATOR = 'operator-token-for-tests';
+const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+async function main() {
+  if (!(await hasSQLite())) skip('Admin routes', `node:sqlite unavailable on Node ${process.versions.node}`);
+  const { failures, check } = createChecks();
+
+  const rulesDir = mkdtempSync(join(tmpdir(), 'clawfix-rules-'));
+  const server = await startServer({ env: { ADMIN_TOKEN: OPERATOR, RULES_DIR: rulesDir } });
+  const as = (token, path, init = {}) => server.api(path, { ...init, headers: { ...init.headers, ...bearer(token) } });
+
+  try {
+    const { fixId } = await (await server.api('/diagnose', postJSON(stoppedGateway()))).json();
+
+    // Who may call at all
+    check((await server.api('/admin/diagnoses')).status === 401, 'no token let in');
+    check((await as('nope', '/admin/diagnoses')).status === 401, 'unknown token let in');
+    delete process.env.ADMIN_TOKEN;
+    check((await as(OPERATOR, '/admin/diagnoses')).status === 503, 'admin API on without ADMIN_TOKEN');
+    process.env.ADMIN_TOKEN = OPERATOR;
+
+    const listed = await (await as(OPERATOR, '/admin/diagnoses')).json();
+    check(listed.total === 1 && listed.diagnoses[0]?.fixId === fixId, `operator listed ${JSON.stringify(listed)}`);
+
+    // A read-only token
+    const minted = await as(OPERATOR, '/admin/tokens', postJSON({ name: 'dashboard', scopes: ['read'] }));
+    const reader = await minted.json();
+    check(minted.status === 201 && reader.scopes.join() === 'read' && typeof reader.token === 'string', `minting answered ${minted.status} ${JSON.stringify(reader)}`);
+    const badScope = await as(OPERATOR, '/admin/tokens', postJSON({ name: 'x', scopes: ['everything'] }));
+    check(badScope.status === 400, `unknown scope minted (${badScope.status})`);
+
+    check((await as(reader.token, '/admin/diagnoses')).status === 200, 'read token cannot list');
+    check((await as(reader.token, `/admin/diagnoses/${fixId}`)).status === 200, 'read token cannot open a diagnosis');
+    check((await as(reader.token, '/admin/feedback')).status === 200, 'read token cannot read feedback');
+
+    const denied = [
+      ['DELETE', `/admin/diagnoses/${fixId}`, 'delete'],
+      ['POST', `/admin/diagnoses/${fixId}/rerun`, 'rerun'],
+      ['GET', '/admin/tokens', 'tokens'],
+      ['POST', '/admin/discoveries/1/graduate', 'graduate'],
+    ];
+    for (const [method, path, scope] of denied) {
+      const response = await as(reader.token, path, { method });
+      const body = await response.json();
+      check(response.status === 403 && body.error === `Token lacks the "${scope}" scope`, `read token on ${method} ${path}: ${response.status} ${body.error}`);
+    }
+    check((await as(reader.token, `/admin/diagnoses/${fixId}`)).status === 200, 'refused delete removed the diagnosis');
+
+    // The operator can do what the reader couldn't
+    const rerun = await (await as(OPERATOR, `/admin/diagnoses/${fixId}/rerun`, { method: 'POST' })).json();
+    check(rerun.current?.includes('gateway-not-running') && rerun.added?.length === 0, `rerun: ${JSON.stringify(rerun)}`);
+    const tokens = await (await as(OPERATOR, '/admin/tokens')).json();
+    check(JSON.stringify(tokens).includes('dashboard') && !JSON.stringify(tokens).includes(reader.token), 'token list missing the token, or showing its secret');
+
+    // Revoked
+    check((await as(OPERATOR, `/admin/tokens/${reader.id}`, { method: 'DELETE' })).status === 200, 'revoking failed');
+    check((await as(reader.token, '/admin/diagnoses')).status === 401, 'revoked token still works');
+    check((await as(OPERATOR, `/admin/tokens/${reader.id}`, { method: 'DELETE' })).status === 404, 'revoked twice');
+
+    const deleted = await as(OPERATOR, `/admin/diagnoses/${fixId}`, { method: 'DELETE' });
+    check(deleted.status === 200 && (await as(OPERATOR, `/admin/diagnoses/${fixId}`)).status === 404, `operator delete answered ${deleted.status}`);
+
+    // Graduation: a failed update leaves no draft, and the retry goes through
+    const { recordDiscoveries, getDiscoveries } = await import('../src/db.js');
+    const issue = { id: 'telegram-token-invalid', severity: 'high', title: 'Token rejected', description: 'Telegram says 401' };
+    await recordDiscoveries('fix-x', [{ hash: 'h1', issue, plan: null, payload: {} }]);
+    const [discovery] = await getDiscoveries({ minCount: 1 });
+    const graduate = () => as(OPERATOR, `/admin/discoveries/${discovery.id}/graduate`, postJSON({}));
+    const draftPath = join(rulesDir, 'drafts', 'telegram-token-invalid.yaml');
+
+    const { DatabaseSync } = await import('node:sqlite');
+    const side = new DatabaseSync(server.dbPath);
+    side.exec("CREATE TRIGGER keep_discoveries BEFORE UPDATE ON ai_discoveries BEGIN SELECT RAISE(ABORT, 'kept'); END");
+    const originalError = console.error;
+    console.error = () => {};
+    const failed = await graduate();
+    console.error = originalError;
+    side.exec('DROP TRIGGER keep_discoveries');
+    side.close();
+    check(failed.status === 500 && !existsSync(draftPath), `failed graduation answered ${failed.status}${existsSync(draftPath) ? ' and left a draft' : ''}`);
+
+    const graduated = await graduate();
+    const body = await graduated.json();
+    check(graduated.status === 201 && body.path === draftPath && existsSync(draftPath), `retried graduation answered ${graduated.status} ${JSON.stringify(body)}`);
+    const again = await graduate();
+    check(again.status === 409 && (await again.json()).error === 'Already graduated', `second graduation answered ${again.status}`);
+  } finally {
+    await server.close();
+    rmSync(rulesDir, { recursive: true, force: true });
+  }
+
+  report('Admin routes', failures, 'operator and scoped tokens reach exactly their routes, revoked tokens are refused, graduation survives a failed update');
+}
+
+main();
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Background diagnoses (routes)
+ *
+ * POST /api/diagnose?async=1 answers 202 with the fixId and delete token
+ * straight away; GET /api/fix/:fixId answers 202 pending while the job
+ * waits or runs, then the result with status done. Jobs another server
+ * queued or failed are read from the database: pending, and failed with
+ * its error (on /events too). A full queue answers 503 with Retry-After.
+ * Runs against a mock AI provider and SQLite.
+ *
+ * Usage: npm test
+ */
+
+import { startMockProvider, CANNED_ANALYSIS } from './mock-provider.js';
+import { createChecks, report, skip, hasSQLite, startServer, postJSON, readEvents, stoppedGateway } from './helpers.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  if (!(await hasSQLite())) skip('Background routes', `node:sqlite unavailable on Node ${process.versions.node}`);
+  const { failures, check } = createChecks();
+
+  const mock = await startMockProvider();
+  const server = await startServer({ env: { AI_API_KEY: 'mock', AI_BASE_URL: mock.url, AI_CACHE_TTL_HOURS: '0', DIAGNOSE_CONCURRENCY: '1', DIAGNOSE_QUEUE_MAX: '1' } });
+  const { createJob, finishJob } = await import('../src/db.js');
+  const originalError = console.error;
+  console.error = () => {}; // unpriced mock model
+
+  try {
+    // Queued, polled while running, then done
+    mock.reply({ text: JSON.stringify(CANNED_ANALYSIS), delayMs: 300 });
+    const queued = await server.api('/diagnose?async=1', postJSON(stoppedGateway()));
+    const job = await queued.json();
+    check(queued.status === 202 && job.status === 'pending' && job.poll === `/api/fix/${job.fixId}`, `async answered ${queued.status} ${JSON.stringify(job)}`);
+    check(/^cfx_del_/.test(job.deleteToken) && queued.headers.get('x-delete-token') === job.deleteToken, 'async answer has no delete token');
+
+    // One running, one waiting: the queue is full
+    const waiting = await (await server.api('/diagnose?async=1', postJSON(stoppedGateway()))).json();
+    const full = await server.api('/diagnose?async=1', postJSON(stoppedGateway()));
+    const fullBody = await full.json();
+    check(full.status === 503 && full.headers.get('retry-after') === '30' && !full.headers.has('x-delete-token') && !fullBody.fixId, `full queue answered ${full.status} ${JSON.stringify(fullBody)}`);
+
+    const statuses = [];
+    let done = null;
+    for (let i = 0; i < 50 && !done; i++) {
+      const poll = await fetch(`${server.url}${job.poll}`);
+      const body = await poll.json();
+      statuses.push(`${poll.status} ${body.status}`);
+      if (poll.status === 200) done = body;
+      else await sleep(50);
+    }
+    check(statuses[0] === '202 pending', `first poll: ${statuses[0]}`);
+    check(done?.status === 'done' && done.fixId === job.fixId && done.knownIssues?.some(i => i.id === 'gateway-not-running'), `polled to ${statuses.at(-1)}`);
+    check(done?.analysis === CANNED_ANALYSIS.summary && !('deleteToken' in done), 'done result lacks the AI analysis or leaks the delete token');
+
+    for (let i = 0; i < 50 && (await server.api(`/fix/${waiting.fixId}`)).status !== 200; i++) await sleep(50);
+    const drained = await server.api('/diagnose?async=1', postJSON(stoppedGateway()));
+    check(drained.status === 202, 'the queue stayed full after it drained');
+    const { fixId: last } = await drained.json();
+    for (let i = 0; i < 50 && (await server.api(`/fix/${last}`)).status !== 200; i++) await sleep(50);
+
+    // Queued by another server, not started yet
+    await createJob('elsewhere-pending', stoppedGateway(), 'api');
+    const elsewhere = await server.api('/fix/elsewhere-pending');
+    check(elsewhere.status === 202 && (await elsewhere.json()).status === 'pending', `job queued elsewhere polled as ${elsewhere.status}`);
+    const notYet = await server.api('/diagnose/elsewhere-pending/events');
+    check(notYet.status === 202, `events of a queued job answered ${notYet.status}`);
+
+    // Failed on another server
+    await createJob('elsewhere-failed', stoppedGateway(), 'api');
+    await finishJob('elsewhere-failed', 'failed', 'disk full');
+    const failedPoll = await server.api('/fix/elsewhere-failed');
+    const failedBody = await failedPoll.json();
+    check(failedPoll.status === 200 && failedBody.status === 'failed' && failedBody.message === 'disk full', `failed job polled as ${failedPoll.status} ${JSON.stringify(failedBody)}`);
+    const failedEvents = await readEvents(await server.api('/diagnose/elsewhere-failed/events'));
+    check(failedEvents.length === 1 && failedEvents[0].event === 'error' && failedEvents[0].data.message === 'disk full', `failed job events: ${failedEvents.map(e => e.event)}`);
+
+    const unknown = await server.api('/fix/nope');
+    check(unknown.status === 404, `unknown fix polled as ${unknown.status}`);
+  } finally {
+    console.error = originalError;
+    await server.close();
+    await mock.close();
+  }
+
+  report('Background routes', failures, 'async diagnoses poll from pending to done, failed jobs report their error');
+}
+
+main();
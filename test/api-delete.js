@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Owner deletion (routes)
+ *
+ * DELETE /api/fix/:fixId needs the delete token /api/diagnose handed out:
+ * 401 without one, 403 with another fix's, 404 for fixes that don't exist
+ * and 409 while the diagnosis is still running. The right token deletes
+ * the result, after which it's gone for good. Runs against a mock AI
+ * provider and SQLite.
+ *
+ * Usage: npm test
+ */
+
+import { startMockProvider, CANNED_ANALYSIS } from './mock-provider.js';
+import { createChecks, report, skip, hasSQLite, startServer, postJSON, stoppedGateway } from './helpers.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  if (!(await hasSQLite())) skip('Owner deletion routes', `node:sqlite unavailable on Node ${process.versions.node}`);
+  const { failures, check } = createChecks();
+
+  const mock = await startMockProvider();
+  const server = await startServer({ env: { AI_API_KEY: 'mock', AI_BASE_URL: mock.url, AI_CACHE_TTL_HOURS: '0' } });
+  const remove = (fixId, token) => server.api(`/fix/${fixId}`, { method: 'DELETE', headers: token ? { Authorization: `Bearer ${token}` } : {} });
+  const originalError = console.error;
+  console.error = () => {}; // unpriced mock model
+
+  try {
+    const mine = await (await server.api('/diagnose', postJSON(stoppedGateway()))).json();
+    const theirs = await (await server.api('/diagnose', postJSON(stoppedGateway()))).json();
+    check(/^cfx_del_/.test(mine.deleteToken) && mine.deleteToken !== theirs.deleteToken, 'diagnoses did not get their own delete tokens');
+
+    const missing = await remove(mine.fixId);
+    check(missing.status === 401, `no token answered ${missing.status}`);
+    const wrong = await remove(mine.fixId, theirs.deleteToken);
+    check(wrong.status === 403, `another fix's token answered ${wrong.status}`);
+    check((await remove('nope', mine.deleteToken)).status === 404, 'unknown fix not 404');
+    check((await server.api(`/fix/${mine.fixId}`)).status === 200, 'refused deletes removed the fix');
+
+    // Still running
+    mock.reply({ text: JSON.stringify(CANNED_ANALYSIS), delayMs: 300 });
+    const running = await (await server.api('/diagnose?async=1', postJSON(stoppedGateway()))).json();
+    const early = await remove(running.fixId, running.deleteToken);
+    check(early.status === 409, `running diagnosis delete answered ${early.status}`);
+    for (let i = 0; i < 50 && (await server.api(`/fix/${running.fixId}`)).status !== 200; i++) await sleep(50);
+    check((await remove(running.fixId, running.deleteToken)).status === 200, 'finished async diagnosis not deletable');
+
+    // The owner deletes it
+    await server.api(`/feedback/${mine.fixId}`, postJSON({ success: true }));
+    const deleted = await remove(mine.fixId, mine.deleteToken);
+    const body = await deleted.json();
+    check(deleted.status === 200 && body.deleted === true && body.fixId === mine.fixId, `owner delete answered ${deleted.status} ${JSON.stringify(body)}`);
+    check((await server.api(`/fix/${mine.fixId}`)).status === 404, 'deleted fix still served');
+    check((await remove(mine.fixId, mine.deleteToken)).status === 404, 'deleted twice');
+    check((await server.api(`/fix/${theirs.fixId}`)).status === 200, 'deleting one fix touched another');
+  } finally {
+    console.error = originalError;
+    await server.close();
+    await mock.close();
+  }
+
+  report('Owner deletion routes', failures, 'delete tokens answer 401, 403, 404 and 409 where they should, and delete when right');
+}
+
+main();
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Host history (routes)
+ *
+ * GET /api/history/:hostHash lists the diagnoses a host sent with its
+ * X-Host-Secret — 401 without the secret, 404 for a wrong one or a host
+ * with no history, so hosts can't be probed — with the issues that came
+ * and went between them. Runs against SQLite, without an AI.
+ *
+ * Usage: npm test
+ */
+
+import { readFileSync } from 'node:fs';
+import { createChecks, report, skip, hasSQLite, startServer, postJSON, stoppedGateway } from './helpers.js';
+
+const SECRET = 'host-secret-for-tests-0001';
+const healthy = JSON.parse(readFileSync(new URL('./fixtures/_base/healthy-linux.json', import.meta.url), 'utf8'));
+
+async function main() {
+  if (!(await hasSQLite())) skip('Host history routes', `node:sqlite unavailable on Node ${process.versions.node}`);
+  const { failures, check } = createChecks();
+
+  const server = await startServer();
+  const history = (hostHash, secret) => server.api(`/history/${hostHash}`, { headers: secret ? { Authorization: `Bearer ${secret}` } : {} });
+
+  try {
+    const hostHash = healthy.hostHash;
+    const broken = await (await server.api('/diagnose', postJSON(stoppedGateway(), { 'X-Host-Secret': SECRET }))).json();
+    await new Promise(resolve => setTimeout(resolve, 5)); // history is ordered by timestamp
+    const fixed = await (await server.api('/diagnose', postJSON(healthy, { 'X-Host-Secret': SECRET }))).json();
+    // Same hostHash, but not this host's secret: not part of its history
+    await server.api('/diagnose', postJSON(stoppedGateway()));
+    await server.api('/diagnose', postJSON(stoppedGateway(), { 'X-Host-Secret': 'someone-elses-secret-01' }));
+
+    check((await history(hostHash)).status === 401, 'history served without a secret');
+    check((await history('no/such', SECRET)).status === 404 && (await history('bad.hash', SECRET)).status === 400, 'malformed hostHash accepted');
+    const wrong = await history(hostHash, 'wrong-secret-for-this-host');
+    const unknown = await history('0000ffff', SECRET);
+    check(wrong.status === 404 && unknown.status === 404, `wrong secret answered ${wrong.status}, unknown host ${unknown.status}`);
+    check(JSON.stringify(await wrong.json()) === JSON.stringify(await unknown.json()), 'a wrong secret tells the host exists');
+
+    const response = await history(hostHash, SECRET);
+    const body = await response.json();
+    check(response.status === 200 && body.hostHash === hostHash && body.count === 2, `history answered ${response.status} with ${body.count} diagnoses`);
+    check(body.diagnoses?.map(d => d.fixId).sort().join() === [broken.fixId, fixed.fixId].sort().join(), 'history lists other diagnoses');
+    const gateway = body.issues?.find(i => i.id === 'gateway-not-running');
+    check(gateway?.times === 1 && gateway.active === false && gateway.title === 'Gateway is not running', `gateway issue: ${JSON.stringify(gateway)}`);
+    check(body.changes?.some(change => change.fixId === fixed.fixId && change.resolved.includes('gateway-not-running')), `changes: ${JSON.stringify(body.changes)}`);
+  } finally {
+    await server.close();
+  }
+
+  report('Host history routes', failures, 'only the host secret opens a host\'s history, which tracks its issues');
+}
+
+main();
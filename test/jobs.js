@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Diagnosis job queue
+ *
+ * Without a database: queued jobs report pending, no more than `concurrency`
+ * run at once, finished ones drop out of the queue and failures keep their
+ * error for polling. Once `maxPending` jobs wait, more are turned away.
+ * The sweep for unfinished jobs runs again on an interval, skipping jobs
+ * this queue already has.
+ *
+ * Usage: npm test
+ */
+
+import { createJobQueue } from '../src/jobs.js';
+import { createChecks, report } from './helpers.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  const { failures, check } = createChecks();
+
+  let active = 0;
+  let mostActive = 0;
+  const ran = [];
+  const owners = new Map();
+  const queue = createJobQueue(async (payload, { fixId, source, owner }) => {
+    owners.set(fixId, owner);
+    active++;
+    mostActive = Math.max(mostActive, active);
+    await sleep(20);
+    active--;
+    if (payload.fail) throw new Error('analysis exploded');
+    ran.push(`${fixId}:${source}`);
+  }, { concurrency: 2 });
+
+  const originalError = console.error;
+  console.error = () => {}; // the failing job logs its error
+
+  try {
+    for (const id of ['a', 'b', 'c']) await queue.add(id, {}, 'npx');
+    await queue.add('d', {}, 'npx', { deleteTokenHash: 'hash-d' });
+    await queue.add('e', { fail: true }, 'curl');
+    check((await queue.status('d'))?.status === 'pending', `queued job is ${JSON.stringify(await queue.status('d'))}`);
+
+    for (let i = 0; i < 100 && queue.size > 0; i++) await sleep(10);
+    check(queue.size === 0, `${queue.size} jobs never finished`);
+    check(mostActive === 2, `${mostActive} jobs ran at once with concurrency 2`);
+    check(ran.join() === 'a:npx,b:npx,c:npx,d:npx', `ran ${ran.join()}`);
+    check(await queue.status('a') === null, 'a finished job still reports a status');
+    check(owners.get('d')?.deleteTokenHash === 'hash-d' && !owners.get('a')?.deleteTokenHash, 'the delete token hash did not reach the diagnosis');
+
+    const failed = await queue.status('e');
+    check(failed?.status === 'failed' && failed.error === 'analysis exploded', `failed job reports ${JSON.stringify(failed)}`);
+    check(await queue.status('nope') === null, 'an unknown job has a status');
+
+    // A full queue turns jobs away until one starts
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const small = createJobQueue(() => held, { concurrency: 1, maxPending: 2 });
+    const accepted = [];
+    for (const id of ['r', 'w1', 'w2', 'w3']) accepted.push(await small.add(id, {}, 'npx'));
+    check(accepted.join() === 'true,true,true,false', `with one running and two waiting, add() gave ${accepted.join()}`);
+    check(await small.status('w3') === null && small.size === 3, 'a turned-away job was queued');
+    release();
+    for (let i = 0; i < 100 && small.size > 0; i++) await sleep(10);
+    check(await small.add('w4', {}, 'npx'), 'the queue stayed full after it drained');
+
+    // Jobs another server abandoned are picked up by a later sweep
+    const abandoned = [];
+    const swept = [];
+    let sweeps = 0;
+    const sweeping = createJobQueue(async (payload, { fixId }) => {
+      swept.push(fixId);
+      await sleep(30); // sweeps while it runs must not queue it again
+      abandoned.splice(abandoned.findIndex(job => job.id === fixId), 1); // as finishJob would
+    }, {
+      concurrency: 1,
+      sweepMs: 20,
+      resumable: async () => {
+        sweeps++;
+        return abandoned;
+      },
+    });
+    const originalLog = console.log;
+    console.log = () => {};
+    sweeping.start();
+    await sleep(5);
+    check(sweeps === 1 && swept.length === 0, `first sweep ran ${sweeps} time(s) and found ${swept.join()}`);
+    abandoned.push({ id: 'stale', payload: {}, source: 'npx' }, { id: 'stale-2', payload: {}, source: 'curl' });
+    for (let i = 0; i < 50 && swept.length < 2; i++) await sleep(10);
+    sweeping.stop();
+    const after = sweeps;
+    await sleep(50);
+    console.log = originalLog;
+    check(swept.join() === 'stale,stale-2', `swept jobs ran as ${swept.join()}`);
+    check(sweeps === after, 'the sweep kept running after stop()');
+  } finally {
+    console.error = originalError;
+  }
+
+  report('Job queue', failures, 'concurrency, pending, done, failed, a full queue and the stale-job sweep behave');
+}
+
+main();
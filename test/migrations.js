@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Database migrations
+ *
+ * Against a stand-in for Postgres: migrations apply in order and once, each
+ * in its own transaction, a failure rolls back only itself, rollbacks run
+ * newest first, and two servers migrating at once don't both apply anything.
+ *
+ * Usage: npm test
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadMigrations, migrate, rollback, migrationStatus } from '../src/migrate.js';
+import { createChecks, report } from './helpers.js';
+
+/**
+ * Just enough of pg.Pool: schema_migrations, transactions and an advisory lock
+ */
+function fakePool() {
+  const state = { applied: new Map(), executed: [], locked: false, maxHolders: 0 };
+  let holders = 0;
+  let lockChain = Promise.resolve();
+
+  state.connect = async () => {
+    let pending = null; // schema_migrations changes inside a transaction
+    let release = null;
+    return {
+      async query(sql, params = []) {
+        const text = sql.trim();
+        if (text.startsWith('SELECT pg_advisory_lock')) {
+          const previous = lockChain;
+          lockChain = new Promise(resolve => { release = resolve; });
+          await previous;
+          holders++;
+          state.maxHolders = Math.max(state.maxHolders, holders);
+          state.locked = true;
+        } else if (text.startsWith('SELECT pg_advisory_unlock')) {
+          holders--;
+          state.locked = holders > 0;
+          release();
+        } else if (text.startsWith('BEGIN')) {
+          pending = new Map(state.applied);
+        } else if (text.startsWith('COMMIT')) {
+          state.applied = pending;
+          pending = null;
+        } else if (text.startsWith('ROLLBACK')) {
+          pending = null;
+        } else if (text.startsWith('SELECT version')) {
+          await new Promise(resolve => setTimeout(resolve, 5)); // give a second server a chance to race
+          return { rows: [...state.applied.values()] };
+        } else if (text.startsWith('INSERT INTO schema_migrations')) {
+          pending.set(params[0], { version: params[0], name: params[1], checksum: params[2], applied_at: new Date() });
+        } else if (text.startsWith('DELETE FROM schema_migrations')) {
+          pending.delete(params[0]);
+        } else if (!text.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+          if (text.includes('FAIL')) throw new Error('syntax error at "FAIL"');
+          state.executed.push(text);
+        }
+        return { rows: [] };
+      },
+      release() {},
+    };
+  };
+  return state;
+}
+
+async function main() {
+  const { failures, check } = createChecks();
+
+  const dir = mkdtempSync(join(tmpdir(), 'clawfix-migrations-'));
+  const write = (name, text) => writeFileSync(join(dir, name), text);
+  write('001_first.up.sql', 'create one');
+  write('001_first.down.sql', 'drop one');
+  write('002_second.js', "export async function up(db) { await db.query('js up'); }\nexport async function down(db) { await db.query('js down'); }\n");
+  write('003_third.up.sql', 'create three');
+  write('README.md', 'not a migration');
+
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const warnings = [];
+  console.log = () => {};
+  console.warn = message => warnings.push(message);
+
+  try {
+    const loaded = await loadMigrations(dir);
+    check(loaded.map(m => `${m.version}:${m.name}`).join() === '1:first,2:second,3:third', `loaded ${loaded.map(m => m.name)}`);
+    check(loaded[2].down === null, 'a migration without a down file got one');
+
+    const pool = fakePool();
+    check((await migrate(pool, { dir, to: 2 })).join() === '001_first,002_second', 'migrate --to 2 applied the wrong set');
+    check(pool.executed.join() === 'create one,js up', `ran ${pool.executed}`);
+    check((await migrate(pool, { dir })).join() === '003_third', 'a second migrate did not apply just the rest');
+    check((await migrate(pool, { dir })).length === 0, 'an up-to-date database was migrated again');
+    check(!pool.locked, 'the migration lock was not released');
+
+    try {
+      await rollback(pool, { dir });
+      check(false, 'rolling back a migration without a down worked');
+    } catch (err) {
+      check(/no down/.test(err.message) && pool.applied.has(3), `rollback without a down: ${err.message}`);
+    }
+    check(!pool.locked, 'the lock was kept after a failed rollback');
+
+    write('004_broken.up.sql', 'FAIL here');
+    try {
+      await migrate(pool, { dir });
+      check(false, 'a failing migration did not throw');
+    } catch (err) {
+      check(/004_broken \(up\) failed/.test(err.message), `failing migration reported as: ${err.message}`);
+    }
+    check(!pool.applied.has(4) && pool.applied.has(3), 'a failed migration was recorded, or took earlier ones with it');
+    rmSync(join(dir, '004_broken.up.sql'));
+
+    write('003_third.down.sql', 'drop three');
+    check((await rollback(pool, { dir, to: 1 })).join() === '003_third,002_second', 'rollback --to 1 undid the wrong set, or out of order');
+    check([...pool.applied.keys()].join() === '1', `left applied: ${[...pool.applied.keys()]}`);
+
+    write('001_first.up.sql', 'create one, differently');
+    await migrate(pool, { dir });
+    check(warnings.some(w => /001_first was changed/.test(w)), 'an edited applied migration was not flagged');
+    const status = await migrationStatus(pool, { dir });
+    check(status.length === 3 && status[0].changed && status.every(m => m.appliedAt), `status is ${JSON.stringify(status)}`);
+
+    // Two servers booting at once
+    const racing = fakePool();
+    const [a, b] = await Promise.all([migrate(racing, { dir }), migrate(racing, { dir })]);
+    check(a.length + b.length === 3 && racing.maxHolders === 1, `concurrent migrates applied ${a.length} + ${b.length}, ${racing.maxHolders} held the lock at once`);
+
+    const real = await loadMigrations();
+    check(real[0]?.version === 1 && real[0].down, 'migrations/ has no reversible 001');
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  report('Migrations', failures, 'ordering, transactions, rollback and locking behave');
+}
+
+main();
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Mock AI provider
+ *
+ * A local server answering the OpenAI-compatible, Anthropic and Gemini APIs in
+ * each one's own response and error shapes, so provider code can be tested
+ * without keys or network. Replies are scripted with reply(); every request is
+ * kept in `requests` for inspection.
+ *
+ * Standalone it serves a canned, valid analysis — point a dev server at it:
+ *   node test/mock-provider.js &
+ *   AI_API_KEY=mock AI_BASE_URL=http://127.0.0.1:3999 npm start
+ */
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { formatEvent } from '../cli/lib/sse.js';
+
+export const CANNED_ANALYSIS = {
+  summary: 'Mock analysis: the installation looks healthy apart from the detected issues.',
+  insights: ['Mock insight'],
+  issues: [],
+  fixes: [],
+  confidence: 0.5,
+};
+
+// Which API a request path belongs to
+function apiFor(path) {
+  if (path.endsWith('/chat/completions')) return 'openai';
+  if (path.endsWith('/messages')) return 'anthropic';
+  if (/\/models\/[^/]+:(generateContent|streamGenerateContent)(\?|$)/.test(path)) return 'gemini';
+  return null;
+}
+
+function success(api, text, usage) {
+  if (api === 'anthropic') {
+    return { type: 'message', role: 'assistant', content: [{ type: 'text', text }], stop_reason: 'end_turn',
+      usage: { input_tokens: usage.input, output_tokens: usage.output } };
+  }
+  if (api === 'gemini') {
+    return { candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: usage.input, candidatesTokenCount: usage.output } };
+  }
+  return { choices: [{ message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: usage.input, completion_tokens: usage.output } };
+}
+
+// The same reply as each API's stream of events
+function streamEvents(api, text, usage) {
+  const pieces = text.match(/[\s\S]{1,8}/g) || [];
+  if (api === 'anthropic') {
+    return [
+      ['message_start', { type: 'message_start', message: { role: 'assistant', content: [], usage: { input_tokens: usage.input, output_tokens: 1 } } }],
+      ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+      ...pieces.map(piece => ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: piece } }]),
+      ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+      ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: usage.output } }],
+      ['message_stop', { type: 'message_stop' }],
+    ];
+  }
+  if (api === 'gemini') {
+    return pieces.map((piece, i) => [null, {
+      candidates: [{ content: { role: 'model', parts: [{ text: piece }] }, ...(i === pieces.length - 1 && { finishReason: 'STOP' }) }],
+      usageMetadata: { promptTokenCount: usage.input, candidatesTokenCount: Math.round(usage.output * (i + 1) / pieces.length) },
+    }]);
+  }
+  return [
+    ...pieces.map(piece => [null, { choices: [{ delta: { content: piece }, finish_reason: null }] }]),
+    [null, { choices: [{ delta: {}, finish_reason: 'stop' }] }],
+    [null, { choices: [], usage: { prompt_tokens: usage.input, completion_tokens: usage.output } }],
+    [null, '[DONE]'],
+  ];
+}
+
+function failure(api, status, message) {
+  if (api === 'anthropic') {
+    const type = { 401: 'authentication_error', 429: 'rate_limit_error', 529: 'overloaded_error' }[status] || 'api_error';
+    return { type: 'error', error: { type, message } };
+  }
+  if (api === 'gemini') return { error: { code: status, message, status: 'UNAVAILABLE' } };
+  return { error: { message, code: status } };
+}
+
+/**
+ * Start the mock on a port (0 = any free one). Each reply() item is used for
+ * one request, in order; after they run out, `fallback` is used.
+ *   { text }                 — a successful reply
+ *   { status, message }      — an error in the API's own shape
+ *   { status, retryAfter }   — adds a Retry-After header
+ *   { delayMs }              — wait before answering (for timeouts)
+ *   { text, breakAfter }     — when streaming, drop the connection after that many events
+ * Requests asking to stream (stream: true, Gemini's streamGenerateContent) get
+ * the reply as the API's own event stream.
+ */
+export function startMockProvider({ port = 0, fallback = { text: JSON.stringify(CANNED_ANALYSIS) } } = {}) {
+  const queue = [];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => raw += chunk);
+    req.on('end', () => {
+      const api = apiFor(req.url);
+      let body = null;
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        // Recorded as null — tests check what was sent
+      }
+      requests.push({ api, path: req.url, headers: req.headers, body });
+
+      const reply = queue.shift() || fallback;
+      const send = () => {
+        if (!api) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({ error: { message: `No mock for ${req.url}` } }));
+        }
+        const headers = { 'Content-Type': 'application/json' };
+        if (reply.retryAfter) headers['Retry-After'] = String(reply.retryAfter);
+        const status = reply.status || 200;
+        const streaming = body?.stream === true || req.url.includes(':streamGenerateContent');
+        if (status === 200 && streaming) {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          const events = streamEvents(api, reply.text ?? '', { input: reply.inputTokens ?? 100, output: reply.outputTokens ?? 50 });
+          for (const [i, [event, data]] of events.entries()) {
+            // Ending the socket mid-body delivers what was written, then cuts off
+            if (reply.breakAfter !== undefined && i >= reply.breakAfter) return res.socket.end();
+            res.write(formatEvent(event, data));
+          }
+          return res.end();
+        }
+        const payload = status === 200
+          ? success(api, reply.text ?? '', { input: reply.inputTokens ?? 100, output: reply.outputTokens ?? 50 })
+          : failure(api, status, reply.message || `mock error ${status}`);
+        res.writeHead(status, headers);
+        res.end(JSON.stringify(payload));
+      };
+      if (reply.delayMs) setTimeout(send, reply.delayMs);
+      else send();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        reply: (...items) => queue.push(...items),
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        }),
+      });
+    });
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const mock = await startMockProvider({ port: Number(process.env.MOCK_PORT) || 3999 });
+  console.log(`🧪 Mock AI provider on ${mock.url}`);
+}
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Owner deletion
+ *
+ * Delete tokens are unguessable and checked against their hash only, the
+ * bearer header is parsed strictly, host secrets are hashed only when they
+ * look like one, and the CLI keeps its tokens and host secret in a file only
+ * its owner can read.
+ *
+ * Usage: npm test
+ */
+
+import { mkdtempSync, rmSync, statSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { generateDeleteToken, matchesHash, bearerToken, hostSecretHash } from '../src/owner-auth.js';
+import { hashToken } from '../src/admin-auth.js';
+import { createChecks, report } from './helpers.js';
+
+async function main() {
+  const { failures, check } = createChecks();
+
+  const { token, hash } = generateDeleteToken();
+  const other = generateDeleteToken();
+  check(/^cfx_del_[\w-]{32}$/.test(token) && token !== other.token, `token looks like ${token}`);
+  check(hash === hashToken(token) && !hash.includes(token), 'the stored hash is not the SHA-256 of the token');
+  check(matchesHash(token, hash), 'a token does not match its own hash');
+  check(!matchesHash(other.token, hash), "a token matches another token's hash");
+  check(!matchesHash(token, null) && !matchesHash('', hash) && !matchesHash(token, 'abc'), 'a missing or malformed hash matched');
+
+  const req = authorization => ({ headers: authorization === undefined ? {} : { authorization } });
+  check(bearerToken(req(`Bearer ${token}`)) === token && bearerToken(req(`bearer  ${token}`)) === token, 'bearer token not read');
+  check(bearerToken(req()) === null && bearerToken(req(`Basic ${token}`)) === null && bearerToken(req('Bearer a b')) === null, 'a malformed header gave a token');
+
+  const sent = secret => ({ headers: secret === undefined ? {} : { 'x-host-secret': secret } });
+  const secret = 'Zm9vYmFyYmF6cXV4LXNlY3JldA';
+  check(hostSecretHash(sent(secret)) === hashToken(secret), 'host secret not hashed');
+  check(hostSecretHash(sent()) === null && hostSecretHash(sent('short')) === null && hostSecretHash(sent('not a secret at all!')) === null, 'a missing or malformed host secret was hashed');
+
+  // The CLI's side, in a throwaway home directory
+  const home = mkdtempSync(join(tmpdir(), 'clawfix-home-'));
+  const originalHome = process.env.HOME;
+  process.env.HOME = home;
+  try {
+    const { saveDeleteToken, deleteTokenFor, dropDeleteToken, hostSecret, rememberHostHash, savedHost, SECRETS_PATH } = await import('../cli/lib/secrets.js');
+    check(SECRETS_PATH.startsWith(home), `secrets saved to ${SECRETS_PATH}`);
+    check(deleteTokenFor('fix-a') === null && !existsSync(SECRETS_PATH), 'a token was found before any was saved');
+
+    saveDeleteToken('fix-a', token);
+    saveDeleteToken('fix-b', other.token);
+    check(deleteTokenFor('fix-a') === token && deleteTokenFor('fix-b') === other.token, 'saved tokens not found');
+    check((statSync(SECRETS_PATH).mode & 0o777) === 0o600, `secrets file mode is ${(statSync(SECRETS_PATH).mode & 0o777).toString(8)}`);
+
+    dropDeleteToken('fix-a');
+    dropDeleteToken('never-saved');
+    check(deleteTokenFor('fix-a') === null && deleteTokenFor('fix-b') === other.token, 'dropping a token dropped the wrong one');
+
+    check(savedHost().hostSecret === null, 'a host secret existed before one was made');
+    const mine = hostSecret();
+    check(hostSecretHash(sent(mine)) !== null && hostSecret() === mine, `host secret ${mine} is not accepted or not kept`);
+    rememberHostHash('a1b2c3d4');
+    const host = savedHost();
+    check(host.hostHash === 'a1b2c3d4' && host.hostSecret === mine && deleteTokenFor('fix-b') === other.token, `saved host: ${JSON.stringify(host)}`);
+  } finally {
+    process.env.HOME = originalHome;
+    rmSync(home, { recursive: true, force: true });
+  }
+
+  report('Owner deletion', failures, 'delete tokens, host secrets and the local secrets file behave');
+}
+
+main();
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Data retention
+ *
+ * Settings come from the environment with sane fallbacks, cutoffs follow the
+ * configured days (anonymizing always expires results too), 0 days keeps
+ * data forever, and a purge reaches both the store and the in-memory results.
+ *
+ * Usage: npm test
+ */
+
+import { loadRetention, createRetention, DEFAULT_RETENTION } from '../src/retention.js';
+import { createChecks, report } from './helpers.js';
+
+const DAY = 24 * 3600_000;
+const NOW = Date.parse('2026-06-30T12:00:00Z');
+
+async function main() {
+  const { failures, check } = createChecks();
+
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const warnings = [];
+  console.log = () => {};
+  console.warn = message => warnings.push(message);
+
+  try {
+    const defaults = loadRetention({});
+    check(defaults.resultsDays === DEFAULT_RETENTION.resultsDays && defaults.anonymizeDays === DEFAULT_RETENTION.anonymizeDays, `defaults: ${JSON.stringify(defaults)}`);
+    check(defaults.intervalMs === DEFAULT_RETENTION.intervalHours * 3600_000, 'default interval wrong');
+
+    const custom = loadRetention({ RETAIN_RESULTS_DAYS: '7', RETAIN_DIAGNOSES_DAYS: '0', RETENTION_INTERVAL_HOURS: '0.5' });
+    check(custom.resultsDays === 7 && custom.anonymizeDays === 0 && custom.intervalMs === 1800_000, `custom: ${JSON.stringify(custom)}`);
+
+    const bad = loadRetention({ RETAIN_RESULTS_DAYS: 'soon', RETAIN_DIAGNOSES_DAYS: '-3' });
+    check(bad.resultsDays === DEFAULT_RETENTION.resultsDays && bad.anonymizeDays === DEFAULT_RETENTION.anonymizeDays, 'invalid settings were used');
+    check(warnings.length === 2, `${warnings.length} warnings for 2 invalid settings`);
+
+    // Cutoffs
+    const calls = [];
+    const purge = async dates => { calls.push(dates); return { expired: 2, anonymized: 1 }; };
+    const forgotten = [];
+    const forgetInMemory = before => { forgotten.push(before); return 3; };
+    const now = () => NOW;
+
+    const retention = createRetention({ resultsDays: 30, anonymizeDays: 365, intervalMs: 0, purge, forgetInMemory, now });
+    const counts = await retention.run();
+    check(counts.expired === 2 && counts.anonymized === 1 && counts.inMemory === 3, `run returned ${JSON.stringify(counts)}`);
+    check(calls[0]?.expireBefore.getTime() === NOW - 30 * DAY && calls[0].anonymizeBefore.getTime() === NOW - 365 * DAY, `purged with ${JSON.stringify(calls[0])}`);
+    check(forgotten[0]?.getTime() === NOW - 30 * DAY, 'memory not purged with the results cutoff');
+    check(retention.status().lastRun === new Date(NOW).toISOString(), 'last run not recorded');
+
+    // Anonymizing sooner than results expire takes the results with it
+    const early = createRetention({ resultsDays: 90, anonymizeDays: 10, intervalMs: 0, purge, now });
+    const { expireBefore, anonymizeBefore } = early.cutoffs();
+    check(expireBefore.getTime() === anonymizeBefore.getTime() && anonymizeBefore.getTime() === NOW - 10 * DAY, 'anonymized diagnoses keep their results');
+
+    // Keep results forever, anonymize after a year
+    const keep = createRetention({ resultsDays: 0, anonymizeDays: 365, intervalMs: 0, purge, now }).cutoffs();
+    check(keep.expireBefore?.getTime() === NOW - 365 * DAY, 'results of anonymized diagnoses kept with RETAIN_RESULTS_DAYS=0');
+
+    // Keep everything: nothing to do
+    calls.length = 0;
+    const off = await createRetention({ resultsDays: 0, anonymizeDays: 0, intervalMs: 0, purge, now }).run();
+    check(calls.length === 0 && off.expired === 0, 'purged with retention off');
+
+    // Scheduling
+    const scheduled = createRetention({ resultsDays: 30, anonymizeDays: 0, intervalMs: 20, purge, now });
+    calls.length = 0;
+    scheduled.start();
+    await new Promise(resolve => setTimeout(resolve, 70));
+    scheduled.stop();
+    const runs = calls.length;
+    check(runs >= 2 && calls.every(d => d.anonymizeBefore === null), `${runs} scheduled purges, or anonymized with RETAIN_DIAGNOSES_DAYS=0`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    check(calls.length === runs, 'purges kept running after stop()');
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+
+  report('Retention', failures, 'settings, cutoffs and scheduled purges behave');
+}
+
+main();
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+/**
+ * Fixture-based regression harness for known-issue detectors
+ *
+ * Layout:
+ *   test/fixtures/<rule-id>/positive-*.json  — the rule must fire
+ *   test/fixtures/<rule-id>/negative-*.json  — the rule must NOT fire
+ *   test/fixtures/_base/*.json               — captured healthy payloads, nothing may fire
+ *   test/fixtures/_invalid/*.json            — payloads /api/diagnose must reject
+ *
+ * A fixture is a diagnostic payload as printed by `npx clawfix --json --no-send`.
+ * Paste a full capture, or keep it small with "$base": "healthy-macos" — the
+ * fixture is then deep-merged over test/fixtures/_base/healthy-macos.json
+ * (objects merge, everything else replaces). Optional keys:
+ *   "$note":   what the fixture represents
+ *   "$expect": cross-rule assertions on the top-level findings —
+ *              { "fires": [ids], "absent": [ids],
+ *                "groups": { "<root-id>": [consequence ids] } }
+ *              e.g. that a more specific rule supersedes a generic one
+ *              _invalid fixtures use { "errors": [fields] } instead
+ *
+ * Every payload goes through the same validate → normalize path as
+ * /api/diagnose, so older payload versions are covered too. Each one is also
+ * run against the rule bundle the CLI ships (cli/lib/rules.json), which must
+ * find exactly what the server finds.
+ *
+ * Usage: npm test
+ *        node test/run-fixtures.js --rule gateway-zombie
+ */
+
+import { readdirSync, readFileSync, existsSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { detectIssues, getAllRules, setDeclarativeRules } from '../cli/lib/known-issues.js';
+import { loadBundledRules, BUNDLED_RULES_PATH } from '../cli/lib/detect.js';
+import { loadRules, bundleRules } from '../src/rule-loader.js';
+import { validateDiagnostic, normalizeDiagnostic } from '../src/payload.js';
+import { c } from './helpers.js';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const BASE_DIR = join(FIXTURES_DIR, '_base');
+const INVALID_DIR = join(FIXTURES_DIR, '_invalid');
+
+const args = process.argv.slice(2);
+const onlyRule = args.find(a => a.startsWith('--rule='))?.split('=')[1] ||
+  (args.includes('--rule') ? args[args.indexOf('--rule') + 1] : null);
+
+function deepMerge(base, patch) {
+  if (!isObject(base) || !isObject(patch)) return patch;
+  const out = { ...base };
+  for (const [k, v] of Object.entries(patch)) {
+    out[k] = k in base ? deepMerge(base[k], v) : v;
+  }
+  return out;
+}
+
+function isObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function readJson(path) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+function loadFixture(path) {
+  const raw = readJson(path);
+  const { $base, $expect, $note, ...payload } = raw;
+  let diagnostic = payload;
+  if ($base) {
+    const basePath = join(BASE_DIR, `${$base}.json`);
+    if (!existsSync(basePath)) throw new Error(`unknown $base "${$base}"`);
+    diagnostic = deepMerge(readJson(basePath), payload);
+  }
+  return { diagnostic, expect: $expect || {}, note: $note };
+}
+
+/**
+ * Validate and upgrade a payload exactly like /api/diagnose does
+ */
+function prepare(payload) {
+  const check = validateDiagnostic(payload);
+  if (!check.valid) {
+    throw new Error(`invalid payload — ${check.errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+  }
+  const diagnostic = normalizeDiagnostic(payload);
+  const after = validateDiagnostic(diagnostic);
+  if (!after.valid) {
+    throw new Error(`normalized payload is invalid — ${after.errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+  }
+  return diagnostic;
+}
+
+/**
+ * Detect with the server's rules, then with the CLI's bundle — they must agree
+ */
+function detectBoth(diagnostic, serverRules, bundledRules) {
+  setDeclarativeRules(serverRules);
+  const issues = detectIssues(diagnostic);
+  setDeclarativeRules(bundledRules);
+  const offline = detectIssues(diagnostic);
+  setDeclarativeRules(serverRules);
+  if (JSON.stringify(offline) !== JSON.stringify(issues)) {
+    throw new Error(`offline CLI found ${offline.map(i => i.id).join(', ') || 'nothing'}, server found ${issues.map(i => i.id).join(', ') || 'nothing'}`);
+  }
+  return issues;
+}
+
+function listJson(dir) {
+  return existsSync(dir) ? readdirSync(dir).filter(f => f.endsWith('.json')).sort() : [];
+}
+
+function main() {
+  const bundledRules = loadBundledRules();
+  const serverRules = loadRules();
+  const rules = getAllRules().filter(r => !onlyRule || r.id === onlyRule);
+  const ruleIds = new Set(getAllRules().map(r => r.id));
+  const failures = [];
+  let fixtureCount = 0;
+
+  const check = (label, issues, expect, kind, ruleId) => {
+    const fired = issues.map(i => i.id);
+    const problems = [];
+    if (kind === 'positive' && !fired.includes(ruleId)) problems.push(`${ruleId} failed to fire`);
+    if (kind === 'negative' && fired.includes(ruleId)) problems.push(`${ruleId} fired unexpectedly`);
+    for (const id of expect.fires || []) {
+      if (!fired.includes(id)) problems.push(`${id} failed to fire`);
+    }
+    for (const id of expect.absent || []) {
+      if (fired.includes(id)) problems.push(`${id} fired unexpectedly`);
+    }
+    for (const [root, children] of Object.entries(expect.groups || {})) {
+      const issue = issues.find(i => i.id === root);
+      if (!issue) {
+        problems.push(`${root} should be a root cause but is not top-level`);
+        continue;
+      }
+      const got = issue.consequences.map(x => x.id);
+      for (const id of children) {
+        if (!got.includes(id)) problems.push(`${id} should be grouped under ${root}`);
+      }
+    }
+    for (const p of problems) failures.push(`${label}: ${p}`);
+    return problems;
+  };
+
+  // Healthy baselines must be clean — catches rules that fire on everything
+  if (!onlyRule) {
+    for (const file of listJson(BASE_DIR)) {
+      fixtureCount++;
+      let fired;
+      try {
+        fired = detectBoth(prepare(readJson(join(BASE_DIR, file))), serverRules, bundledRules).map(i => i.id);
+      } catch (err) {
+        failures.push(`_base/${file}: ${err.message}`);
+        console.log(`${c.red('✗')} _base/${file} ${c.dim(err.message)}`);
+        continue;
+      }
+      if (fired.length) {
+        failures.push(`_base/${file}: healthy baseline triggered ${fired.join(', ')}`);
+        console.log(`${c.red('✗')} _base/${file} ${c.dim(`triggered ${fired.join(', ')}`)}`);
+      } else {
+        console.log(`${c.green('✓')} _base/${file} ${c.dim('clean')}`);
+      }
+    }
+
+    // Malformed payloads must be rejected, naming the offending fields
+    for (const file of listJson(INVALID_DIR)) {
+      fixtureCount++;
+      const { diagnostic, expect } = loadFixture(join(INVALID_DIR, file));
+      const check = validateDiagnostic(diagnostic);
+      const fields = check.errors.map(e => e.field);
+      const problems = check.valid
+        ? ['accepted but should be rejected']
+        : (expect.errors || []).filter(f => !fields.includes(f)).map(f => `no error reported for ${f} (got ${fields.join(', ')})`);
+      for (const p of problems) failures.push(`_invalid/${file}: ${p}`);
+      console.log(problems.length
+        ? `${c.red('✗')} _invalid/${file} ${c.dim(problems.join('; '))}`
+        : `${c.green('✓')} _invalid/${file} ${c.dim('rejected')}`);
+    }
+  }
+
+  const missing = [];
+  for (const rule of rules) {
+    const dir = join(FIXTURES_DIR, rule.id);
+    const files = listJson(dir);
+    const positives = files.filter(f => f.startsWith('positive'));
+    const negatives = files.filter(f => f.startsWith('negative'));
+
+    if (!positives.length || !negatives.length) {
+      missing.push(`${rule.id} (${!positives.length ? 'no positive' : 'no negative'} fixture)`);
+    }
+
+    const problems = [];
+    for (const file of files) {
+      const kind = file.startsWith('positive') ? 'positive' : file.startsWith('negative') ? 'negative' : null;
+      const label = `${rule.id}/${file}`;
+      if (!kind) {
+        failures.push(`${label}: name must start with positive- or negative-`);
+        problems.push(label);
+        continue;
+      }
+      fixtureCount++;
+      try {
+        const { diagnostic, expect } = loadFixture(join(dir, file));
+        const issues = detectBoth(prepare(diagnostic), serverRules, bundledRules);
+        problems.push(...check(label, issues, expect, kind, rule.id).map(p => `${file}: ${p}`));
+      } catch (err) {
+        failures.push(`${label}: ${err.message}`);
+        problems.push(`${file}: ${err.message}`);
+      }
+    }
+
+    if (problems.length) {
+      console.log(`${c.red('✗')} ${rule.id}`);
+      for (const p of problems) console.log(c.red(`    ${p}`));
+    } else if (files.length) {
+      console.log(`${c.green('✓')} ${rule.id} ${c.dim(`(${files.length} fixtures)`)}`);
+    }
+  }
+
+  // The CLI bundle is generated — it must match rules/ as committed
+  if (JSON.stringify(bundleRules()) !== JSON.stringify(readJson(BUNDLED_RULES_PATH))) {
+    failures.push('cli/lib/rules.json is stale — run `npm run bundle-rules` and commit the result');
+    console.log(`${c.red('✗')} cli/lib/rules.json ${c.dim('out of date with rules/')}`);
+  }
+
+  // Fixture directories that no longer match a rule are dead weight
+  const orphans = readdirSync(FIXTURES_DIR, { withFileTypes: true })
+    .filter(d => d.isDirectory() && !d.name.startsWith('_') && !ruleIds.has(d.name))
+    .map(d => d.name);
+
+  console.log('');
+  for (const m of missing) console.log(c.yellow(`⚠️  Missing fixtures: ${m}`));
+  for (const o of orphans) console.log(c.yellow(`⚠️  Fixtures for unknown rule: ${o}`));
+
+  const ok = failures.length === 0 && missing.length === 0 && (onlyRule || orphans.length === 0);
+  const summary = `${rules.length} rules, ${fixtureCount} fixtures, ${failures.length} failures, ${missing.length} without fixtures`;
+  console.log(ok ? c.green(`✅ ${summary}`) : c.red(`❌ ${summary}`));
+  process.exit(ok ? 0 : 1);
+}
+
+main();
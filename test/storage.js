@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * SQLite storage
+ *
+ * A diagnosis stored in a SQLite file comes back the way GET /api/fix/:fixId
+ * shows it, survives reopening the file, and feeds stats, feedback, jobs, the
+ * AI cache, discoveries, the admin API and retention the way Postgres does.
+ * Skipped on Node versions without node:sqlite.
+ *
+ * Usage: npm test
+ */
+
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createChecks, report, skip, hasSQLite } from './helpers.js';
+
+function diagnosis(fixId, { cost = 0.002, cacheHit = false, hostSecretHash = null, restarts = null } = {}) {
+  return {
+    fixId,
+    timestamp: new Date().toISOString(),
+    issuesFound: 2,
+    knownIssues: [
+      { id: 'gateway-not-running', severity: 'critical', title: 'Gateway is not running', description: 'Down.' },
+      { id: 'oversized-error-log', severity: 'medium', title: 'Error log is very large', description: 'Big.' },
+    ],
+    analysis: 'Gateway is down and the error log is huge.',
+    fixScript: '#!/bin/bash\necho fix',
+    fixPlan: { steps: [{ op: 'service.restart', via: 'manager' }] },
+    aiIssues: [{ id: 'telegram-token-invalid', severity: 'high', title: 'Token rejected', source: 'ai' }],
+    aiInsights: '• Rotate logs',
+    model: 'mock-model',
+    cacheHit,
+    _hostHash: 'host1234',
+    _os: 'Linux 6.1',
+    _arch: 'x64',
+    _nodeVersion: 'v22.1.0',
+    _openclawVersion: '2026.2.1',
+    _serviceManager: 'systemd',
+    _serviceState: 'failed',
+    _serviceExitCode: null,
+    _errLogSizeMB: 80,
+    _sigtermCount: 0,
+    _aiUsage: { inputTokens: 1000, outputTokens: 200, costUsd: cost },
+    _deleteTokenHash: `hash-of-${fixId}`,
+    _hostSecretHash: hostSecretHash,
+    _serviceRestarts: restarts,
+  };
+}
+
+async function main() {
+  if (!(await hasSQLite())) skip('SQLite storage', `node:sqlite unavailable on Node ${process.versions.node}`);
+  const { openSQLite } = await import('../src/storage/sqlite.js');
+
+  const { failures, check } = createChecks();
+
+  const dir = mkdtempSync(join(tmpdir(), 'clawfix-sqlite-'));
+  const path = join(dir, 'data', 'clawfix.db');
+  const originalLog = console.log;
+  console.log = () => {}; // migration progress
+
+  try {
+    let store = await openSQLite(path);
+    const payload = { hostHash: 'host1234', logs: { errors: 'boom' }, openclaw: { version: '2026.2.1' } };
+    await store.storeDiagnosis(diagnosis('fix-a'), 'npx', payload);
+    await store.storeDiagnosis(diagnosis('fix-b', { cost: 0.003, cacheHit: true }), 'curl');
+
+    // Reopening runs no migrations again and keeps the data
+    store = await openSQLite(path);
+    const a = await store.getDiagnosis('fix-a');
+    check(a?.knownIssues.length === 2 && a.fixPlan.steps[0].op === 'service.restart', `fix-a came back as ${JSON.stringify(a)}`);
+    check(a?.aiIssues[0]?.id === 'telegram-token-invalid' && a.cacheHit === false, 'AI issues or cacheHit lost');
+    check(a?.systemInfo.os === 'Linux 6.1 (x64)' && !Number.isNaN(Date.parse(a.timestamp)), `systemInfo/timestamp: ${JSON.stringify(a?.systemInfo)} ${a?.timestamp}`);
+    check((await store.getDiagnosis('fix-b'))?.cacheHit === true, 'cacheHit true came back false');
+    check(await store.getDiagnosis('nope') === null, 'an unknown fix was found');
+    const owner = await store.getDiagnosisOwner('fix-a');
+    check(owner?.deleteTokenHash === 'hash-of-fix-a' && owner.hostHash === 'host1234' && await store.getDiagnosisOwner('nope') === null, `owner: ${JSON.stringify(owner)}`);
+
+    await store.storeFeedback('fix-a', { success: true, verified: true, remainingIssues: ['oversized-error-log'], checkedIssues: ['gateway-not-running', 'oversized-error-log'] });
+    await store.storeFeedback('fix-a', { success: null });
+    const stats = await store.getStats();
+    check(stats?.totalDiagnoses === 2 && stats.last24h === 2, `counts: ${stats?.totalDiagnoses}, ${stats?.last24h}`);
+    const gateway = stats?.topIssues.find(p => p.id === 'gateway-not-running');
+    const log = stats?.topIssues.find(p => p.id === 'oversized-error-log');
+    check(gateway?.times_detected === 2 && gateway.success_rate === 1 && log?.success_rate === 0, `pattern stats: ${JSON.stringify(stats?.topIssues)}`);
+    check(stats?.outcomes.find(o => o.outcome === 'success')?.count === 1, `verified outcome overwritten: ${JSON.stringify(stats?.outcomes)}`);
+    check(stats?.zombieProcesses === 2 && stats.serviceManagerBreakdown[0]?.service_manager === 'systemd', 'service stats wrong');
+    check(stats?.aiDaily[0]?.analyses === 2 && Math.abs(stats.aiDaily[0].costUsd - 0.005) < 1e-9, `aiDaily: ${JSON.stringify(stats?.aiDaily)}`);
+    check(stats?.aiByModel[0]?.model === 'mock-model' && stats.aiByModel[0].inputTokens === 2000, `aiByModel: ${JSON.stringify(stats?.aiByModel)}`);
+    check(Math.abs(await store.getAISpendToday() - 0.005) < 1e-9, 'AI spend today wrong');
+
+    // Jobs
+    await store.createJob('job-1', { hostHash: 'x' }, 'npx', { deleteTokenHash: 'hash-of-job-1', hostSecretHash: 'secret-of-job-1' });
+    const [resumable] = await store.getResumableJobs();
+    check(resumable?.id === 'job-1' && resumable.payload.hostHash === 'x' && resumable.delete_token_hash === 'hash-of-job-1' && resumable.host_secret_hash === 'secret-of-job-1', `resumable job: ${JSON.stringify(resumable)}`);
+    check(await store.claimJob('job-1') && !(await store.claimJob('job-1')), 'a job was claimed twice');
+    await store.finishJob('job-1', 'failed', 'exploded');
+    check((await store.getJob('job-1'))?.error === 'exploded' && (await store.getResumableJobs()).length === 0, 'finished job wrong');
+
+    // AI cache
+    await store.storeCachedAnalysis('fp-1', 'rules-1', { summary: 'cached' }, 60_000);
+    const cached = await store.getCachedAnalysis('fp-1');
+    check(cached?.analysis.summary === 'cached' && !Number.isNaN(Date.parse(cached.createdAt)), `cache entry: ${JSON.stringify(cached)}`);
+    await store.purgeAICache('rules-2');
+    check(await store.getCachedAnalysis('fp-1') === null, 'cache entry survived a purge for another rule set');
+
+    // Discoveries
+    const found = { hash: 'h1', issue: { id: 'telegram-token-invalid', severity: 'high', title: 'Token rejected', description: 'Telegram says 401' }, plan: null, payload: {} };
+    await store.recordDiscoveries('fix-a', [found]);
+    await store.recordDiscoveries('fix-b', [found]);
+    const [discovery] = await store.getDiscoveries({ minCount: 2 });
+    check(discovery?.count === 2 && discovery.examples.length === 2 && discovery.graduated === false, `discovery: ${JSON.stringify(discovery)}`);
+    check(await store.graduateDiscovery(discovery?.id, { patternId: 'telegram-token-invalid', title: 'Token rejected', severity: 'high' }), 'graduation failed');
+    check(!(await store.graduateDiscovery(discovery?.id, { patternId: 'telegram-token-invalid', title: 'x', severity: 'high' })), 'graduated twice');
+    check((await store.getDiscoveries({ minCount: 1 })).length === 0 && (await store.getDiscovery(discovery?.id))?.patternId === 'telegram-token-invalid', 'graduated discovery still listed');
+
+    // Admin
+    const search = await store.searchDiagnoses({ issue: 'gateway-not-running', source: 'npx' });
+    check(search?.total === 1 && search.diagnoses[0].fixId === 'fix-a' && search.diagnoses[0].hasPayload, `search: ${JSON.stringify(search)}`);
+    check((await store.searchDiagnoses({ q: 'ERROR LOG', limit: 1 }))?.total === 2, 'text search is not case-insensitive, or total counts the page');
+    const record = await store.getDiagnosisRecord('fix-a');
+    check(record?.diagnosis.payload.logs.errors === 'boom' && record.diagnosis.issues_pattern.length === 2, 'stored payload not returned');
+    check(record?.feedback.length === 2 && record.feedback[0].verified === true, `feedback rows: ${JSON.stringify(record?.feedback)}`);
+    check((await store.getFeedback({ verified: true }))?.map(f => f.fixId).join() === 'fix-a', 'feedback filter wrong');
+
+    // A delete that fails halfway leaves everything in place
+    const { DatabaseSync } = await import('node:sqlite');
+    const side = new DatabaseSync(path);
+    side.exec("CREATE TRIGGER keep_diagnoses BEFORE DELETE ON diagnoses BEGIN SELECT RAISE(ABORT, 'kept'); END");
+    const originalError = console.error;
+    console.error = () => {};
+    const halfway = await store.deleteDiagnosis('fix-a');
+    console.error = originalError;
+    side.exec('DROP TRIGGER keep_diagnoses');
+    side.close();
+    check(!halfway && (await store.getFeedback({ fixId: 'fix-a' })).length === 2, 'a failed delete still removed the feedback');
+
+    check(await store.deleteDiagnosis('fix-a') && !(await store.deleteDiagnosis('fix-a')), 'delete did not report what it did');
+    check(await store.getDiagnosis('fix-a') === null && (await store.getFeedback({ fixId: 'fix-a' })).length === 0, 'deleted diagnosis or its feedback still there');
+    check((await store.getDiscovery(discovery?.id))?.examples.every(e => e.fixId !== 'fix-a'), 'discovery kept an example from a deleted diagnosis');
+
+    const id = await store.createAdminToken('support', ['read'], 'hash-1');
+    check((await store.findAdminToken('hash-1'))?.scopes.join() === 'read', 'scoped token not found');
+    check(await store.revokeAdminToken(id) && await store.findAdminToken('hash-1') === null, 'revoked token still works');
+    check((await store.listAdminTokens())?.[0]?.revokedAt, 'revocation not listed');
+
+    // Retention
+    await store.storeDiagnosis(diagnosis('fix-c'), 'npx', payload);
+    await store.storeFeedback('fix-c', { success: true, comment: 'thanks, from my-laptop' });
+    await store.recordDiscoveries('fix-c', [{ ...found, hash: 'h2' }]);
+    const soon = new Date(Date.now() + 60_000);
+    check((await store.purgeDiagnoses({ expireBefore: soon, anonymizeBefore: null }))?.expired === 2, 'purge did not expire both diagnoses');
+    const expired = await store.getDiagnosis('fix-c');
+    check(expired?.expiredAt && !expired.fixScript && !Number.isNaN(Date.parse(expired.expiredAt)), `expired fix came back as ${JSON.stringify(expired)}`);
+    const kept = (await store.getDiagnosisRecord('fix-c'))?.diagnosis;
+    check(kept?.payload === null && kept.ai_summary === null && kept.host_hash === 'host1234' && kept.issues_pattern.length === 2, 'expiring took too much or too little');
+    check((await store.getDiscoveries({ minCount: 1 }))[0]?.examples.length === 0, 'discovery kept an example from an expired diagnosis');
+    check((await store.purgeDiagnoses({ anonymizeBefore: soon })).anonymized === 2, 'purge did not anonymize both diagnoses');
+    const anonymous = await store.getDiagnosisRecord('fix-c');
+    check(anonymous?.diagnosis.host_hash === null && anonymous.diagnosis.os === null && anonymous.feedback[0].comment === null, 'anonymized diagnosis still identifies the machine');
+    check((await store.purgeDiagnoses({ expireBefore: soon, anonymizeBefore: soon })).expired === 0, 'a purge repeated itself');
+    const after = await store.getStats();
+    check(after?.totalDiagnoses === 2 && after.topIssues.find(p => p.id === 'gateway-not-running')?.times_detected === 3, 'stats lost expired diagnoses');
+
+    // Host history: only diagnoses sent with the host's secret, oldest first
+    for (const [fixId, restarts] of [['fix-h1', 3], ['fix-h2', 5]]) {
+      await store.storeDiagnosis(diagnosis(fixId, { hostSecretHash: 'secret-1', restarts }), 'npx', payload);
+      await new Promise(resolve => setTimeout(resolve, 5)); // distinct timestamps
+    }
+    await store.storeDiagnosis(diagnosis('fix-h3'), 'npx', payload);
+    const history = await store.getHostHistory('host1234', 'secret-1');
+    check(history?.map(d => d.fixId).join() === 'fix-h1,fix-h2', `history: ${JSON.stringify(history?.map(d => d.fixId))}`);
+    check(history?.[1]?.restarts === 5 && history[1].issues.join() === 'gateway-not-running,oversized-error-log' && history[1].serviceState === 'failed', `history entry: ${JSON.stringify(history?.[1])}`);
+    check((await store.getHostHistory('host1234', 'secret-1', { limit: 1 }))?.[0]?.fixId === 'fix-h2', 'a limited history is not the latest diagnoses');
+    check((await store.getHostHistory('host1234', 'secret-2'))?.length === 0, 'history shown for the wrong secret');
+    await store.purgeDiagnoses({ anonymizeBefore: soon });
+    check((await store.getHostHistory('host1234', 'secret-1'))?.length === 0, 'anonymized diagnoses still in the host history');
+  } finally {
+    console.log = originalLog;
+    rmSync(dir, { recursive: true, force: true });
+  }
+
+  report('SQLite storage', failures, 'diagnoses, stats, feedback, jobs, cache, discoveries, admin data, retention and host history behave');
+}
+
+main();